@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * @module source-channels-arg-scanner
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const ArrayArgScanner = require('./array-arg-scanner');
+const DiscordChannelsArg = require('../command_meta/discord-channels-arg');
+
+/**
+ * Scans arguments as an array of channel ids from a comma separated list of references to channels, in the format
+ * of the message's source (like mentions or ids). The references not recognized by the source are skipped.
+ * The result is the same argument object as for the Discord channels, so the channels can be used
+ * in the permission filters.
+ * @see BaseSource#parseChannelReference
+ * @alias SourceChannelsArgScanner
+ * @extends ArrayArgScanner
+ */
+class SourceChannelsArgScanner extends ArrayArgScanner {
+  /**
+   * Parses the given text to make an argument object for a command.
+   * @param  {Context}      context     Bot's context
+   * @param  {LangManager}  langManager Lang manager of the command
+   * @param  {Object}       message     Message's object (source-dependent)
+   * @param  {string}       text        Text to be scanned to parse the argument
+   * @return {Promise}                  Promise of the parsed object of the argument and how many chars were scanned
+   */
+  static async scan(context, langManager, message, text) {
+    const lastIndex = this.getLastCharIndex(context, text);
+    if (lastIndex === 0) {
+      return { value: null, nextPos: 1 };
+    }
+
+    const channelIds = this.split(context, text.slice(0, lastIndex))
+      .map(reference => message.source.parseChannelReference(reference))
+      .filter(channelId => channelId !== null);
+    return { value: new DiscordChannelsArg(channelIds), nextPos: lastIndex };
+  }
+}
+
+/**
+ * Exports the SourceChannelsArgScanner class
+ * @type {SourceChannelsArgScanner}
+ */
+module.exports = SourceChannelsArgScanner;
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * @module source-members-arg-scanner
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const ArrayArgScanner = require('./array-arg-scanner');
+
+/**
+ * Scans arguments as an array of references to members from a comma separated list, in the format of the message's
+ * source (like mentions, user names or ids). If the text does not start with such a reference, then nothing
+ * is scanned, so the text can be scanned by the next argument (e.g. when the member is referred by replying
+ * to their message). The references are resolved into the members by the source during the validation.
+ * @see BaseSource#resolveMember
+ * @alias SourceMembersArgScanner
+ * @extends ArrayArgScanner
+ */
+class SourceMembersArgScanner extends ArrayArgScanner {
+  /**
+   * Parses the given text to make an argument object for a command.
+   * @param  {Context}      context     Bot's context
+   * @param  {LangManager}  langManager Lang manager of the command
+   * @param  {Object}       message     Message's object (source-dependent)
+   * @param  {string}       text        Text to be scanned to parse the argument
+   * @return {Promise}                  Promise of the parsed object of the argument and how many chars were scanned
+   */
+  static async scan(context, langManager, message, text) {
+    const scanResult = this.scanAsArray(context, text);
+    if (scanResult.value === null || !message.source.isMemberReference(scanResult.value[0])) {
+      return { value: null, nextPos: 0 };
+    }
+
+    return scanResult;
+  }
+}
+
+/**
+ * Exports the SourceMembersArgScanner class
+ * @type {SourceMembersArgScanner}
+ */
+module.exports = SourceMembersArgScanner;
@@ -12,6 +12,8 @@ const SimpleArgScanner = require('./simple-arg-scanner');
 
 const TimeArg = require('../command_meta/time-arg');
 
+const CronFieldsCount = 5;
+
 /**
  * Scans argument as a time definition (time distance or one-shot/recurrent schedule).
  * @see TimeArg
@@ -63,6 +65,24 @@ class TimeArgScanner extends SimpleArgScanner {
 
     let nextDef = nextText.slice(0, Math.max(0, nextSpace));
 
+    // A cron expression may be provided without quotes, then it spans several space-separated fields.
+    if (timeArg.timeType === TimeArg.CRON_TYPE && !timeArg.isValidTimeDef(nextDef)) {
+      const cronText = nextText.split(' ').slice(0, CronFieldsCount).join(' ');
+      if (timeArg.isValidTimeDef(cronText)) {
+        timeArg.addDefinition(cronText);
+
+        nextPos = nextPos + cronText.length + 1;
+        nextText = nextText.slice(Math.max(0, cronText.length + 1));
+
+        nextSpace = OhUtils.findFirstNonQuotedIndex(nextText, ' ');
+        if (nextSpace === -1) {
+          nextSpace = nextText.length;
+        }
+
+        nextDef = nextText.slice(0, Math.max(0, nextSpace));
+      }
+    }
+
     // Scan and add definitions until the next part of text does not looks like a valid definition.
     // This can happen either when the text is not a definition at all, or when the next
     // definition cannot be added to the existing definitions. E.g. when a month is defined in the same arg
@@ -81,6 +101,11 @@ class TimeArgScanner extends SimpleArgScanner {
       nextDef = nextText.slice(0, Math.max(0, nextSpace));
     }
 
+    // The expression types cannot be used without the expression itself.
+    if (timeArg.isExpressionType() && TimeArg.getExpression(timeArg.definitions) === null) {
+      return { value: null, nextPos: 1 };
+    }
+
     // Adds the timezone definition based of org/user settings
     await this.appendTimezone(context, message, timeArg);
     // Auto complete definitions based on the type of the argument ("any" value for recurrent types etc.).
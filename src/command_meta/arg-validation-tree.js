@@ -443,7 +443,7 @@ class ArgValidationTree {
    * @param  {string}        commandName the command name
    */
   static async isTimeScheduleOnly(argDef, argValue, command) {
-    if (argValue.timeType !== TimeArg.SCHEDULE_TYPE && argValue.timeType !== TimeArg.SCHEDULE_REPEAT_TYPE) {
+    if (argValue.timeType === TimeArg.DISTANCE_TYPE) {
       ArgValidationTree.generateValidationError(
         argDef,
         command,
@@ -6,6 +6,10 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
+const util = require('util');
+
+const OhUtils = require('../utils/bot-utils');
+
 const DEFAULT_COMMAND_PREFIX = '!';
 const ARG_PREFIX = ' -';
 
@@ -29,6 +33,7 @@ class Command {
     this.source = source;
     this.langManager = commandLangManager;
     this.orgId = orgId;
+    this.argTexts = null;
   }
 
   /**
@@ -107,6 +112,266 @@ class Command {
   static getRequiredBotPermissions() {
     return [];
   }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultArgValue(message, arg) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    return null;
+  }
+
+  /**
+   * Extract text for a given argument from command's string during scanning by arg name.
+   * In this case the start of the text is considered as the end of the predefined arg prefix + the arg name,
+   * and the end of the arg text is either the next arg prefix found, or the end of the command string
+   * if no next prefix is found.
+   * @param  {string}         commandText    the text of the command
+   * @param  {CommandArgDef}  arg            the argument's definition
+   * @return {string}                        the found argument's text
+   */
+  findArgValue(commandText, arg) {
+    let prefixedArgName = this.constructor.ARG_PREFIX;
+    let index = -1;
+    for (let i = 0; i < arg.aliasIds.length; i++) {
+      prefixedArgName = this.constructor.ARG_PREFIX + this.langManager.getString(arg.aliasIds[i]);
+      const nameLength = prefixedArgName.length;
+      // The alias should be followed by a space or the end of the command, so that a short alias
+      // (like "-d") is not confused with a longer one of another argument (like "-duration").
+      const foundIndex = OhUtils.getNonQuotedIndices(commandText, prefixedArgName).find(value => {
+        const nextChar = commandText.charAt(value + nameLength);
+        return nextChar === '' || nextChar.trim() === '';
+      });
+      if (foundIndex !== undefined) {
+        index = foundIndex;
+        break;
+      }
+    }
+
+    if (index === -1) {
+      return null;
+    }
+
+    const textAfter = commandText.slice(Math.max(0, index + prefixedArgName.length));
+    let endIndex = OhUtils.findFirstNonQuotedIndex(textAfter, this.constructor.ARG_PREFIX);
+    if (endIndex === -1) {
+      endIndex = commandText.length;
+    } else {
+      endIndex = index + prefixedArgName.length + endIndex;
+    }
+
+    const argText = commandText.slice(index + prefixedArgName.length + 1, endIndex).trim();
+    return argText;
+  }
+
+  /**
+   * Sets arguments for the command by parsing them by their names from the command's text.
+   * In this case the arguments in the text should be prepended by a predefined prefix with the arg's name.
+   * The arg scanners will parse the parts of text between these prefixes with arg names.
+   * If no value is found for an argument, then tries to get the default value for it as defined
+   * by the command's class.
+   * In any case, all defined arguments will have at least null value after executing this function.
+   * @see Command#findArgValue
+   * @see Command.getDefinedArgs
+   * @param  {BaseMessage}  message the message with the command
+   * @return {Promise}              nothing
+   */
+  async parseArgsByNames(message) {
+    const definedArgs = this.constructor.getDefinedArgs();
+    const argTexts = {};
+    for (const argKey of Object.keys(definedArgs)) {
+      argTexts[argKey] = this.findArgValue(message.content, definedArgs[argKey]);
+    }
+
+    await this.scanArgTexts(message, argTexts);
+  }
+
+  /**
+   * Sets arguments for the command by scanning the texts found for them. If no text is found for an argument,
+   * or no value is scanned from it, then tries to get the default value for it as defined by the command's class.
+   * In any case, all defined arguments will have at least null value after executing this function.
+   * The texts are kept in the command, so that the validation could refer to what was actually provided.
+   * @see Command.getDefinedArgs
+   * @see Command#getArgText
+   * @param  {BaseMessage}  message  the message with the command
+   * @param  {Object}       argTexts the texts of the arguments by their keys (null or missing if not found)
+   * @return {Promise}               nothing
+   */
+  async scanArgTexts(message, argTexts) {
+    this.argTexts = argTexts;
+    const definedArgs = this.constructor.getDefinedArgs();
+    const argsKeys = Object.keys(definedArgs);
+    const thiz = this;
+
+    const results = [];
+    for (const argKey of argsKeys) {
+      const argText = argTexts[argKey] === undefined ? null : argTexts[argKey];
+      results.push(
+        definedArgs[argKey].scanner.scan(this.context, this.langManager, message, argText).then(async scanResult => {
+          let argValue = scanResult.value;
+          thiz.context.log.d(
+            'argValue: ' + util.inspect(argValue, { showHidden: false, depth: 2 }) + '; for key: ' + argKey
+          );
+          if (argValue === null || argValue === undefined) {
+            scanResult = await definedArgs[argKey].scanner.scan(
+              thiz.context,
+              thiz.langManager,
+              message,
+              await thiz.getDefaultArgValue(message, definedArgs[argKey])
+            );
+            argValue = scanResult.value;
+            thiz.context.log.d(
+              'argValue after checking default: ' +
+                util.inspect(argValue, { showHidden: false, depth: 2 }) +
+                '; for key: ' +
+                argKey
+            );
+          }
+
+          thiz[argKey] = argValue;
+        })
+      );
+    }
+
+    await Promise.all(results);
+  }
+
+  /**
+   * Gets the text provided for an argument: the one passed to the scan (e.g. from an option of a slash command)
+   * if the arguments were scanned from the texts, or the one found by the argument's name in the message otherwise.
+   * @see Command#scanArgTexts
+   * @param  {BaseMessage}   message the message with the command
+   * @param  {CommandArgDef} arg     the definition of the argument
+   * @return {string}                the text of the argument, or null if not provided
+   */
+  getArgText(message, arg) {
+    if (this.argTexts === null) {
+      return this.findArgValue(message.content, arg);
+    }
+
+    const argText = this.argTexts[arg.name];
+    return argText === undefined ? null : argText;
+  }
+
+  /**
+   * Sets arguments for the command by parsing them sequentially from the command's text,
+   * in the order in which they are defined in the appropriate command's class.
+   * In this case the borders between arguments in the text are determined by the scanner class which belong
+   * to the argument being scanned at the moment. That is, the scanner will attemp to parse the argument from
+   * the text and will tell where it stopped. The stop position will be passed to the scanner of the next argument
+   * as the start position.
+   * If skipInSequentialRead is set to true in the arg's definition, then it will be skipped during the scan.
+   * in such case, and also if the scanners ran out of text, the command will try to set the default value for the arg.
+   * In any case, all defined arguments will have at least null value after executing this function.
+   * @see CommandArgDef
+   * @see Command.getDefinedArgs
+   * @param  {BaseMessage}  message the message with the command
+   * @return {Promise}              nothing
+   */
+  async parseArgsSequentially(message) {
+    const definedArgs = this.constructor.getDefinedArgs();
+    const argsKeys = Object.keys(definedArgs);
+
+    const trimmedContent = OhUtils.dry(message.content);
+    let remainingArgText = '';
+    if (trimmedContent.indexOf(' ') > 0) {
+      remainingArgText = trimmedContent.slice(Math.max(0, trimmedContent.indexOf(' ') + 1));
+    }
+
+    for (const argKey of argsKeys) {
+      let argValue = null;
+      if (definedArgs[argKey].skipInSequentialRead) {
+        const defaultValue = await this.getDefaultArgValue(message, definedArgs[argKey]);
+        // Must scan arguments one by one, since it's a sequential scan, and results depend on previous scanning.
+        /* eslint-disable no-await-in-loop */
+        const scanResult = await definedArgs[argKey].scanner.scan(
+          this.context,
+          this.langManager,
+          message,
+          defaultValue
+        );
+        /* eslint-enable no-await-in-loop */
+        argValue = scanResult.value;
+        this.context.log.d(
+          'argValue for an arg which is skipped in the sequence: ' +
+            util.inspect(argValue, { showHidden: false, depth: 2 }) +
+            '; for key: ' +
+            argKey
+        );
+      } else {
+        if (remainingArgText === '') {
+          const defaultValue = await this.getDefaultArgValue(message, definedArgs[argKey]);
+          // Must scan arguments one by one, since it's a sequential scan, and results depend on previous scanning.
+          /* eslint-disable no-await-in-loop */
+          const scanResult = await definedArgs[argKey].scanner.scan(
+            this.context,
+            this.langManager,
+            message,
+            defaultValue
+          );
+          /* eslint-enable no-await-in-loop */
+          argValue = scanResult.value;
+          this.context.log.d(
+            'argValue for an arg for which we ran out of command pieces: ' +
+              util.inspect(argValue, { showHidden: false, depth: 2 }) +
+              '; for key: ' +
+              argKey
+          );
+        } else {
+          // Must scan arguments one by one, since it's a sequential scan, and results depend on previous scanning.
+          /* eslint-disable no-await-in-loop */
+          const scanResult = await definedArgs[argKey].scanner.scan(
+            this.context,
+            this.langManager,
+            message,
+            remainingArgText
+          );
+          /* eslint-enable no-await-in-loop */
+          argValue = scanResult.value;
+          if (argValue === '') {
+            argValue = null;
+          }
+
+          remainingArgText = remainingArgText.slice(Math.max(0, scanResult.nextPos)).trim();
+        }
+
+        this.context.log.d(
+          'argValue from the command: ' +
+            util.inspect(argValue, { showHidden: false, depth: 2 }) +
+            '; for key: ' +
+            argKey
+        );
+      }
+
+      this[argKey] = argValue;
+    }
+  }
+
+  /**
+   * Determines how to parse the command's arguments and launches the appropriate scanning procedure.
+   * If at lest one occurence of predefined arg prefix is found (non-quoted) then tries to parse
+   * the argument by their names (like '!kill -name Bill -tool knife').
+   * Otherwise tries to parse the arguments sequentially in the order in which they are defined
+   * (e.g. '!kill Bill knife').
+   * The arguments are not validated here, the validation is source-dependent.
+   * @param  {BaseMessage}  message the message with the command
+   * @return {Promise}              nothing
+   */
+  async parseArgs(message) {
+    const index = OhUtils.findFirstNonQuotedIndex(message.content, this.constructor.ARG_PREFIX);
+    if (index === -1) {
+      this.context.log.d('Sequential arg scan');
+      await this.parseArgsSequentially(message);
+    } else {
+      this.context.log.d('Arg scan by name');
+      await this.parseArgsByNames(message);
+    }
+  }
 }
 
 /**
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * @module source-attachment
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+/**
+ * Source-independent file attached to a message.
+ * @see BaseSource#getAttachments
+ * @alias SourceAttachment
+ */
+class SourceAttachment {
+  /**
+   * Constructs an instance of the class.
+   * @param {string} name the file name
+   * @param {number} size the size of the file in bytes
+   * @param {string} url  the URL to download the file from
+   */
+  constructor(name, size, url) {
+    this.name = name;
+    this.size = size;
+    this.url = url;
+  }
+
+  /**
+   * Checks if the file has one of the given extensions.
+   * @param  {Array<string>} extensions the extensions (in lower case)
+   * @return {boolean}                  true if the extension is one of the given, false otherwise
+   */
+  hasExtension(extensions) {
+    if (this.name === null || this.name === undefined) {
+      return false;
+    }
+
+    return extensions.includes(this.name.slice(this.name.lastIndexOf('.') + 1).toLowerCase());
+  }
+}
+
+/**
+ * Exports the SourceAttachment class
+ * @type {SourceAttachment}
+ */
+module.exports = SourceAttachment;
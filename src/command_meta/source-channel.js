@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * @module source-channel
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+/**
+ * Source-independent text channel of an organization, as given by the source (Discord, Telegram etc.).
+ * The sources without separate channels (like the Telegram groups) have the organization itself as the only channel.
+ * @see BaseSource#fetchChannel
+ * @alias SourceChannel
+ */
+class SourceChannel {
+  /**
+   * Constructs an instance of the class.
+   * @param {string} id      the identifier of the channel in the source
+   * @param {string} name    the name of the channel
+   * @param {string} mention the text referring to the channel in the messages of the source
+   */
+  constructor(id, name, mention) {
+    this.id = id;
+    this.name = name;
+    this.mention = mention;
+  }
+}
+
+/**
+ * Exports the SourceChannel class
+ * @type {SourceChannel}
+ */
+module.exports = SourceChannel;
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * @module source-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const Command = require('./command');
+const ArgValidationTree = require('./arg-validation-tree');
+
+/**
+ * Base source-independent command. Such commands use only the source-independent model of the organizations
+ * (members, channels, rich messages etc.) provided by the message's source, so the same command class is registered
+ * in the command managers of all sources. The source-specific methods called by the CommandsParser are bridged
+ * to the source-independent ones.
+ * @see BaseSource
+ * @abstract
+ * @alias SourceCommand
+ * @extends Command
+ */
+class SourceCommand extends Command {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('createForOrg: ' + this.name + ' is an abstract class');
+  }
+
+  /**
+   * Gets the array of Discord permissions required for the command.
+   * @see PermissionsManager.DISCORD_PERMISSIONS
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [];
+  }
+
+  /**
+   * Gets the array of the Telegram administrator rights required for the command.
+   * @see PermissionsManager.TELEGRAM_PERMISSIONS
+   * @return {Array<string>} the array of Telegram-specific permissions required
+   */
+  static getRequiredTelegramPermissions() {
+    return [];
+  }
+
+  /**
+   * Gets the array of the Slack roles required for the command.
+   * @see PermissionsManager.SLACK_PERMISSIONS
+   * @return {Array<string>} the array of Slack-specific permissions required
+   */
+  static getRequiredSlackPermissions() {
+    return [];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validate(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    await ArgValidationTree.validateCommandArguments(this);
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async execute(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('execute: ' + this.constructor.name + ' is an abstract class.');
+  }
+
+  /**
+   * Parses the command's arguments from the message and launches the arguments validation.
+   * @see Command#parseArgs
+   * @param  {BaseMessage}  message the message with the command
+   * @return {Promise}              nothing
+   */
+  async parse(message) {
+    await this.parseArgs(message);
+    await this.validate(message);
+  }
+
+  /**
+   * Parses the command's arguments from a Discord message.
+   * @see SourceCommand#parse
+   * @param  {BaseMessage}  message the Discord message with the command
+   * @return {Promise}              nothing
+   */
+  async parseFromDiscord(message) {
+    await this.parse(message);
+  }
+
+  /**
+   * Sets the command's arguments from the texts given separately from the message's text (like the options
+   * of a Discord slash command), and launches the arguments validation.
+   * @see Command#scanArgTexts
+   * @param  {BaseMessage}  message  the Discord message with the command
+   * @param  {Object}       argTexts the texts of the arguments by their keys
+   * @return {Promise}               nothing
+   */
+  async parseFromDiscordArgTexts(message, argTexts) {
+    await this.scanArgTexts(message, argTexts);
+    await this.validate(message);
+  }
+
+  /**
+   * Parses the command's arguments from a Telegram message.
+   * @see SourceCommand#parse
+   * @param  {BaseMessage}  message the Telegram message with the command
+   * @return {Promise}              nothing
+   */
+  async parseFromTelegram(message) {
+    await this.parse(message);
+  }
+
+  /**
+   * Parses the command's arguments from a Slack message.
+   * @see SourceCommand#parse
+   * @param  {BaseMessage}  message the Slack message with the command
+   * @return {Promise}              nothing
+   */
+  async parseFromSlack(message) {
+    await this.parse(message);
+  }
+
+  /**
+   * Executes the command for a Discord message.
+   * @see SourceCommand#execute
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    return this.execute(message);
+  }
+
+  /**
+   * Executes the command for a Telegram message.
+   * @see SourceCommand#execute
+   * @param  {BaseMessage}         message the Telegram message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForTelegram(message) {
+    return this.execute(message);
+  }
+
+  /**
+   * Executes the command for a Slack message.
+   * @see SourceCommand#execute
+   * @param  {BaseMessage}         message the Slack message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForSlack(message) {
+    return this.execute(message);
+  }
+}
+
+/**
+ * Exports the SourceCommand class
+ * @type {SourceCommand}
+ */
+module.exports = SourceCommand;
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * @module source-embed
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const FieldNameSeparator = ': ';
+
+/**
+ * Source-independent rich message: a title, a description, a color and named fields.
+ * The sources supporting rich messages (like the Discord embeds) show it natively, other sources post it as text.
+ * @see BaseSource#sendEmbed
+ * @alias SourceEmbed
+ */
+class SourceEmbed {
+  /**
+   * Constructs an instance of the class.
+   * @param {string}        title         the title, null if not set
+   * @param {string}        [description] the description, null if not set
+   * @param {string}        [color]       the color like "#FF0000", null if not set
+   * @param {Array<Object>} [fields]      the fields (the name and the value of each)
+   */
+  constructor(title, description = null, color = null, fields = []) {
+    this.title = title;
+    this.description = description;
+    this.color = color;
+    this.fields = fields;
+  }
+
+  /**
+   * Makes the text representation of the embed, for the sources without rich messages.
+   * @param  {string} [titleMarkup] the markup to put around the title (like "*" for the bold text in Slack)
+   * @return {string}               the text
+   */
+  toText(titleMarkup = '') {
+    const lines = [];
+    if (this.title) {
+      lines.push(titleMarkup + this.title + titleMarkup);
+    }
+
+    if (this.description) {
+      lines.push(this.description);
+    }
+
+    for (const field of this.fields) {
+      lines.push(field.name + FieldNameSeparator + field.value);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Exports the SourceEmbed class
+ * @type {SourceEmbed}
+ */
+module.exports = SourceEmbed;
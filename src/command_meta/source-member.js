@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * @module source-member
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+/**
+ * Source-independent member of an organization, as given by the source (Discord, Telegram etc.).
+ * @see BaseSource#fetchMember
+ * @alias SourceMember
+ */
+class SourceMember {
+  /**
+   * Constructs an instance of the class.
+   * @param {string} id          the identifier of the member in the source
+   * @param {string} displayName the name of the member to be shown
+   * @param {string} mention     the text referring to the member in the messages of the source
+   */
+  constructor(id, displayName, mention) {
+    this.id = id;
+    this.displayName = displayName;
+    this.mention = mention;
+  }
+}
+
+/**
+ * Exports the SourceMember class
+ * @type {SourceMember}
+ */
+module.exports = SourceMember;
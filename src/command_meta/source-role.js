@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * @module source-role
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+/**
+ * Source-independent role of an organization, as given by the source. Not every source has roles.
+ * @see BaseSource#fetchRole
+ * @alias SourceRole
+ */
+class SourceRole {
+  /**
+   * Constructs an instance of the class.
+   * @param {string} id      the identifier of the role in the source
+   * @param {string} name    the name of the role
+   * @param {string} mention the text referring to the role in the messages of the source
+   */
+  constructor(id, name, mention) {
+    this.id = id;
+    this.name = name;
+    this.mention = mention;
+  }
+}
+
+/**
+ * Exports the SourceRole class
+ * @type {SourceRole}
+ */
+module.exports = SourceRole;
@@ -7,13 +7,17 @@
  */
 
 const OhUtils = require('../utils/bot-utils');
+const CronExpression = require('../utils/cron-expression');
+const RRuleExpression = require('../utils/rrule-expression');
 
 const momentTz = require('moment-timezone');
 
 const TimeTypes = Object.freeze({
   distance: 'distance',
   schedule: 'schedule',
-  scheduleRepeat: 'scheduleRepeat'
+  scheduleRepeat: 'scheduleRepeat',
+  cron: 'cron',
+  rrule: 'rrule'
 });
 
 const TimeArgPredefinedValues = Object.freeze({
@@ -43,7 +47,9 @@ const ShiftTypes = Object.freeze({
   days: 'days',
   weeks: 'weeks',
   months: 'months',
-  years: 'years'
+  years: 'years',
+  cron: 'cron',
+  rrule: 'rrule'
 });
 
 const MonthNames = Object.freeze({
@@ -85,6 +91,7 @@ const RecurrenceShifts = Object.freeze({
 const AnyValueInt = Number.parseInt(OhUtils.ANY_VALUE, 10);
 
 const AnyValueUi = '*';
+const DefaultTimezone = 'Etc/UTC';
 const HourMinuteSecondSeparator = ':';
 
 /**
@@ -134,6 +141,26 @@ class TimeArg {
     return TimeTypes.scheduleRepeat;
   }
 
+  /**
+   * Represents a recurrent schedule type of the argument defined by a cron expression
+   * (e.g. "0 9 * * 1-5" - each work day at 9:00).
+   * @see CronExpression
+   * @type {string}
+   */
+  static get CRON_TYPE() {
+    return TimeTypes.cron;
+  }
+
+  /**
+   * Represents a recurrent schedule type of the argument defined by an RFC 5545 recurrence rule
+   * (e.g. "FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=18;BYMINUTE=0" - the last Friday of each month at 18:00).
+   * @see RRuleExpression
+   * @type {string}
+   */
+  static get RRULE_TYPE() {
+    return TimeTypes.rrule;
+  }
+
   /**
    * Gets the array of shift (definition) types, for example, seconds, minutes, years, days of week, timezones etc.
    * @type {Object}
@@ -157,7 +184,14 @@ class TimeArg {
    * @type {Array<string>}
    */
   static get SKIP_FOR_DISTANCE_TO_SCHEDULE_CONVERSION() {
-    return [ShiftTypes.predefined, ShiftTypes.weeks, ShiftTypes.timezone, ShiftTypes.dayofweek];
+    return [
+      ShiftTypes.predefined,
+      ShiftTypes.weeks,
+      ShiftTypes.timezone,
+      ShiftTypes.dayofweek,
+      ShiftTypes.cron,
+      ShiftTypes.rrule
+    ];
   }
 
   /**
@@ -238,6 +272,15 @@ class TimeArg {
     return totalShift;
   }
 
+  /**
+   * Checks if the argument's time is defined by an expression (cron or recurrence rule),
+   * rather than by separate definitions.
+   * @return {Boolean} true if the argument's type is an expression type
+   */
+  isExpressionType() {
+    return this.timeType === TimeTypes.cron || this.timeType === TimeTypes.rrule;
+  }
+
   /**
    * Checks if a given text determines a time type.
    * @param  {string}  text the text to parse
@@ -265,6 +308,14 @@ class TimeArg {
       return TimeTypes.scheduleRepeat;
     }
 
+    if (text === this.langManager.getString('arg_time_cron_type')) {
+      return TimeTypes.cron;
+    }
+
+    if (text === this.langManager.getString('arg_time_rrule_type')) {
+      return TimeTypes.rrule;
+    }
+
     return null;
   }
 
@@ -364,6 +415,16 @@ class TimeArg {
       return null;
     }
 
+    // Expression types contain only the expression itself and the timezone.
+    if (this.isExpressionType()) {
+      const timezone = this.tryParseTimezoneDefinition(text);
+      if (timezone !== null) {
+        return timezone;
+      }
+
+      return this.tryParseExpressionDefinition(text);
+    }
+
     // Firstly check predefined definitions.
     if (text === this.langManager.getString(TimeArgPredefinedValues.today)) {
       const currentDate = new Date();
@@ -424,7 +485,13 @@ class TimeArg {
    * (for example, "2020 year, May, 30 day, 3 hours, 0 minutes, 0 seconds")
    */
   autoCompleteDefinitions() {
+    if (this.timeType === TimeTypes.rrule) {
+      this.autoCompleteRecurrenceRule();
+      return;
+    }
+
     if (
+      this.timeType === TimeTypes.cron ||
       this.timeType === TimeTypes.distance ||
       this.definitions.length === 0 ||
       (this.definitions.length === 1 && this.definitions[0].shiftType === ShiftTypes.predefined)
@@ -486,6 +553,19 @@ class TimeArg {
     }
   }
 
+  /**
+   * Sets the start of the recurrence rule of the argument to the current moment, if the rule does not define it.
+   * Should be called after the timezone definition is added.
+   */
+  autoCompleteRecurrenceRule() {
+    const timezone = TimeArg.getTimezone(this.definitions);
+    for (const definition of this.definitions) {
+      if (definition.shiftType === ShiftTypes.rrule) {
+        definition.amount = RRuleExpression.addStartIfMissing(definition.amount, Date.now(), timezone);
+      }
+    }
+  }
+
   /**
    * Create a new TimeArg of one-shot schedult type based on this distance-type argument.
    * @return {TimeArg} the new time argument of the one-shot schedule type
@@ -499,15 +579,20 @@ class TimeArg {
     const scheduledTimeMills = currentTime.getTime() + this.totalMillisecondsShift;
     const scheduledTime = new Date(scheduledTimeMills);
 
+    // The moment is defined in UTC, so it does not depend on the timezone of the Bot's server.
     const scheduleArg = new TimeArg(this.langManager);
     scheduleArg.setTimeType(TimeTypes.schedule);
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getFullYear(), shiftType: ShiftTypes.years });
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getMonth(), shiftType: ShiftTypes.months });
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getDate(), shiftType: ShiftTypes.days });
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getHours(), shiftType: ShiftTypes.hours });
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getMinutes(), shiftType: ShiftTypes.minutes });
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getSeconds(), shiftType: ShiftTypes.seconds });
-    scheduleArg.addParsedDefinition({ amount: scheduledTime.getMilliseconds(), shiftType: ShiftTypes.milliseconds });
+    scheduleArg.addParsedDefinition({ amount: scheduledTime.getUTCFullYear(), shiftType: ShiftTypes.years });
+    scheduleArg.addParsedDefinition({ amount: scheduledTime.getUTCMonth(), shiftType: ShiftTypes.months });
+    scheduleArg.addParsedDefinition({ amount: scheduledTime.getUTCDate(), shiftType: ShiftTypes.days });
+    scheduleArg.addParsedDefinition({ amount: scheduledTime.getUTCHours(), shiftType: ShiftTypes.hours });
+    scheduleArg.addParsedDefinition({ amount: scheduledTime.getUTCMinutes(), shiftType: ShiftTypes.minutes });
+    scheduleArg.addParsedDefinition({ amount: scheduledTime.getUTCSeconds(), shiftType: ShiftTypes.seconds });
+    scheduleArg.addParsedDefinition({
+      amount: scheduledTime.getUTCMilliseconds(),
+      shiftType: ShiftTypes.milliseconds
+    });
+    scheduleArg.addParsedDefinition({ amount: DefaultTimezone, shiftType: ShiftTypes.timezone });
 
     return scheduleArg;
   }
@@ -735,6 +820,35 @@ class TimeArg {
     return null;
   }
 
+  /**
+   * Tries to parse a cron expression or a recurrence rule (depending on the time type) from text.
+   * The expression may be quoted.
+   * @param  {string}          text the text to parse
+   * @return {(Array | null)}       array of objects containing the shift type and amount, or null if unsuccessful
+   */
+  tryParseExpressionDefinition(text) {
+    let expressionText = text;
+    if (
+      expressionText.length > 1 &&
+      OhUtils.getQuoteSymbols().includes(expressionText[0]) &&
+      expressionText.endsWith(expressionText[0])
+    ) {
+      expressionText = expressionText.slice(1, -1);
+    }
+
+    if (this.timeType === TimeTypes.cron) {
+      const expression = CronExpression.parse(expressionText);
+      return expression === null ? null : [{ amount: expression.toString(), shiftType: ShiftTypes.cron }];
+    }
+
+    if (this.timeType === TimeTypes.rrule && RRuleExpression.parse(expressionText) !== null) {
+      const ruleText = expressionText.trim().toUpperCase();
+      return [{ amount: ruleText.replace(/^RRULE:/, ''), shiftType: ShiftTypes.rrule }];
+    }
+
+    return null;
+  }
+
   /**
    * Tries to parse a day of week definition from text.
    * @param  {string}          text the text to parse
@@ -885,13 +999,17 @@ class TimeArg {
   }
 
   /**
-   * Checks if any of given definition implies recurrence (that is, contains the "any" value).
+   * Checks if any of given definition implies recurrence (that is, contains the "any" value or an expression).
    * @param  {Array<Object>}  definitions the array of time definitions
    * @return {Boolean}                    true if the definitions imply reccurence, false otherwise
    */
   static isRecurringDefinitions(definitions) {
     for (const definition of definitions) {
-      if (definition.amount === AnyValueInt) {
+      if (
+        definition.amount === AnyValueInt ||
+        definition.shiftType === ShiftTypes.cron ||
+        definition.shiftType === ShiftTypes.rrule
+      ) {
         return true;
       }
     }
@@ -899,6 +1017,41 @@ class TimeArg {
     return false;
   }
 
+  /**
+   * Gets the cron expression or the recurrence rule from given definitions.
+   * @param  {Array<Object>}                              definitions the array of time definitions
+   * @return {(CronExpression | RRuleExpression | null)}             the parsed expression, or null if the definitions
+   *                                                                 do not contain an expression
+   */
+  static getExpression(definitions) {
+    for (const definition of definitions) {
+      if (definition.shiftType === ShiftTypes.cron) {
+        return CronExpression.parse(definition.amount);
+      }
+
+      if (definition.shiftType === ShiftTypes.rrule) {
+        return RRuleExpression.parse(definition.amount);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the timezone name from given definitions.
+   * @param  {Array<Object>} definitions the array of time definitions
+   * @return {string}                    the timezone name, or UTC if the definitions do not contain a timezone
+   */
+  static getTimezone(definitions) {
+    for (const definition of definitions) {
+      if (definition.shiftType === ShiftTypes.timezone) {
+        return definition.amount;
+      }
+    }
+
+    return DefaultTimezone;
+  }
+
   /**
    * Converts given time definitions to human readable string using the language manager.
    * We cannot just reuse built-in toString converters of Date objects, because we may have some
@@ -922,10 +1075,17 @@ class TimeArg {
     let hours = null;
     let minutes = null;
     let seconds = null;
+    let expression = null;
     for (const definition of definitions) {
       switch (definition.shiftType) {
         case ShiftTypes.predefined:
           return new Date(definition.amount).toString();
+        case ShiftTypes.cron:
+          expression = langManager.getString('arg_time_cron_type') + ' "' + definition.amount + '"';
+          break;
+        case ShiftTypes.rrule:
+          expression = langManager.getString('arg_time_rrule_type') + ' ' + definition.amount;
+          break;
         case ShiftTypes.years:
           years = definition.amount;
           break;
@@ -955,6 +1115,10 @@ class TimeArg {
       }
     }
 
+    if (expression !== null) {
+      return timezone === null ? expression : expression + ' ' + timezone;
+    }
+
     let result = '';
     if (dayofweek === null) {
       if (years !== null) {
@@ -0,0 +1,394 @@
+'use strict';
+
+/**
+ * @module warn-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+const EscalationLadder = require('../../utils/escalation-ladder');
+const WarningsDecay = require('../../utils/warnings-decay');
+
+const SourceCommand = require('../../command_meta/source-command');
+const SourceMember = require('../../command_meta/source-member');
+const BaseModerationCommand = require('../../commands_discord/moderation/base-moderation-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SourceMembersArgScanner = require('../../arg_scanners/source-members-arg-scanner');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+
+const SetModerLogsCommand = require('../../commands_discord/settings/set-moder-logs-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgEscalationStep = require('../../mongo_classes/org-escalation-step');
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
+const WarnCommandArgDefs = Object.freeze({
+  subjects: new CommandArgDef('subjects', {
+    aliasIds: ['command_warn_arg_subjectIds_alias_subjectIds', 'command_warn_arg_subjectIds_alias_s'],
+    helpId: 'command_warn_arg_subjectIds_help',
+    scanner: SourceMembersArgScanner
+  }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_warn_arg_duration_alias_duration', 'command_warn_arg_duration_alias_t'],
+    helpId: 'command_warn_arg_duration_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
+  }),
+  reason: new CommandArgDef('reason', {
+    aliasIds: ['command_warn_arg_reason_alias_reason', 'command_warn_arg_reason_alias_r'],
+    helpId: 'command_warn_arg_reason_help',
+    scanner: FullStringArgScanner
+  })
+});
+
+/**
+ * The texts of the moderation cases made by the escalation steps: the reason, and the log text ids
+ * for the permanent and for the temporary actions.
+ * @type {Object}
+ */
+const EscalationCaseTexts = Object.freeze({
+  [OrgEscalationStep.ESCALATION_ACTIONS.mute]: Object.freeze({
+    action: OrgModerationCase.CASE_ACTIONS.mute,
+    reasonId: 'command_warn_mutereason',
+    textId: 'command_mute_log',
+    temporaryTextId: 'command_mute_log_temporary'
+  }),
+  [OrgEscalationStep.ESCALATION_ACTIONS.kick]: Object.freeze({
+    action: OrgModerationCase.CASE_ACTIONS.kick,
+    reasonId: 'command_warn_kickreason',
+    textId: 'command_kick_log',
+    temporaryTextId: 'command_kick_log'
+  }),
+  [OrgEscalationStep.ESCALATION_ACTIONS.ban]: Object.freeze({
+    action: OrgModerationCase.CASE_ACTIONS.ban,
+    reasonId: 'command_warn_banreason',
+    textId: 'command_ban_log',
+    temporaryTextId: 'command_ban_log_temporary'
+  })
+});
+
+/**
+ * Warns a user(s) and optionally records the reason to the moderation logs. The users are referred in the way
+ * of the source (like the mentions in Discord or the user names in Telegram), or the author of the replied message
+ * is warned (where the replies are supported). If the user has got enough warnings for a step of the organization's
+ * escalation ladder, then the step is applied to them (a mute, a kick or a ban without cleaning their messages),
+ * unless the source does not support the step's action. Only the active (not expired) warnings are counted.
+ * If the duration is provided, then the warning expires after it, otherwise the warning expires only according
+ * to the organization's warnings decay period (if set).
+ * @see WarningsDecay
+ * @see EscalationLadder
+ * @alias WarnCommand
+ * @extends SourceCommand
+ */
+class WarnCommand extends SourceCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new WarnCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_warn_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return WarnCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_warn_help',
+      langManager.getString(SetModerLogsCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of Discord permissions required for the command.
+   * @see PermissionsManager.DISCORD_PERMISSIONS
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.BAN_MEMBERS];
+  }
+
+  /**
+   * Gets the array of the Telegram administrator rights required for the command.
+   * @see PermissionsManager.TELEGRAM_PERMISSIONS
+   * @return {Array<string>} the array of Telegram-specific permissions required
+   */
+  static getRequiredTelegramPermissions() {
+    return [PermissionsManager.TELEGRAM_PERMISSIONS.RESTRICT_MEMBERS];
+  }
+
+  /**
+   * Gets the array of the Slack roles required for the command.
+   * @see PermissionsManager.SLACK_PERMISSIONS
+   * @return {Array<string>} the array of Slack-specific permissions required
+   */
+  static getRequiredSlackPermissions() {
+    return [PermissionsManager.SLACK_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultArgValue(message, arg) {
+    if (arg === WarnCommandArgDefs.subjects) {
+      return message.source.getRepliedMemberId(message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * Also resolves the referred users into the members of the organization.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validate(message) {
+    await super.validate(message);
+
+    BaseModerationCommand.validateDuration(this, message, WarnCommandArgDefs.duration);
+
+    if (this.subjects === null || this.subjects.length === 0) {
+      throw new BotPublicError(this.langManager.getString('command_warn_no_users'));
+    }
+
+    this.members = [];
+    for (const subject of this.subjects) {
+      // Must preserve the order of the users, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      const member = await message.source.resolveMember(this.context, this.orgId, subject);
+      /* eslint-enable no-await-in-loop */
+      if (member === null) {
+        throw new BotPublicError(this.langManager.getString('command_warn_unknown_user', subject));
+      }
+
+      if (!this.members.some(otherMember => otherMember.id === member.id)) {
+        this.members.push(member);
+      }
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async execute(message) {
+    let warnedCount = 0;
+    let errorCount = 0;
+
+    const moderator = await WarnCommand.fetchMember(this.context, message, message.userId);
+    const escalationResults = [];
+
+    for (const member of this.members) {
+      // Must preserve the order of the warnings' identifiers, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      try {
+        const expiresAt = this.duration === null ? null : new Date().getTime() + this.duration.totalMillisecondsShift;
+        const escalationResult = await WarnCommand.warnMember(
+          this.context,
+          message,
+          this.langManager,
+          member,
+          moderator,
+          this.reason,
+          expiresAt
+        );
+        warnedCount++;
+        if (escalationResult !== null) {
+          escalationResults.push(escalationResult);
+        }
+      } catch (error) {
+        this.context.log.e(
+          'Got exception while trying to warn user ' +
+            member.id +
+            ' from org ' +
+            this.orgId +
+            ' of source ' +
+            this.source +
+            ' stack: ' +
+            error.stack
+        );
+        errorCount++;
+      }
+      /* eslint-enable no-await-in-loop */
+    }
+
+    return [this.langManager.getString('command_warn_success', warnedCount, this.members.length, errorCount)]
+      .concat(escalationResults)
+      .join('\n');
+  }
+
+  /**
+   * Fetches a member of the message's organization. If the member is not known to the Bot yet,
+   * then the member is represented by the identifier.
+   * @param  {Context}               context  the Bot's context
+   * @param  {BaseMessage}           message  the message from the organization
+   * @param  {string}                memberId the identifier of the member
+   * @return {Promise<SourceMember>}          the member
+   */
+  static async fetchMember(context, message, memberId) {
+    const member = await message.source.fetchMember(context, message.orgId, memberId);
+    if (member !== null) {
+      return member;
+    }
+
+    const mention = message.source.makeMemberMention({ id: memberId, displayName: memberId });
+    return new SourceMember(memberId, memberId, mention);
+  }
+
+  /**
+   * Warns a member of the message's organization: records the warning and the moderation case, then applies
+   * the step of the organization's escalation ladder, if the member has got enough active warnings for it.
+   * Used both by the command and by the automatic moderation (like the censoring and the automod rules).
+   * @throws {Error}
+   * @param  {Context}         context     the Bot's context
+   * @param  {BaseMessage}     message     the message from the organization (e.g. the command's message)
+   * @param  {LangManager}     langManager the language manager to localize the texts of the cases and the result
+   * @param  {SourceMember}    member      the member to be warned
+   * @param  {SourceMember}    moderator   the moderator (or the Bot) issuing the warning
+   * @param  {string}          reason      the reason of the warning, can be null
+   * @param  {number}          expiresAt   the timestamp when the warning expires, null if it expires only by decay
+   * @return {Promise<string>}             the result text of the applied escalation step, or null if none applied
+   */
+  static async warnMember(context, message, langManager, member, moderator, reason, expiresAt) {
+    const source = message.source.name;
+    const orgId = message.orgId;
+    const escalationSteps = await EscalationLadder.getSteps(context, source, orgId);
+    const decayMillis = await WarningsDecay.getDecayMillis(context, source, orgId);
+
+    const warningsTable = context.dbManager.warningsTable;
+    const currentRows = await context.dbManager.getRows(warningsTable, { source, orgId });
+    const now = new Date().getTime();
+    const memberWarnings = currentRows.filter(row => row.userId === member.id);
+    const activeMemberWarnings = WarningsDecay.splitWarnings(memberWarnings, decayMillis, now).active;
+
+    const warningRow = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source,
+      orgId,
+      userId: member.id,
+      moderatorId: moderator.id,
+      reason,
+      timestamp: now,
+      expiresAt
+    };
+
+    if (!(await context.dbManager.insertOne(warningsTable, warningRow))) {
+      throw new Error('failed to insert the warning ' + warningRow.id);
+    }
+
+    const logArgs = [member.mention, moderator.mention];
+    await BaseModerationCommand.logModerCaseForOrg(context, source, orgId, langManager, {
+      action: OrgModerationCase.CASE_ACTIONS.warn,
+      moderatorId: moderator.id,
+      targetId: member.id,
+      reason,
+      warningId: warningRow.id,
+      textId: expiresAt === null ? 'command_warn_log' : 'command_warn_log_temporary',
+      textArgs: expiresAt === null ? logArgs : logArgs.concat([new Date(expiresAt).toISOString()])
+    });
+
+    // If the user got enough warnings for a step of the escalation ladder, then apply the step.
+    const warningsCount = activeMemberWarnings.length + 1;
+    const step = EscalationLadder.selectStep(escalationSteps, warningsCount);
+    if (step === null) {
+      return null;
+    }
+
+    return WarnCommand.applyEscalationStep(context, message, langManager, member, moderator, step, warningsCount);
+  }
+
+  /**
+   * Applies a step of the escalation ladder to a warned member and records the moderation case.
+   * If the source does not support the step's action, then only the corresponding result text is returned.
+   * @see EscalationLadder
+   * @param  {Context}         context       the Bot's context
+   * @param  {BaseMessage}     message       the message from the organization
+   * @param  {LangManager}     langManager   the language manager to localize the texts of the case and the result
+   * @param  {SourceMember}    member        the warned member
+   * @param  {SourceMember}    moderator     the moderator
+   * @param  {Object}          step          the escalation step
+   * @param  {number}          warningsCount the number of the active warnings of the member
+   * @return {Promise<string>}               the result text of the step
+   */
+  static async applyEscalationStep(context, message, langManager, member, moderator, step, warningsCount) {
+    const stepDescription = EscalationLadder.describeStep(step, langManager);
+    const caseTexts = EscalationCaseTexts[step.action];
+    if (caseTexts === undefined || !message.source.moderationActions.includes(step.action)) {
+      return langManager.getString(
+        'command_warn_escalation_unsupported',
+        member.mention,
+        warningsCount,
+        stepDescription
+      );
+    }
+
+    const reason = langManager.getString(caseTexts.reasonId);
+    const expiresAt = await message.source.moderateMember(
+      context,
+      message.orgId,
+      member.id,
+      moderator.id,
+      step.action,
+      step.duration,
+      reason
+    );
+
+    const logArgs = [member.mention, moderator.mention];
+    await BaseModerationCommand.logModerCaseForOrg(context, message.source.name, message.orgId, langManager, {
+      action: caseTexts.action,
+      moderatorId: moderator.id,
+      targetId: member.id,
+      reason,
+      textId: expiresAt === null ? caseTexts.textId : caseTexts.temporaryTextId,
+      textArgs: expiresAt === null ? logArgs : logArgs.concat([new Date(expiresAt).toISOString()])
+    });
+
+    return langManager.getString('command_warn_escalation_applied', member.mention, warningsCount, stepDescription);
+  }
+}
+
+/**
+ * Exports the WarnCommand class
+ * @type {WarnCommand}
+ */
+module.exports = WarnCommand;
@@ -6,11 +6,9 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
-const Discord = require('discord.js');
-
 const BotPublicError = require('../../utils/bot-public-error');
 
-const DiscordCommand = require('../discord-command');
+const SourceCommand = require('../../command_meta/source-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const SpaceBasedArrayArgScanner = require('../../arg_scanners/space-based-array-arg-scanner');
 
@@ -27,29 +25,16 @@ const PollCommandArgDefs = Object.freeze({
   })
 });
 
-const NumericReactions = Object.freeze([
-  '\u0031\u20E3',
-  '\u0032\u20E3',
-  '\u0033\u20E3',
-  '\u0034\u20E3',
-  '\u0035\u20E3',
-  '\u0036\u20E3',
-  '\u0037\u20E3',
-  '\u0038\u20E3',
-  '\u0039\u20E3',
-  '\u0030\u20E3'
-]);
-
 const MaxAnswers = 10;
 
-const POLL_POINT_SEPARATOR = '.';
-
 /**
- * Command to set up a poll (yes/one or multi-answer).
+ * Command to set up a poll (yes/no or multi-answer). The poll is posted by the source in its own way
+ * (e.g. a message with the reactions for voting, or a native poll).
+ * @see BaseSource#postPoll
  * @alias PollCommand
- * @extends DiscordCommand
+ * @extends SourceCommand
  */
-class PollCommand extends DiscordCommand {
+class PollCommand extends SourceCommand {
   /**
    * Creates an instance for an organization from a source and assigns a given language manager to it.
    * @param  {Context}     context            the Bot's context
@@ -90,60 +75,52 @@ class PollCommand extends DiscordCommand {
     return langManager.getString('command_poll_help');
   }
 
+  /**
+   * Gets the max number of answers in a poll.
+   * @type {number}
+   */
+  static get MAX_ANSWERS() {
+    return MaxAnswers;
+  }
+
   /**
    * Validates each of the arguments according to validation types set in their definition.
    * Throws BotPublicError if any of the validations was violated.
+   * Also checks the poll against the limitations of the source.
    * @see CommandArgDef
    * @throws {BotPublicError}
    * @param  {BaseMessage}  message the command's message
    * @return {Promise}              nothing
    */
-  async validateFromDiscord(message) {
-    await super.validateFromDiscord(message);
+  async validate(message) {
+    await super.validate(message);
 
     if (this.answers !== null && this.answers.length > MaxAnswers) {
       throw new BotPublicError(
         this.langManager.getString('command_poll_too_many_answers', this.answers.length, MaxAnswers)
       );
     }
+
+    message.source.validatePoll(this.question, this.answers, this.langManager);
   }
 
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
    * So if any exception happens inside the function, it's considered a Bot's internal problem.
-   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @param  {BaseMessage}         message the message as the source of the command
    * @return {Promise<string>}             the result text to be replied as the response of the execution
    */
-  async executeForDiscord(message) {
-    // Inherited function with various possible implementations, some args may be unused.
-    /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    const pollEmbed = new Discord.MessageEmbed().setTitle(this.question);
-
-    if (this.answers !== null && this.answers.length > 0) {
-      let description = '';
-      for (let i = 0; i < this.answers.length; i++) {
-        description = description + (i + 1) + POLL_POINT_SEPARATOR + ' ' + this.answers[i] + '\n';
-      }
-
-      pollEmbed.setDescription(description);
-    }
-
-    const pollMessage = await message.originalMessage.channel.send(pollEmbed);
-
-    if (this.answers !== null && this.answers.length > 0) {
-      for (let i = 0; i < this.answers.length; i++) {
-        // Must preserve the order of reactions, so ignoring the warning about parallel processing.
-        /* eslint-disable no-await-in-loop */
-        await pollMessage.react(NumericReactions[i]);
-        /* eslint-enable no-await-in-loop */
-      }
-    } else {
-      await pollMessage.react('👍');
-      await pollMessage.react('👎');
+  async execute(message) {
+    await message.source.postPoll(message.channelId, this.question, this.answers, this.langManager);
+
+    // The bot may have no right to delete the messages of others, then the command's message just stays.
+    try {
+      await message.source.deleteMessage(message);
+    } catch (error) {
+      this.context.log.w('PollCommand: failed to delete the command message: ' + error);
     }
 
-    await message.originalMessage.delete();
     return '';
   }
 }
@@ -0,0 +1,382 @@
+'use strict';
+
+/**
+ * @module remind-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+
+const SourceCommand = require('../../command_meta/source-command');
+const ArgValidationTree = require('../../command_meta/arg-validation-tree');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+const SourceChannelsArgScanner = require('../../arg_scanners/source-channels-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const BotTable = require('../../mongo_classes/bot-table');
+const OrgTask = require('../../mongo_classes/org-task');
+
+const ImageExtensions = Object.freeze(['png', 'jpg', 'jpeg', 'gif', 'webp']);
+const MaxImageSize = 1024 * 1024;
+const MaxEmbedTitleLength = 256;
+const MaxEmbedFields = 25;
+const ColorRegex = /^#?[\da-f]{6}$/i;
+const FieldsSeparator = ';';
+const FieldNameSeparator = ':';
+
+/**
+ * The names of the preferences limiting the number of reminders in an organization, by the sources.
+ * @type {Object}
+ */
+const MaxRemindersPrefs = Object.freeze({
+  [BotTable.DISCORD_SOURCE]: 'max_reminders_per_discord_org',
+  [BotTable.TELEGRAM_SOURCE]: 'max_reminders_per_telegram_org',
+  [BotTable.SLACK_SOURCE]: 'max_reminders_per_slack_org'
+});
+
+const RemindCommandArgDefs = Object.freeze({
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_remind_arg_time_alias_time', 'command_remind_arg_time_alias_t'],
+    helpId: 'command_remind_arg_time_help',
+    scanner: DiscordTimeArgScanner,
+    validationOptions: { isTime: true }
+  }),
+  channelIds: new CommandArgDef('channelIds', {
+    aliasIds: ['command_remind_arg_channelIds_alias_channelIds', 'command_remind_arg_channelIds_alias_c'],
+    helpId: 'command_remind_arg_channelIds_help',
+    skipInSequentialRead: true,
+    scanner: SourceChannelsArgScanner
+  }),
+  misfirePolicy: new CommandArgDef('misfirePolicy', {
+    aliasIds: ['command_remind_arg_misfirePolicy_alias_ifMissed', 'command_remind_arg_misfirePolicy_alias_i'],
+    helpId: 'command_remind_arg_misfirePolicy_help',
+    skipInSequentialRead: true,
+    scanner: SimpleArgScanner
+  }),
+  title: new CommandArgDef('title', {
+    aliasIds: ['command_remind_arg_title_alias_header', 'command_remind_arg_title_alias_h'],
+    helpId: 'command_remind_arg_title_help',
+    skipInSequentialRead: true,
+    scanner: FullStringArgScanner
+  }),
+  color: new CommandArgDef('color', {
+    aliasIds: ['command_remind_arg_color_alias_embedColor', 'command_remind_arg_color_alias_e'],
+    helpId: 'command_remind_arg_color_help',
+    skipInSequentialRead: true,
+    scanner: SimpleArgScanner
+  }),
+  fields: new CommandArgDef('fields', {
+    aliasIds: ['command_remind_arg_fields_alias_fields', 'command_remind_arg_fields_alias_f'],
+    helpId: 'command_remind_arg_fields_help',
+    skipInSequentialRead: true,
+    scanner: FullStringArgScanner
+  }),
+  message: new CommandArgDef('message', {
+    aliasIds: ['command_remind_arg_message_alias_message', 'command_remind_arg_message_alias_m'],
+    helpId: 'command_remind_arg_message_help',
+    scanner: FullStringArgScanner,
+    validationOptions: { nonNull: true }
+  })
+});
+
+/**
+ * Command to set up a reminder in a text-channel. The sources without rich messages post the embed of the reminder
+ * as text, and the images can be attached only in the sources supporting the attachments.
+ * @alias RemindCommand
+ * @extends SourceCommand
+ */
+class RemindCommand extends SourceCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new RemindCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_remind_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return RemindCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_remind_help');
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
+        new CommandPermissionFilterField(
+          PermissionsManager.DEFINED_FILTERS.channelId.name,
+          RemindCommandArgDefs.channelIds.name
+        )
+      ])
+    ];
+  }
+
+  /**
+   * Gets the array of the Telegram administrator rights required for the command.
+   * @see PermissionsManager.TELEGRAM_PERMISSIONS
+   * @return {Array<string>} the array of Telegram-specific permissions required
+   */
+  static getRequiredTelegramPermissions() {
+    return [PermissionsManager.TELEGRAM_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Gets the array of the Slack roles required for the command.
+   * @see PermissionsManager.SLACK_PERMISSIONS
+   * @return {Array<string>} the array of Slack-specific permissions required
+   */
+  static getRequiredSlackPermissions() {
+    return [PermissionsManager.SLACK_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultArgValue(message, arg) {
+    switch (arg) {
+      case RemindCommandArgDefs.channelIds:
+        return message.channelId;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validate(message) {
+    await super.validate(message);
+
+    await this.validateChannels(message);
+
+    this.misfirePolicyName = null;
+    if (this.misfirePolicy !== null) {
+      const policy = OrgTask.findMisfirePolicy(this.langManager, this.misfirePolicy);
+      if (policy === undefined) {
+        const localizedPolicies = Object.values(OrgTask.MISFIRE_POLICIES).map(a =>
+          this.langManager.getString(a.textId)
+        );
+        throw new BotPublicError(
+          this.langManager.getString('misfire_policy_wrong', this.misfirePolicy, localizedPolicies.join(', '))
+        );
+      }
+
+      this.misfirePolicyName = policy.name;
+    }
+
+    this.embed = this.parseEmbed();
+    this.image = await this.readImage(message);
+  }
+
+  /**
+   * Checks that the channels of the reminder are existing text channels of the organization.
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateChannels(message) {
+    const channelIds = this.channelIds === null ? [] : this.channelIds.channels;
+    const channels = await Promise.all(
+      channelIds.map(channelId => message.source.fetchChannel(this.context, this.orgId, channelId))
+    );
+
+    if (channels.length === 0 || channels.includes(null)) {
+      ArgValidationTree.generateValidationError(
+        RemindCommandArgDefs.channelIds,
+        this,
+        'wrong text channels provided:',
+        'arg_validation_wrong_text_channels'
+      );
+    }
+  }
+
+  /**
+   * Makes the embed of the reminder from the corresponding arguments.
+   * @throws {BotPublicError}
+   * @return {Object} the embed (title, color and fields), or null if no embed arguments are provided
+   */
+  parseEmbed() {
+    if (this.title === null && this.color === null && this.fields === null) {
+      return null;
+    }
+
+    const title = this.title === null ? null : this.title.replace(/^"(.*)"$/, '$1');
+    if (title !== null && title.length > MaxEmbedTitleLength) {
+      throw new BotPublicError(this.langManager.getString('command_remind_title_too_long', MaxEmbedTitleLength));
+    }
+
+    if (this.color !== null && !ColorRegex.test(this.color)) {
+      throw new BotPublicError(this.langManager.getString('command_remind_wrong_color', this.color));
+    }
+
+    const fields = [];
+    if (this.fields !== null) {
+      for (const fieldText of this.fields.split(FieldsSeparator)) {
+        const separatorIndex = fieldText.indexOf(FieldNameSeparator);
+        const name = separatorIndex < 0 ? '' : fieldText.slice(0, separatorIndex).trim();
+        const value = separatorIndex < 0 ? '' : fieldText.slice(separatorIndex + 1).trim();
+        if (name === '' || value === '') {
+          throw new BotPublicError(this.langManager.getString('command_remind_wrong_field', fieldText.trim()));
+        }
+
+        fields.push({ name, value });
+      }
+    }
+
+    if (fields.length > MaxEmbedFields) {
+      throw new BotPublicError(this.langManager.getString('command_remind_too_many_fields', MaxEmbedFields));
+    }
+
+    return {
+      title,
+      color: this.color === null ? null : '#' + this.color.replace('#', '').toUpperCase(),
+      fields
+    };
+  }
+
+  /**
+   * Reads the first image attached to the command's message, to be stored with the reminder.
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}     message the command's message
+   * @return {Promise<Object>}         the image (the file name and the base64 data), or null if no image attached
+   */
+  async readImage(message) {
+    const attachment = message.source.getAttachments(message).find(value => value.hasExtension(ImageExtensions));
+    if (attachment === undefined) {
+      return null;
+    }
+
+    if (attachment.size > MaxImageSize) {
+      throw new BotPublicError(this.langManager.getString('command_remind_image_too_big', MaxImageSize / 1024));
+    }
+
+    let data = null;
+    try {
+      data = await OhUtils.downloadFile(attachment.url);
+    } catch (error) {
+      this.context.log.e('RemindCommand: image download error: ' + error.message + '; stack: ' + error.stack);
+    }
+
+    if (data === null) {
+      throw new BotPublicError(this.langManager.getString('command_remind_image_failed'));
+    }
+
+    return { name: attachment.name, data: data.toString('base64') };
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async execute(message) {
+    let result = '';
+
+    const currentRows = await this.context.dbManager.getRows(this.context.dbManager.tasksTable, {
+      source: this.source,
+      orgId: this.orgId
+    });
+
+    const maxReminders = this.context.prefsManager[MaxRemindersPrefs[this.source]];
+    const remindersCount = currentRows.filter(row => row.type === OrgTask.TASK_TYPES.reminder).length;
+    if (remindersCount + this.channelIds.channels.length > maxReminders) {
+      return this.langManager.getString('command_remind_too_many_reminders', maxReminders);
+    }
+
+    let newId = OhUtils.findMaxId(currentRows) + 1;
+
+    const insertTaskResults = this.channelIds.channels.map(async channelId => {
+      const id = newId++;
+      const content = {
+        channel: channelId,
+        message: this.message,
+        mentionEveryone: await message.source.canMentionEveryone(message, channelId)
+      };
+      if (this.embed !== null) {
+        content.embed = this.embed;
+      }
+
+      if (this.image !== null) {
+        content.image = this.image;
+      }
+
+      const reminderRow = {
+        id,
+        source: this.source,
+        orgId: this.orgId,
+        type: OrgTask.TASK_TYPES.reminder,
+        time: OrgTask.parseTimeArg(this.time),
+        content,
+        misfirePolicy: this.misfirePolicyName
+      };
+
+      const rowResult = await this.context.dbManager.insertOne(this.context.dbManager.tasksTable, reminderRow);
+      if (rowResult) {
+        result = result + this.langManager.getString('command_remind_success') + '\n';
+        this.context.scheduler.addTask(reminderRow);
+      } else {
+        result = result + this.langManager.getString('command_remind_duplicate') + '\n';
+      }
+    });
+
+    await Promise.all(insertTaskResults);
+
+    return result;
+  }
+}
+
+/**
+ * Exports the RemindCommand class
+ * @type {RemindCommand}
+ */
+module.exports = RemindCommand;
@@ -6,10 +6,6 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
-const util = require('util');
-
-const OhUtils = require('../utils/bot-utils');
-
 const Command = require('../command_meta/command');
 const ArgValidationTree = require('../command_meta/arg-validation-tree');
 
@@ -56,6 +52,17 @@ class DiscordCommand extends Command {
     return null;
   }
 
+  /**
+   * Gets the default value for a given argument definition during the scanning of the arguments.
+   * @see DiscordCommand#getDefaultDiscordArgValue
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultArgValue(message, arg) {
+    return this.getDefaultDiscordArgValue(message, arg);
+  }
+
   /**
    * Validates each of the arguments according to validation types set in their definition.
    * Throws BotPublicError if any of the validations was violated.
@@ -83,186 +90,6 @@ class DiscordCommand extends Command {
     throw new Error('executeForDiscord: ' + this.constructor.name + ' is an abstract class.');
   }
 
-  /**
-   * Extract text for a given argument from command's string during scanning by arg name.
-   * In this case the start of the text is considered as the end of the predefined arg prefix + the arg name,
-   * and the end of the arg text is either the next arg prefix found, or the end of the command string
-   * if no next prefix is found.
-   * @param  {string}         discordCommand the text of the Discord command
-   * @param  {CommandArgDef}  arg            the argument's definition
-   * @return {string}                        the found argument's text
-   */
-  findArgValue(discordCommand, arg) {
-    let prefixedArgName = this.constructor.ARG_PREFIX;
-    let index = -1;
-    for (let i = 0; i < arg.aliasIds.length; i++) {
-      prefixedArgName = this.constructor.ARG_PREFIX + this.langManager.getString(arg.aliasIds[i]);
-      index = OhUtils.findFirstNonQuotedIndex(discordCommand, prefixedArgName);
-      if (index >= 0) {
-        break;
-      }
-    }
-
-    if (index === -1) {
-      return null;
-    }
-
-    const textAfter = discordCommand.slice(Math.max(0, index + prefixedArgName.length));
-    let endIndex = OhUtils.findFirstNonQuotedIndex(textAfter, this.constructor.ARG_PREFIX);
-    if (endIndex === -1) {
-      endIndex = discordCommand.length;
-    } else {
-      endIndex = index + prefixedArgName.length + endIndex;
-    }
-
-    const argText = discordCommand.slice(index + prefixedArgName.length + 1, endIndex).trim();
-    return argText;
-  }
-
-  /**
-   * Sets arguments for the command by parsing them by their names from the command's text.
-   * In this case the arguments in the text should be prepended by a predefined prefix with the arg's name.
-   * The arg scanners will parse the parts of text between these prefixes with arg names.
-   * If no value is found for an argument, then tries to get the default value for it as defined
-   * by the command's class.
-   * In any case, all defined arguments will have at least null value after executing this function.
-   * @see DiscordCommand#findArgValue
-   * @see Command.getDefinedArgs
-   * @param  {BaseMessage}  message the Discord message with the command
-   * @return {Promise}              nothing
-   */
-  async parseFromDiscordByNames(message) {
-    const definedArgs = this.constructor.getDefinedArgs();
-    const argsKeys = Object.keys(definedArgs);
-    const thiz = this;
-
-    const results = [];
-    for (const argKey of argsKeys) {
-      const argText = this.findArgValue(message.content, definedArgs[argKey]);
-      results.push(
-        definedArgs[argKey].scanner.scan(this.context, this.langManager, message, argText).then(async scanResult => {
-          let argValue = scanResult.value;
-          thiz.context.log.d(
-            'argValue: ' + util.inspect(argValue, { showHidden: false, depth: 2 }) + '; for key: ' + argKey
-          );
-          if (argValue === null || argValue === undefined) {
-            scanResult = await definedArgs[argKey].scanner.scan(
-              thiz.context,
-              thiz.langManager,
-              message,
-              await thiz.getDefaultDiscordArgValue(message, definedArgs[argKey])
-            );
-            argValue = scanResult.value;
-            thiz.context.log.d(
-              'argValue after checking default: ' +
-                util.inspect(argValue, { showHidden: false, depth: 2 }) +
-                '; for key: ' +
-                argKey
-            );
-          }
-
-          thiz[argKey] = argValue;
-        })
-      );
-    }
-
-    await Promise.all(results);
-  }
-
-  /**
-   * Sets arguments for the command by parsing them sequentially from the command's text,
-   * in the order in which they are defined in the appropriate command's class.
-   * In this case the borders between arguments in the text are determined by the scanner class which belong
-   * to the argument being scanned at the moment. That is, the scanner will attemp to parse the argument from
-   * the text and will tell where it stopped. The stop position will be passed to the scanner of the next argument
-   * as the start position.
-   * If skipInSequentialRead is set to true in the arg's definition, then it will be skipped during the scan.
-   * in such case, and also if the scanners ran out of text, the command will try to set the default value for the arg.
-   * In any case, all defined arguments will have at least null value after executing this function.
-   * @see CommandArgDef
-   * @see Command.getDefinedArgs
-   * @param  {BaseMessage}  message the Discord message with the command
-   * @return {Promise}              nothing
-   */
-  async parseFromDiscordSequentially(message) {
-    const definedArgs = this.constructor.getDefinedArgs();
-    const argsKeys = Object.keys(definedArgs);
-
-    const trimmedContent = OhUtils.dry(message.content);
-    let remainingArgText = '';
-    if (trimmedContent.indexOf(' ') > 0) {
-      remainingArgText = trimmedContent.slice(Math.max(0, trimmedContent.indexOf(' ') + 1));
-    }
-
-    for (const argKey of argsKeys) {
-      let argValue = null;
-      if (definedArgs[argKey].skipInSequentialRead) {
-        const defaultValue = await this.getDefaultDiscordArgValue(message, definedArgs[argKey]);
-        // Must scan arguments one by one, since it's a sequential scan, and results depend on previous scanning.
-        /* eslint-disable no-await-in-loop */
-        const scanResult = await definedArgs[argKey].scanner.scan(
-          this.context,
-          this.langManager,
-          message,
-          defaultValue
-        );
-        /* eslint-enable no-await-in-loop */
-        argValue = scanResult.value;
-        this.context.log.d(
-          'argValue for an arg which is skipped in the sequence: ' +
-            util.inspect(argValue, { showHidden: false, depth: 2 }) +
-            '; for key: ' +
-            argKey
-        );
-      } else {
-        if (remainingArgText === '') {
-          const defaultValue = await this.getDefaultDiscordArgValue(message, definedArgs[argKey]);
-          // Must scan arguments one by one, since it's a sequential scan, and results depend on previous scanning.
-          /* eslint-disable no-await-in-loop */
-          const scanResult = await definedArgs[argKey].scanner.scan(
-            this.context,
-            this.langManager,
-            message,
-            defaultValue
-          );
-          /* eslint-enable no-await-in-loop */
-          argValue = scanResult.value;
-          this.context.log.d(
-            'argValue for an arg for which we ran out of command pieces: ' +
-              util.inspect(argValue, { showHidden: false, depth: 2 }) +
-              '; for key: ' +
-              argKey
-          );
-        } else {
-          // Must scan arguments one by one, since it's a sequential scan, and results depend on previous scanning.
-          /* eslint-disable no-await-in-loop */
-          const scanResult = await definedArgs[argKey].scanner.scan(
-            this.context,
-            this.langManager,
-            message,
-            remainingArgText
-          );
-          /* eslint-enable no-await-in-loop */
-          argValue = scanResult.value;
-          if (argValue === '') {
-            argValue = null;
-          }
-
-          remainingArgText = remainingArgText.slice(Math.max(0, scanResult.nextPos)).trim();
-        }
-
-        this.context.log.d(
-          'argValue from the command: ' +
-            util.inspect(argValue, { showHidden: false, depth: 2 }) +
-            '; for key: ' +
-            argKey
-        );
-      }
-
-      this[argKey] = argValue;
-    }
-  }
-
   /**
    * Determines how to parse the command's arguments and launches the appropriate scanning procedure.
    * If at lest one occurence of predefined arg prefix is found (non-quoted) then tries to parse
@@ -270,19 +97,25 @@ class DiscordCommand extends Command {
    * Otherwise tries to parse the arguments sequentially in the order in which they are defined
    * (e.g. '!kill Bill knife').
    * After finishing the scanning, launches the arguments validation.
+   * @see Command#parseArgs
    * @param  {BaseMessage}  message the Discord message with the command
    * @return {Promise}              nothing
    */
   async parseFromDiscord(message) {
-    const index = OhUtils.findFirstNonQuotedIndex(message.content, this.constructor.ARG_PREFIX);
-    if (index === -1) {
-      this.context.log.d('Sequential arg scan');
-      await this.parseFromDiscordSequentially(message);
-    } else {
-      this.context.log.d('Arg scan by name');
-      await this.parseFromDiscordByNames(message);
-    }
+    await this.parseArgs(message);
+    await this.validateFromDiscord(message);
+  }
 
+  /**
+   * Sets the command's arguments from the texts given separately from the message's text (like the options
+   * of a slash command), and launches the arguments validation.
+   * @see Command#scanArgTexts
+   * @param  {BaseMessage}  message  the Discord message with the command
+   * @param  {Object}       argTexts the texts of the arguments by their keys
+   * @return {Promise}               nothing
+   */
+  async parseFromDiscordArgTexts(message, argTexts) {
+    await this.scanArgTexts(message, argTexts);
     await this.validateFromDiscord(message);
   }
 }
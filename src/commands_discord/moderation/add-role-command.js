@@ -8,11 +8,19 @@
 
 const util = require('util');
 
-const DiscordCommand = require('../discord-command');
+const DiscordUtils = require('../../utils/discord-utils');
+
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
 const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
 const DiscordSubjectsArgScanner = require('../../arg_scanners/discord-subjects-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+
+const BaseModerationCommand = require('./base-moderation-command');
+
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
+const ModerationExpiryTaskExecutor = require('../../task_executors/moderation-expiry-task-executor');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
@@ -28,15 +36,22 @@ const AddRoleCommandArgDefs = Object.freeze({
     helpId: 'command_addrole_arg_roleIds_help',
     scanner: DiscordSubjectsArgScanner,
     validationOptions: { validSubjects: true, subjectsNonEmpty: true, subjectRolesOnly: true }
+  }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_addrole_arg_duration_alias_duration', 'command_addrole_arg_duration_alias_t'],
+    helpId: 'command_addrole_arg_duration_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
   })
 });
 
 /**
  * Command for adding Discord roles to users.
+ * If the duration is provided, then the added roles are temporary and get removed by the Bot automatically.
  * @alias AddRoleCommand
- * @extends DiscordCommand
+ * @extends BaseModerationCommand
  */
-class AddRoleCommand extends DiscordCommand {
+class AddRoleCommand extends BaseModerationCommand {
   /**
    * Creates an instance for an organization from a source and assigns a given language manager to it.
    * @param  {Context}     context            the Bot's context
@@ -93,6 +108,20 @@ class AddRoleCommand extends DiscordCommand {
     ];
   }
 
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    BaseModerationCommand.validateDuration(this, message, AddRoleCommandArgDefs.duration);
+  }
+
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
@@ -114,6 +143,8 @@ class AddRoleCommand extends DiscordCommand {
     const roles = await message.source.client.guilds.cache.get(this.orgId).roles.fetch();
     const rolesArray = Array.from(roles.cache.values());
     const resultArray = [];
+    const addedRoles = new Map();
+    const heldRoles = new Map();
 
     for (const role of rolesArray) {
       if (!this.roleIds.subjectRoles.includes(role.id)) {
@@ -134,6 +165,11 @@ class AddRoleCommand extends DiscordCommand {
               .then(
                 success => {
                   addedCount++;
+                  if (!addedRoles.has(member.id)) {
+                    addedRoles.set(member.id, []);
+                  }
+
+                  addedRoles.get(member.id).push(role.id);
                 },
                 error => {
                   context.log.e(
@@ -146,12 +182,77 @@ class AddRoleCommand extends DiscordCommand {
                 }
               )
           );
+        } else {
+          if (!heldRoles.has(member.id)) {
+            heldRoles.set(member.id, []);
+          }
+
+          heldRoles.get(member.id).push(role.id);
         }
       }
     }
 
     await Promise.all(resultArray);
 
+    // The tasks ids and the case numbers are assigned sequentially, so the members are processed one by one.
+    /* eslint-disable no-await-in-loop */
+    // A new assignment replaces the pending removal of a role (if any), so that the role is not removed
+    // by the old timer. The roles which the members held temporarily count as assigned again.
+    const expiryAction = ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.removeRoles;
+    for (const [userId, roleIds] of addedRoles) {
+      for (const roleId of roleIds) {
+        await ModerationExpiryTaskExecutor.cancelExpiries(this.context, this.orgId, expiryAction, userId, roleId);
+      }
+    }
+
+    for (const [userId, roleIds] of heldRoles) {
+      for (const roleId of roleIds) {
+        if (await ModerationExpiryTaskExecutor.cancelExpiries(this.context, this.orgId, expiryAction, userId, roleId)) {
+          if (!addedRoles.has(userId)) {
+            addedRoles.set(userId, []);
+          }
+
+          addedRoles.get(userId).push(roleId);
+        }
+      }
+    }
+
+    for (const [userId, roleIds] of addedRoles) {
+      const caseInfo = {
+        action: OrgModerationCase.CASE_ACTIONS.addRole,
+        moderatorId: message.originalMessage.member.id,
+        targetId: userId,
+        reason: null,
+        textId: 'command_addrole_log',
+        textArgs: [
+          DiscordUtils.makeUserMention(userId),
+          roleIds.map(roleId => DiscordUtils.makeRoleMention(roleId)).join(', '),
+          DiscordUtils.makeUserMention(message.originalMessage.member.id)
+        ]
+      };
+
+      // Only the roles assigned by the command are temporary, the roles the members already had permanently are kept.
+      if (this.duration !== null) {
+        const expiresAt = await ModerationExpiryTaskExecutor.scheduleExpiry(
+          this.context,
+          this.source,
+          this.orgId,
+          this.duration.totalMillisecondsShift,
+          {
+            action: ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.removeRoles,
+            user: userId,
+            roles: roleIds
+          }
+        );
+
+        caseInfo.textId = 'command_addrole_log_temporary';
+        caseInfo.textArgs.push(new Date(expiresAt).toISOString());
+      }
+
+      await this.logModerCase(caseInfo);
+    }
+    /* eslint-enable no-await-in-loop */
+
     return (
       this.langManager.getString('command_addrole_success', addedCount, totalCount, errorCount) +
       (errorPermissionsCount > 0
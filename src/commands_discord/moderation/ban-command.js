@@ -13,9 +13,14 @@ const CommandArgDef = require('../../command_meta/command-arg-def');
 const DiscordSubjectsArgScanner = require('../../arg_scanners/discord-subjects-arg-scanner');
 const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
 const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
 
 const SetModerLogsCommand = require('../settings/set-moder-logs-command');
 
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
+const ModerationExpiryTaskExecutor = require('../../task_executors/moderation-expiry-task-executor');
+
 const PermissionsManager = require('../../managers/permissions-manager');
 
 const BanCommandArgDefs = Object.freeze({
@@ -32,6 +37,12 @@ const BanCommandArgDefs = Object.freeze({
     skipInSequentialRead: true,
     validationOptions: { isNonNegativeInteger: true }
   }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_ban_arg_duration_alias_duration', 'command_ban_arg_duration_alias_t'],
+    helpId: 'command_ban_arg_duration_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
+  }),
   reason: new CommandArgDef('reason', {
     aliasIds: ['command_ban_arg_reason_alias_reason', 'command_ban_arg_reason_alias_r'],
     helpId: 'command_ban_arg_reason_help',
@@ -41,6 +52,7 @@ const BanCommandArgDefs = Object.freeze({
 
 /**
  * Bans a user(s) from the server and optionally records the reason to the moderation logs.
+ * If the duration is provided, then the ban is temporary and gets lifted by the Bot automatically.
  * @alias BanCommand
  * @extends BaseModerationCommand
  */
@@ -112,6 +124,20 @@ class BanCommand extends BaseModerationCommand {
     }
   }
 
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    BaseModerationCommand.validateDuration(this, message, BanCommandArgDefs.duration);
+  }
+
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
@@ -144,9 +170,30 @@ class BanCommand extends BaseModerationCommand {
         await member.ban({ days: this.daysToClean, reason: this.reason });
         bannedCount++;
 
-        this.logModerAction(this.langManager.getString('command_ban_log',
-          DiscordUtils.makeUserMention(member.id), DiscordUtils.makeUserMention(message.originalMessage.member.id),
-          this.reason));
+        // A new ban replaces the expiry of the previous one, if any.
+        await ModerationExpiryTaskExecutor.cancelExpiries(this.context, this.orgId,
+          ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unban, member.id);
+
+        const caseInfo = {
+          action: OrgModerationCase.CASE_ACTIONS.ban,
+          moderatorId: message.originalMessage.member.id,
+          targetId: member.id,
+          reason: this.reason,
+          textId: 'command_ban_log',
+          textArgs: [DiscordUtils.makeUserMention(member.id),
+            DiscordUtils.makeUserMention(message.originalMessage.member.id)]
+        };
+
+        if (this.duration !== null) {
+          const expiresAt = await ModerationExpiryTaskExecutor.scheduleExpiry(this.context, this.source, this.orgId,
+            this.duration.totalMillisecondsShift,
+            { action: ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unban, user: member.id });
+
+          caseInfo.textId = 'command_ban_log_temporary';
+          caseInfo.textArgs.push(new Date(expiresAt).toISOString());
+        }
+
+        await this.logModerCase(caseInfo);
       } catch (e) {
         this.context.log.e("Got exception while trying to ban user " + subjectId + " from guild " + this.orgId +
           ' stack: ' + e.stack);
@@ -8,17 +8,23 @@
 
 const OhUtils = require('../../utils/bot-utils');
 const DiscordUtils = require('../../utils/discord-utils');
+const BotPublicError = require('../../utils/bot-public-error');
 
 const DiscordCommand = require('../discord-command');
+const TimeArg = require('../../command_meta/time-arg');
 
 const OrgChannel = require('../../mongo_classes/org-channel');
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
 const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
 
 const DefaultLogChannel = 'moder-logs';
 
 /**
  * Base (abstract) command for moderation actions which needs to be logged into a special channel.
+ * Each action is recorded as a moderation case with a sequential number, so that it can be looked up
+ * and its reason can be edited later.
  * Expected inheritor commands: kick, ban, warn, softban etc.
+ * @see OrgModerationCase
  * @abstract
  * @alias BaseModerationCommand
  * @extends DiscordCommand
@@ -33,31 +39,150 @@ class BaseModerationCommand extends DiscordCommand {
     return DefaultLogChannel;
   }
 
+  /**
+   * Validates the optional duration argument of a temporary moderation action (a ban, a mute etc.).
+   * Throws BotPublicError if the duration is provided, but is not a non-zero time distance.
+   * @throws {BotPublicError}
+   * @param  {DiscordCommand} command the command having the argument
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  argDef  the definition of the duration argument
+   */
+  static validateDuration(command, message, argDef) {
+    const duration = command[argDef.name];
+    const durationText = command.getArgText(message, argDef);
+    if (duration === null || duration === undefined) {
+      if (durationText !== null && durationText !== '') {
+        throw new BotPublicError(command.langManager.getString('moderation_wrong_duration', durationText));
+      }
+
+      return;
+    }
+
+    if (duration.timeType !== TimeArg.DISTANCE_TYPE || duration.totalMillisecondsShift === 0) {
+      throw new BotPublicError(command.langManager.getString('moderation_wrong_duration', durationText));
+    }
+  }
+
   /**
    * Logs a text into the moderation logs channel (if applicable according to the server settings).
    * @param  {string}  text the text to be logged
    * @return {Promise}      nothing
    */
   async logModerAction(text) {
-    const loggingEnabled = await this.context.dbManager.getSetting(
-      this.source,
-      this.orgId,
+    await BaseModerationCommand.logModerActionForOrg(this.context, this.source, this.orgId, text);
+  }
+
+  /**
+   * Records a moderation case made by the command and logs its text into the moderation logs channel
+   * (if applicable according to the server settings).
+   * @param  {Object}                     caseInfo the action, the moderatorId, the targetId and the reason of the case,
+   *                                               plus the textId and the textArgs (excluding the reason) of its text
+   *                                               and the warningId (for the warnings only)
+   * @return {Promise<OrgModerationCase>}          the recorded case
+   */
+  async logModerCase(caseInfo) {
+    return BaseModerationCommand.logModerCaseForOrg(this.context, this.source, this.orgId, this.langManager, caseInfo);
+  }
+
+  /**
+   * Records a moderation case in a given organization and logs its text into the moderation logs channel
+   * (if applicable according to the server settings). The reference to the logged message is saved in the case,
+   * so that the message can be updated if the reason of the case gets changed.
+   * @see ReasonCommand
+   * @param  {Context}                    context     the Bot's context
+   * @param  {string}                     source      the source name (like Discord etc.)
+   * @param  {string}                     orgId       the organization identifier
+   * @param  {LangManager}                langManager the language manager to localize the text of the case
+   * @param  {Object}                     caseInfo    the info about the case, see BaseModerationCommand#logModerCase
+   * @return {Promise<OrgModerationCase>}             the recorded case
+   */
+  static async logModerCaseForOrg(context, source, orgId, langManager, caseInfo) {
+    const casesTable = context.dbManager.moderationCasesTable;
+    const currentRows = await context.dbManager.getRows(casesTable, { source, orgId });
+    const caseRow = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source,
+      orgId,
+      action: caseInfo.action,
+      moderatorId: caseInfo.moderatorId,
+      targetId: caseInfo.targetId === undefined ? null : caseInfo.targetId,
+      reason: caseInfo.reason === undefined ? null : caseInfo.reason,
+      timestamp: new Date().getTime(),
+      textId: caseInfo.textId,
+      textArgs: caseInfo.textArgs,
+      logChannelId: null,
+      logMessageId: null,
+      warningId: caseInfo.warningId === undefined ? null : caseInfo.warningId
+    };
+    await context.dbManager.insertOne(casesTable, caseRow);
+
+    const logMessage = await this.logModerActionForOrg(context, source, orgId,
+      this.makeCaseLogText(caseRow, langManager));
+    if (logMessage !== null) {
+      caseRow.logChannelId = logMessage.channel.id;
+      caseRow.logMessageId = logMessage.id;
+      await casesTable.insertOrUpdate(caseRow);
+    }
+
+    return caseRow;
+  }
+
+  /**
+   * Makes the text of a moderation case to be posted into the moderation logs.
+   * @param  {OrgModerationCase} caseRow     the case
+   * @param  {LangManager}       langManager the language manager to localize the text
+   * @return {string}                        the text
+   */
+  static makeCaseLogText(caseRow, langManager) {
+    const reason = caseRow.reason === null || caseRow.reason === ''
+      ? langManager.getString('moderation_case_no_reason')
+      : caseRow.reason;
+    return langManager.getString('moderation_case_log', caseRow.id,
+      langManager.getString(caseRow.textId, ...caseRow.textArgs, reason));
+  }
+
+  /**
+   * Describes the action of a moderation case in a human readable way.
+   * @param  {OrgModerationCase} caseRow     the case
+   * @param  {LangManager}       langManager the language manager to localize the description
+   * @return {string}                        the description
+   */
+  static describeCaseAction(caseRow, langManager) {
+    return Object.values(OrgModerationCase.CASE_ACTIONS).includes(caseRow.action)
+      ? langManager.getString('moderation_case_action_' + caseRow.action)
+      : caseRow.action;
+  }
+
+  /**
+   * Logs a text into the moderation logs channel of a given organization (if applicable according to
+   * the server settings). Used for the actions happening outside of commands, e.g. expiring temporary bans.
+   * @see ModerationExpiryTaskExecutor
+   * @param  {Context}          context the Bot's context
+   * @param  {string}           source  the source name (like Discord etc.)
+   * @param  {string}           orgId   the organization identifier
+   * @param  {string}           text    the text to be logged
+   * @return {Promise<Message>}         the posted message, or null if the text was not logged
+   */
+  static async logModerActionForOrg(context, source, orgId, text) {
+    const loggingEnabled = await context.dbManager.getSetting(
+      source,
+      orgId,
       ServerSettingsTable.SERVER_SETTINGS.moderLogsEnabled.name,
       OhUtils.OFF
     );
 
     if (loggingEnabled === OhUtils.OFF) {
-      return;
+      return null;
     }
 
-    const channelId = await this.context.dbManager.getSetting(
-      this.source,
-      this.orgId,
+    const channelId = await context.dbManager.getSetting(
+      source,
+      orgId,
       ServerSettingsTable.SERVER_SETTINGS.moderLogsChannel.name,
       null
     );
 
-    const channelsManager = this.context.discordClient.guilds.cache.get(this.orgId).channels;
+    const channelsManager = context.discordClient.guilds.cache.get(orgId).channels;
     const channelsCache = channelsManager.cache;
 
     let targetChannel = await channelsCache.find(channel =>
@@ -72,7 +197,7 @@ class BaseModerationCommand extends DiscordCommand {
       try {
         await channelsManager.create(DefaultLogChannel, { type: OrgChannel.getTextType() });
       } catch (e) {
-        this.context.log.e("Error creating text channel with name " + DefaultLogChannel + " for guild " + this.orgId +
+        context.log.e("Error creating text channel with name " + DefaultLogChannel + " for guild " + orgId +
           ' stack: ' + e.stack);
       }
 
@@ -81,11 +206,12 @@ class BaseModerationCommand extends DiscordCommand {
     }
 
     if (targetChannel === undefined) {
-      this.context.log.e("Cannot add moder logs: text channel " + DefaultLogChannel + " not found even" +
+      context.log.e("Cannot add moder logs: text channel " + DefaultLogChannel + " not found even" +
         " after trying to create it.");
-    } else {
-      await DiscordUtils.sendToTextChannel(targetChannel, text);
+      return null;
     }
+
+    return DiscordUtils.sendToTextChannel(targetChannel, text);
   }
 }
 
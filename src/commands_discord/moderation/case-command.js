@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * @module case-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../../utils/discord-utils');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+
+const BaseModerationCommand = require('./base-moderation-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const CaseCommandArgDefs = Object.freeze({
+  id: new CommandArgDef('id', {
+    aliasIds: ['command_case_arg_id_alias_id', 'command_case_arg_id_alias_i'],
+    helpId: 'command_case_arg_id_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  })
+});
+
+/**
+ * Command to show a moderation case of the Discord server by its number.
+ * @see BaseModerationCommand
+ * @alias CaseCommand
+ * @extends DiscordCommand
+ */
+class CaseCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new CaseCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_case_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return CaseCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_case_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.BAN_MEMBERS];
+  }
+
+  /**
+   * Describes a moderation case in a human readable way.
+   * @param  {OrgModerationCase} caseRow     the case
+   * @param  {LangManager}       langManager the language manager to localize the description
+   * @param  {string}            textId      the id of the description text, taking the number, the action,
+   *                                         the target, the moderator, the time and the reason of the case
+   * @return {string}                        the description
+   */
+  static describeCase(caseRow, langManager, textId) {
+    return langManager.getString(
+      textId,
+      caseRow.id,
+      BaseModerationCommand.describeCaseAction(caseRow, langManager),
+      caseRow.targetId === null
+        ? langManager.getString('moderation_case_no_target')
+        : DiscordUtils.makeUserMention(caseRow.targetId),
+      DiscordUtils.makeUserMention(caseRow.moderatorId),
+      new Date(caseRow.timestamp).toISOString(),
+      caseRow.reason === null || caseRow.reason === ''
+        ? langManager.getString('moderation_case_no_reason')
+        : caseRow.reason
+    );
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const cases = await this.context.dbManager.getDiscordRows(this.context.dbManager.moderationCasesTable, this.orgId, {
+      id: Number.parseInt(this.id, 10)
+    });
+
+    if (cases.length === 0) {
+      return this.langManager.getString('command_case_not_found', this.id);
+    }
+
+    return CaseCommand.describeCase(cases[0], this.langManager, 'command_case_info');
+  }
+}
+
+/**
+ * Exports the CaseCommand class
+ * @type {CaseCommand}
+ */
+module.exports = CaseCommand;
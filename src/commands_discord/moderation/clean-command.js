@@ -6,7 +6,9 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
-const DiscordCommand = require('../discord-command');
+const DiscordUtils = require('../../utils/discord-utils');
+
+const BaseModerationCommand = require('./base-moderation-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
 const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
@@ -14,6 +16,8 @@ const DiscordChannelsArgScanner = require('../../arg_scanners/discord-channels-a
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
 const CleanCommandArgDefs = Object.freeze({
   time: new CommandArgDef('time', {
     aliasIds: ['command_clean_arg_time_alias_time', 'command_clean_arg_time_alias_t'],
@@ -47,9 +51,9 @@ const TIME_LIMIT_FOR_BULK_DELETE = 1000 * 60 * 60 * 24 * 14 - 60 * 1000;
 /**
  * Command to clean Discord text-channels from recent messages.
  * @alias CleanCommand
- * @extends DiscordCommand
+ * @extends BaseModerationCommand
  */
-class CleanCommand extends DiscordCommand {
+class CleanCommand extends BaseModerationCommand {
   /**
    * Creates an instance for an organization from a source and assigns a given language manager to it.
    * @param  {Context}     context            the Bot's context
@@ -115,6 +119,68 @@ class CleanCommand extends DiscordCommand {
     }
   }
 
+  /**
+   * Deletes the messages posted in a text channel after a given moment.
+   * Also used by the scheduled cleaning tasks.
+   * @see CleanTaskExecutor
+   * @param  {Context}         context        the Bot's context
+   * @param  {Channel}         channel        the Discord text channel
+   * @param  {number}          timestampLimit the timestamp, the messages posted after which are deleted
+   * @return {Promise<Object>}                the numbers of deleted and checked messages
+   */
+  static async cleanChannel(context, channel, timestampLimit) {
+    let deletedCount = 0;
+    let checkedCount = 0;
+
+    // Discord JS does not allow to fetch all messages at once, so we read them in batches
+    // at stop when either we find too old messages, or when we deleted all messages.
+    // Since here each next step relies on results of the previous step, we should use await inside the loop.
+    /* eslint-disable no-await-in-loop */
+    let needRefetch = false;
+    do {
+      needRefetch = false;
+      const messages = await channel.messages.fetch({ limit: MESSAGES_FETCH_LIMIT });
+      const messagesArray = Array.from(messages.values());
+      if (messagesArray.length === 0) {
+        break;
+      }
+
+      const currentTimeMillis = new Date().getTime();
+
+      const messagesToDeleteAsBulk = [];
+      const messagesToDeleteIndividually = [];
+      for (const message of messagesArray) {
+        context.log.v(
+          'messages delete check; id = ' +
+            message.id +
+            '; timestamp: ' +
+            message.createdTimestamp +
+            '; limit ' +
+            timestampLimit
+        );
+        if (message.createdTimestamp > timestampLimit) {
+          needRefetch = true;
+          deletedCount++;
+          if (currentTimeMillis - TIME_LIMIT_FOR_BULK_DELETE < message.createdTimestamp) {
+            messagesToDeleteAsBulk.push(message);
+          } else {
+            messagesToDeleteIndividually.push(message);
+          }
+        }
+
+        checkedCount++;
+      }
+
+      await channel.bulkDelete(messagesToDeleteAsBulk);
+      for (const message of messagesToDeleteIndividually) {
+        await message.delete();
+      }
+    } while (needRefetch);
+    /* eslint-enable no-await-in-loop */
+
+    return { deletedCount, checkedCount };
+  }
+
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
@@ -130,54 +196,15 @@ class CleanCommand extends DiscordCommand {
     let deletedCount = 0;
     let checkedCount = 0;
 
-    // Discord JS does not allow to fetch all messages at once, so we read them in batches
-    // at stop when either we find too old messages, or when we deleted all messages.
-    // Since here each next step relies on results of the previous step, we should use await inside the loop.
+    // The channels are cleaned one by one to not overload the Discord API.
     /* eslint-disable no-await-in-loop */
     for (let i = 0; i < this.channelIds.channels.length; i++) {
-      let needRefetch = false;
-      do {
-        needRefetch = false;
-        const channel = message.source.client.guilds.cache
-          .get(this.orgId)
-          .channels.cache.get(this.channelIds.channels[i]);
-        const messages = await channel.messages.fetch({ limit: MESSAGES_FETCH_LIMIT });
-        const messagesArray = Array.from(messages.values());
-        if (messagesArray.length === 0) {
-          break;
-        }
-
-        const currentTimeMillis = new Date().getTime();
-
-        const messagesToDeleteAsBulk = [];
-        const messagesToDeleteIndividually = [];
-        for (const message of messagesArray) {
-          this.context.log.v(
-            'messages delete check; id = ' +
-              message.id +
-              '; timestamp: ' +
-              message.createdTimestamp +
-              '; limit ' +
-              timestampLimit
-          );
-          if (message.createdTimestamp > timestampLimit) {
-            needRefetch = true;
-            deletedCount++;
-            if (currentTimeMillis - TIME_LIMIT_FOR_BULK_DELETE < message.createdTimestamp) {
-              messagesToDeleteAsBulk.push(message);
-            } else {
-              messagesToDeleteIndividually.push(message);
-            }
-          }
-
-          checkedCount++;
-        }
-
-        await channel.bulkDelete(messagesToDeleteAsBulk);
-        for (const message of messagesToDeleteIndividually) {
-          await message.delete();
-        }
-      } while (needRefetch);
+      const channel = message.source.client.guilds.cache
+        .get(this.orgId)
+        .channels.cache.get(this.channelIds.channels[i]);
+      const counts = await CleanCommand.cleanChannel(this.context, channel, timestampLimit);
+      deletedCount += counts.deletedCount;
+      checkedCount += counts.checkedCount;
     }
     /* eslint-enable no-await-in-loop */
 
@@ -191,6 +218,18 @@ class CleanCommand extends DiscordCommand {
         ' channels'
     );
 
+    await this.logModerCase({
+      action: OrgModerationCase.CASE_ACTIONS.clean,
+      moderatorId: message.originalMessage.member.id,
+      reason: null,
+      textId: 'command_clean_log',
+      textArgs: [
+        DiscordUtils.makeUserMention(message.originalMessage.member.id),
+        deletedCount,
+        this.channelIds.channels.map(channelId => DiscordUtils.makeChannelMention(channelId)).join(', ')
+      ]
+    });
+
     let result = '';
     if (!this.isSilent(this.context)) {
       if (this.channelIds.channels.length > 1) {
@@ -82,17 +82,15 @@ class DeleteWarningCommand extends DiscordCommand {
   }
 
   /**
-   * Executes the command instance. The main function of a command, it's essence.
-   * All arguments scanning, validation and permissions check is considered done before entering this function.
-   * So if any exception happens inside the function, it's considered a Bot's internal problem.
-   * @param  {BaseMessage}         message the Discord message as the source of the command
-   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   * Deletes the warnings of a Discord server by their ids. The ids not matching any warning are ignored.
+   * @see AppealManager
+   * @param  {Context}         context     the Bot's context
+   * @param  {string}          orgId       the organization identifier
+   * @param  {Array<number>}   idsToDelete the ids of the warnings
+   * @return {Promise<number>}             the number of the deleted warnings
    */
-  async executeForDiscord(message) {
-    // Inherited function with various possible implementations, some args may be unused.
-    /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    const idsToDelete = this.ids.map(a => Number.parseInt(a, 10));
-    const warnings = await this.context.dbManager.getDiscordRows(this.context.dbManager.warningsTable, this.orgId);
+  static async deleteWarnings(context, orgId, idsToDelete) {
+    const warnings = await context.dbManager.getDiscordRows(context.dbManager.warningsTable, orgId);
     const warningsIds = new Set(warnings.map(a => a.id));
     const warningsIdsToDelete = [];
 
@@ -103,7 +101,7 @@ class DeleteWarningCommand extends DiscordCommand {
     }
 
     if (warningsIdsToDelete.length === 0) {
-      return this.langManager.getString('command_deletewarning_no_ids_found');
+      return 0;
     }
 
     const orArray = [];
@@ -112,7 +110,27 @@ class DeleteWarningCommand extends DiscordCommand {
     }
 
     const deleteQuery = { $or: orArray };
-    await this.context.dbManager.deleteDiscordRows(this.context.dbManager.warningsTable, this.orgId, deleteQuery);
+    await context.dbManager.deleteDiscordRows(context.dbManager.warningsTable, orgId, deleteQuery);
+
+    return warningsIdsToDelete.length;
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const idsToDelete = this.ids.map(a => Number.parseInt(a, 10));
+    const deletedCount = await DeleteWarningCommand.deleteWarnings(this.context, this.orgId, idsToDelete);
+
+    if (deletedCount === 0) {
+      return this.langManager.getString('command_deletewarning_no_ids_found');
+    }
 
     return this.langManager.getString('command_deletewarning_success');
   }
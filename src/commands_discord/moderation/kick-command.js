@@ -17,6 +17,8 @@ const SetModerLogsCommand = require('../settings/set-moder-logs-command');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
 const KickCommandArgDefs = Object.freeze({
   subjectIds: new CommandArgDef('subjectIds', {
     aliasIds: ['command_kick_arg_subjectIds_alias_subjectIds', 'command_kick_arg_subjectIds_alias_s'],
@@ -117,9 +119,15 @@ class KickCommand extends BaseModerationCommand {
         await member.kick(this.reason);
         kickedCount++;
 
-        this.logModerAction(this.langManager.getString('command_kick_log',
-          DiscordUtils.makeUserMention(member.id), DiscordUtils.makeUserMention(message.originalMessage.member.id),
-          this.reason));
+        await this.logModerCase({
+          action: OrgModerationCase.CASE_ACTIONS.kick,
+          moderatorId: message.originalMessage.member.id,
+          targetId: member.id,
+          reason: this.reason,
+          textId: 'command_kick_log',
+          textArgs: [DiscordUtils.makeUserMention(member.id),
+            DiscordUtils.makeUserMention(message.originalMessage.member.id)]
+        });
       } catch (e) {
         this.context.log.e("Got exception while trying to kick user " + subjectId + " from guild " + this.orgId +
           ' stack: ' + e.stack);
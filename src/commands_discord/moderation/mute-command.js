@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * @module mute-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../../utils/discord-utils');
+
+const BaseModerationCommand = require('./base-moderation-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const DiscordSubjectsArgScanner = require('../../arg_scanners/discord-subjects-arg-scanner');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+
+const SetModerLogsCommand = require('../settings/set-moder-logs-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+const MuteManager = require('../../managers/mute-manager');
+
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
+const ModerationExpiryTaskExecutor = require('../../task_executors/moderation-expiry-task-executor');
+
+const MuteCommandArgDefs = Object.freeze({
+  subjectIds: new CommandArgDef('subjectIds', {
+    aliasIds: ['command_mute_arg_subjectIds_alias_subjectIds', 'command_mute_arg_subjectIds_alias_s'],
+    helpId: 'command_mute_arg_subjectIds_help',
+    scanner: DiscordSubjectsArgScanner,
+    validationOptions: { validSubjects: true, subjectsNonEmpty: true, subjectIdsOnly: true }
+  }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_mute_arg_duration_alias_duration', 'command_mute_arg_duration_alias_t'],
+    helpId: 'command_mute_arg_duration_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
+  }),
+  reason: new CommandArgDef('reason', {
+    aliasIds: ['command_mute_arg_reason_alias_reason', 'command_mute_arg_reason_alias_r'],
+    helpId: 'command_mute_arg_reason_help',
+    scanner: FullStringArgScanner
+  })
+});
+
+/**
+ * Mutes a user(s) in the server by giving them the muted role, and optionally records the reason
+ * to the moderation logs. The muted role is created by the Bot if it does not exist yet.
+ * @see MuteManager
+ * If the duration is provided, then the mute is temporary and gets lifted by the Bot automatically.
+ * @alias MuteCommand
+ * @extends BaseModerationCommand
+ */
+class MuteCommand extends BaseModerationCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new MuteCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_mute_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return MuteCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_mute_help',
+      MuteManager.MUTED_ROLE_NAME,
+      langManager.getString(SetModerLogsCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.MANAGE_ROLES];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    BaseModerationCommand.validateDuration(this, message, MuteCommandArgDefs.duration);
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    let mutedCount = 0;
+    let totalCount = 0;
+    let errorCount = 0;
+
+    const guild = message.source.client.guilds.cache.get(this.orgId);
+
+    for (const subjectId of this.subjectIds.subjectIds) {
+      totalCount++;
+      // Must mute the members one by one, since the expiry tasks ids are assigned sequentially.
+      /* eslint-disable no-await-in-loop */
+      try {
+        const member = await guild.members.fetch(subjectId);
+        await this.context.muteManager.muteMember(member, message.originalMessage.member.id, this.reason);
+        mutedCount++;
+
+        // A new mute replaces the expiry of the previous one, if any.
+        await ModerationExpiryTaskExecutor.cancelExpiries(
+          this.context,
+          this.orgId,
+          ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unmute,
+          member.id
+        );
+
+        const caseInfo = {
+          action: OrgModerationCase.CASE_ACTIONS.mute,
+          moderatorId: message.originalMessage.member.id,
+          targetId: member.id,
+          reason: this.reason,
+          textId: 'command_mute_log',
+          textArgs: [
+            DiscordUtils.makeUserMention(member.id),
+            DiscordUtils.makeUserMention(message.originalMessage.member.id)
+          ]
+        };
+
+        if (this.duration !== null) {
+          const expiresAt = await ModerationExpiryTaskExecutor.scheduleExpiry(
+            this.context,
+            this.source,
+            this.orgId,
+            this.duration.totalMillisecondsShift,
+            { action: ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unmute, user: member.id }
+          );
+
+          caseInfo.textId = 'command_mute_log_temporary';
+          caseInfo.textArgs.push(new Date(expiresAt).toISOString());
+        }
+
+        await this.logModerCase(caseInfo);
+      } catch (e) {
+        this.context.log.e(
+          'Got exception while trying to mute user ' + subjectId + ' from guild ' + this.orgId + ' stack: ' + e.stack
+        );
+        errorCount++;
+      }
+      /* eslint-enable no-await-in-loop */
+    }
+
+    return this.langManager.getString('command_mute_success', mutedCount, totalCount, errorCount);
+  }
+}
+
+/**
+ * Exports the MuteCommand class
+ * @type {MuteCommand}
+ */
+module.exports = MuteCommand;
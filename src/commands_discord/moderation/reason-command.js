@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * @module reason-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+
+const BaseModerationCommand = require('./base-moderation-command');
+const CasesCommand = require('./cases-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const ReasonCommandArgDefs = Object.freeze({
+  id: new CommandArgDef('id', {
+    aliasIds: ['command_reason_arg_id_alias_id', 'command_reason_arg_id_alias_i'],
+    helpId: 'command_reason_arg_id_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  }),
+  reason: new CommandArgDef('reason', {
+    aliasIds: ['command_reason_arg_reason_alias_reason', 'command_reason_arg_reason_alias_r'],
+    helpId: 'command_reason_arg_reason_help',
+    scanner: FullStringArgScanner,
+    validationOptions: { nonNull: true }
+  })
+});
+
+/**
+ * Command to change the reason of a moderation case of the Discord server. The message of the case
+ * in the moderation logs gets edited accordingly.
+ * @see BaseModerationCommand
+ * @alias ReasonCommand
+ * @extends DiscordCommand
+ */
+class ReasonCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new ReasonCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_reason_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return ReasonCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_reason_help', langManager.getString(CasesCommand.getCommandInterfaceName()));
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.BAN_MEMBERS];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const cases = await this.context.dbManager.getDiscordRows(this.context.dbManager.moderationCasesTable, this.orgId, {
+      id: Number.parseInt(this.id, 10)
+    });
+    if (cases.length === 0) {
+      throw new BotPublicError(this.langManager.getString('command_reason_not_found', this.id));
+    }
+
+    this.caseRow = cases[0];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    this.caseRow.reason = this.reason;
+    await this.context.dbManager.moderationCasesTable.insertOrUpdate(this.caseRow);
+
+    const edited = await this.editLogMessage(message);
+    return this.langManager.getString(
+      edited ? 'command_reason_success' : 'command_reason_success_not_logged',
+      this.caseRow.id
+    );
+  }
+
+  /**
+   * Edits the message of the case in the moderation logs according to the case's current reason.
+   * @param  {BaseMessage}      message the Discord message as the source of the command
+   * @return {Promise<boolean>}         true if the message was edited, false if it's not found
+   */
+  async editLogMessage(message) {
+    if (this.caseRow.logMessageId === null || this.caseRow.logMessageId === undefined) {
+      return false;
+    }
+
+    const channel = message.source.client.guilds.cache.get(this.orgId).channels.cache.get(this.caseRow.logChannelId);
+    if (channel === undefined) {
+      return false;
+    }
+
+    try {
+      const logMessage = await channel.messages.fetch(this.caseRow.logMessageId);
+      await logMessage.edit(BaseModerationCommand.makeCaseLogText(this.caseRow, this.langManager));
+    } catch (error) {
+      this.context.log.w(
+        'ReasonCommand editLogMessage: cannot edit the message of case ' +
+          this.caseRow.id +
+          ' in guild ' +
+          this.orgId +
+          ': ' +
+          error
+      );
+      return false;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Exports the ReasonCommand class
+ * @type {ReasonCommand}
+ */
+module.exports = ReasonCommand;
@@ -8,7 +8,9 @@
 
 const util = require('util');
 
-const DiscordCommand = require('../discord-command');
+const DiscordUtils = require('../../utils/discord-utils');
+
+const BaseModerationCommand = require('./base-moderation-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
 const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
@@ -16,6 +18,8 @@ const DiscordSubjectsArgScanner = require('../../arg_scanners/discord-subjects-a
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
 const AddRoleCommandArgDefs = Object.freeze({
   subjectIds: new CommandArgDef('subjectIds', {
     aliasIds: ['command_removerole_arg_subjectIds_alias_subjectIds', 'command_removerole_arg_subjectIds_alias_s'],
@@ -34,9 +38,9 @@ const AddRoleCommandArgDefs = Object.freeze({
 /**
  * Command to remove specified role from Discord users.
  * @alias RemoveRoleCommand
- * @extends DiscordCommand
+ * @extends BaseModerationCommand
  */
-class RemoveRoleCommand extends DiscordCommand {
+class RemoveRoleCommand extends BaseModerationCommand {
   /**
    * Creates an instance for an organization from a source and assigns a given language manager to it.
    * @param  {Context}     context            the Bot's context
@@ -113,6 +117,7 @@ class RemoveRoleCommand extends DiscordCommand {
     const roles = await message.source.client.guilds.cache.get(this.orgId).roles.fetch();
     const rolesArray = Array.from(roles.cache.values());
     const resultArray = [];
+    const removedRoles = new Map();
 
     for (const role of rolesArray) {
       if (!this.roleIds.subjectRoles.includes(role.id)) {
@@ -133,6 +138,11 @@ class RemoveRoleCommand extends DiscordCommand {
               .then(
                 success => {
                   removedCount++;
+                  if (!removedRoles.has(member.id)) {
+                    removedRoles.set(member.id, []);
+                  }
+
+                  removedRoles.get(member.id).push(role.id);
                 },
                 error => {
                   this.context.log.e(
@@ -151,6 +161,24 @@ class RemoveRoleCommand extends DiscordCommand {
 
     await Promise.all(resultArray);
 
+    // The case numbers are assigned sequentially, so the cases are recorded one by one.
+    /* eslint-disable no-await-in-loop */
+    for (const [userId, roleIds] of removedRoles) {
+      await this.logModerCase({
+        action: OrgModerationCase.CASE_ACTIONS.removeRole,
+        moderatorId: message.originalMessage.member.id,
+        targetId: userId,
+        reason: null,
+        textId: 'command_removerole_log',
+        textArgs: [
+          DiscordUtils.makeUserMention(userId),
+          roleIds.map(roleId => DiscordUtils.makeRoleMention(roleId)).join(', '),
+          DiscordUtils.makeUserMention(message.originalMessage.member.id)
+        ]
+      });
+    }
+    /* eslint-enable no-await-in-loop */
+
     return (
       this.langManager.getString('command_removerole_success', removedCount, totalCount, errorCount) +
       (errorPermissionsCount > 0
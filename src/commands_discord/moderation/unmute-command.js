@@ -1,13 +1,11 @@
 'use strict';
 
 /**
- * @module warn-command
+ * @module unmute-command
  * @author Alteh Union (alteh.union@gmail.com)
  * @license MIT (see the root LICENSE file for details)
  */
 
-const OhUtils = require('../../utils/bot-utils');
-
 const DiscordUtils = require('../../utils/discord-utils');
 
 const BaseModerationCommand = require('./base-moderation-command');
@@ -19,30 +17,32 @@ const SetModerLogsCommand = require('../settings/set-moder-logs-command');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
-const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+const OrgModerationCase = require('../../mongo_classes/org-moderation-case');
+
+const ModerationExpiryTaskExecutor = require('../../task_executors/moderation-expiry-task-executor');
 
-const WarnCommandArgDefs = Object.freeze({
+const UnmuteCommandArgDefs = Object.freeze({
   subjectIds: new CommandArgDef('subjectIds', {
-    aliasIds: ['command_warn_arg_subjectIds_alias_subjectIds', 'command_warn_arg_subjectIds_alias_s'],
-    helpId: 'command_warn_arg_subjectIds_help',
+    aliasIds: ['command_unmute_arg_subjectIds_alias_subjectIds', 'command_unmute_arg_subjectIds_alias_s'],
+    helpId: 'command_unmute_arg_subjectIds_help',
     scanner: DiscordSubjectsArgScanner,
     validationOptions: { validSubjects: true, subjectsNonEmpty: true, subjectIdsOnly: true }
   }),
   reason: new CommandArgDef('reason', {
-    aliasIds: ['command_warn_arg_reason_alias_reason', 'command_warn_arg_reason_alias_r'],
-    helpId: 'command_warn_arg_reason_help',
+    aliasIds: ['command_unmute_arg_reason_alias_reason', 'command_unmute_arg_reason_alias_r'],
+    helpId: 'command_unmute_arg_reason_help',
     scanner: FullStringArgScanner
   })
 });
 
 /**
- * Warns a user(s) and optionally records the reason to the moderation logs.
- * If ban on warnings is enabled in the server and the user has got enough warnings, he gets
- * banned (without cleaning his messages).
- * @alias WarnCommand
+ * Unmutes a user(s) in the server by taking the muted role away, and optionally records the reason
+ * to the moderation logs. The pending expiry of a temporary mute gets cancelled.
+ * @see MuteManager
+ * @alias UnmuteCommand
  * @extends BaseModerationCommand
  */
-class WarnCommand extends BaseModerationCommand {
+class UnmuteCommand extends BaseModerationCommand {
   /**
    * Creates an instance for an organization from a source and assigns a given language manager to it.
    * @param  {Context}     context            the Bot's context
@@ -52,7 +52,7 @@ class WarnCommand extends BaseModerationCommand {
    * @return {Command}                        the created instance
    */
   static createForOrg(context, source, commandLangManager, orgId) {
-    return new WarnCommand(context, source, commandLangManager, orgId);
+    return new UnmuteCommand(context, source, commandLangManager, orgId);
   }
 
   /**
@@ -60,7 +60,7 @@ class WarnCommand extends BaseModerationCommand {
    * @return {string} the id of the command's name to be localized
    */
   static getCommandInterfaceName() {
-    return 'command_warn_name';
+    return 'command_unmute_name';
   }
 
   /**
@@ -68,7 +68,7 @@ class WarnCommand extends BaseModerationCommand {
    * @return {Array<CommandArgDef>} the array of definitions
    */
   static getDefinedArgs() {
-    return WarnCommandArgDefs;
+    return UnmuteCommandArgDefs;
   }
 
   /**
@@ -80,8 +80,10 @@ class WarnCommand extends BaseModerationCommand {
    * @return {string}                  the localized help text
    */
   static getHelpText(context, langManager) {
-    return langManager.getString('command_warn_help',
-      langManager.getString(SetModerLogsCommand.getCommandInterfaceName()));
+    return langManager.getString(
+      'command_unmute_help',
+      langManager.getString(SetModerLogsCommand.getCommandInterfaceName())
+    );
   }
 
   /**
@@ -90,7 +92,7 @@ class WarnCommand extends BaseModerationCommand {
    * @return {Array<string>} the array of Discord-specific permissions required
    */
   static getRequiredDiscordPermissions() {
-    return [PermissionsManager.DISCORD_PERMISSIONS.BAN_MEMBERS];
+    return [PermissionsManager.DISCORD_PERMISSIONS.MANAGE_ROLES];
   }
 
   /**
@@ -103,83 +105,56 @@ class WarnCommand extends BaseModerationCommand {
   async executeForDiscord(message) {
     // Inherited function with various possible implementations, some args may be unused.
     /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    let warnedCount = 0;
+    let unmutedCount = 0;
     let totalCount = 0;
     let errorCount = 0;
 
-    const warningsLimitString = await this.context.dbManager.getSetting(
-      this.source,
-      this.orgId,
-      ServerSettingsTable.SERVER_SETTINGS.banOnWarnings.name,
-      '0'
-    );
-    const warningsLimit = Number.parseInt(warningsLimitString, 10);
-
-    const membersManager = await message.source.client.guilds.cache.get(this.orgId).members;
-
-    const currentRows = await this.context.dbManager.getDiscordRows(this.context.dbManager.warningsTable, this.orgId);
-    let maxIndex = OhUtils.findMaxId(currentRows);
+    const guild = message.source.client.guilds.cache.get(this.orgId);
 
     for (const subjectId of this.subjectIds.subjectIds) {
       totalCount++;
-      const member = await membersManager.fetch(subjectId);
-
-      if (member === undefined) {
-        errorCount++;
-        this.context.log.e("Tried to warn an already deleted user " + subjectId + " from guild " + this.orgId);
-        continue;
-      }
-
+      // Unmute the members one by one, so that the DB records of the mutes are not modified concurrently.
+      /* eslint-disable no-await-in-loop */
       try {
-        const currentUserWarnings = await this.context.dbManager.getDiscordRows(this.context.dbManager.warningsTable,
-          this.orgId, { userId: subjectId });
-
-        const warningRow = {
-          id: ++maxIndex,
-          source: this.source,
-          orgId: this.orgId,
-          userId: subjectId,
-          moderatorId: message.originalMessage.member.id,
-          reason: this.reason,
-          timestamp: new Date().getTime()
-        };
-
-        const rowResult = await this.context.dbManager.insertOne(this.context.dbManager.warningsTable, warningRow);
-
-        if (rowResult) {
-          warnedCount++;
-        } else {
-          errorCount++;
+        await ModerationExpiryTaskExecutor.cancelExpiries(
+          this.context,
+          this.orgId,
+          ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unmute,
+          subjectId
+        );
+
+        const wasMuted = await this.context.muteManager.unmuteMember(guild, subjectId);
+        if (!wasMuted) {
           continue;
         }
 
-        this.logModerAction(this.langManager.getString('command_warn_log',
-          DiscordUtils.makeUserMention(member.id), DiscordUtils.makeUserMention(message.originalMessage.member.id),
-          this.reason));
-
-        // If auto-ban on warnings is enabled and the user got enough warnings, then ban him.
-        if (warningsLimit > 0 && currentUserWarnings.length >= warningsLimit - 1) {
-          await member.ban({ days: 0, reason: this.langManager.getString('command_warn_banreason') });
-
-          this.logModerAction(this.langManager.getString('command_ban_log',
-            DiscordUtils.makeUserMention(member.id), DiscordUtils.makeUserMention(message.originalMessage.member.id),
-            this.langManager.getString('command_warn_banreason')));
-        }
+        unmutedCount++;
+        await this.logModerCase({
+          action: OrgModerationCase.CASE_ACTIONS.unmute,
+          moderatorId: message.originalMessage.member.id,
+          targetId: subjectId,
+          reason: this.reason,
+          textId: 'command_unmute_log',
+          textArgs: [
+            DiscordUtils.makeUserMention(subjectId),
+            DiscordUtils.makeUserMention(message.originalMessage.member.id)
+          ]
+        });
       } catch (e) {
-        this.context.log.e("Got exception while trying to warn user " + subjectId + " from guild " + this.orgId +
-          ' stack: ' + e.stack);
+        this.context.log.e(
+          'Got exception while trying to unmute user ' + subjectId + ' from guild ' + this.orgId + ' stack: ' + e.stack
+        );
         errorCount++;
       }
+      /* eslint-enable no-await-in-loop */
     }
 
-    return (
-      this.langManager.getString('command_warn_success', warnedCount, totalCount, errorCount)
-    );
+    return this.langManager.getString('command_unmute_success', unmutedCount, totalCount, errorCount);
   }
 }
 
 /**
- * Exports the WarnCommand class
- * @type {WarnCommand}
+ * Exports the UnmuteCommand class
+ * @type {UnmuteCommand}
  */
-module.exports = WarnCommand;
+module.exports = UnmuteCommand;
@@ -8,6 +8,7 @@
 
 const OhUtils = require('../../utils/bot-utils');
 const DiscordUtils = require('../../utils/discord-utils');
+const WarningsDecay = require('../../utils/warnings-decay');
 
 const DiscordCommand = require('../discord-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
@@ -26,6 +27,8 @@ const WarningsCommandArgDefs = Object.freeze({
 
 /**
  * Lists warnings given by moderators to all users or specified user(s).
+ * The active warnings and the expired (or archived) ones are listed separately.
+ * @see WarningsDecay
  * @alias WarningsCommand
  * @extends DiscordCommand
  */
@@ -122,20 +125,49 @@ class WarningsCommand extends DiscordCommand {
       return this.langManager.getString('command_warnings_no_warnings');
     }
 
-    let result = '';
-    for (const warning of warnings) {
-      result += this.langManager.getString(
-        'command_warnings_warning',
-        warning.id,
-        DiscordUtils.makeUserMention(warning.userId),
-        DiscordUtils.makeUserMention(warning.moderatorId),
-        new Date(warning.timestamp).toISOString(),
-        warning.reason
-      );
+    const decayMillis = await WarningsDecay.getDecayMillis(this.context, this.source, this.orgId);
+    const splitWarnings = WarningsDecay.splitWarnings(warnings, decayMillis, new Date().getTime());
+
+    let result = this.langManager.getString('command_warnings_active_title');
+    if (splitWarnings.active.length === 0) {
+      result += this.langManager.getString('command_warnings_no_active');
+    }
+
+    for (const warning of splitWarnings.active) {
+      result += this.describeWarning(warning, WarningsDecay.getExpiryTime(warning, decayMillis));
+    }
+
+    if (splitWarnings.expired.length > 0) {
+      result += this.langManager.getString('command_warnings_expired_title');
+      for (const warning of splitWarnings.expired) {
+        result += this.describeWarning(warning, null);
+      }
     }
 
     return result;
   }
+
+  /**
+   * Describes a warning in a human readable way.
+   * @param  {OrgWarning} warning    the warning
+   * @param  {number}     expiryTime the timestamp when the warning expires, or null if it should not be shown
+   * @return {string}                the description
+   */
+  describeWarning(warning, expiryTime) {
+    const args = [
+      warning.id,
+      DiscordUtils.makeUserMention(warning.userId),
+      DiscordUtils.makeUserMention(warning.moderatorId),
+      new Date(warning.timestamp).toISOString(),
+      warning.reason
+    ];
+
+    if (expiryTime === null) {
+      return this.langManager.getString('command_warnings_warning', ...args);
+    }
+
+    return this.langManager.getString('command_warnings_warning_expiring', ...args, new Date(expiryTime).toISOString());
+  }
 }
 
 /**
@@ -7,6 +7,7 @@
  */
 
 const OhUtils = require('../../utils/bot-utils');
+const CommandOverrides = require('../../utils/command-overrides');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
@@ -27,7 +28,9 @@ const HelpCommandArgDefs = Object.freeze({
 });
 
 /**
- * Command to display help info about the Bot.
+ * Command to display help info about the Bot. Also shows the aliases of the commands and marks the disabled commands
+ * of the server.
+ * @see CommandOverrides
  * @alias HelpCommand
  * @extends DiscordCommand
  */
@@ -91,6 +94,8 @@ class HelpCommand extends DiscordCommand {
       message.source.DEFAULT_COMMAND_PREFIX
     );
 
+    const overrides = await CommandOverrides.getOverrides(this.context, this.source, this.orgId);
+
     if (this.command === null || this.langManager.getString(AllArgId) === this.command) {
       let commands = message.source.commandManager.definedCommands;
       if (
@@ -111,21 +116,16 @@ class HelpCommand extends DiscordCommand {
           result +
           currentPrefix +
           this.langManager.getString(command.getCommandInterfaceName()) +
+          this.describeOverrides(command, overrides, currentPrefix) +
           ' : ' +
           command.getHelpText(this.context, this.langManager) +
           '\n';
       }
     } else {
       const commands = message.source.commandManager.definedCommands;
-      let selectedCommand = null;
-      for (const command of commands) {
-        if (this.langManager.getString(command.getCommandInterfaceName()) === this.command) {
-          selectedCommand = command;
-          break;
-        }
-      }
+      const selectedCommand = CommandOverrides.findCommand(commands, overrides, this.langManager, this.command);
 
-      if (selectedCommand === null) {
+      if (selectedCommand === undefined) {
         const commandNames = [];
         for (const command of commands) {
           commandNames.push(this.langManager.getString(command.getCommandInterfaceName()));
@@ -135,6 +135,16 @@ class HelpCommand extends DiscordCommand {
         result = this.langManager.getString('command_help_wrong_command', suggestedCommands.join(', '));
       } else {
         result = selectedCommand.getHelpText(this.context, this.langManager) + '\n';
+        const commandAliases = CommandOverrides.getAliases(selectedCommand, overrides).map(a => currentPrefix + a);
+        if (commandAliases.length > 0) {
+          result =
+            result + this.langManager.getString('command_help_command_aliases', commandAliases.join(', ')) + '\n';
+        }
+
+        if (CommandOverrides.isDisabled(selectedCommand, overrides)) {
+          result = result + this.langManager.getString('command_help_command_disabled') + '\n';
+        }
+
         const argsArray = Object.values(selectedCommand.getDefinedArgs());
         for (const arg of argsArray) {
           let aliases = '';
@@ -150,6 +160,29 @@ class HelpCommand extends DiscordCommand {
     return result;
   }
 
+  /**
+   * Describes the overrides of a command for the list of the commands: the aliases and the disabled state.
+   * @param  {constructor}               commandClass  the class of the command
+   * @param  {Array<OrgCommandOverride>} overrides     the overrides of the server
+   * @param  {string}                    currentPrefix the command prefix of the server
+   * @return {string}                                  the description, empty if the command has no overrides
+   */
+  describeOverrides(commandClass, overrides, currentPrefix) {
+    let description = '';
+    const aliases = CommandOverrides.getAliases(commandClass, overrides);
+    if (aliases.length > 0) {
+      description =
+        description +
+        ' ' +
+        this.langManager.getString('command_help_aliases', aliases.map(a => currentPrefix + a).join(', '));
+    }
+
+    if (CommandOverrides.isDisabled(commandClass, overrides)) {
+      description = description + ' ' + this.langManager.getString('command_help_disabled');
+    }
+
+    return description;
+  }
 
   async getHelpCommandString(commandName, source) {
     const currentPrefix = await this.context.dbManager.getSetting(
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * @module appeal-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordPrivateCommand = require('../discord-private-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+
+const AppealManager = require('../../managers/appeal-manager');
+
+const AppealCommandArgDefs = Object.freeze({
+  id: new CommandArgDef('id', {
+    aliasIds: ['command_appeal_arg_id_alias_id', 'command_appeal_arg_id_alias_i'],
+    helpId: 'command_appeal_arg_id_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  }),
+  text: new CommandArgDef('text', {
+    aliasIds: ['command_appeal_arg_text_alias_text', 'command_appeal_arg_text_alias_t'],
+    helpId: 'command_appeal_arg_text_help',
+    scanner: FullStringArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  server: new CommandArgDef('server', {
+    aliasIds: ['command_appeal_arg_server_alias_server', 'command_appeal_arg_server_alias_s'],
+    helpId: 'command_appeal_arg_server_help',
+    scanner: FullStringArgScanner,
+    skipInSequentialRead: true
+  })
+});
+
+/**
+ * Command to appeal against a moderation case (a warning, a mute or a ban) made against the user.
+ * The appeal is posted into the appeals channel of the server, where the moderators can approve or deny it.
+ * The cases' ids are unique within a Discord server only, so the server may be needed to distinguish them.
+ * @see AppealManager
+ * @alias AppealCommand
+ * @extends DiscordPrivateCommand
+ */
+class AppealCommand extends DiscordPrivateCommand {
+  /**
+   * Creates an instance for a user from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @return {Command}                        the created instance
+   */
+  static createForUser(context, source, commandLangManager) {
+    return new AppealCommand(context, source, commandLangManager);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_appeal_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return AppealCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_appeal_help');
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    let cases = await this.context.dbManager.getRows(this.context.dbManager.moderationCasesTable, {
+      source: this.source,
+      id: Number.parseInt(this.id, 10),
+      targetId: message.userId
+    });
+    cases = cases.filter(caseRow => AppealManager.APPEALABLE_ACTIONS.includes(caseRow.action));
+
+    if (this.server !== null && this.server !== undefined) {
+      const orgs = await this.context.dbManager.getDiscordRows(this.context.dbManager.orgsTable);
+      const orgIds = new Set(orgs.filter(org => org.name === this.server).map(org => org.id));
+      orgIds.add(this.server);
+      cases = cases.filter(caseRow => orgIds.has(caseRow.orgId));
+    }
+
+    if (cases.length === 0) {
+      throw new BotPublicError(this.langManager.getString('command_appeal_not_found', this.id));
+    }
+
+    if (cases.length > 1) {
+      throw new BotPublicError(this.langManager.getString('command_appeal_ambiguous_ids'));
+    }
+
+    const appealsChannel = await this.context.appealManager.findAppealsChannel(cases[0].orgId);
+    if (appealsChannel === undefined) {
+      throw new BotPublicError(this.langManager.getString('command_appeal_disabled'));
+    }
+
+    const appeals = await this.context.dbManager.getDiscordRows(this.context.dbManager.appealsTable, cases[0].orgId, {
+      caseId: cases[0].id
+    });
+    if (appeals.length > 0) {
+      throw new BotPublicError(this.langManager.getString('command_appeal_already_appealed', this.id));
+    }
+
+    this.caseRow = cases[0];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const appeal = await this.context.appealManager.submitAppeal(this.caseRow, this.text);
+    if (appeal === null) {
+      return this.langManager.getString('command_appeal_disabled');
+    }
+
+    return this.langManager.getString('command_appeal_success', this.caseRow.id);
+  }
+}
+
+/**
+ * Exports the AppealCommand class
+ * @type {AppealCommand}
+ */
+module.exports = AppealCommand;
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * @module delete-my-reminder-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordPrivateCommand = require('../discord-private-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+
+const MyRemindersCommand = require('./my-reminders-command');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const DeleteMyReminderCommandArgDefs = Object.freeze({
+  ids: new CommandArgDef('ids', {
+    aliasIds: ['command_deletemyreminder_arg_ids_alias_ids', 'command_deletemyreminder_arg_ids_alias_i'],
+    helpId: 'command_deletemyreminder_arg_ids_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isIdsArray: true }
+  }),
+  server: new CommandArgDef('server', {
+    aliasIds: ['command_deletemyreminder_arg_server_alias_server', 'command_deletemyreminder_arg_server_alias_s'],
+    helpId: 'command_deletemyreminder_arg_server_help',
+    scanner: FullStringArgScanner
+  })
+});
+
+/**
+ * Command to delete personal reminders of the user by their ids.
+ * The reminders' ids are unique within a Discord server only, so the server may be needed to distinguish them.
+ * @see RemindMeCommand
+ * @alias DeleteMyReminderCommand
+ * @extends DiscordPrivateCommand
+ */
+class DeleteMyReminderCommand extends DiscordPrivateCommand {
+  /**
+   * Creates an instance for a user from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @return {Command}                        the created instance
+   */
+  static createForUser(context, source, commandLangManager) {
+    return new DeleteMyReminderCommand(context, source, commandLangManager);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_deletemyreminder_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return DeleteMyReminderCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_deletemyreminder_help',
+      langManager.getString(MyRemindersCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const ids = new Set(this.ids.map(a => Number.parseInt(a, 10)));
+    let tasks = await MyRemindersCommand.getUserReminders(this.context, message.userId);
+    tasks = tasks.filter(task => ids.has(task.id));
+
+    if (this.server !== null && this.server !== undefined) {
+      const orgs = await this.context.dbManager.getDiscordRows(this.context.dbManager.orgsTable);
+      const orgIds = new Set(orgs.filter(org => org.name === this.server).map(org => org.id));
+      orgIds.add(this.server);
+      tasks = tasks.filter(task => orgIds.has(task.orgId));
+    } else if (new Set(tasks.map(task => task.id)).size < tasks.length) {
+      throw new BotPublicError(this.langManager.getString('command_deletemyreminder_ambiguous_ids'));
+    }
+
+    this.tasks = tasks;
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    if (this.tasks.length === 0) {
+      return this.langManager.getString('command_deletemyreminder_no_ids_found');
+    }
+
+    for (const task of this.tasks) {
+      // Must delete the exact tasks one by one, since they may belong to different servers.
+      /* eslint-disable no-await-in-loop */
+      await this.context.dbManager.deleteDiscordRows(this.context.dbManager.tasksTable, task.orgId, {
+        id: task.id,
+        type: OrgTask.TASK_TYPES.personalReminder
+      });
+      /* eslint-enable no-await-in-loop */
+      this.context.scheduler.cancelTask(task);
+    }
+
+    return this.langManager.getString('command_deletemyreminder_success', this.tasks.map(task => task.id).join(', '));
+  }
+}
+
+/**
+ * Exports the DeleteMyReminderCommand class
+ * @type {DeleteMyReminderCommand}
+ */
+module.exports = DeleteMyReminderCommand;
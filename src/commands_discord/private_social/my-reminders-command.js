@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * @module my-reminders-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordPrivateCommand = require('../discord-private-command');
+const TimeArg = require('../../command_meta/time-arg');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+/**
+ * Command to list the personal reminders of the user from all Discord servers.
+ * @see RemindMeCommand
+ * @alias MyRemindersCommand
+ * @extends DiscordPrivateCommand
+ */
+class MyRemindersCommand extends DiscordPrivateCommand {
+  /**
+   * Creates an instance for a user from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @return {Command}                        the created instance
+   */
+  static createForUser(context, source, commandLangManager) {
+    return new MyRemindersCommand(context, source, commandLangManager);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_myreminders_name';
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_myreminders_help');
+  }
+
+  /**
+   * Gets the personal reminders of a user from all Discord servers.
+   * @param  {Context}                 context the Bot's context
+   * @param  {string}                  userId  the user identifier
+   * @return {Promise<Array<OrgTask>>}         the reminder tasks
+   */
+  static async getUserReminders(context, userId) {
+    // Keep "return await" to properly catch exceptions from the inside.
+    /* eslint-disable no-return-await */
+    return await context.dbManager.getDiscordRows(context.dbManager.tasksTable, null, {
+      type: OrgTask.TASK_TYPES.personalReminder,
+      'content.user': userId
+    });
+    /* eslint-enable no-return-await */
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    const tasks = await MyRemindersCommand.getUserReminders(this.context, message.userId);
+    if (tasks.length === 0) {
+      return this.langManager.getString('command_myreminders_no_reminders');
+    }
+
+    const orgs = await this.context.dbManager.getDiscordRows(this.context.dbManager.orgsTable);
+
+    let result = '';
+    for (const task of tasks) {
+      const org = orgs.find(value => value.id === task.orgId);
+      if (task.paused === true) {
+        result += this.langManager.getString('command_reminders_reminder_paused');
+      }
+
+      result += this.langManager.getString(
+        'command_myreminders_reminder',
+        task.id,
+        org === undefined ? task.orgId : org.name,
+        TimeArg.toString(task.time.definitions, this.langManager),
+        task.content.message
+      );
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Exports the MyRemindersCommand class
+ * @type {MyRemindersCommand}
+ */
+module.exports = MyRemindersCommand;
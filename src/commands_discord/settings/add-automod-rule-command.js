@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * @module add-automod-rule-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+
+const BaseModerationCommand = require('../moderation/base-moderation-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+const AutomodManager = require('../../managers/automod-manager');
+
+const OrgAutomodRule = require('../../mongo_classes/org-automod-rule');
+
+const MinuteMillis = 60 * 1000;
+const DefaultWindowMillis = 10 * 1000;
+const MaxCapsPercent = 100;
+
+const AddAutomodRuleCommandArgDefs = Object.freeze({
+  type: new CommandArgDef('type', {
+    aliasIds: ['command_addautomodrule_arg_type_alias_type', 'command_addautomodrule_arg_type_alias_t'],
+    helpId: 'command_addautomodrule_arg_type_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  limit: new CommandArgDef('limit', {
+    aliasIds: ['command_addautomodrule_arg_limit_alias_limit', 'command_addautomodrule_arg_limit_alias_l'],
+    helpId: 'command_addautomodrule_arg_limit_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  }),
+  action: new CommandArgDef('action', {
+    aliasIds: ['command_addautomodrule_arg_action_alias_action', 'command_addautomodrule_arg_action_alias_a'],
+    helpId: 'command_addautomodrule_arg_action_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  window: new CommandArgDef('window', {
+    aliasIds: ['command_addautomodrule_arg_window_alias_window', 'command_addautomodrule_arg_window_alias_w'],
+    helpId: 'command_addautomodrule_arg_window_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
+  }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_addautomodrule_arg_duration_alias_duration', 'command_addautomodrule_arg_duration_alias_d'],
+    helpId: 'command_addautomodrule_arg_duration_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
+  })
+});
+
+/**
+ * Command to add an automoderation rule to the Discord server: the action applied when the number of the messages,
+ * the duplicate messages, the mentions, the invite links or the joined members within a window reaches the limit,
+ * or when a message has too many capital letters.
+ * @see AutomodManager
+ * @alias AddAutomodRuleCommand
+ * @extends DiscordCommand
+ */
+class AddAutomodRuleCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new AddAutomodRuleCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_addautomodrule_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return AddAutomodRuleCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_addautomodrule_help',
+      Object.values(OrgAutomodRule.AUTOMOD_TYPES)
+        .map(type => langManager.getString(type.textId))
+        .join(', '),
+      Object.values(OrgAutomodRule.AUTOMOD_ACTIONS)
+        .map(action => langManager.getString(action.textId))
+        .join(', ')
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const type = OrgAutomodRule.findType(this.langManager, this.type.toLowerCase());
+    if (type === undefined) {
+      const localizedTypes = Object.values(OrgAutomodRule.AUTOMOD_TYPES).map(t => this.langManager.getString(t.textId));
+      throw new BotPublicError(this.langManager.getString('automod_type_wrong', this.type, localizedTypes.join(', ')));
+    }
+
+    const action = OrgAutomodRule.findAction(this.langManager, this.action.toLowerCase());
+    if (action === undefined) {
+      const localizedActions = Object.values(OrgAutomodRule.AUTOMOD_ACTIONS).map(a =>
+        this.langManager.getString(a.textId)
+      );
+      throw new BotPublicError(
+        this.langManager.getString('automod_action_wrong', this.action, localizedActions.join(', '))
+      );
+    }
+
+    this.typeName = type.name;
+    this.actionName = action.name;
+    this.validateLimit();
+
+    const actions = OrgAutomodRule.AUTOMOD_ACTIONS;
+    if (
+      this.typeName === OrgAutomodRule.AUTOMOD_TYPES.joins.name &&
+      this.actionName !== actions.mute.name &&
+      this.actionName !== actions.lock.name
+    ) {
+      throw new BotPublicError(this.langManager.getString('command_addautomodrule_wrong_joins_action'));
+    }
+
+    BaseModerationCommand.validateDuration(this, message, AddAutomodRuleCommandArgDefs.window);
+    if (this.window !== null && this.window.totalMillisecondsShift > AutomodManager.MAX_WINDOW_MILLIS) {
+      throw new BotPublicError(
+        this.langManager.getString(
+          'command_addautomodrule_wrong_window',
+          AutomodManager.MAX_WINDOW_MILLIS / MinuteMillis
+        )
+      );
+    }
+
+    BaseModerationCommand.validateDuration(this, message, AddAutomodRuleCommandArgDefs.duration);
+    if (this.duration !== null && this.actionName !== actions.mute.name && this.actionName !== actions.lock.name) {
+      throw new BotPublicError(this.langManager.getString('command_addautomodrule_duration_not_applicable'));
+    }
+  }
+
+  /**
+   * Validates the limit of the rule: it should be positive, and should not exceed 100 percent for the caps rules.
+   * Throws BotPublicError if the limit is wrong.
+   * @throws {BotPublicError}
+   */
+  validateLimit() {
+    const limit = Number.parseInt(this.limit, 10);
+    if (limit === 0) {
+      throw new BotPublicError(this.langManager.getString('command_addautomodrule_wrong_limit'));
+    }
+
+    if (this.typeName === OrgAutomodRule.AUTOMOD_TYPES.caps.name && limit > MaxCapsPercent) {
+      throw new BotPublicError(this.langManager.getString('command_addautomodrule_wrong_caps_limit', MaxCapsPercent));
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const rulesTable = this.context.dbManager.automodRulesTable;
+    const currentRules = await this.context.dbManager.getDiscordRows(rulesTable, this.orgId);
+    const rule = {
+      id: OhUtils.findMaxId(currentRules) + 1,
+      source: this.source,
+      orgId: this.orgId,
+      type: this.typeName,
+      limit: Number.parseInt(this.limit, 10),
+      window: this.window === null ? DefaultWindowMillis : this.window.totalMillisecondsShift,
+      action: this.actionName,
+      duration: this.duration === null ? 0 : this.duration.totalMillisecondsShift
+    };
+    await this.context.dbManager.insertOne(rulesTable, rule);
+
+    this.context.log.i('AddAutomodRuleCommand done: added rule ' + rule.id + ' in guild ' + this.orgId);
+    return this.langManager.getString(
+      'command_addautomodrule_success',
+      rule.id,
+      AutomodManager.describeRule(rule, this.langManager)
+    );
+  }
+}
+
+/**
+ * Exports the AddAutomodRuleCommand class
+ * @type {AddAutomodRuleCommand}
+ */
+module.exports = AddAutomodRuleCommand;
@@ -6,13 +6,18 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+const BadWordsMatcher = require('../../utils/bad-words-matcher');
+
 const DiscordCommand = require('../discord-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
-const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+const OrgBadWord = require('../../mongo_classes/org-bad-word');
 
 const AddBadWordsCommandArgDefs = Object.freeze({
   words: new CommandArgDef('words', {
@@ -20,11 +25,18 @@ const AddBadWordsCommandArgDefs = Object.freeze({
     helpId: 'command_addbadwords_arg_words_help',
     scanner: ArrayArgScanner,
     validationOptions: { isArray: true }
+  }),
+  mode: new CommandArgDef('mode', {
+    aliasIds: ['command_addbadwords_arg_mode_alias_mode', 'command_addbadwords_arg_mode_alias_m'],
+    helpId: 'command_addbadwords_arg_mode_help',
+    scanner: SimpleArgScanner,
+    skipInSequentialRead: true
   })
 });
 
 /**
- * Command to add bad words which can be censored later.
+ * Command to add bad words which can be censored later. All the words added at once get the same match mode.
+ * @see BadWordsMatcher
  * @alias AddBadWordsCommand
  * @extends DiscordCommand
  */
@@ -66,7 +78,12 @@ class AddBadWordsCommand extends DiscordCommand {
    * @return {string}                  the localized help text
    */
   static getHelpText(context, langManager) {
-    return langManager.getString('command_addbadwords_help');
+    return langManager.getString(
+      'command_addbadwords_help',
+      Object.values(OrgBadWord.MATCH_MODES)
+        .map(mode => langManager.getString(mode.textId))
+        .join(', ')
+    );
   }
 
   /**
@@ -78,6 +95,41 @@ class AddBadWordsCommand extends DiscordCommand {
     return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
   }
 
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    if (this.mode === null || this.mode === undefined) {
+      this.modeName = OrgBadWord.MATCH_MODES.word.name;
+    } else {
+      const mode = OrgBadWord.findMatchMode(this.langManager, this.mode);
+      if (mode === undefined) {
+        const localizedModes = Object.values(OrgBadWord.MATCH_MODES).map(a => this.langManager.getString(a.textId));
+        throw new BotPublicError(
+          this.langManager.getString('bad_words_mode_wrong', this.mode, localizedModes.join(', '))
+        );
+      }
+
+      this.modeName = mode.name;
+    }
+
+    if (this.modeName === OrgBadWord.MATCH_MODES.regex.name) {
+      for (const word of this.words) {
+        const problem = BadWordsMatcher.validateRegex(word, this.langManager);
+        if (problem !== null) {
+          throw new BotPublicError(problem);
+        }
+      }
+    }
+  }
+
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
@@ -88,16 +140,8 @@ class AddBadWordsCommand extends DiscordCommand {
   async executeForDiscord(message) {
     // Inherited function with various possible implementations, some args may be unused.
     /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    const currentWordsString = await this.context.dbManager.getSetting(
-      this.source,
-      this.orgId,
-      ServerSettingsTable.SERVER_SETTINGS.badwords.name,
-      ''
-    );
-    let currentWords = [];
-    if (currentWordsString.length > 0) {
-      currentWords = currentWordsString.split(ArrayArgScanner.ARRAY_SEPARATOR);
-    }
+    const currentWords = await this.context.dbManager.getDiscordRows(this.context.dbManager.badWordsTable, this.orgId);
+    let maxId = OhUtils.findMaxId(currentWords);
 
     const wordsToAdd = [];
     for (let i = 0; i < this.words.length; i++) {
@@ -105,28 +149,24 @@ class AddBadWordsCommand extends DiscordCommand {
         continue;
       }
 
-      let found = false;
-      for (const currentWord of currentWords) {
-        if (currentWord === this.words[i]) {
-          found = true;
-          break;
-        }
-      }
-
+      const found =
+        currentWords.some(currentWord => currentWord.word === this.words[i]) || wordsToAdd.includes(this.words[i]);
       if (!found) {
         wordsToAdd.push(this.words[i]);
       }
     }
 
-    if (wordsToAdd.length > 0) {
-      const newWordsString = currentWords.concat(wordsToAdd).join(ArrayArgScanner.ARRAY_SEPARATOR);
-      await this.context.dbManager.setSetting(
-        this.source,
-        this.orgId,
-        ServerSettingsTable.SERVER_SETTINGS.badwords.name,
-        newWordsString
-      );
-    }
+    await Promise.all(
+      wordsToAdd.map(word =>
+        this.context.dbManager.insertOne(this.context.dbManager.badWordsTable, {
+          id: ++maxId,
+          source: this.source,
+          orgId: this.orgId,
+          word,
+          mode: this.modeName
+        })
+      )
+    );
 
     this.context.log.i('AddBadWordsCommand done: added ' + wordsToAdd.length + ' words.');
     return this.langManager.getString('command_addbadwords_success', wordsToAdd.length);
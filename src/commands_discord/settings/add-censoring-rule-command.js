@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * @module add-censoring-rule-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordChannelsArgScanner = require('../../arg_scanners/discord-channels-arg-scanner');
+const DiscordSubjectsArgScanner = require('../../arg_scanners/discord-subjects-arg-scanner');
+
+const SetCensoringCommand = require('./set-censoring-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgCensoringRule = require('../../mongo_classes/org-censoring-rule');
+
+const AddCensoringRuleCommandArgDefs = Object.freeze({
+  action: new CommandArgDef('action', {
+    aliasIds: ['command_addcensoringrule_arg_action_alias_action', 'command_addcensoringrule_arg_action_alias_a'],
+    helpId: 'command_addcensoringrule_arg_action_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  channels: new CommandArgDef('channels', {
+    aliasIds: ['command_addcensoringrule_arg_channels_alias_channels', 'command_addcensoringrule_arg_channels_alias_c'],
+    helpId: 'command_addcensoringrule_arg_channels_help',
+    scanner: DiscordChannelsArgScanner,
+    validationOptions: { validChannels: true, anyValueAllowed: true }
+  }),
+  exemptRoles: new CommandArgDef('exemptRoles', {
+    aliasIds: [
+      'command_addcensoringrule_arg_exemptRoles_alias_exemptRoles',
+      'command_addcensoringrule_arg_exemptRoles_alias_r'
+    ],
+    helpId: 'command_addcensoringrule_arg_exemptRoles_help',
+    scanner: DiscordSubjectsArgScanner
+  })
+});
+
+/**
+ * Command to add a censoring rule to the Discord server: the action to be applied to the messages with bad words
+ * in the given channels or categories (or in the whole server), and the roles exempt from the rule.
+ * @see MessageModerator
+ * @alias AddCensoringRuleCommand
+ * @extends DiscordCommand
+ */
+class AddCensoringRuleCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new AddCensoringRuleCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_addcensoringrule_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return AddCensoringRuleCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_addcensoringrule_help',
+      langManager.getString(SetCensoringCommand.getCommandInterfaceName()),
+      Object.values(OrgCensoringRule.CENSORING_ACTIONS)
+        .map(action => langManager.getString(action.textId))
+        .join(', ')
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultDiscordArgValue(message, arg) {
+    switch (arg) {
+      case AddCensoringRuleCommandArgDefs.channels:
+        return this.langManager.getString(DiscordCommand.ANY_VALUE_TEXT);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const action = OrgCensoringRule.findAction(this.langManager, this.action);
+    if (action === undefined) {
+      const localizedActions = Object.values(OrgCensoringRule.CENSORING_ACTIONS).map(a =>
+        this.langManager.getString(a.textId)
+      );
+      throw new BotPublicError(
+        this.langManager.getString('censoring_action_wrong', this.action, localizedActions.join(', '))
+      );
+    }
+
+    this.actionName = action.name;
+
+    // The exempt roles are optional, so they are validated only if provided.
+    if (this.exemptRoles !== null && this.exemptRoles !== undefined) {
+      if (
+        this.exemptRoles.subjectIds.length > 0 ||
+        (await this.exemptRoles.validateDiscordSubjectsArg(this.context, this.orgId))
+      ) {
+        throw new BotPublicError(this.langManager.getString('command_addcensoringrule_wrong_roles'));
+      }
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const rulesTable = this.context.dbManager.censoringRulesTable;
+    const currentRules = await this.context.dbManager.getDiscordRows(rulesTable, this.orgId);
+    const rule = {
+      id: OhUtils.findMaxId(currentRules) + 1,
+      source: this.source,
+      orgId: this.orgId,
+      channelIds: this.channels.channels[0] === OhUtils.ANY_VALUE ? [] : this.channels.channels,
+      exemptRoleIds: this.exemptRoles === null || this.exemptRoles === undefined ? [] : this.exemptRoles.subjectRoles,
+      action: this.actionName
+    };
+    await this.context.dbManager.insertOne(rulesTable, rule);
+
+    this.context.log.i('AddCensoringRuleCommand done: added rule ' + rule.id + ' in guild ' + this.orgId);
+    return this.langManager.getString('command_addcensoringrule_success', rule.id);
+  }
+}
+
+/**
+ * Exports the AddCensoringRuleCommand class
+ * @type {AddCensoringRuleCommand}
+ */
+module.exports = AddCensoringRuleCommand;
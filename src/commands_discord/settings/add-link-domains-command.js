@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * @module add-link-domains-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+const LinkFilter = require('../../utils/link-filter');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgLinkDomain = require('../../mongo_classes/org-link-domain');
+
+const AddLinkDomainsCommandArgDefs = Object.freeze({
+  domains: new CommandArgDef('domains', {
+    aliasIds: ['command_addlinkdomains_arg_domains_alias_domains', 'command_addlinkdomains_arg_domains_alias_d'],
+    helpId: 'command_addlinkdomains_arg_domains_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isArray: true }
+  }),
+  list: new CommandArgDef('list', {
+    aliasIds: ['command_addlinkdomains_arg_list_alias_list', 'command_addlinkdomains_arg_list_alias_l'],
+    helpId: 'command_addlinkdomains_arg_list_help',
+    scanner: SimpleArgScanner,
+    skipInSequentialRead: true
+  })
+});
+
+/**
+ * Command to add domains of links to the allowlist or to the denylist of the Discord server.
+ * A domain which is already in the other list is moved to the given list.
+ * @see LinkFilter
+ * @alias AddLinkDomainsCommand
+ * @extends DiscordCommand
+ */
+class AddLinkDomainsCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new AddLinkDomainsCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_addlinkdomains_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return AddLinkDomainsCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_addlinkdomains_help',
+      LinkFilter.ANY_DOMAIN,
+      Object.values(OrgLinkDomain.LINK_LISTS)
+        .map(list => langManager.getString(list.textId))
+        .join(', ')
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    if (this.list === null || this.list === undefined) {
+      this.listName = OrgLinkDomain.LINK_LISTS.deny.name;
+    } else {
+      const list = OrgLinkDomain.findList(this.langManager, this.list);
+      if (list === undefined) {
+        const localizedLists = Object.values(OrgLinkDomain.LINK_LISTS).map(a => this.langManager.getString(a.textId));
+        throw new BotPublicError(this.langManager.getString('link_list_wrong', this.list, localizedLists.join(', ')));
+      }
+
+      this.listName = list.name;
+    }
+
+    this.normalizedDomains = [];
+    for (const domain of this.domains) {
+      if (domain === undefined || domain === null || domain.length === 0) {
+        continue;
+      }
+
+      const normalizedDomain = LinkFilter.normalizeDomain(domain);
+      if (!LinkFilter.isValidDomain(normalizedDomain)) {
+        throw new BotPublicError(this.langManager.getString('command_addlinkdomains_wrong_domain', domain));
+      }
+
+      if (!this.normalizedDomains.includes(normalizedDomain)) {
+        this.normalizedDomains.push(normalizedDomain);
+      }
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const domainsTable = this.context.dbManager.linkDomainsTable;
+    const currentDomains = await this.context.dbManager.getDiscordRows(domainsTable, this.orgId);
+    let maxId = OhUtils.findMaxId(currentDomains);
+
+    const updates = [];
+    for (const domain of this.normalizedDomains) {
+      const currentDomain = currentDomains.find(domainRow => domainRow.domain === domain);
+      if (currentDomain === undefined) {
+        updates.push(
+          this.context.dbManager.insertOne(domainsTable, {
+            id: ++maxId,
+            source: this.source,
+            orgId: this.orgId,
+            domain,
+            list: this.listName
+          })
+        );
+      } else if (currentDomain.list !== this.listName) {
+        currentDomain.list = this.listName;
+        updates.push(domainsTable.insertOrUpdate(currentDomain));
+      }
+    }
+
+    await Promise.all(updates);
+
+    this.context.log.i('AddLinkDomainsCommand done: added ' + updates.length + ' domains.');
+    return this.langManager.getString('command_addlinkdomains_success', updates.length);
+  }
+}
+
+/**
+ * Exports the AddLinkDomainsCommand class
+ * @type {AddLinkDomainsCommand}
+ */
+module.exports = AddLinkDomainsCommand;
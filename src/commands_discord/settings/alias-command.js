@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * @module alias-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+const CommandOverrides = require('../../utils/command-overrides');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgCommandOverride = require('../../mongo_classes/org-command-override');
+
+const MaxAliasLength = 32;
+
+const AliasCommandArgDefs = Object.freeze({
+  alias: new CommandArgDef('alias', {
+    aliasIds: ['command_alias_arg_alias_alias_alias', 'command_alias_arg_alias_alias_a'],
+    helpId: 'command_alias_arg_alias_help',
+    validationOptions: { nonNull: true }
+  }),
+  command: new CommandArgDef('command', {
+    aliasIds: ['command_alias_arg_command_alias_command', 'command_alias_arg_command_alias_c'],
+    helpId: 'command_alias_arg_command_help',
+    validationOptions: { nonNull: true }
+  })
+});
+
+/**
+ * Command to add an alias of a command on the Discord server, so the command can be called by the alias
+ * in addition to its localized name. If the alias already exists, then it's reassigned to the given command.
+ * @see CommandOverrides
+ * @alias AliasCommand
+ * @extends DiscordCommand
+ */
+class AliasCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new AliasCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_alias_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return AliasCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_alias_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    if (this.alias.length > MaxAliasLength) {
+      throw new BotPublicError(this.langManager.getString('command_alias_too_long', MaxAliasLength));
+    }
+
+    const commandClasses = message.source.commandManager.definedCommands;
+    if (
+      CommandOverrides.findByName(commandClasses, this.langManager, this.alias) !== undefined ||
+      CommandOverrides.findByName(commandClasses, this.context.langManager, this.alias) !== undefined
+    ) {
+      throw new BotPublicError(this.langManager.getString('command_alias_name_taken', this.alias));
+    }
+
+    this.overrides = await CommandOverrides.getOverrides(this.context, this.source, this.orgId);
+    this.commandClass = CommandOverrides.findCommand(commandClasses, this.overrides, this.langManager, this.command);
+    if (this.commandClass === undefined) {
+      throw new BotPublicError(this.langManager.getString('command_alias_wrong_command', this.command));
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const overridesTable = this.context.dbManager.commandOverridesTable;
+    const commandName = this.commandClass.getCommandInterfaceName();
+
+    const currentAlias = this.overrides.find(
+      row => row.type === OrgCommandOverride.OVERRIDE_TYPES.alias && row.alias === this.alias
+    );
+    if (currentAlias === undefined) {
+      const currentRows = await this.context.dbManager.getDiscordRows(overridesTable, this.orgId);
+      await this.context.dbManager.insertOne(overridesTable, {
+        id: OhUtils.findMaxId(currentRows) + 1,
+        source: this.source,
+        orgId: this.orgId,
+        type: OrgCommandOverride.OVERRIDE_TYPES.alias,
+        command: commandName,
+        alias: this.alias
+      });
+    } else if (currentAlias.command !== commandName) {
+      currentAlias.command = commandName;
+      await overridesTable.insertOrUpdate(currentAlias);
+    }
+
+    this.context.log.i('AliasCommand done: alias ' + this.alias + ' for ' + commandName + ' in guild ' + this.orgId);
+    return this.langManager.getString('command_alias_success', this.alias, this.langManager.getString(commandName));
+  }
+}
+
+/**
+ * Exports the AliasCommand class
+ * @type {AliasCommand}
+ */
+module.exports = AliasCommand;
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * @module automod-rules-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordCommand = require('../discord-command');
+
+const AddAutomodRuleCommand = require('./add-automod-rule-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+const AutomodManager = require('../../managers/automod-manager');
+
+/**
+ * Command to list the automoderation rules of the Discord server.
+ * @see AutomodManager
+ * @alias AutomodRulesCommand
+ * @extends DiscordCommand
+ */
+class AutomodRulesCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new AutomodRulesCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_automodrules_name';
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_automodrules_help',
+      langManager.getString(AddAutomodRuleCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const rules = await this.context.automodManager.getRules(this.source, this.orgId);
+    if (rules.length === 0) {
+      return this.langManager.getString('command_automodrules_no_rules');
+    }
+
+    let result = this.langManager.getString('command_automodrules_title');
+    for (const rule of rules) {
+      result +=
+        '\n' +
+        this.langManager.getString(
+          'command_automodrules_rule',
+          rule.id,
+          AutomodManager.describeRule(rule, this.langManager)
+        );
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Exports the AutomodRulesCommand class
+ * @type {AutomodRulesCommand}
+ */
+module.exports = AutomodRulesCommand;
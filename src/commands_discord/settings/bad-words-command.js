@@ -7,11 +7,10 @@
  */
 
 const DiscordCommand = require('../discord-command');
-const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
-const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+const OrgBadWord = require('../../mongo_classes/org-bad-word');
 
 /**
  * Command to list the bad words currently set up for the Discord server.
@@ -70,16 +69,21 @@ class BadWordsCommand extends DiscordCommand {
   async executeForDiscord(message) {
     // Inherited function with various possible implementations, some args may be unused.
     /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    const currentWordsString = await this.context.dbManager.getSetting(
-      this.source,
-      this.orgId,
-      ServerSettingsTable.SERVER_SETTINGS.badwords.name,
-      ''
-    );
-    const currentWords = currentWordsString.split(ArrayArgScanner.ARRAY_SEPARATOR);
+    const currentWords = await this.context.dbManager.getDiscordRows(this.context.dbManager.badWordsTable, this.orgId);
 
-    if (currentWordsString.length > 0) {
-      return this.langManager.getString('command_badwords_success', currentWords.join(', '));
+    if (currentWords.length > 0) {
+      const modes = Object.values(OrgBadWord.MATCH_MODES);
+      const wordsTexts = currentWords
+        .sort((a, b) => a.id - b.id)
+        .map(currentWord => {
+          const mode = modes.find(a => a.name === currentWord.mode);
+          return this.langManager.getString(
+            'command_badwords_word',
+            currentWord.word,
+            mode === undefined ? currentWord.mode : this.langManager.getString(mode.textId)
+          );
+        });
+      return this.langManager.getString('command_badwords_success', wordsTexts.join(', '));
     }
 
     return this.langManager.getString('command_badwords_empty');
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * @module censoring-rules-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../../utils/discord-utils');
+
+const DiscordCommand = require('../discord-command');
+
+const AddCensoringRuleCommand = require('./add-censoring-rule-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgCensoringRule = require('../../mongo_classes/org-censoring-rule');
+
+/**
+ * Command to list the censoring rules of the Discord server.
+ * @see MessageModerator
+ * @alias CensoringRulesCommand
+ * @extends DiscordCommand
+ */
+class CensoringRulesCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new CensoringRulesCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_censoringrules_name';
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_censoringrules_help',
+      langManager.getString(AddCensoringRuleCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const rules = await this.context.dbManager.getDiscordRows(this.context.dbManager.censoringRulesTable, this.orgId);
+    if (rules.length === 0) {
+      return this.langManager.getString('command_censoringrules_no_rules');
+    }
+
+    rules.sort((a, b) => a.id - b.id);
+
+    let result = this.langManager.getString('command_censoringrules_title');
+    for (const rule of rules) {
+      const channels =
+        rule.channelIds.length === 0
+          ? this.langManager.getString('command_censoringrules_whole_server')
+          : rule.channelIds.map(channelId => DiscordUtils.makeChannelMention(channelId)).join(', ');
+      const exemptRoles =
+        rule.exemptRoleIds.length === 0
+          ? this.langManager.getString('command_censoringrules_no_exempt_roles')
+          : rule.exemptRoleIds.map(roleId => DiscordUtils.makeRoleMention(roleId)).join(', ');
+      const action = OrgCensoringRule.CENSORING_ACTIONS[rule.action];
+
+      result +=
+        '\n' +
+        this.langManager.getString(
+          'command_censoringrules_rule',
+          rule.id,
+          channels,
+          this.langManager.getString(action.textId),
+          exemptRoles
+        );
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Exports the CensoringRulesCommand class
+ * @type {CensoringRulesCommand}
+ */
+module.exports = CensoringRulesCommand;
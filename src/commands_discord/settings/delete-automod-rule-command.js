@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * @module delete-automod-rule-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+
+const AutomodRulesCommand = require('./automod-rules-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const DeleteAutomodRuleCommandArgDefs = Object.freeze({
+  ids: new CommandArgDef('ids', {
+    aliasIds: ['command_deleteautomodrule_arg_ids_alias_ids', 'command_deleteautomodrule_arg_ids_alias_i'],
+    helpId: 'command_deleteautomodrule_arg_ids_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isIdsArray: true }
+  })
+});
+
+/**
+ * Command to delete automoderation rules according to their ids in the Discord server.
+ * @see AutomodManager
+ * @alias DeleteAutomodRuleCommand
+ * @extends DiscordCommand
+ */
+class DeleteAutomodRuleCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new DeleteAutomodRuleCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_deleteautomodrule_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return DeleteAutomodRuleCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_deleteautomodrule_help',
+      langManager.getString(AutomodRulesCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const rulesTable = this.context.dbManager.automodRulesTable;
+    const idsToDelete = this.ids.map(a => Number.parseInt(a, 10));
+    const rules = await this.context.dbManager.getDiscordRows(rulesTable, this.orgId, { id: { $in: idsToDelete } });
+
+    if (rules.length === 0) {
+      return this.langManager.getString('command_deleteautomodrule_no_ids_found');
+    }
+
+    await this.context.dbManager.deleteDiscordRows(rulesTable, this.orgId, { id: { $in: idsToDelete } });
+    return this.langManager.getString('command_deleteautomodrule_success');
+  }
+}
+
+/**
+ * Exports the DeleteAutomodRuleCommand class
+ * @type {DeleteAutomodRuleCommand}
+ */
+module.exports = DeleteAutomodRuleCommand;
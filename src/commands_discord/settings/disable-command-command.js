@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * @module disable-command-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+const CommandOverrides = require('../../utils/command-overrides');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const BooleanArgScanner = require('../../arg_scanners/boolean-arg-scanner');
+
+const HelpCommand = require('../other/help-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgCommandOverride = require('../../mongo_classes/org-command-override');
+
+const DisableCommandCommandArgDefs = Object.freeze({
+  command: new CommandArgDef('command', {
+    aliasIds: ['command_disablecommand_arg_command_alias_command', 'command_disablecommand_arg_command_alias_c'],
+    helpId: 'command_disablecommand_arg_command_help',
+    validationOptions: { nonNull: true }
+  }),
+  disable: new CommandArgDef('disable', {
+    aliasIds: ['command_disablecommand_arg_disable_alias_disable', 'command_disablecommand_arg_disable_alias_d'],
+    helpId: 'command_disablecommand_arg_disable_help',
+    scanner: BooleanArgScanner,
+    validationOptions: { isOnOff: true }
+  })
+});
+
+/**
+ * Command to disable a command on the Discord server (or to enable it back). The disabled commands are
+ * not recognized neither by their names nor by their aliases. The help command and this command itself
+ * cannot be disabled, so the commands can always be enabled back.
+ * @see CommandOverrides
+ * @alias DisableCommandCommand
+ * @extends DiscordCommand
+ */
+class DisableCommandCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new DisableCommandCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_disablecommand_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return DisableCommandCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_disablecommand_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultDiscordArgValue(message, arg) {
+    switch (arg) {
+      case DisableCommandCommandArgDefs.disable:
+        return this.langManager.getString('arg_boolean_on');
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    this.overrides = await CommandOverrides.getOverrides(this.context, this.source, this.orgId);
+    this.commandClass = CommandOverrides.findCommand(
+      message.source.commandManager.definedCommands,
+      this.overrides,
+      this.langManager,
+      this.command
+    );
+    if (this.commandClass === undefined) {
+      throw new BotPublicError(this.langManager.getString('command_disablecommand_wrong_command', this.command));
+    }
+
+    if (this.disable && [HelpCommand, DisableCommandCommand].includes(this.commandClass)) {
+      throw new BotPublicError(this.langManager.getString('command_disablecommand_protected', this.command));
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const overridesTable = this.context.dbManager.commandOverridesTable;
+    const commandName = this.commandClass.getCommandInterfaceName();
+    const localizedName = this.langManager.getString(commandName);
+
+    if (!this.disable) {
+      await this.context.dbManager.deleteDiscordRows(overridesTable, this.orgId, {
+        type: OrgCommandOverride.OVERRIDE_TYPES.disabled,
+        command: commandName
+      });
+      return this.langManager.getString('command_disablecommand_enabled', localizedName);
+    }
+
+    if (!CommandOverrides.isDisabled(this.commandClass, this.overrides)) {
+      const currentRows = await this.context.dbManager.getDiscordRows(overridesTable, this.orgId);
+      await this.context.dbManager.insertOne(overridesTable, {
+        id: OhUtils.findMaxId(currentRows) + 1,
+        source: this.source,
+        orgId: this.orgId,
+        type: OrgCommandOverride.OVERRIDE_TYPES.disabled,
+        command: commandName,
+        alias: null
+      });
+    }
+
+    return this.langManager.getString('command_disablecommand_disabled', localizedName);
+  }
+}
+
+/**
+ * Exports the DisableCommandCommand class
+ * @type {DisableCommandCommand}
+ */
+module.exports = DisableCommandCommand;
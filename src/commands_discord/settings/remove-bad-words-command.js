@@ -12,8 +12,6 @@ const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
-const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
-
 const RemoveBadWordsommandArgDefs = Object.freeze({
   words: new CommandArgDef('words', {
     aliasIds: ['command_removebadwords_arg_words_alias_words', 'command_removebadwords_arg_words_alias_w'],
@@ -88,45 +86,16 @@ class RemoveBadWordsCommand extends DiscordCommand {
   async executeForDiscord(message) {
     // Inherited function with various possible implementations, some args may be unused.
     /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    const currentWordsString = await this.context.dbManager.getSetting(
-      this.source,
-      this.orgId,
-      ServerSettingsTable.SERVER_SETTINGS.badwords.name,
-      ''
-    );
-    const currentWords = currentWordsString.split(ArrayArgScanner.ARRAY_SEPARATOR);
-
-    const wordsToRemove = [];
-    for (let i = 0; i < this.words.length; i++) {
-      if (this.words[i] === undefined || this.words[i] === null || this.words[i].length === 0) {
-        continue;
-      }
+    const currentWords = await this.context.dbManager.getDiscordRows(this.context.dbManager.badWordsTable, this.orgId);
 
-      let found = false;
-      for (const currentWord of currentWords) {
-        if (currentWord === this.words[i]) {
-          found = true;
-          break;
-        }
-      }
-
-      if (found) {
-        wordsToRemove.push(this.words[i]);
-      }
-    }
+    const wordsToRemove = currentWords
+      .map(currentWord => currentWord.word)
+      .filter(currentWord => this.words.includes(currentWord));
 
     if (wordsToRemove.length > 0) {
-      const newWordsString = currentWords
-        .filter((value, index, array) => {
-          return !wordsToRemove.includes(value);
-        })
-        .join(ArrayArgScanner.ARRAY_SEPARATOR);
-      await this.context.dbManager.setSetting(
-        this.source,
-        this.orgId,
-        ServerSettingsTable.SERVER_SETTINGS.badwords.name,
-        newWordsString
-      );
+      await this.context.dbManager.deleteDiscordRows(this.context.dbManager.badWordsTable, this.orgId, {
+        word: { $in: wordsToRemove }
+      });
     }
 
     this.context.log.i('AddBadWordsCommand done: removed ' + wordsToRemove.length + ' words.');
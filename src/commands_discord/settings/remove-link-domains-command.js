@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * @module remove-link-domains-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const LinkFilter = require('../../utils/link-filter');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const RemoveLinkDomainsCommandArgDefs = Object.freeze({
+  domains: new CommandArgDef('domains', {
+    aliasIds: ['command_removelinkdomains_arg_domains_alias_domains', 'command_removelinkdomains_arg_domains_alias_d'],
+    helpId: 'command_removelinkdomains_arg_domains_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isArray: true }
+  })
+});
+
+/**
+ * Command to remove specified domains from the allowlist and the denylist of the links on the Discord server.
+ * @see LinkFilter
+ * @alias RemoveLinkDomainsCommand
+ * @extends DiscordCommand
+ */
+class RemoveLinkDomainsCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new RemoveLinkDomainsCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_removelinkdomains_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return RemoveLinkDomainsCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_removelinkdomains_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const domainsTable = this.context.dbManager.linkDomainsTable;
+    const currentDomains = await this.context.dbManager.getDiscordRows(domainsTable, this.orgId);
+    const normalizedDomains = this.domains.map(domain => LinkFilter.normalizeDomain(domain));
+
+    const domainsToRemove = currentDomains
+      .map(currentDomain => currentDomain.domain)
+      .filter(currentDomain => normalizedDomains.includes(currentDomain));
+
+    if (domainsToRemove.length > 0) {
+      await this.context.dbManager.deleteDiscordRows(domainsTable, this.orgId, { domain: { $in: domainsToRemove } });
+    }
+
+    this.context.log.i('RemoveLinkDomainsCommand done: removed ' + domainsToRemove.length + ' domains.');
+    return this.langManager.getString('command_removelinkdomains_success', domainsToRemove.length);
+  }
+}
+
+/**
+ * Exports the RemoveLinkDomainsCommand class
+ * @type {RemoveLinkDomainsCommand}
+ */
+module.exports = RemoveLinkDomainsCommand;
@@ -9,25 +9,39 @@
 const DiscordCommand = require('../discord-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
-const WarnCommand = require('../moderation/warn-command');
+const WarnCommand = require('../../commands_common/moderation/warn-command');
+const BaseModerationCommand = require('../moderation/base-moderation-command');
 
 const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
 
+const MinuteMillis = 60 * 1000;
+
 const SetBanOnWarningsCommandArgDefs = Object.freeze({
   count: new CommandArgDef('count', {
     aliasIds: ['command_setbanonwarnings_arg_count_alias_count', 'command_setbanonwarnings_arg_count_alias_c'],
     helpId: 'command_setbanonwarnings_arg_count_help',
     scanner: SimpleArgScanner,
     validationOptions: { isNonNegativeInteger: true }
+  }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: [
+      'command_setbanonwarnings_arg_duration_alias_duration',
+      'command_setbanonwarnings_arg_duration_alias_t'
+    ],
+    helpId: 'command_setbanonwarnings_arg_duration_help',
+    scanner: TimeArgScanner,
+    skipInSequentialRead: true
   })
 });
 
 /**
  * Command to set how many warnings a user should receive before he gets banned by the Bot automatically.
- * Zero means the auto-ban is disabled.
+ * Zero means the auto-ban is disabled. Optionally sets the duration of the auto-ban, otherwise the auto-ban
+ * is permanent.
  * @alias SetBanOnWarningsCommand
  * @extends DiscordCommand
  */
@@ -98,6 +112,20 @@ class SetBanOnWarningsCommand extends DiscordCommand {
     }
   }
 
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    BaseModerationCommand.validateDuration(this, message, SetBanOnWarningsCommandArgDefs.duration);
+  }
+
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
@@ -110,8 +138,10 @@ class SetBanOnWarningsCommand extends DiscordCommand {
     /* eslint no-unused-vars: ["error", { "args": "none" }] */
     let textResult = null;
     const countNumber = Number.parseInt(this.count, 10);
+    const durationMillis = this.duration === null ? 0 : this.duration.totalMillisecondsShift;
     if (countNumber > 0) {
-      textResult = 'command_setbanonwarnings_enabled';
+      textResult =
+        durationMillis > 0 ? 'command_setbanonwarnings_enabled_temporary' : 'command_setbanonwarnings_enabled';
     } else {
       textResult = 'command_setbanonwarnings_disabled';
     }
@@ -123,6 +153,17 @@ class SetBanOnWarningsCommand extends DiscordCommand {
       this.count
     );
 
+    await this.context.dbManager.setSetting(
+      this.source,
+      this.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.banOnWarningsDuration.name,
+      String(durationMillis)
+    );
+
+    if (countNumber > 0 && durationMillis > 0) {
+      return this.langManager.getString(textResult, this.count, Math.round(durationMillis / MinuteMillis));
+    }
+
     return this.langManager.getString(textResult, this.count);
   }
 }
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * @module set-escalation-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+const EscalationLadder = require('../../utils/escalation-ladder');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const WarnCommand = require('../../commands_common/moderation/warn-command');
+const BaseModerationCommand = require('../moderation/base-moderation-command');
+
+const OrgEscalationStep = require('../../mongo_classes/org-escalation-step');
+
+const NoActionName = 'none';
+
+const SetEscalationCommandArgDefs = Object.freeze({
+  count: new CommandArgDef('count', {
+    aliasIds: ['command_setescalation_arg_count_alias_count', 'command_setescalation_arg_count_alias_c'],
+    helpId: 'command_setescalation_arg_count_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  }),
+  action: new CommandArgDef('action', {
+    aliasIds: ['command_setescalation_arg_action_alias_action', 'command_setescalation_arg_action_alias_a'],
+    helpId: 'command_setescalation_arg_action_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_setescalation_arg_duration_alias_duration', 'command_setescalation_arg_duration_alias_t'],
+    helpId: 'command_setescalation_arg_duration_help',
+    scanner: TimeArgScanner
+  })
+});
+
+const ActionArgPredefinedValues = Object.freeze({
+  [OrgEscalationStep.ESCALATION_ACTIONS.mute]: 'command_setescalation_arg_action_value_mute',
+  [OrgEscalationStep.ESCALATION_ACTIONS.kick]: 'command_setescalation_arg_action_value_kick',
+  [OrgEscalationStep.ESCALATION_ACTIONS.ban]: 'command_setescalation_arg_action_value_ban',
+  [NoActionName]: 'command_setescalation_arg_action_value_none'
+});
+
+/**
+ * Command to set a step of the server's escalation ladder: the action applied to a user automatically
+ * when they get the given number of warnings. The "none" action removes the step.
+ * Once the ladder has steps, the legacy ban/mute on warnings settings are ignored.
+ * @see EscalationLadder
+ * @alias SetEscalationCommand
+ * @extends DiscordCommand
+ */
+class SetEscalationCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SetEscalationCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_setescalation_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SetEscalationCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_setescalation_help',
+      langManager.getString(WarnCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    if (Number.parseInt(this.count, 10) === 0) {
+      throw new BotPublicError(this.langManager.getString('command_setescalation_wrong_count'));
+    }
+
+    this.actionName = Object.keys(ActionArgPredefinedValues).find(
+      key => this.langManager.getString(ActionArgPredefinedValues[key]) === this.action.toLowerCase()
+    );
+    if (this.actionName === undefined) {
+      const localizedActions = Object.values(ActionArgPredefinedValues).map(a => this.langManager.getString(a));
+      throw new BotPublicError(
+        this.langManager.getString('command_setescalation_wrong_action', this.action, localizedActions.join(', '))
+      );
+    }
+
+    BaseModerationCommand.validateDuration(this, message, SetEscalationCommandArgDefs.duration);
+    const durationAllowed =
+      this.actionName === OrgEscalationStep.ESCALATION_ACTIONS.mute ||
+      this.actionName === OrgEscalationStep.ESCALATION_ACTIONS.ban;
+    if (this.duration !== null && !durationAllowed) {
+      throw new BotPublicError(this.langManager.getString('command_setescalation_duration_not_applicable'));
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const stepsTable = this.context.dbManager.escalationStepsTable;
+    const warnings = Number.parseInt(this.count, 10);
+
+    const existingSteps = await this.context.dbManager.getDiscordRows(stepsTable, this.orgId, { warnings });
+    await this.context.dbManager.deleteDiscordRows(stepsTable, this.orgId, { warnings });
+
+    if (this.actionName === NoActionName) {
+      return existingSteps.length > 0
+        ? this.langManager.getString('command_setescalation_removed', warnings)
+        : this.langManager.getString('command_setescalation_not_found', warnings);
+    }
+
+    const currentRows = await this.context.dbManager.getDiscordRows(stepsTable, this.orgId);
+    const step = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source: this.source,
+      orgId: this.orgId,
+      warnings,
+      action: this.actionName,
+      duration: this.duration === null ? 0 : this.duration.totalMillisecondsShift
+    };
+    await this.context.dbManager.insertOne(stepsTable, step);
+
+    return this.langManager.getString(
+      'command_setescalation_success',
+      warnings,
+      EscalationLadder.describeStep(step, this.langManager)
+    );
+  }
+}
+
+/**
+ * Exports the SetEscalationCommand class
+ * @type {SetEscalationCommand}
+ */
+module.exports = SetEscalationCommand;
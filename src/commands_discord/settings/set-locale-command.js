@@ -126,6 +126,9 @@ class SetLocaleCommand extends DiscordCommand {
       this.locale
     );
 
+    // The slash commands are localized in the server's locale, so they need to be registered again.
+    await this.context.slashCommandsManager.registerCommands(message.originalMessage.guild);
+
     this.context.log.i('SetLocaleCommand done: new locale is ' + this.locale);
     return this.langManager.getString('command_setlocale_success', this.locale);
   }
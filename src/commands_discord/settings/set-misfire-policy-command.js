@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * @module set-misfire-policy-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const BotPublicError = require('../../utils/bot-public-error');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const RemindCommand = require('../../commands_common/social/remind-command');
+
+const OrgTask = require('../../mongo_classes/org-task');
+const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+
+const SetMisfirePolicyCommandArgDefs = Object.freeze({
+  policy: new CommandArgDef('policy', {
+    aliasIds: ['command_setmisfirepolicy_arg_policy_alias_policy', 'command_setmisfirepolicy_arg_policy_alias_p'],
+    helpId: 'command_setmisfirepolicy_arg_policy_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  })
+});
+
+/**
+ * Command to set the server-wide policy of handling the runs of scheduled tasks (e.g. reminders) which were missed
+ * while the Bot was offline. Can be overridden for a particular reminder.
+ * @alias SetMisfirePolicyCommand
+ * @extends DiscordCommand
+ */
+class SetMisfirePolicyCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SetMisfirePolicyCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_setmisfirepolicy_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SetMisfirePolicyCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_setmisfirepolicy_help',
+      Object.values(OrgTask.MISFIRE_POLICIES)
+        .map(a => langManager.getString(a.textId))
+        .join(', '),
+      langManager.getString(RemindCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const policy = OrgTask.findMisfirePolicy(this.langManager, this.policy);
+    if (policy === undefined) {
+      const localizedPolicies = Object.values(OrgTask.MISFIRE_POLICIES).map(a => this.langManager.getString(a.textId));
+      throw new BotPublicError(
+        this.langManager.getString('misfire_policy_wrong', this.policy, localizedPolicies.join(', '))
+      );
+    }
+
+    this.policyName = policy.name;
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    await this.context.dbManager.setSetting(
+      this.source,
+      this.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.misfirePolicy.name,
+      this.policyName
+    );
+
+    return this.langManager.getString('command_setmisfirepolicy_success', this.policy);
+  }
+}
+
+/**
+ * Exports the SetMisfirePolicyCommand class
+ * @type {SetMisfirePolicyCommand}
+ */
+module.exports = SetMisfirePolicyCommand;
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * @module set-warnings-decay-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const WarnCommand = require('../../commands_common/moderation/warn-command');
+const BaseModerationCommand = require('../moderation/base-moderation-command');
+
+const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+
+const DayMillis = 24 * 60 * 60 * 1000;
+
+const SetWarningsDecayCommandArgDefs = Object.freeze({
+  duration: new CommandArgDef('duration', {
+    aliasIds: ['command_setwarningsdecay_arg_duration_alias_duration', 'command_setwarningsdecay_arg_duration_alias_t'],
+    helpId: 'command_setwarningsdecay_arg_duration_help',
+    scanner: TimeArgScanner
+  })
+});
+
+/**
+ * Command to set the warnings decay period of the server: the warnings older than the period expire,
+ * so they do not count against the escalation ladder anymore. If the duration is not set, then the warnings
+ * do not decay (but still may expire according to their own expiry time).
+ * @see WarningsDecay
+ * @alias SetWarningsDecayCommand
+ * @extends DiscordCommand
+ */
+class SetWarningsDecayCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SetWarningsDecayCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_setwarningsdecay_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SetWarningsDecayCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_setwarningsdecay_help',
+      langManager.getString(WarnCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    BaseModerationCommand.validateDuration(this, message, SetWarningsDecayCommandArgDefs.duration);
+    if (this.duration !== null && this.duration.totalMillisecondsShift < DayMillis) {
+      throw new BotPublicError(this.langManager.getString('command_setwarningsdecay_too_short'));
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const decayMillis = this.duration === null ? 0 : this.duration.totalMillisecondsShift;
+
+    await this.context.dbManager.setSetting(
+      this.source,
+      this.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.warningsDecay.name,
+      String(decayMillis)
+    );
+
+    if (decayMillis === 0) {
+      return this.langManager.getString('command_setwarningsdecay_disabled');
+    }
+
+    return this.langManager.getString('command_setwarningsdecay_enabled', Math.round(decayMillis / DayMillis));
+  }
+}
+
+/**
+ * Exports the SetWarningsDecayCommand class
+ * @type {SetWarningsDecayCommand}
+ */
+module.exports = SetWarningsDecayCommand;
@@ -22,7 +22,7 @@ const SettingsCommandArgDefs = Object.freeze({
   })
 });
 
-const SkipSettings = Object.freeze([ServerSettingsTable.SERVER_SETTINGS.badwords.name]);
+const SkipSettings = Object.freeze([]);
 
 /**
  * Command to list the settings of the Discord server.
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * @module unalias-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const CommandOverrides = require('../../utils/command-overrides');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgCommandOverride = require('../../mongo_classes/org-command-override');
+
+const UnaliasCommandArgDefs = Object.freeze({
+  aliases: new CommandArgDef('aliases', {
+    aliasIds: ['command_unalias_arg_aliases_alias_aliases', 'command_unalias_arg_aliases_alias_a'],
+    helpId: 'command_unalias_arg_aliases_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isArray: true }
+  })
+});
+
+/**
+ * Command to remove aliases of the commands on the Discord server.
+ * @see CommandOverrides
+ * @alias UnaliasCommand
+ * @extends DiscordCommand
+ */
+class UnaliasCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new UnaliasCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_unalias_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return UnaliasCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_unalias_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const overrides = await CommandOverrides.getOverrides(this.context, this.source, this.orgId);
+    const aliasesToRemove = overrides
+      .filter(row => row.type === OrgCommandOverride.OVERRIDE_TYPES.alias && this.aliases.includes(row.alias))
+      .map(row => row.alias);
+
+    if (aliasesToRemove.length > 0) {
+      await this.context.dbManager.deleteDiscordRows(this.context.dbManager.commandOverridesTable, this.orgId, {
+        type: OrgCommandOverride.OVERRIDE_TYPES.alias,
+        alias: { $in: aliasesToRemove }
+      });
+    }
+
+    this.context.log.i('UnaliasCommand done: removed ' + aliasesToRemove.length + ' aliases.');
+    return this.langManager.getString('command_unalias_success', aliasesToRemove.length);
+  }
+}
+
+/**
+ * Exports the UnaliasCommand class
+ * @type {UnaliasCommand}
+ */
+module.exports = UnaliasCommand;
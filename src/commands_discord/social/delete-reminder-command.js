@@ -140,9 +140,13 @@ class DeleteReminderCommand extends DiscordCommand {
       orArray.push({ id: Number.parseInt(this.ids[i], 10) });
     }
 
-    const deleteQuery = { $or: orArray };
+    const deleteQuery = { $or: orArray, type: OrgTask.TASK_TYPES.reminder };
     await this.context.dbManager.deleteDiscordRows(this.context.dbManager.tasksTable, this.orgId, deleteQuery);
-    await this.context.scheduler.syncTasks();
+    for (const task of this.tasks) {
+      if (orArray.some(value => value.id === task.id)) {
+        this.context.scheduler.cancelTask(task);
+      }
+    }
 
     return this.langManager.getString('command_deletereminder_success');
   }
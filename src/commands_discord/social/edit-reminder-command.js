@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * @module edit-reminder-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const DiscordChannelsArg = require('../../command_meta/discord-channels-arg');
+const TimeArg = require('../../command_meta/time-arg');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+
+const RemindersCommand = require('./reminders-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const EditReminderCommandArgDefs = Object.freeze({
+  id: new CommandArgDef('id', {
+    aliasIds: ['command_editreminder_arg_id_alias_id', 'command_editreminder_arg_id_alias_i'],
+    helpId: 'command_editreminder_arg_id_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  }),
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_editreminder_arg_time_alias_time', 'command_editreminder_arg_time_alias_t'],
+    helpId: 'command_editreminder_arg_time_help',
+    scanner: DiscordTimeArgScanner
+  }),
+  message: new CommandArgDef('message', {
+    aliasIds: ['command_editreminder_arg_message_alias_message', 'command_editreminder_arg_message_alias_m'],
+    helpId: 'command_editreminder_arg_message_help',
+    scanner: FullStringArgScanner
+  })
+});
+
+/**
+ * Command to change the time and/or the text of a reminder in the Discord server, keeping its id.
+ * @alias EditReminderCommand
+ * @extends DiscordCommand
+ */
+class EditReminderCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new EditReminderCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_editreminder_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return EditReminderCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_editreminder_help',
+      langManager.getString(RemindersCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
+        new CommandPermissionFilterField(PermissionsManager.DEFINED_FILTERS.channelId.name, 'channelIds')
+      ])
+    ];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    if ((this.time === null || this.time === undefined) && (this.message === null || this.message === undefined)) {
+      throw new BotPublicError(this.langManager.getString('command_editreminder_nothing_to_edit'));
+    }
+
+    if (this.time instanceof TimeArg && this.time.timeType === TimeArg.DISTANCE_TYPE) {
+      if (this.time.totalMillisecondsShift === 0) {
+        throw new BotPublicError(this.langManager.getString('arg_validation_time_zero_shift'));
+      }
+    }
+
+    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
+      type: OrgTask.TASK_TYPES.reminder,
+      id: Number.parseInt(this.id, 10)
+    });
+    this.task = tasks.length > 0 ? tasks[0] : null;
+
+    // Set channelIds for the PermissionsManager
+    this.channelIds = new DiscordChannelsArg(this.task === null ? [] : [this.task.content.channel]);
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    if (this.task === null) {
+      return this.langManager.getString('command_editreminder_not_found', this.id);
+    }
+
+    const updatedRow = Object.assign({}, this.task);
+    if (this.time instanceof TimeArg) {
+      updatedRow.time = OrgTask.parseTimeArg(this.time);
+    }
+
+    if (this.message !== null && this.message !== undefined) {
+      // The mentions in the new text are allowed according to the permissions of the member who edits it.
+      updatedRow.content = Object.assign({}, this.task.content, {
+        message: this.message,
+        mentionEveryone: message.originalMessage.member
+          .permissionsIn(this.task.content.channel)
+          .has(PermissionsManager.DISCORD_PERMISSIONS.MENTION_EVERYONE)
+      });
+    }
+
+    const updateResult = await this.context.dbManager.tasksTable.insertOrUpdate(updatedRow);
+    if (!updateResult) {
+      return this.langManager.getString('command_editreminder_failed', this.id);
+    }
+
+    this.context.scheduler.updateTask(updatedRow);
+
+    return this.langManager.getString(
+      'command_editreminder_success',
+      this.task.id,
+      TimeArg.toString(updatedRow.time.definitions, this.langManager),
+      updatedRow.content.message
+    );
+  }
+}
+
+/**
+ * Exports the EditReminderCommand class
+ * @type {EditReminderCommand}
+ */
+module.exports = EditReminderCommand;
@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * @module pause-reminder-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const DiscordChannelsArg = require('../../command_meta/discord-channels-arg');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+
+const RemindersCommand = require('./reminders-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const PauseReminderCommandArgDefs = Object.freeze({
+  ids: new CommandArgDef('ids', {
+    aliasIds: ['command_pausereminder_arg_ids_alias_ids', 'command_pausereminder_arg_ids_alias_i'],
+    helpId: 'command_pausereminder_arg_ids_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isIdsArray: true }
+  })
+});
+
+/**
+ * Command to pause reminders according to their ids in the Discord server.
+ * The paused reminders are kept, but not executed until resumed.
+ * @see ResumeReminderCommand
+ * @alias PauseReminderCommand
+ * @extends DiscordCommand
+ */
+class PauseReminderCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new PauseReminderCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_pausereminder_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return PauseReminderCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_pausereminder_help',
+      langManager.getString(RemindersCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
+        new CommandPermissionFilterField(PermissionsManager.DEFINED_FILTERS.channelId.name, 'channelIds')
+      ])
+    ];
+  }
+
+  /**
+   * Gets the value of the paused state which the command sets to the reminders.
+   * @return {boolean} true if the command pauses the reminders, false if resumes
+   */
+  static getPausedValue() {
+    return true;
+  }
+
+  /**
+   * Gets the text id of the result message of the command.
+   * @return {string} the text id
+   */
+  static getSuccessTextId() {
+    return 'command_pausereminder_success';
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const ids = new Set(this.ids.map(a => Number.parseInt(a, 10)));
+    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
+      type: OrgTask.TASK_TYPES.reminder
+    });
+    this.tasks = tasks.filter(task => ids.has(task.id));
+
+    // Set channelIds for the PermissionsManager
+    this.channelIds = new DiscordChannelsArg(this.tasks.map(task => task.content.channel));
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    if (this.tasks.length === 0) {
+      return this.langManager.getString('command_pausereminder_no_ids_found');
+    }
+
+    const paused = this.constructor.getPausedValue();
+    const updateResults = [];
+    for (const task of this.tasks) {
+      const updatedRow = Object.assign({}, task, { paused });
+      updateResults.push(
+        this.context.dbManager.tasksTable.insertOrUpdate(updatedRow).then(updateResult => {
+          if (updateResult) {
+            this.context.scheduler.updateTask(updatedRow);
+          }
+        })
+      );
+    }
+
+    await Promise.all(updateResults);
+
+    return this.langManager.getString(this.constructor.getSuccessTextId(), this.tasks.map(task => task.id).join(', '));
+  }
+}
+
+/**
+ * Exports the PauseReminderCommand class
+ * @type {PauseReminderCommand}
+ */
+module.exports = PauseReminderCommand;
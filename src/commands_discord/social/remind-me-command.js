@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * @module remind-me-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const DefaultMaxPersonalReminders = 10;
+
+const RemindMeCommandArgDefs = Object.freeze({
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_remindme_arg_time_alias_time', 'command_remindme_arg_time_alias_t'],
+    helpId: 'command_remindme_arg_time_help',
+    scanner: DiscordTimeArgScanner,
+    validationOptions: { nonZeroShift: true }
+  }),
+  message: new CommandArgDef('message', {
+    aliasIds: ['command_remindme_arg_message_alias_message', 'command_remindme_arg_message_alias_m'],
+    helpId: 'command_remindme_arg_message_help',
+    scanner: FullStringArgScanner,
+    validationOptions: { nonNull: true }
+  })
+});
+
+/**
+ * Command to set up a personal reminder, which is delivered to the caller via direct messages.
+ * Available for any member of the Discord server.
+ * @alias RemindMeCommand
+ * @extends DiscordCommand
+ */
+class RemindMeCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new RemindMeCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_remindme_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return RemindMeCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_remindme_help');
+  }
+
+  /**
+   * Gets the max number of personal reminders a user may have, based on the Bot's preferences.
+   * @param  {Context} context the Bot's context
+   * @return {number}          the max number of personal reminders
+   */
+  static getMaxPersonalReminders(context) {
+    const maxReminders = Number.parseInt(context.prefsManager.max_personal_reminders_per_discord_user, 10);
+    return Number.isNaN(maxReminders) || maxReminders < 0 ? DefaultMaxPersonalReminders : maxReminders;
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // The quota is per user, so counting the personal reminders from all servers.
+    const userTasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, null, {
+      type: OrgTask.TASK_TYPES.personalReminder,
+      'content.user': message.userId
+    });
+
+    const maxReminders = RemindMeCommand.getMaxPersonalReminders(this.context);
+    if (userTasks.length >= maxReminders) {
+      return this.langManager.getString('command_remindme_too_many_reminders', maxReminders);
+    }
+
+    const currentRows = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId);
+
+    const reminderRow = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source: this.source,
+      orgId: this.orgId,
+      type: OrgTask.TASK_TYPES.personalReminder,
+      time: OrgTask.parseTimeArg(this.time),
+      content: { user: message.userId, message: this.message }
+    };
+
+    const rowResult = await this.context.dbManager.insertOne(this.context.dbManager.tasksTable, reminderRow);
+    if (!rowResult) {
+      return this.langManager.getString('command_remind_duplicate');
+    }
+
+    this.context.scheduler.addTask(reminderRow);
+    return this.langManager.getString('command_remindme_success', reminderRow.id);
+  }
+}
+
+/**
+ * Exports the RemindMeCommand class
+ * @type {RemindMeCommand}
+ */
+module.exports = RemindMeCommand;
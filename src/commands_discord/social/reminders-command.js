@@ -138,6 +138,10 @@ class RemindersCommand extends DiscordCommand {
 
     let result = '';
     for (const task of tasks) {
+      if (task.paused === true) {
+        result += this.langManager.getString('command_reminders_reminder_paused');
+      }
+
       result += this.langManager.getString(
         'command_reminders_reminder',
         task.id,
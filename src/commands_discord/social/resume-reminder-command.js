@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * @module resume-reminder-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const ArrayArgScanner = require('../../arg_scanners/array-arg-scanner');
+
+const PauseReminderCommand = require('./pause-reminder-command');
+const RemindersCommand = require('./reminders-command');
+
+const ResumeReminderCommandArgDefs = Object.freeze({
+  ids: new CommandArgDef('ids', {
+    aliasIds: ['command_resumereminder_arg_ids_alias_ids', 'command_resumereminder_arg_ids_alias_i'],
+    helpId: 'command_resumereminder_arg_ids_help',
+    scanner: ArrayArgScanner,
+    validationOptions: { isIdsArray: true }
+  })
+});
+
+/**
+ * Command to resume paused reminders according to their ids in the Discord server.
+ * @see PauseReminderCommand
+ * @alias ResumeReminderCommand
+ * @extends PauseReminderCommand
+ */
+class ResumeReminderCommand extends PauseReminderCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new ResumeReminderCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_resumereminder_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return ResumeReminderCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_resumereminder_help',
+      langManager.getString(RemindersCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the value of the paused state which the command sets to the reminders.
+   * @return {boolean} true if the command pauses the reminders, false if resumes
+   */
+  static getPausedValue() {
+    return false;
+  }
+
+  /**
+   * Gets the text id of the result message of the command.
+   * @return {string} the text id
+   */
+  static getSuccessTextId() {
+    return 'command_resumereminder_success';
+  }
+}
+
+/**
+ * Exports the ResumeReminderCommand class
+ * @type {ResumeReminderCommand}
+ */
+module.exports = ResumeReminderCommand;
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * @module snooze-reminder-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+const NextRunCalculator = require('../../utils/next-run-calculator');
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const DiscordChannelsArg = require('../../command_meta/discord-channels-arg');
+const TimeArg = require('../../command_meta/time-arg');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+
+const RemindersCommand = require('./reminders-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const SnoozeReminderCommandArgDefs = Object.freeze({
+  id: new CommandArgDef('id', {
+    aliasIds: ['command_snoozereminder_arg_id_alias_id', 'command_snoozereminder_arg_id_alias_i'],
+    helpId: 'command_snoozereminder_arg_id_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  }),
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_snoozereminder_arg_time_alias_time', 'command_snoozereminder_arg_time_alias_t'],
+    helpId: 'command_snoozereminder_arg_time_help',
+    scanner: DiscordTimeArgScanner,
+    validationOptions: { nonZeroShift: true }
+  })
+});
+
+/**
+ * Command to postpone the next run of a reminder in the Discord server.
+ * For recurrent reminders the regular schedule continues after the postponed run.
+ * @alias SnoozeReminderCommand
+ * @extends DiscordCommand
+ */
+class SnoozeReminderCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SnoozeReminderCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_snoozereminder_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SnoozeReminderCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_snoozereminder_help',
+      langManager.getString(RemindersCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
+        new CommandPermissionFilterField(PermissionsManager.DEFINED_FILTERS.channelId.name, 'channelIds')
+      ])
+    ];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const now = Date.now();
+    if (this.time.timeType === TimeArg.DISTANCE_TYPE) {
+      this.snoozedUntil = now + this.time.totalMillisecondsShift;
+    } else {
+      const definitions = OrgTask.parseTimeArg(this.time).definitions;
+      if (TimeArg.isRecurringDefinitions(definitions)) {
+        throw new BotPublicError(this.langManager.getString('command_snoozereminder_recurring_time'));
+      }
+
+      this.snoozedUntil = NextRunCalculator.getNextRunTime(definitions, TimeArg.getTimezone(definitions), now);
+    }
+
+    if (this.snoozedUntil === null || this.snoozedUntil <= now) {
+      throw new BotPublicError(this.langManager.getString('command_snoozereminder_past_time'));
+    }
+
+    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
+      type: OrgTask.TASK_TYPES.reminder,
+      id: Number.parseInt(this.id, 10)
+    });
+    this.task = tasks.length > 0 ? tasks[0] : null;
+
+    // Set channelIds for the PermissionsManager
+    this.channelIds = new DiscordChannelsArg(this.task === null ? [] : [this.task.content.channel]);
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    if (this.task === null) {
+      return this.langManager.getString('command_snoozereminder_not_found', this.id);
+    }
+
+    if (this.task.paused === true) {
+      return this.langManager.getString('command_snoozereminder_paused', this.id);
+    }
+
+    const snoozeResult = await this.context.scheduler.snoozeTask(this.task, this.snoozedUntil);
+    if (!snoozeResult) {
+      return this.langManager.getString('command_snoozereminder_not_found', this.id);
+    }
+
+    return this.langManager.getString(
+      'command_snoozereminder_success',
+      this.task.id,
+      new Date(this.snoozedUntil).toISOString()
+    );
+  }
+}
+
+/**
+ * Exports the SnoozeReminderCommand class
+ * @type {SnoozeReminderCommand}
+ */
+module.exports = SnoozeReminderCommand;
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * @module task-history-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordCommand = require('../discord-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const DiscordChannelsArg = require('../../command_meta/discord-channels-arg');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+
+const RemindersCommand = require('./reminders-command');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+const TaskRun = require('../../mongo_classes/task-run');
+
+const DisplayedRunsCount = 10;
+
+const TaskHistoryCommandArgDefs = Object.freeze({
+  id: new CommandArgDef('id', {
+    aliasIds: ['command_taskhistory_arg_id_alias_id', 'command_taskhistory_arg_id_alias_i'],
+    helpId: 'command_taskhistory_arg_id_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { isNonNegativeInteger: true }
+  })
+});
+
+/**
+ * Command to show the execution info and the recent executions of a reminder in the Discord server.
+ * @alias TaskHistoryCommand
+ * @extends DiscordCommand
+ */
+class TaskHistoryCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new TaskHistoryCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_taskhistory_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return TaskHistoryCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString(
+      'command_taskhistory_help',
+      langManager.getString(RemindersCommand.getCommandInterfaceName())
+    );
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
+        new CommandPermissionFilterField(PermissionsManager.DEFINED_FILTERS.channelId.name, 'channelIds')
+      ])
+    ];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const taskId = Number.parseInt(this.id, 10);
+    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
+      type: OrgTask.TASK_TYPES.reminder,
+      id: taskId
+    });
+    this.task = tasks.length > 0 ? tasks[0] : null;
+    this.runs = await this.context.dbManager.taskRunsTable.getRecentRuns(
+      this.source,
+      this.orgId,
+      taskId,
+      DisplayedRunsCount
+    );
+
+    // Set channelIds for the PermissionsManager. One-shot reminders get deleted after the execution,
+    // so their channels are known from the history only.
+    const channels = new Set();
+    if (this.task !== null) {
+      channels.add(this.task.content.channel);
+    }
+
+    for (const run of this.runs) {
+      if (run.channelId !== undefined && run.channelId !== null) {
+        channels.add(run.channelId);
+      }
+    }
+
+    this.channelIds = new DiscordChannelsArg(Array.from(channels));
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    if (this.task === null && this.runs.length === 0) {
+      return this.langManager.getString('command_taskhistory_not_found', this.id);
+    }
+
+    let result = '';
+    if (this.task === null) {
+      result += this.langManager.getString('command_taskhistory_task_deleted', this.id);
+    } else {
+      result += this.langManager.getString(
+        'command_taskhistory_task',
+        this.task.id,
+        typeof this.task.runCount === 'number' ? this.task.runCount : 0,
+        this.makeTimeString(this.task.lastRunAt),
+        this.makeTimeString(this.task.nextRunAt),
+        this.task.lastError === undefined || this.task.lastError === null
+          ? this.langManager.getString('command_taskhistory_no_error')
+          : this.task.lastError
+      );
+    }
+
+    if (this.runs.length === 0) {
+      return result + this.langManager.getString('command_taskhistory_no_runs');
+    }
+
+    for (const run of this.runs) {
+      const status = Object.values(TaskRun.STATUSES).find(a => a.name === run.status);
+      result += this.langManager.getString(
+        'command_taskhistory_run',
+        this.makeTimeString(run.scheduledAt),
+        this.makeTimeString(run.executedAt),
+        status === undefined ? run.status : this.langManager.getString(status.textId)
+      );
+      if (run.error !== undefined && run.error !== null) {
+        result += this.langManager.getString('command_taskhistory_run_error', run.error);
+      }
+
+      result += '\n';
+    }
+
+    return result;
+  }
+
+  /**
+   * Makes a human-readable representation of a timestamp.
+   * @param  {number} timestamp the timestamp in milliseconds (may be null)
+   * @return {string}           the time as a string
+   */
+  makeTimeString(timestamp) {
+    if (typeof timestamp !== 'number') {
+      return this.langManager.getString('command_taskhistory_never');
+    }
+
+    return new Date(timestamp).toISOString();
+  }
+}
+
+/**
+ * Exports the TaskHistoryCommand class
+ * @type {TaskHistoryCommand}
+ */
+module.exports = TaskHistoryCommand;
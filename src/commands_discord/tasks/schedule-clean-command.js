@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * @module schedule-clean-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const ScheduleTaskCommand = require('./schedule-task-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const TimeArgScanner = require('../../arg_scanners/time-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+const DiscordChannelsArgScanner = require('../../arg_scanners/discord-channels-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const ScheduleCleanCommandArgDefs = Object.freeze({
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_scheduleclean_arg_time_alias_time', 'command_scheduleclean_arg_time_alias_t'],
+    helpId: 'command_scheduleclean_arg_time_help',
+    scanner: DiscordTimeArgScanner,
+    validationOptions: { isTime: true }
+  }),
+  period: new CommandArgDef('period', {
+    aliasIds: ['command_scheduleclean_arg_period_alias_period', 'command_scheduleclean_arg_period_alias_p'],
+    helpId: 'command_scheduleclean_arg_period_help',
+    scanner: TimeArgScanner,
+    validationOptions: { timeDistanceOnly: true, nonZeroShift: true }
+  }),
+  channelIds: new CommandArgDef('channelIds', {
+    aliasIds: ['command_scheduleclean_arg_channelIds_alias_channelIds', 'command_scheduleclean_arg_channelIds_alias_c'],
+    helpId: 'command_scheduleclean_arg_channelIds_help',
+    scanner: DiscordChannelsArgScanner,
+    validationOptions: { validTextChannels: true }
+  })
+});
+
+/**
+ * Command to schedule cleaning Discord text-channels from the messages posted during a period before each run.
+ * @see CleanCommand
+ * @alias ScheduleCleanCommand
+ * @extends ScheduleTaskCommand
+ */
+class ScheduleCleanCommand extends ScheduleTaskCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new ScheduleCleanCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_scheduleclean_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return ScheduleCleanCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_scheduleclean_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.MANAGE_MESSAGES];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultDiscordArgValue(message, arg) {
+    switch (arg) {
+      case ScheduleCleanCommandArgDefs.channelIds:
+        return message.channelId;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const contents = this.channelIds.channels.map(channel => {
+      return { channel, period: this.period.totalMillisecondsShift };
+    });
+
+    return this.scheduleTasks(OrgTask.TASK_TYPES.clean, contents);
+  }
+}
+
+/**
+ * Exports the ScheduleCleanCommand class
+ * @type {ScheduleCleanCommand}
+ */
+module.exports = ScheduleCleanCommand;
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * @module schedule-lock-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const ScheduleTaskCommand = require('./schedule-task-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+const DiscordChannelsArgScanner = require('../../arg_scanners/discord-channels-arg-scanner');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const ScheduleLockCommandArgDefs = Object.freeze({
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_schedulelock_arg_time_alias_time', 'command_schedulelock_arg_time_alias_t'],
+    helpId: 'command_schedulelock_arg_time_help',
+    scanner: DiscordTimeArgScanner,
+    validationOptions: { isTime: true }
+  }),
+  action: new CommandArgDef('action', {
+    aliasIds: ['command_schedulelock_arg_action_alias_action', 'command_schedulelock_arg_action_alias_a'],
+    helpId: 'command_schedulelock_arg_action_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  channelIds: new CommandArgDef('channelIds', {
+    aliasIds: ['command_schedulelock_arg_channelIds_alias_channelIds', 'command_schedulelock_arg_channelIds_alias_c'],
+    helpId: 'command_schedulelock_arg_channelIds_help',
+    scanner: DiscordChannelsArgScanner,
+    validationOptions: { validTextChannels: true }
+  })
+});
+
+const ActionArgPredefinedValues = Object.freeze({
+  lock: 'command_schedulelock_arg_action_value_lock',
+  unlock: 'command_schedulelock_arg_action_value_unlock'
+});
+
+/**
+ * Command to schedule locking Discord text-channels (denying sending messages for everyone) and unlocking them.
+ * @see ChannelLockTaskExecutor
+ * @alias ScheduleLockCommand
+ * @extends ScheduleTaskCommand
+ */
+class ScheduleLockCommand extends ScheduleTaskCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new ScheduleLockCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_schedulelock_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return ScheduleLockCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_schedulelock_help');
+  }
+
+  /**
+   * Gets the array of defined Discord permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Discord-specific permissions required
+   */
+  static getRequiredDiscordPermissions() {
+    return [PermissionsManager.DISCORD_PERMISSIONS.MANAGE_CHANNELS];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultDiscordArgValue(message, arg) {
+    switch (arg) {
+      case ScheduleLockCommandArgDefs.channelIds:
+        return message.channelId;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    const actionName = Object.keys(ActionArgPredefinedValues).find(
+      key => this.langManager.getString(ActionArgPredefinedValues[key]) === this.action.toLowerCase()
+    );
+    if (actionName === undefined) {
+      const localizedActions = Object.values(ActionArgPredefinedValues).map(a => this.langManager.getString(a));
+      throw new BotPublicError(
+        this.langManager.getString('command_schedulelock_wrong_action', this.action, localizedActions.join(', '))
+      );
+    }
+
+    this.locked = actionName === 'lock';
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const contents = this.channelIds.channels.map(channel => {
+      return { channel, locked: this.locked };
+    });
+
+    return this.scheduleTasks(OrgTask.TASK_TYPES.channelLock, contents);
+  }
+}
+
+/**
+ * Exports the ScheduleLockCommand class
+ * @type {ScheduleLockCommand}
+ */
+module.exports = ScheduleLockCommand;
@@ -1,53 +1,60 @@
 'use strict';
 
 /**
- * @module remind-command
+ * @module schedule-poll-command
  * @author Alteh Union (alteh.union@gmail.com)
  * @license MIT (see the root LICENSE file for details)
  */
 
-const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
 
-const DiscordCommand = require('../discord-command');
+const ScheduleTaskCommand = require('./schedule-task-command');
 const CommandArgDef = require('../../command_meta/command-arg-def');
 const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
 const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
-const FullStringArgScanner = require('../../arg_scanners/full-string-arg-scanner');
 const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
 const DiscordChannelsArgScanner = require('../../arg_scanners/discord-channels-arg-scanner');
+const SpaceBasedArrayArgScanner = require('../../arg_scanners/space-based-array-arg-scanner');
+
+const PollCommand = require('../../commands_common/social/poll-command');
 
 const PermissionsManager = require('../../managers/permissions-manager');
 
 const OrgTask = require('../../mongo_classes/org-task');
 
-const RemindCommandArgDefs = Object.freeze({
+const SchedulePollCommandArgDefs = Object.freeze({
   time: new CommandArgDef('time', {
-    aliasIds: ['command_remind_arg_time_alias_time', 'command_remind_arg_time_alias_t'],
-    helpId: 'command_remind_arg_time_help',
+    aliasIds: ['command_schedulepoll_arg_time_alias_time', 'command_schedulepoll_arg_time_alias_t'],
+    helpId: 'command_schedulepoll_arg_time_help',
     scanner: DiscordTimeArgScanner,
     validationOptions: { isTime: true }
   }),
   channelIds: new CommandArgDef('channelIds', {
-    aliasIds: ['command_remind_arg_channelIds_alias_channelIds', 'command_remind_arg_channelIds_alias_c'],
-    helpId: 'command_remind_arg_channelIds_help',
+    aliasIds: ['command_schedulepoll_arg_channelIds_alias_channelIds', 'command_schedulepoll_arg_channelIds_alias_c'],
+    helpId: 'command_schedulepoll_arg_channelIds_help',
     skipInSequentialRead: true,
     scanner: DiscordChannelsArgScanner,
     validationOptions: { validTextChannels: true }
   }),
-  message: new CommandArgDef('message', {
-    aliasIds: ['command_remind_arg_message_alias_message', 'command_remind_arg_message_alias_m'],
-    helpId: 'command_remind_arg_message_help',
-    scanner: FullStringArgScanner,
+  question: new CommandArgDef('question', {
+    aliasIds: ['command_schedulepoll_arg_question_alias_question', 'command_schedulepoll_arg_question_alias_q'],
+    helpId: 'command_schedulepoll_arg_question_help',
     validationOptions: { nonNull: true }
+  }),
+  answers: new CommandArgDef('answers', {
+    aliasIds: ['command_schedulepoll_arg_answers_alias_answers', 'command_schedulepoll_arg_answers_alias_a'],
+    helpId: 'command_schedulepoll_arg_answers_help',
+    scanner: SpaceBasedArrayArgScanner
   })
 });
 
 /**
- * Command to set up a reminder in a text-channel.
- * @alias RemindCommand
- * @extends DiscordCommand
+ * Command to schedule posting polls to Discord text-channels.
+ * @see PollCommand
+ * @alias SchedulePollCommand
+ * @extends ScheduleTaskCommand
  */
-class RemindCommand extends DiscordCommand {
+class SchedulePollCommand extends ScheduleTaskCommand {
   /**
    * Creates an instance for an organization from a source and assigns a given language manager to it.
    * @param  {Context}     context            the Bot's context
@@ -57,7 +64,7 @@ class RemindCommand extends DiscordCommand {
    * @return {Command}                        the created instance
    */
   static createForOrg(context, source, commandLangManager, orgId) {
-    return new RemindCommand(context, source, commandLangManager, orgId);
+    return new SchedulePollCommand(context, source, commandLangManager, orgId);
   }
 
   /**
@@ -65,7 +72,7 @@ class RemindCommand extends DiscordCommand {
    * @return {string} the id of the command's name to be localized
    */
   static getCommandInterfaceName() {
-    return 'command_remind_name';
+    return 'command_schedulepoll_name';
   }
 
   /**
@@ -73,7 +80,7 @@ class RemindCommand extends DiscordCommand {
    * @return {Array<CommandArgDef>} the array of definitions
    */
   static getDefinedArgs() {
-    return RemindCommandArgDefs;
+    return SchedulePollCommandArgDefs;
   }
 
   /**
@@ -85,7 +92,7 @@ class RemindCommand extends DiscordCommand {
    * @return {string}                  the localized help text
    */
   static getHelpText(context, langManager) {
-    return langManager.getString('command_remind_help');
+    return langManager.getString('command_schedulepoll_help');
   }
 
   /**
@@ -98,7 +105,7 @@ class RemindCommand extends DiscordCommand {
       new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
         new CommandPermissionFilterField(
           PermissionsManager.DEFINED_FILTERS.channelId.name,
-          RemindCommandArgDefs.channelIds.name
+          SchedulePollCommandArgDefs.channelIds.name
         )
       ])
     ];
@@ -113,13 +120,31 @@ class RemindCommand extends DiscordCommand {
    */
   async getDefaultDiscordArgValue(message, arg) {
     switch (arg) {
-      case RemindCommandArgDefs.channelIds:
+      case SchedulePollCommandArgDefs.channelIds:
         return message.channelId;
       default:
         return null;
     }
   }
 
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    if (this.answers !== null && this.answers.length > PollCommand.MAX_ANSWERS) {
+      throw new BotPublicError(
+        this.langManager.getString('command_poll_too_many_answers', this.answers.length, PollCommand.MAX_ANSWERS)
+      );
+    }
+  }
+
   /**
    * Executes the command instance. The main function of a command, it's essence.
    * All arguments scanning, validation and permissions check is considered done before entering this function.
@@ -130,62 +155,16 @@ class RemindCommand extends DiscordCommand {
   async executeForDiscord(message) {
     // Inherited function with various possible implementations, some args may be unused.
     /* eslint no-unused-vars: ["error", { "args": "none" }] */
-    let result = '';
-    let taskAdded = false;
-
-    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
-      type: OrgTask.TASK_TYPES.reminder
+    const contents = this.channelIds.channels.map(channel => {
+      return { channel, question: this.question, answers: this.answers };
     });
 
-    if (tasks.length + this.channelIds.channels.length > this.context.prefsManager.max_reminders_per_discord_org) {
-      return this.langManager.getString(
-        'command_remind_too_many_reminders',
-        this.context.prefsManager.max_reminders_per_discord_org
-      );
-    }
-
-    const currentRows = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId);
-    const maxIndex = OhUtils.findMaxId(currentRows);
-
-    let newId = maxIndex + 1;
-
-    const insertTaskResults = [];
-    for (let i = 0; i < this.channelIds.channels.length; i++) {
-      const content = { channel: this.channelIds.channels[i], message: this.message };
-
-      const reminderRow = {
-        id: newId++,
-        source: this.source,
-        orgId: this.orgId,
-        type: OrgTask.TASK_TYPES.reminder,
-        time: OrgTask.parseTimeArg(this.time),
-        content
-      };
-
-      insertTaskResults.push(
-        this.context.dbManager.insertOne(this.context.dbManager.tasksTable, reminderRow).then(rowResult => {
-          if (rowResult) {
-            result = result + this.langManager.getString('command_remind_success') + '\n';
-            taskAdded = true;
-          } else {
-            result = result + this.langManager.getString('command_remind_duplicate') + '\n';
-          }
-        })
-      );
-    }
-
-    await Promise.all(insertTaskResults);
-
-    if (taskAdded) {
-      await this.context.scheduler.syncTasks();
-    }
-
-    return result;
+    return this.scheduleTasks(OrgTask.TASK_TYPES.poll, contents);
   }
 }
 
 /**
- * Exports the RemindCommand class
- * @type {RemindCommand}
+ * Exports the SchedulePollCommand class
+ * @type {SchedulePollCommand}
  */
-module.exports = RemindCommand;
+module.exports = SchedulePollCommand;
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * @module schedule-role-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const ScheduleTaskCommand = require('./schedule-task-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordTimeArgScanner = require('../../arg_scanners/discord-time-arg-scanner');
+const DiscordSubjectsArgScanner = require('../../arg_scanners/discord-subjects-arg-scanner');
+
+const RoleTaskExecutor = require('../../task_executors/role-task-executor');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const ScheduleRoleCommandArgDefs = Object.freeze({
+  time: new CommandArgDef('time', {
+    aliasIds: ['command_schedulerole_arg_time_alias_time', 'command_schedulerole_arg_time_alias_t'],
+    helpId: 'command_schedulerole_arg_time_help',
+    scanner: DiscordTimeArgScanner,
+    validationOptions: { isTime: true }
+  }),
+  action: new CommandArgDef('action', {
+    aliasIds: ['command_schedulerole_arg_action_alias_action', 'command_schedulerole_arg_action_alias_a'],
+    helpId: 'command_schedulerole_arg_action_help',
+    scanner: SimpleArgScanner,
+    validationOptions: { nonNull: true }
+  }),
+  subjectIds: new CommandArgDef('subjectIds', {
+    aliasIds: ['command_schedulerole_arg_subjectIds_alias_subjectIds', 'command_schedulerole_arg_subjectIds_alias_s'],
+    helpId: 'command_schedulerole_arg_subjectIds_help',
+    scanner: DiscordSubjectsArgScanner,
+    validationOptions: { validSubjects: true, subjectsNonEmpty: true, subjectIdsOnly: true }
+  }),
+  roleIds: new CommandArgDef('roleIds', {
+    aliasIds: ['command_schedulerole_arg_roleIds_alias_roleIds', 'command_schedulerole_arg_roleIds_alias_r'],
+    helpId: 'command_schedulerole_arg_roleIds_help',
+    scanner: DiscordSubjectsArgScanner,
+    validationOptions: { validSubjects: true, subjectsNonEmpty: true, subjectRolesOnly: true }
+  })
+});
+
+const ActionArgPredefinedValues = Object.freeze({
+  [RoleTaskExecutor.ROLE_ACTIONS.add]: 'command_schedulerole_arg_action_value_add',
+  [RoleTaskExecutor.ROLE_ACTIONS.remove]: 'command_schedulerole_arg_action_value_remove'
+});
+
+/**
+ * Command to schedule granting Discord roles to users or removing the roles from them.
+ * @see AddRoleCommand
+ * @see RemoveRoleCommand
+ * @alias ScheduleRoleCommand
+ * @extends ScheduleTaskCommand
+ */
+class ScheduleRoleCommand extends ScheduleTaskCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new ScheduleRoleCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_schedulerole_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return ScheduleRoleCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_schedulerole_help');
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.role.name, [
+        new CommandPermissionFilterField(
+          PermissionsManager.DEFINED_FILTERS.roleId.name,
+          ScheduleRoleCommandArgDefs.roleIds.name
+        )
+      ])
+    ];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    this.actionName = Object.keys(ActionArgPredefinedValues).find(
+      key => this.langManager.getString(ActionArgPredefinedValues[key]) === this.action.toLowerCase()
+    );
+    if (this.actionName === undefined) {
+      const localizedActions = Object.values(ActionArgPredefinedValues).map(a => this.langManager.getString(a));
+      throw new BotPublicError(
+        this.langManager.getString('command_schedulerole_wrong_action', this.action, localizedActions.join(', '))
+      );
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const content = {
+      action: this.actionName,
+      roles: this.roleIds.subjectRoles,
+      users: this.subjectIds.subjectIds
+    };
+
+    return this.scheduleTasks(OrgTask.TASK_TYPES.role, [content]);
+  }
+}
+
+/**
+ * Exports the ScheduleRoleCommand class
+ * @type {ScheduleRoleCommand}
+ */
+module.exports = ScheduleRoleCommand;
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * @module schedule-task-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+
+const DiscordCommand = require('../discord-command');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const DefaultMaxTasks = 100;
+
+/**
+ * Base (abstract) command for scheduling the tasks other than reminders (cleanings, polls, role changes etc.).
+ * Inserts the tasks to the DB and adds them to the Scheduler, which executes them by their types.
+ * @see Scheduler#registerExecutor
+ * @abstract
+ * @alias ScheduleTaskCommand
+ * @extends DiscordCommand
+ */
+class ScheduleTaskCommand extends DiscordCommand {
+  /**
+   * Gets the max number of scheduled tasks a server may have, based on the Bot's preferences.
+   * The reminders have their own limits and the expiries of moderation actions are unlimited, so they are not counted.
+   * @param  {Context} context the Bot's context
+   * @return {number}          the max number of scheduled tasks
+   */
+  static getMaxTasks(context) {
+    const maxTasks = Number.parseInt(context.prefsManager.max_tasks_per_discord_org, 10);
+    return Number.isNaN(maxTasks) || maxTasks < 0 ? DefaultMaxTasks : maxTasks;
+  }
+
+  /**
+   * Inserts the tasks of a given type with given contents to the DB and schedules them.
+   * One task is created for each content.
+   * @param  {string}          type     the type of the tasks
+   * @param  {Array<Object>}   contents the contents of the tasks
+   * @return {Promise<string>}          the result text to be replied
+   */
+  async scheduleTasks(type, contents) {
+    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
+      type: {
+        $nin: [OrgTask.TASK_TYPES.reminder, OrgTask.TASK_TYPES.personalReminder, OrgTask.TASK_TYPES.moderationExpiry]
+      }
+    });
+
+    const maxTasks = ScheduleTaskCommand.getMaxTasks(this.context);
+    if (tasks.length + contents.length > maxTasks) {
+      return this.langManager.getString('command_scheduletask_too_many_tasks', maxTasks);
+    }
+
+    const currentRows = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId);
+    let newId = OhUtils.findMaxId(currentRows) + 1;
+
+    const addedIds = [];
+    for (const content of contents) {
+      const taskRow = {
+        id: newId++,
+        source: this.source,
+        orgId: this.orgId,
+        type,
+        time: OrgTask.parseTimeArg(this.time),
+        content
+      };
+
+      // The ids are assigned sequentially, so the tasks are inserted one by one.
+      /* eslint-disable no-await-in-loop */
+      const rowResult = await this.context.dbManager.insertOne(this.context.dbManager.tasksTable, taskRow);
+      /* eslint-enable no-await-in-loop */
+      if (rowResult) {
+        this.context.scheduler.addTask(taskRow);
+        addedIds.push(taskRow.id);
+      }
+    }
+
+    if (addedIds.length === 0) {
+      return this.langManager.getString('command_scheduletask_duplicate');
+    }
+
+    return this.langManager.getString('command_scheduletask_success', addedIds.join(', '));
+  }
+}
+
+/**
+ * Exports the ScheduleTaskCommand class
+ * @type {ScheduleTaskCommand}
+ */
+module.exports = ScheduleTaskCommand;
@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * @module tasks-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+const BotPublicError = require('../../utils/bot-public-error');
+
+const DiscordCommand = require('../discord-command');
+const TimeArg = require('../../command_meta/time-arg');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+const CommandPermissionFilter = require('../../command_meta/command-permission-filter');
+const CommandPermissionFilterField = require('../../command_meta/command-permission-filter-field');
+const SimpleArgScanner = require('../../arg_scanners/simple-arg-scanner');
+const DiscordChannelsArgScanner = require('../../arg_scanners/discord-channels-arg-scanner');
+
+const OrgTask = require('../../mongo_classes/org-task');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const TasksCommandArgDefs = Object.freeze({
+  channelIds: new CommandArgDef('channelIds', {
+    aliasIds: ['command_tasks_arg_channelIds_alias_channelIds', 'command_tasks_arg_channelIds_alias_c'],
+    helpId: 'command_tasks_arg_channelIds_help',
+    scanner: DiscordChannelsArgScanner,
+    validationOptions: { validTextChannels: true, anyValueAllowed: true }
+  }),
+  type: new CommandArgDef('type', {
+    aliasIds: ['command_tasks_arg_type_alias_type', 'command_tasks_arg_type_alias_t'],
+    helpId: 'command_tasks_arg_type_help',
+    scanner: SimpleArgScanner
+  })
+});
+
+/**
+ * Command to list the scheduled tasks of all types (reminders, cleanings, polls etc.) set up in the Discord server.
+ * The personal reminders of the users are not listed, since they are private.
+ * @alias TasksCommand
+ * @extends DiscordCommand
+ */
+class TasksCommand extends DiscordCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new TasksCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_tasks_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return TasksCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see HelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_tasks_help');
+  }
+
+  /**
+   * Gets the array of defined Bot's permission filters for the command.
+   * Source-defined permissions (e.g. Discord permissions) should be defined in another place.
+   * @return {Array<CommandPermissionFilter>} the array of Bot's permission filters
+   */
+  static getRequiredBotPermissions() {
+    return [
+      new CommandPermissionFilter(PermissionsManager.DEFINED_PERMISSIONS.remind.name, [
+        new CommandPermissionFilterField(
+          PermissionsManager.DEFINED_FILTERS.channelId.name,
+          TasksCommandArgDefs.channelIds.name
+        )
+      ])
+    ];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultDiscordArgValue(message, arg) {
+    switch (arg) {
+      case TasksCommandArgDefs.channelIds:
+        return this.langManager.getString(DiscordCommand.ANY_VALUE_TEXT);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromDiscord(message) {
+    await super.validateFromDiscord(message);
+
+    this.typeName = null;
+    if (this.type !== null) {
+      const listedTypes = this.getListedTypes();
+      this.typeName = listedTypes.find(
+        type =>
+          type.toLowerCase() === this.type.toLowerCase() ||
+          this.getLocalizedType(type).toLowerCase() === this.type.toLowerCase()
+      );
+      if (this.typeName === undefined) {
+        throw new BotPublicError(
+          this.langManager.getString(
+            'command_tasks_wrong_type',
+            this.type,
+            listedTypes.map(type => this.getLocalizedType(type)).join(', ')
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Gets the types of the tasks which can be listed by the command.
+   * @return {Array<string>} the task types
+   */
+  getListedTypes() {
+    return Object.values(OrgTask.TASK_TYPES).filter(
+      type => type !== OrgTask.TASK_TYPES.personalReminder && this.context.scheduler.getExecutorClass(type) !== null
+    );
+  }
+
+  /**
+   * Gets the localized name of a task type.
+   * @param  {string} type the task type
+   * @return {string}      the localized name
+   */
+  getLocalizedType(type) {
+    return this.langManager.getString(this.context.scheduler.getExecutorClass(type).getTypeTextId());
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Discord message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForDiscord(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const tasks = await this.context.dbManager.getDiscordRows(this.context.dbManager.tasksTable, this.orgId, {
+      type: this.typeName === null ? { $in: this.getListedTypes() } : this.typeName
+    });
+
+    const allChannels = this.channelIds.channels.length === 1 && this.channelIds.channels[0] === OhUtils.ANY_VALUE;
+
+    let result = '';
+    for (const task of tasks) {
+      const executorClass = this.context.scheduler.getExecutorClass(task.type);
+      if (!allChannels) {
+        const taskChannels = executorClass.getChannelIds(task.content);
+        if (!taskChannels.some(channelId => this.channelIds.channels.includes(channelId))) {
+          continue;
+        }
+      }
+
+      if (task.paused === true) {
+        result += this.langManager.getString('command_tasks_task_paused');
+      }
+
+      result += this.langManager.getString(
+        'command_tasks_task',
+        task.id,
+        this.langManager.getString(executorClass.getTypeTextId()),
+        TimeArg.toString(task.time.definitions, this.langManager),
+        executorClass.describeContent(task.content, this.langManager)
+      );
+    }
+
+    if (result === '') {
+      return this.langManager.getString('command_tasks_no_tasks');
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Exports the TasksCommand class
+ * @type {TasksCommand}
+ */
+module.exports = TasksCommand;
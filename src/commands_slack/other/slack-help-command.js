@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * @module slack-help-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../../utils/bot-utils');
+
+const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+
+const SlackCommand = require('../slack-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const AllArgId = 'command_help_all_arg_value';
+
+const MaxSuggestedCommands = 5;
+
+const SlackHelpCommandArgDefs = Object.freeze({
+  command: new CommandArgDef('command', {
+    aliasIds: ['command_help_arg_command_alias_command', 'command_help_arg_command_alias_c'],
+    helpId: 'command_help_arg_command_help'
+  })
+});
+
+/**
+ * Command to display help info about the Bot in Slack.
+ * @alias SlackHelpCommand
+ * @extends SlackCommand
+ */
+class SlackHelpCommand extends SlackCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SlackHelpCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_help_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SlackHelpCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see SlackHelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_help_help', langManager.getString(AllArgId));
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Slack message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForSlack(message) {
+    const currentPrefix = await this.context.dbManager.getSetting(
+      this.source,
+      this.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.commandPrefix.name,
+      message.source.DEFAULT_COMMAND_PREFIX
+    );
+
+    const commands = message.source.commandManager.definedCommands;
+    if (this.command === null || this.langManager.getString(AllArgId) === this.command) {
+      return this.makeSummary(message, commands, currentPrefix);
+    }
+
+    const selectedCommand = commands.find(
+      command => this.langManager.getString(command.getCommandInterfaceName()) === this.command
+    );
+    if (selectedCommand === undefined) {
+      const commandNames = commands.map(command => this.langManager.getString(command.getCommandInterfaceName()));
+      const suggestedCommands = OhUtils.makeSuggestions(this.command, commandNames, MaxSuggestedCommands);
+      return this.langManager.getString('command_help_wrong_command', suggestedCommands.join(', '));
+    }
+
+    let result = selectedCommand.getHelpText(this.context, this.langManager) + '\n';
+    for (const arg of Object.values(selectedCommand.getDefinedArgs())) {
+      const aliases = arg.aliasIds.map(aliasId => SlackCommand.ARG_PREFIX + this.langManager.getString(aliasId));
+      result = result + aliases.join(' ') + ' : ' + this.langManager.getString(arg.helpId) + '\n';
+    }
+
+    return result;
+  }
+
+  /**
+   * Makes the summary of the commands. If the author is not an administrator of the workspace, then by default
+   * the commands requiring the administrator status are skipped.
+   * @param  {BaseMessage}                   message       the Slack message as the source of the command
+   * @param  {Array<constructor>}            commands      the defined commands
+   * @param  {string}                        currentPrefix the command prefix
+   * @return {Promise<string>}                             the summary
+   */
+  async makeSummary(message, commands, currentPrefix) {
+    let shownCommands = commands;
+    if (
+      this.langManager.getString(AllArgId) !== this.command &&
+      !(await this.context.permManager.isSlackAuthorAdmin(message))
+    ) {
+      shownCommands = commands.filter(
+        command => !command.getRequiredSlackPermissions().includes(PermissionsManager.SLACK_PERMISSIONS.ADMINISTRATOR)
+      );
+    }
+
+    let result = this.langManager.getString(
+      'command_help_summary',
+      currentPrefix + this.langManager.getString(SlackHelpCommand.getCommandInterfaceName())
+    );
+    for (const command of shownCommands) {
+      result =
+        result +
+        currentPrefix +
+        this.langManager.getString(command.getCommandInterfaceName()) +
+        ' : ' +
+        command.getHelpText(this.context, this.langManager) +
+        '\n';
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Exports the SlackHelpCommand class
+ * @type {SlackHelpCommand}
+ */
+module.exports = SlackHelpCommand;
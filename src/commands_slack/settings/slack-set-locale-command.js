@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * @module slack-set-locale-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const SlackCommand = require('../slack-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+
+const SetLocaleCommandArgDefs = Object.freeze({
+  locale: new CommandArgDef('locale', {
+    aliasIds: ['command_setlocale_arg_locale_alias_locale', 'command_setlocale_arg_locale_alias_l'],
+    helpId: 'command_setlocale_arg_locale_help',
+    validationOptions: { nonNull: true }
+  })
+});
+
+/**
+ * Command to set the workspace-wide language in Slack.
+ * @see LangManager
+ * @alias SlackSetLocaleCommand
+ * @extends SlackCommand
+ */
+class SlackSetLocaleCommand extends SlackCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SlackSetLocaleCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_setlocale_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SetLocaleCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see SlackHelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_setlocale_help');
+  }
+
+  /**
+   * Gets the array of defined Slack permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Slack-specific permissions required
+   */
+  static getRequiredSlackPermissions() {
+    return [PermissionsManager.SLACK_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromSlack(message) {
+    await super.validateFromSlack(message);
+
+    const locales = this.langManager.getLocales();
+    let found = false;
+    const availableLocaleNames = [];
+    for (const locale of locales) {
+      availableLocaleNames.push(locale);
+      if (locale === this.locale) {
+        found = true;
+        break;
+      }
+    }
+
+    if (!found) {
+      this.context.log.e('SlackSetLocaleCommand validateFromSlack: locale not found: ' + this.locale);
+      throw new BotPublicError(
+        this.langManager.getString('command_setlocale_error_wrong_locale', availableLocaleNames.join(', '))
+      );
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Slack message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForSlack(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    await this.context.dbManager.setSetting(
+      this.source,
+      this.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.localeName.name,
+      this.locale
+    );
+
+    this.context.log.i('SlackSetLocaleCommand done: new locale is ' + this.locale);
+    return this.langManager.getString('command_setlocale_success', this.locale);
+  }
+}
+
+/**
+ * Exports the SlackSetLocaleCommand class
+ * @type {SlackSetLocaleCommand}
+ */
+module.exports = SlackSetLocaleCommand;
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * @module slack-settings-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../../utils/bot-public-error');
+
+const SlackCommand = require('../slack-command');
+const CommandArgDef = require('../../command_meta/command-arg-def');
+
+const PermissionsManager = require('../../managers/permissions-manager');
+
+const ServerSettingsTable = require('../../mongo_classes/server-settings-table');
+
+const SlackSettingsCommandArgDefs = Object.freeze({
+  setting: new CommandArgDef('setting', {
+    aliasIds: ['command_settings_arg_setting_alias_setting', 'command_settings_arg_setting_alias_s'],
+    helpId: 'command_settings_arg_setting_help'
+  })
+});
+
+/**
+ * The server settings which are used in Slack. Others (like the moderation logs) are Discord-only for now.
+ * @type {Array<MultiLangValue>}
+ */
+const SlackSettings = Object.freeze([
+  ServerSettingsTable.SERVER_SETTINGS.commandPrefix,
+  ServerSettingsTable.SERVER_SETTINGS.localeName,
+  ServerSettingsTable.SERVER_SETTINGS.timezone,
+  ServerSettingsTable.SERVER_SETTINGS.misfirePolicy
+]);
+
+/**
+ * Command to list the settings of the Slack workspace.
+ * @alias SlackSettingsCommand
+ * @extends SlackCommand
+ */
+class SlackSettingsCommand extends SlackCommand {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    return new SlackSettingsCommand(context, source, commandLangManager, orgId);
+  }
+
+  /**
+   * Gets the text id of the command's name from localization resources.
+   * @return {string} the id of the command's name to be localized
+   */
+  static getCommandInterfaceName() {
+    return 'command_settings_name';
+  }
+
+  /**
+   * Gets the array of all arguments definitions of the command.
+   * @return {Array<CommandArgDef>} the array of definitions
+   */
+  static getDefinedArgs() {
+    return SlackSettingsCommandArgDefs;
+  }
+
+  /**
+   * Gets the help text for the command (excluding the help text for particular arguments).
+   * The lang manager is basically the manager from the HelpCommand's instance.
+   * @see SlackHelpCommand
+   * @param  {Context}     context     the Bot's context
+   * @param  {LangManager} langManager the language manager to localize the help text
+   * @return {string}                  the localized help text
+   */
+  static getHelpText(context, langManager) {
+    return langManager.getString('command_settings_help');
+  }
+
+  /**
+   * Gets the array of defined Slack permission filters for the command.
+   * Source-independent permissions (e.g. stored in the Bot's DB) should be defined in another place.
+   * @return {Array<string>} the array of Slack-specific permissions required
+   */
+  static getRequiredSlackPermissions() {
+    return [PermissionsManager.SLACK_PERMISSIONS.ADMINISTRATOR];
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromSlack(message) {
+    await super.validateFromSlack(message);
+
+    this.selectedSetting = null;
+    if (this.setting !== null) {
+      this.selectedSetting = SlackSettings.find(setting => this.langManager.getString(setting.textId) === this.setting);
+      if (this.selectedSetting === undefined) {
+        const localizedSettings = SlackSettings.map(setting => this.langManager.getString(setting.textId));
+        throw new BotPublicError(
+          this.langManager.getString('command_settings_error_wrong_setting', this.setting, localizedSettings.join(', '))
+        );
+      }
+    }
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Slack message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForSlack(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const shownSettings = this.selectedSetting === null ? SlackSettings : [this.selectedSetting];
+    const values = await Promise.all(
+      shownSettings.map(setting => this.context.dbManager.getSetting(this.source, this.orgId, setting.name))
+    );
+
+    let result = '';
+    for (let i = 0; i < shownSettings.length; i++) {
+      if (values[i] !== undefined) {
+        result = result + this.langManager.getString(shownSettings[i].textId) + ' : ' + values[i] + '\n';
+      }
+    }
+
+    return result === '' ? this.langManager.getString('command_settings_empty_setting') : result;
+  }
+}
+
+/**
+ * Exports the SlackSettingsCommand class
+ * @type {SlackSettingsCommand}
+ */
+module.exports = SlackSettingsCommand;
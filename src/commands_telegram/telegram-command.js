@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * @module telegram-command
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const Command = require('../command_meta/command');
+const ArgValidationTree = require('../command_meta/arg-validation-tree');
+
+/**
+ * Base Telegram command.
+ * @abstract
+ * @alias TelegramCommand
+ * @extends Command
+ */
+class TelegramCommand extends Command {
+  /**
+   * Creates an instance for an organization from a source and assigns a given language manager to it.
+   * @param  {Context}     context            the Bot's context
+   * @param  {string}      source             the source name (like Discord etc.)
+   * @param  {LangManager} commandLangManager the language manager
+   * @param  {string}      orgId              the organization identifier
+   * @return {Command}                        the created instance
+   */
+  static createForOrg(context, source, commandLangManager, orgId) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('createForOrg: ' + this.name + ' is an abstract class');
+  }
+
+  /**
+   * Gets the array of the Telegram administrator rights required for the command.
+   * If at least one right is required, then the command is available only to the administrators of the group.
+   * @see PermissionsManager.TELEGRAM_PERMISSIONS
+   * @return {Array<string>} the array of Telegram-specific permissions required
+   */
+  static getRequiredTelegramPermissions() {
+    return [];
+  }
+
+  /**
+   * Gets the default value for a given argument definition.
+   * Used when unable to scan the argument from the command's text.
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultTelegramArgValue(message, arg) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    return null;
+  }
+
+  /**
+   * Gets the default value for a given argument definition during the scanning of the arguments.
+   * @see TelegramCommand#getDefaultTelegramArgValue
+   * @param  {BaseMessage}    message the command's message
+   * @param  {CommandArgDef}  arg     the argument definition
+   * @return {Promise}                the default value
+   */
+  async getDefaultArgValue(message, arg) {
+    return this.getDefaultTelegramArgValue(message, arg);
+  }
+
+  /**
+   * Validates each of the arguments according to validation types set in their definition.
+   * Throws BotPublicError if any of the validations was violated.
+   * @see CommandArgDef
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}  message the command's message
+   * @return {Promise}              nothing
+   */
+  async validateFromTelegram(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    await ArgValidationTree.validateCommandArguments(this);
+  }
+
+  /**
+   * Executes the command instance. The main function of a command, it's essence.
+   * All arguments scanning, validation and permissions check is considered done before entering this function.
+   * So if any exception happens inside the function, it's considered a Bot's internal problem.
+   * @param  {BaseMessage}         message the Telegram message as the source of the command
+   * @return {Promise<string>}             the result text to be replied as the response of the execution
+   */
+  async executeForTelegram(message) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('executeForTelegram: ' + this.constructor.name + ' is an abstract class.');
+  }
+
+  /**
+   * Parses the command's arguments from the message (sequentially or by names, similarly to the Discord commands)
+   * and launches the arguments validation.
+   * @see Command#parseArgs
+   * @param  {BaseMessage}  message the Telegram message with the command
+   * @return {Promise}              nothing
+   */
+  async parseFromTelegram(message) {
+    await this.parseArgs(message);
+    await this.validateFromTelegram(message);
+  }
+}
+
+/**
+ * Exports the TelegramCommand class
+ * @type {TelegramCommand}
+ */
+module.exports = TelegramCommand;
@@ -6,6 +6,9 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
+const SlackUtils = require('../utils/slack-utils');
+const TelegramUtils = require('../utils/telegram-utils');
+
 /**
  * Wrapper for a source-specific message
  * @alias BaseMessage
@@ -30,7 +33,8 @@ class BaseMessage {
   }
 
   /**
-   * Create BaseMessage from a Slack message
+   * Create BaseMessage from a Slack message. Slack escapes the "<", ">" and "&" symbols in the texts,
+   * so they are unescaped to be parsed the same way as in other sources.
    * @param   {Object}      slackMessage the Slack native message object
    * @param   {Object}      slackSource  the Slack source object
    * @returns {BaseMessage}              the result source-independent message
@@ -40,7 +44,7 @@ class BaseMessage {
       slackMessage.team_id,
       slackMessage.channel,
       slackMessage.user,
-      slackMessage.text,
+      SlackUtils.unescapeText(slackMessage.text || ''),
       slackMessage,
       slackSource
     );
@@ -63,6 +67,30 @@ class BaseMessage {
     );
   }
 
+  /**
+   * Create BaseMessage from a Telegram message. The organization is the group where the message was posted
+   * (null for the private chats). The name of the bot appended to the command (like "/help@SomeBot") is removed,
+   * so the command is parsed the same way as without it.
+   * @param   {Object}      telegramMessage the Telegram native message object
+   * @param   {Object}      telegramSource  the Telegram source object
+   * @returns {BaseMessage}                 the result source-independent message
+   */
+  static createFromTelegram(telegramMessage, telegramSource) {
+    let content = telegramMessage.text === undefined ? telegramMessage.caption : telegramMessage.text;
+    if (content === undefined) {
+      content = '';
+    }
+
+    return new BaseMessage(
+      TelegramUtils.isGroupChat(telegramMessage.chat) ? String(telegramMessage.chat.id) : null,
+      String(telegramMessage.chat.id),
+      telegramMessage.from ? String(telegramMessage.from.id) : null,
+      TelegramUtils.removeBotName(content, telegramSource.client.user.username),
+      telegramMessage,
+      telegramSource
+    );
+  }
+
   /**
    * Replies to the message with a text using the respective source-dependent class.
    * The source-dependent function called from here should take care of technical nuances of the respective
@@ -73,6 +101,16 @@ class BaseMessage {
   async reply(text) {
     this.source.replyToMessage(this, text);
   }
+
+  /**
+   * Replies to the message with a text describing an error, using the respective source-dependent class.
+   * Some platforms may show such replies to the message's author only.
+   * @param   {string}  text the text to reply with
+   * @returns {Promise}      nothing
+   */
+  async replyError(text) {
+    this.source.replyErrorToMessage(this, text);
+  }
 }
 
 /**
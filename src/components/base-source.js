@@ -6,10 +6,22 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
+const SourceMember = require('../command_meta/source-member');
+const SourceChannel = require('../command_meta/source-channel');
+const SourceRole = require('../command_meta/source-role');
+const SourceEmbed = require('../command_meta/source-embed');
+
+const OrgChannel = require('../mongo_classes/org-channel');
+
 const DEFAULT_COMMAND_PREFIX = '!';
+const POLL_POINT_SEPARATOR = '.';
 
 /**
  * Wrapper class for message sources (like Discord, Slack etc.)
+ * Besides the replies, provides the source-independent model of the organizations' entities (members, channels,
+ * roles) and of the rich messages, so the commands using only this model can run on any source.
+ * By default, the entities are taken from the Bot's DB, where they are synced from the sources.
+ * @see SourceCommand
  * @alias BaseSource
  */
 class BaseSource {
@@ -32,6 +44,261 @@ class BaseSource {
     throw new Error(`${this.constructor.name} is an abstract class`);
   }
 
+  /**
+   * Replies to the message with an error description using a source-dependent class.
+   * By default, the error is replied the same way as any other text.
+   * @param   {BaseMessage} message   the base message object
+   * @param   {string}      replyText the text to reply with
+   * @returns {Promise}               nothing
+   */
+  async replyErrorToMessage(message, replyText) {
+    return this.replyToMessage(message, replyText);
+  }
+
+  /**
+   * Gets a member of an organization by the identifier.
+   * @param   {Context}               context  the Bot's context
+   * @param   {string}                orgId    the organization identifier
+   * @param   {string}                memberId the identifier of the member
+   * @returns {Promise<SourceMember>}          the member, or null if not found
+   */
+  async fetchMember(context, orgId, memberId) {
+    const rows = await context.dbManager.getRows(context.dbManager.membersTable, {
+      source: this.name,
+      orgId,
+      id: memberId
+    });
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return new SourceMember(rows[0].id, rows[0].displayName, this.makeMemberMention(rows[0]));
+  }
+
+  /**
+   * Gets a member of an organization by a reference from a command's text (like a mention or an identifier).
+   * @param   {Context}               context   the Bot's context
+   * @param   {string}                orgId     the organization identifier
+   * @param   {string}                reference the reference to the member
+   * @returns {Promise<SourceMember>}           the member, or null if not found
+   */
+  async resolveMember(context, orgId, reference) {
+    const memberId = this.parseMemberReference(reference);
+    return memberId === null ? null : this.fetchMember(context, orgId, memberId);
+  }
+
+  /**
+   * Checks if a text is a reference to a member (like a mention or an identifier), without checking that
+   * the member exists.
+   * @param   {string}  text the text
+   * @returns {boolean}      true if the text is a reference to a member, false otherwise
+   */
+  isMemberReference(text) {
+    return this.parseMemberReference(text) !== null;
+  }
+
+  /**
+   * Gets the identifier of the member referred by a text (like a mention or an identifier).
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a member
+   */
+  parseMemberReference(text) {
+    return /^\d+$/.test(text) ? text : null;
+  }
+
+  /**
+   * Makes the text referring to a member in the messages of the source.
+   * @param   {OrgMember} memberRow the member's row from the DB
+   * @returns {string}              the text referring to the member
+   */
+  makeMemberMention(memberRow) {
+    return memberRow.displayName;
+  }
+
+  /**
+   * Gets the identifier of the author of the message which the given message replies to.
+   * Used as the default target of the commands (e.g. to warn the author of the replied message).
+   * Returns null if the message is not a reply, or the source has no replies.
+   * @param   {BaseMessage} message the base message object
+   * @returns {string}              the identifier of the replied author
+   */
+  getRepliedMemberId(message) {
+    return null;
+  }
+
+  /**
+   * Gets a text channel of an organization by the identifier.
+   * @param   {Context}                context   the Bot's context
+   * @param   {string}                 orgId     the organization identifier
+   * @param   {string}                 channelId the identifier of the channel
+   * @returns {Promise<SourceChannel>}           the channel, or null if not found
+   */
+  async fetchChannel(context, orgId, channelId) {
+    const rows = await context.dbManager.getRows(context.dbManager.channelsTable, {
+      source: this.name,
+      orgId,
+      id: channelId,
+      type: OrgChannel.getTextType()
+    });
+    return rows.length === 0 ? null : new SourceChannel(rows[0].id, rows[0].name, this.makeChannelMention(rows[0]));
+  }
+
+  /**
+   * Gets the identifier of the channel referred by a text (like a mention or an identifier).
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a channel
+   */
+  parseChannelReference(text) {
+    return /^\d+$/.test(text) ? text : null;
+  }
+
+  /**
+   * Makes the text referring to a channel in the messages of the source.
+   * @param   {OrgChannel} channelRow the channel's row from the DB
+   * @returns {string}                the text referring to the channel
+   */
+  makeChannelMention(channelRow) {
+    return channelRow.name;
+  }
+
+  /**
+   * Gets a role of an organization by the identifier.
+   * @param   {Context}             context the Bot's context
+   * @param   {string}              orgId   the organization identifier
+   * @param   {string}              roleId  the identifier of the role
+   * @returns {Promise<SourceRole>}         the role, or null if not found (or the source has no roles)
+   */
+  async fetchRole(context, orgId, roleId) {
+    const rows = await context.dbManager.getRows(context.dbManager.rolesTable, {
+      source: this.name,
+      orgId,
+      id: roleId
+    });
+    return rows.length === 0 ? null : new SourceRole(rows[0].id, rows[0].name, this.makeRoleMention(rows[0]));
+  }
+
+  /**
+   * Makes the text referring to a role in the messages of the source.
+   * @param   {OrgRole} roleRow the role's row from the DB
+   * @returns {string}          the text referring to the role
+   */
+  makeRoleMention(roleRow) {
+    return roleRow.name;
+  }
+
+  /**
+   * Posts a text to a channel.
+   * @param   {string}          channelId the identifier of the channel
+   * @param   {string}          text      the text to be posted
+   * @returns {Promise<string>}           the identifier of the (last) posted message
+   */
+  async sendText(channelId, text) {
+    throw new Error(`${this.constructor.name} is an abstract class`);
+  }
+
+  /**
+   * Posts a rich message to a channel. By default, the message is posted as text.
+   * @param   {string}          channelId the identifier of the channel
+   * @param   {SourceEmbed}     embed     the rich message
+   * @returns {Promise<string>}           the identifier of the posted message
+   */
+  async sendEmbed(channelId, embed) {
+    return this.sendText(channelId, embed.toText());
+  }
+
+  /**
+   * Posts a poll to a channel, in the way the users of the source can vote (e.g. by the reactions).
+   * @param   {string}        channelId   the identifier of the channel
+   * @param   {string}        question    the question of the poll
+   * @param   {Array<string>} answers     the answers (null or empty for a yes/no poll)
+   * @param   {LangManager}   langManager the language manager to localize the texts of the poll (if any)
+   * @returns {Promise}                   nothing
+   */
+  async postPoll(channelId, question, answers, langManager) {
+    throw new Error(`${this.constructor.name} is an abstract class`);
+  }
+
+  /**
+   * Validates a poll against the limitations of the source, like the max length of the question.
+   * Throws BotPublicError if the poll cannot be posted. By default, there are no limitations.
+   * @throws {BotPublicError}
+   * @param {string}        question    the question of the poll
+   * @param {Array<string>} answers     the answers (null or empty for a yes/no poll)
+   * @param {LangManager}   langManager the language manager to localize the error
+   */
+  validatePoll(question, answers, langManager) {}
+
+  /**
+   * Makes the rich message of a poll: the question as the title and the numbered answers as the description.
+   * @param   {string}        question the question of the poll
+   * @param   {Array<string>} answers  the answers (null or empty for a yes/no poll)
+   * @returns {SourceEmbed}            the rich message
+   */
+  static makePollEmbed(question, answers) {
+    if (answers === null || answers.length === 0) {
+      return new SourceEmbed(question);
+    }
+
+    const points = answers.map((answer, index) => index + 1 + POLL_POINT_SEPARATOR + ' ' + answer);
+    return new SourceEmbed(question, points.join('\n'));
+  }
+
+  /**
+   * Deletes the message (e.g. the message of a command which posts its own message instead of a reply).
+   * @param   {BaseMessage} message the base message object
+   * @returns {Promise}             nothing
+   */
+  async deleteMessage(message) {
+    throw new Error(`${this.constructor.name} is an abstract class`);
+  }
+
+  /**
+   * Gets the files attached to the message.
+   * @param   {BaseMessage}             message the base message object
+   * @returns {Array<SourceAttachment>}         the attachments (empty if the source does not support them)
+   */
+  getAttachments(message) {
+    return [];
+  }
+
+  /**
+   * Checks if the author of the message may mention everyone in a channel (so the mentions are not suppressed
+   * in the messages posted on behalf of the author, e.g. in the reminders).
+   * @param   {BaseMessage}      message   the base message object
+   * @param   {string}           channelId the identifier of the channel
+   * @returns {Promise<boolean>}           true if the author may mention everyone, false otherwise
+   */
+  async canMentionEveryone(message, channelId) {
+    return false;
+  }
+
+  /**
+   * Gets the moderation actions (like a mute or a ban) the source supports.
+   * @see OrgEscalationStep.ESCALATION_ACTIONS
+   * @return {Array<string>} the names of the actions
+   */
+  get moderationActions() {
+    return [];
+  }
+
+  /**
+   * Applies a moderation action (like a mute or a ban) to a member of an organization.
+   * Throws an error if the action is not supported by the source or failed.
+   * @see BaseSource#moderationActions
+   * @throws {Error}
+   * @param   {Context}         context     the Bot's context
+   * @param   {string}          orgId       the organization identifier
+   * @param   {string}          memberId    the identifier of the member
+   * @param   {string}          moderatorId the identifier of the moderator applying the action
+   * @param   {string}          action      the name of the action
+   * @param   {number}          duration    the duration of a temporary action in milliseconds, 0 for a permanent one
+   * @param   {string}          reason      the reason of the action
+   * @returns {Promise<number>}             the time when the action expires, or null if it's permanent
+   */
+  async moderateMember(context, orgId, memberId, moderatorId, action, duration, reason) {
+    throw new Error(`${this.constructor.name} does not support the moderation action ${action}`);
+  }
+
   /**
    * Gets the name of the source
    * @return {string} the name
@@ -8,22 +8,39 @@
 
 const CommandManager = require('./command-manager');
 
+const AddAutomodRuleCommand = require('../commands_discord/settings/add-automod-rule-command');
 const AddBadWordsCommand = require('../commands_discord/settings/add-bad-words-command');
+const AddCensoringRuleCommand = require('../commands_discord/settings/add-censoring-rule-command');
+const AddLinkDomainsCommand = require('../commands_discord/settings/add-link-domains-command');
 const AddRoleCommand = require('../commands_discord/moderation/add-role-command');
 const AddRoleManagerCommand = require('../commands_discord/permissions/add-role-manager-command');
+const AliasCommand = require('../commands_discord/settings/alias-command');
+const AutomodRulesCommand = require('../commands_discord/settings/automod-rules-command');
 const BadWordsCommand = require('../commands_discord/settings/bad-words-command');
 const BanCommand = require('../commands_discord/moderation/ban-command');
+const CaseCommand = require('../commands_discord/moderation/case-command');
+const CasesCommand = require('../commands_discord/moderation/cases-command');
+const CensoringRulesCommand = require('../commands_discord/settings/censoring-rules-command');
 const CleanCommand = require('../commands_discord/moderation/clean-command');
+const DeleteAutomodRuleCommand = require('../commands_discord/settings/delete-automod-rule-command');
+const DeleteCensoringRuleCommand = require('../commands_discord/settings/delete-censoring-rule-command');
 const DeleteImageTemplateCommand = require('../commands_discord/image/delete-image-template-command');
 const DeleteReminderCommand = require('../commands_discord/social/delete-reminder-command');
+const DeleteTaskCommand = require('../commands_discord/tasks/delete-task-command');
 const DeletePermissionCommand = require('../commands_discord/permissions/delete-permission-command');
 const DeleteWarningCommand = require('../commands_discord/moderation/delete-warning-command');
 const DenyImageTemplateCommand = require('../commands_discord/permissions/deny-image-template-command');
 const DenyRemindCommand = require('../commands_discord/permissions/deny-remind-command');
+const DisableCommandCommand = require('../commands_discord/settings/disable-command-command');
+const EditReminderCommand = require('../commands_discord/social/edit-reminder-command');
+const EscalationCommand = require('../commands_discord/settings/escalation-command');
 const HelpCommand = require('../commands_discord/other/help-command');
 const KickCommand = require('../commands_discord/moderation/kick-command');
+const LinkDomainsCommand = require('../commands_discord/settings/link-domains-command');
+const MuteCommand = require('../commands_discord/moderation/mute-command');
 const MyPermissionsCommand = require('../commands_discord/permissions/my-permissions-command');
 const MySettingsCommand = require('../commands_discord/settings/my-settings-command');
+const PauseReminderCommand = require('../commands_discord/social/pause-reminder-command');
 const PermissionsCommand = require('../commands_discord/permissions/permissions-command');
 const PermitImageTemplateCommand = require('../commands_discord/permissions/permit-image-template-command');
 const PermitRemindCommand = require('../commands_discord/permissions/permit-remind-command');
@@ -31,26 +48,49 @@ const PingCommand = require('../commands_discord/other/ping-command');
 const MakeImageCommand = require('../commands_discord/image/make-image-command');
 const ListImageTemplatesCommand = require('../commands_discord/image/list-image-templates-command');
 const AddImageTemplateCommand = require('../commands_discord/image/add-image-template-command');
-const PollCommand = require('../commands_discord/social/poll-command');
-const RemindCommand = require('../commands_discord/social/remind-command');
+const PollCommand = require('../commands_common/social/poll-command');
+const ReasonCommand = require('../commands_discord/moderation/reason-command');
+const RemindCommand = require('../commands_common/social/remind-command');
+const RemindMeCommand = require('../commands_discord/social/remind-me-command');
 const RemindersCommand = require('../commands_discord/social/reminders-command');
 const RemoveBadWordsCommand = require('../commands_discord/settings/remove-bad-words-command');
+const RemoveLinkDomainsCommand = require('../commands_discord/settings/remove-link-domains-command');
 const RemoveRoleCommand = require('../commands_discord/moderation/remove-role-command');
 const RemoveRoleManagerCommand = require('../commands_discord/permissions/remove-role-manager-command');
+const ResumeReminderCommand = require('../commands_discord/social/resume-reminder-command');
+const ScheduleCleanCommand = require('../commands_discord/tasks/schedule-clean-command');
+const ScheduleLockCommand = require('../commands_discord/tasks/schedule-lock-command');
+const SchedulePollCommand = require('../commands_discord/tasks/schedule-poll-command');
+const ScheduleRoleCommand = require('../commands_discord/tasks/schedule-role-command');
+const SetAppealsChannelCommand = require('../commands_discord/settings/set-appeals-channel-command');
 const SetBanOnWarningsCommand = require('../commands_discord/settings/set-ban-on-warnings-command');
 const SetCensoringCommand = require('../commands_discord/settings/set-censoring-command');
+const SetEscalationCommand = require('../commands_discord/settings/set-escalation-command');
+const SetLinkFilterCommand = require('../commands_discord/settings/set-link-filter-command');
 const SetLocaleCommand = require('../commands_discord/settings/set-locale-command');
+const SetMessageLogsCommand = require('../commands_discord/settings/set-message-logs-command');
+const SetMisfirePolicyCommand = require('../commands_discord/settings/set-misfire-policy-command');
 const SetModerLogsChannelCommand = require('../commands_discord/settings/set-moder-logs-channel-command');
 const SetModerLogsCommand = require('../commands_discord/settings/set-moder-logs-command');
+const SetMuteOnWarningsCommand = require('../commands_discord/settings/set-mute-on-warnings-command');
 const SetMyLocaleCommand = require('../commands_discord/settings/set-my-locale-command');
 const SetMyTimezoneCommand = require('../commands_discord/settings/set-my-timezone-command');
 const SetPrefixCommand = require('../commands_discord/settings/set-prefix-command');
 const SetTimezoneCommand = require('../commands_discord/settings/set-timezone-command');
+const SetWarningsDecayCommand = require('../commands_discord/settings/set-warnings-decay-command');
 const SettingsCommand = require('../commands_discord/settings/settings-command');
-const WarnCommand = require('../commands_discord/moderation/warn-command');
+const SnoozeReminderCommand = require('../commands_discord/social/snooze-reminder-command');
+const TaskHistoryCommand = require('../commands_discord/social/task-history-command');
+const TasksCommand = require('../commands_discord/tasks/tasks-command');
+const UnaliasCommand = require('../commands_discord/settings/unalias-command');
+const UnmuteCommand = require('../commands_discord/moderation/unmute-command');
+const WarnCommand = require('../commands_common/moderation/warn-command');
 const WarningsCommand = require('../commands_discord/moderation/warnings-command');
 
+const AppealCommand = require('../commands_discord/private_moderation/appeal-command');
+const DeleteMyReminderCommand = require('../commands_discord/private_social/delete-my-reminder-command');
 const MyDataCommand = require('../commands_discord/private_privacy/my-data-command');
+const MyRemindersCommand = require('../commands_discord/private_social/my-reminders-command');
 
 /**
  * Represents commands available for Discord
@@ -67,42 +107,79 @@ class DiscordCommandManager extends CommandManager {
       MakeImageCommand,
       ListImageTemplatesCommand,
       AddImageTemplateCommand,
+      AddAutomodRuleCommand,
       AddBadWordsCommand,
+      AddCensoringRuleCommand,
+      AddLinkDomainsCommand,
       AddRoleCommand,
       AddRoleManagerCommand,
+      AliasCommand,
+      AutomodRulesCommand,
       BadWordsCommand,
       BanCommand,
+      CaseCommand,
+      CasesCommand,
+      CensoringRulesCommand,
       CleanCommand,
+      DeleteAutomodRuleCommand,
+      DeleteCensoringRuleCommand,
       DeleteImageTemplateCommand,
       DeleteReminderCommand,
+      DeleteTaskCommand,
       DeletePermissionCommand,
       DeleteWarningCommand,
       DenyImageTemplateCommand,
       DenyRemindCommand,
+      DisableCommandCommand,
+      EditReminderCommand,
+      EscalationCommand,
       HelpCommand,
       KickCommand,
+      LinkDomainsCommand,
+      MuteCommand,
       MyPermissionsCommand,
       MySettingsCommand,
+      PauseReminderCommand,
       PermissionsCommand,
       PermitImageTemplateCommand,
       PermitRemindCommand,
       PingCommand,
       PollCommand,
+      ReasonCommand,
       RemindersCommand,
       RemindCommand,
+      RemindMeCommand,
       RemoveBadWordsCommand,
+      RemoveLinkDomainsCommand,
       RemoveRoleCommand,
       RemoveRoleManagerCommand,
+      ResumeReminderCommand,
+      ScheduleCleanCommand,
+      ScheduleLockCommand,
+      SchedulePollCommand,
+      ScheduleRoleCommand,
+      SetAppealsChannelCommand,
       SetBanOnWarningsCommand,
       SetCensoringCommand,
+      SetEscalationCommand,
+      SetLinkFilterCommand,
       SetLocaleCommand,
+      SetMessageLogsCommand,
+      SetMisfirePolicyCommand,
       SetModerLogsChannelCommand,
       SetModerLogsCommand,
+      SetMuteOnWarningsCommand,
       SetMyLocaleCommand,
       SetMyTimezoneCommand,
       SetPrefixCommand,
       SetTimezoneCommand,
+      SetWarningsDecayCommand,
       SettingsCommand,
+      SnoozeReminderCommand,
+      TaskHistoryCommand,
+      TasksCommand,
+      UnaliasCommand,
+      UnmuteCommand,
       WarnCommand,
       WarningsCommand
     ]);
@@ -113,7 +190,7 @@ class DiscordCommandManager extends CommandManager {
    * @return {Array<constructor>} the defined commands
    */
   get definedPrivateCommands() {
-    return Object.freeze([MyDataCommand]);
+    return Object.freeze([AppealCommand, DeleteMyReminderCommand, MyDataCommand, MyRemindersCommand]);
   }
 }
 
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * @module discord-interaction-message
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const { Collection, SnowflakeUtil } = require('discord.js');
+
+const DiscordUtils = require('../utils/discord-utils');
+
+const DeferredMessageCallbackType = 5;
+const EphemeralFlag = 64;
+
+/**
+ * The states of the original response to the interaction.
+ * @type {Object}
+ */
+const ResponseStates = Object.freeze({
+  deferred: 'deferred',
+  replied: 'replied',
+  deleted: 'deleted'
+});
+
+/**
+ * Represents a slash command interaction in place of the Discord message the commands are usually parsed from.
+ * Provides the properties of the Discord message which are used by the commands, and replies to the interaction
+ * instead of the channel. The interaction is deferred first (Discord shows that the Bot is "thinking"),
+ * then the first reply replaces the original response and the following replies become follow-up messages.
+ * The error replies are ephemeral, that is visible to the caller only.
+ * The replies are sent in the order of their calls, even if the calls are not awaited.
+ * @see SlashCommandsManager
+ * @alias DiscordInteractionMessage
+ */
+class DiscordInteractionMessage {
+  /**
+   * Constructs an instance of the class
+   * @param {Context}     context     the Bot's context
+   * @param {Object}      interaction the raw interaction data from the Discord gateway
+   * @param {Guild}       guild       the Discord guild where the interaction happened
+   * @param {TextChannel} channel     the Discord channel where the interaction happened
+   * @param {GuildMember} member      the Discord member who invoked the interaction
+   * @param {string}      content     the text representation of the invoked command
+   */
+  constructor(context, interaction, guild, channel, member, content) {
+    this.context = context;
+    this.interaction = interaction;
+    this.id = interaction.id;
+    this.guild = guild;
+    this.channel = channel;
+    this.member = member;
+    this.author = member.user;
+    this.content = content;
+    this.createdTimestamp = SnowflakeUtil.deconstruct(interaction.id).timestamp;
+    this.attachments = new Collection();
+
+    this.responseState = null;
+    this.pendingRequests = Promise.resolve();
+  }
+
+  /**
+   * Deletes the message. The interactions have no message of the caller, so nothing is done.
+   * @return {Promise} nothing
+   */
+  async delete() {}
+
+  /**
+   * Schedules a request to Discord after the previously scheduled ones. Logs the errors, if happened.
+   * @param  {Function} request the async function making the request
+   * @return {Promise}          the promise resolved after the request is made
+   */
+  schedule(request) {
+    this.pendingRequests = this.pendingRequests.then(request).catch(error => {
+      this.context.log.e('DiscordInteractionMessage request error: ' + error + '; stack: ' + error.stack);
+    });
+    return this.pendingRequests;
+  }
+
+  /**
+   * Gets the API route of the webhook which is used to edit the responses to the interaction.
+   * @return {Object} the API route
+   */
+  getWebhookRoute() {
+    return this.context.discordClient.api.webhooks(this.context.discordClient.user.id, this.interaction.token);
+  }
+
+  /**
+   * Defers the response to the interaction. Must be done within 3 seconds after the interaction is received.
+   * @return {Promise} nothing
+   */
+  defer() {
+    return this.schedule(async () => {
+      await this.context.discordClient.api
+        .interactions(this.interaction.id, this.interaction.token)
+        .callback.post({ data: { type: DeferredMessageCallbackType } });
+      this.responseState = ResponseStates.deferred;
+    });
+  }
+
+  /**
+   * Replies to the interaction with a text visible to everyone in the channel.
+   * @param  {string}  text the text to reply with
+   * @return {Promise}      nothing
+   */
+  reply(text) {
+    return this.schedule(async () => {
+      for (const part of DiscordUtils.splitText(text)) {
+        // Must preserve the order of messages, so ignoring the warning about parallel processing.
+        /* eslint-disable no-await-in-loop */
+        if (this.responseState === ResponseStates.deferred) {
+          await this.getWebhookRoute()
+            .messages('@original')
+            .patch({ data: { content: part } });
+          this.responseState = ResponseStates.replied;
+        } else {
+          await this.getWebhookRoute().post({ data: { content: part } });
+        }
+        /* eslint-enable no-await-in-loop */
+      }
+    });
+  }
+
+  /**
+   * Replies to the interaction with a text visible to the caller only. The deferred response is deleted,
+   * since it's visible to everyone.
+   * @param  {string}  text the text to reply with
+   * @return {Promise}      nothing
+   */
+  replyError(text) {
+    return this.schedule(async () => {
+      await this.deleteDeferredResponse();
+      for (const part of DiscordUtils.splitText(text)) {
+        // Must preserve the order of messages, so ignoring the warning about parallel processing.
+        /* eslint-disable no-await-in-loop */
+        await this.getWebhookRoute().post({ data: { content: part, flags: EphemeralFlag } });
+        /* eslint-enable no-await-in-loop */
+      }
+    });
+  }
+
+  /**
+   * Finishes the processing of the interaction: deletes the deferred response if the command did not reply,
+   * so Discord does not show that the Bot is "thinking" forever.
+   * @return {Promise} nothing
+   */
+  finish() {
+    return this.schedule(() => this.deleteDeferredResponse());
+  }
+
+  /**
+   * Deletes the original response to the interaction, if it's still deferred.
+   * @return {Promise} nothing
+   */
+  async deleteDeferredResponse() {
+    if (this.responseState === ResponseStates.deferred) {
+      await this.getWebhookRoute().messages('@original').delete();
+      this.responseState = ResponseStates.deleted;
+    }
+  }
+}
+
+/**
+ * Exports the DiscordInteractionMessage class
+ * @type {DiscordInteractionMessage}
+ */
+module.exports = DiscordInteractionMessage;
@@ -6,10 +6,36 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
+const Discord = require('discord.js');
+
 const DiscordUtils = require('../utils/discord-utils');
 const BaseSource = require('./base-source');
+const DiscordInteractionMessage = require('./discord-interaction-message');
+const SourceAttachment = require('../command_meta/source-attachment');
 const BotTable = require('../mongo_classes/bot-table');
+const OrgEscalationStep = require('../mongo_classes/org-escalation-step');
 const DiscordCommandManager = require('../components/discord-command-manager');
+const PermissionsManager = require('../managers/permissions-manager');
+const ModerationExpiryTaskExecutor = require('../task_executors/moderation-expiry-task-executor');
+
+const MemberMentionRegex = /^<@!?(\d+)>$/;
+const ChannelMentionRegex = /^<#(\d+)>$/;
+const IdRegex = /^\d+$/;
+
+const NumericReactions = Object.freeze([
+  '\u0031\u20E3',
+  '\u0032\u20E3',
+  '\u0033\u20E3',
+  '\u0034\u20E3',
+  '\u0035\u20E3',
+  '\u0036\u20E3',
+  '\u0037\u20E3',
+  '\u0038\u20E3',
+  '\u0039\u20E3',
+  '\u0030\u20E3'
+]);
+
+const YesNoReactions = Object.freeze(['👍', '👎']);
 
 /**
  * Represents the Discord source
@@ -33,9 +59,266 @@ class DiscordSource extends BaseSource {
    * @returns {Promise}               nothing
    */
   async replyToMessage(message, replyText) {
+    if (message.originalMessage instanceof DiscordInteractionMessage) {
+      message.originalMessage.reply(replyText);
+      return;
+    }
+
     DiscordUtils.sendToTextChannel(message.originalMessage.channel, replyText);
   }
 
+  /**
+   * Replies to the message with an error description. The errors of the slash commands are visible
+   * to the caller only, the errors of the text commands are replied to the channel as usual.
+   * @param   {BaseMessage} message   the base message object
+   * @param   {string}      replyText the text to reply with
+   * @returns {Promise}               nothing
+   */
+  async replyErrorToMessage(message, replyText) {
+    if (message.originalMessage instanceof DiscordInteractionMessage) {
+      message.originalMessage.replyError(replyText);
+      return;
+    }
+
+    this.replyToMessage(message, replyText);
+  }
+
+  /**
+   * Gets the identifier of the member referred by a text: a mention (like "<@123>") or an identifier.
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a member
+   */
+  parseMemberReference(text) {
+    const match = MemberMentionRegex.exec(text);
+    if (match !== null) {
+      return match[1];
+    }
+
+    return IdRegex.test(text) ? text : null;
+  }
+
+  /**
+   * Makes the text referring to a member in the messages of the source.
+   * @param   {OrgMember} memberRow the member's row from the DB
+   * @returns {string}              the text referring to the member
+   */
+  makeMemberMention(memberRow) {
+    return DiscordUtils.makeUserMention(memberRow.id);
+  }
+
+  /**
+   * Gets the identifier of the channel referred by a text: a mention (like "<#123>") or an identifier.
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a channel
+   */
+  parseChannelReference(text) {
+    const match = ChannelMentionRegex.exec(text);
+    if (match !== null) {
+      return match[1];
+    }
+
+    return IdRegex.test(text) ? text : null;
+  }
+
+  /**
+   * Makes the text referring to a channel in the messages of the source.
+   * @param   {OrgChannel} channelRow the channel's row from the DB
+   * @returns {string}                the text referring to the channel
+   */
+  makeChannelMention(channelRow) {
+    return DiscordUtils.makeChannelMention(channelRow.id);
+  }
+
+  /**
+   * Makes the text referring to a role in the messages of the source.
+   * @param   {OrgRole} roleRow the role's row from the DB
+   * @returns {string}          the text referring to the role
+   */
+  makeRoleMention(roleRow) {
+    return DiscordUtils.makeRoleMention(roleRow.id);
+  }
+
+  /**
+   * Gets a text channel by the identifier. Throws an error if the channel is not found.
+   * @throws {Error}
+   * @param   {string}      channelId the identifier of the channel
+   * @returns {TextChannel}           the Discord channel
+   */
+  getTextChannel(channelId) {
+    const channel = this.client.channels.cache.get(channelId);
+    if (channel === undefined) {
+      throw new Error('the channel is not found: ' + channelId);
+    }
+
+    return channel;
+  }
+
+  /**
+   * Posts a text to a channel.
+   * @param   {string}          channelId the identifier of the channel
+   * @param   {string}          text      the text to be posted
+   * @returns {Promise<string>}           the identifier of the (last) posted message
+   */
+  async sendText(channelId, text) {
+    const message = await DiscordUtils.sendToTextChannel(this.getTextChannel(channelId), text);
+    return message.id;
+  }
+
+  /**
+   * Posts a rich message to a channel as a Discord embed.
+   * @param   {string}          channelId the identifier of the channel
+   * @param   {SourceEmbed}     embed     the rich message
+   * @returns {Promise<string>}           the identifier of the posted message
+   */
+  async sendEmbed(channelId, embed) {
+    const message = await this.getTextChannel(channelId).send(DiscordSource.makeMessageEmbed(embed));
+    return message.id;
+  }
+
+  /**
+   * Makes the Discord embed from a source-independent rich message.
+   * @param   {SourceEmbed}  embed the rich message
+   * @returns {MessageEmbed}       the Discord embed
+   */
+  static makeMessageEmbed(embed) {
+    const messageEmbed = new Discord.MessageEmbed();
+    if (embed.title) {
+      messageEmbed.setTitle(embed.title);
+    }
+
+    if (embed.description) {
+      messageEmbed.setDescription(embed.description);
+    }
+
+    if (embed.color) {
+      messageEmbed.setColor(embed.color);
+    }
+
+    for (const field of embed.fields) {
+      messageEmbed.addField(field.name, field.value);
+    }
+
+    return messageEmbed;
+  }
+
+  /**
+   * Posts a poll to a channel as an embed, and adds the reactions for voting.
+   * @param   {string}        channelId   the identifier of the channel
+   * @param   {string}        question    the question of the poll
+   * @param   {Array<string>} answers     the answers (null or empty for a yes/no poll)
+   * @param   {LangManager}   langManager the language manager to localize the texts of the poll (if any)
+   * @returns {Promise}                   nothing
+   */
+  async postPoll(channelId, question, answers, langManager) {
+    const pollMessage = await this.getTextChannel(channelId).send(
+      DiscordSource.makeMessageEmbed(BaseSource.makePollEmbed(question, answers))
+    );
+
+    const reactions =
+      answers === null || answers.length === 0 ? YesNoReactions : NumericReactions.slice(0, answers.length);
+    for (const reaction of reactions) {
+      // Must preserve the order of reactions, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      await pollMessage.react(reaction);
+      /* eslint-enable no-await-in-loop */
+    }
+  }
+
+  /**
+   * Deletes the message. The slash commands have no message to delete.
+   * @param   {BaseMessage} message the base message object
+   * @returns {Promise}             nothing
+   */
+  async deleteMessage(message) {
+    await message.originalMessage.delete();
+  }
+
+  /**
+   * Gets the files attached to the message.
+   * @param   {BaseMessage}             message the base message object
+   * @returns {Array<SourceAttachment>}         the attachments
+   */
+  getAttachments(message) {
+    if (!message.originalMessage.attachments) {
+      return [];
+    }
+
+    return message.originalMessage.attachments
+      .array()
+      .map(attachment => new SourceAttachment(attachment.name, attachment.size, attachment.attachment));
+  }
+
+  /**
+   * Checks if the author of the message may mention everyone in a channel, according to the Discord permissions.
+   * @param   {BaseMessage}      message   the base message object
+   * @param   {string}           channelId the identifier of the channel
+   * @returns {Promise<boolean>}           true if the author may mention everyone, false otherwise
+   */
+  async canMentionEveryone(message, channelId) {
+    return message.originalMessage.member
+      .permissionsIn(channelId)
+      .has(PermissionsManager.DISCORD_PERMISSIONS.MENTION_EVERYONE);
+  }
+
+  /**
+   * Gets the moderation actions (like a mute or a ban) the source supports.
+   * @see OrgEscalationStep.ESCALATION_ACTIONS
+   * @return {Array<string>} the names of the actions
+   */
+  get moderationActions() {
+    return Object.values(OrgEscalationStep.ESCALATION_ACTIONS);
+  }
+
+  /**
+   * Applies a moderation action (like a mute or a ban) to a member of a guild. The temporary mutes and bans
+   * are lifted by the expiry tasks. A kick cannot be temporary.
+   * @see ModerationExpiryTaskExecutor
+   * @throws {Error}
+   * @param   {Context}         context     the Bot's context
+   * @param   {string}          orgId       the organization identifier
+   * @param   {string}          memberId    the identifier of the member
+   * @param   {string}          moderatorId the identifier of the moderator applying the action
+   * @param   {string}          action      the name of the action
+   * @param   {number}          duration    the duration of a temporary action in milliseconds, 0 for a permanent one
+   * @param   {string}          reason      the reason of the action
+   * @returns {Promise<number>}             the time when the action expires, or null if it's permanent
+   */
+  async moderateMember(context, orgId, memberId, moderatorId, action, duration, reason) {
+    const member = await this.client.guilds.cache.get(orgId).members.fetch(memberId);
+    const actions = OrgEscalationStep.ESCALATION_ACTIONS;
+    const expiryActions = ModerationExpiryTaskExecutor.EXPIRY_ACTIONS;
+
+    switch (action) {
+      case actions.mute:
+        await context.muteManager.muteMember(member, moderatorId, reason);
+        await ModerationExpiryTaskExecutor.cancelExpiries(context, orgId, expiryActions.unmute, member.id);
+        if (duration > 0) {
+          return ModerationExpiryTaskExecutor.scheduleExpiry(context, this.name, orgId, duration, {
+            action: expiryActions.unmute,
+            user: member.id
+          });
+        }
+
+        return null;
+      case actions.kick:
+        await member.kick(reason);
+        return null;
+      case actions.ban:
+        await member.ban({ days: 0, reason });
+        await ModerationExpiryTaskExecutor.cancelExpiries(context, orgId, expiryActions.unban, member.id);
+        if (duration > 0) {
+          return ModerationExpiryTaskExecutor.scheduleExpiry(context, this.name, orgId, duration, {
+            action: expiryActions.unban,
+            user: member.id
+          });
+        }
+
+        return null;
+      default:
+        return super.moderateMember(context, orgId, memberId, moderatorId, action, duration, reason);
+    }
+  }
+
   /**
    * Gets the name of the source
    * @return {string} the name
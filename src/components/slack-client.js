@@ -0,0 +1,509 @@
+'use strict';
+
+/**
+ * @module slack-client
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+
+const WebSocket = require('ws');
+
+const SlackUtils = require('../utils/slack-utils');
+
+const DefaultApiUrl = 'https://slack.com/api';
+const DefaultRetryDelayMillis = 5000;
+const RequestTimeoutMillis = 30000;
+const MaxRequestAgeSeconds = 5 * 60;
+const PageSize = 200;
+const SignatureVersion = 'v0';
+
+/**
+ * The types of the envelopes received via Socket Mode.
+ * @type {Object}
+ */
+const EnvelopeTypes = Object.freeze({
+  hello: 'hello',
+  disconnect: 'disconnect',
+  eventsApi: 'events_api'
+});
+
+/**
+ * The types of the payloads received via the Events API.
+ * @type {Object}
+ */
+const PayloadTypes = Object.freeze({
+  urlVerification: 'url_verification',
+  eventCallback: 'event_callback'
+});
+
+/**
+ * Minimal client of the Slack platform. Calls the Web API methods and receives the events either via Socket Mode
+ * (if the app-level token is set) or via the Events API (an HTTP endpoint verified by the signing secret).
+ * Each event is emitted with the name of its type (e.g. "message" with the Slack message event), the identifier
+ * of the workspace is added to the event as "team_id". Also emits "ready" after the login and "error"
+ * on failed connections and requests of Slack which could not be processed.
+ * The URL of the Web API can be changed, e.g. to run the Bot against a local mock in tests.
+ * @see https://api.slack.com/apis/connections
+ * @alias SlackClient
+ * @extends EventEmitter
+ */
+class SlackClient extends EventEmitter {
+  /**
+   * Constructs an instance of the class
+   * @param {string} token                   the bot token ("xoxb-...")
+   * @param {Object} [options]               the options of the client
+   * @param {string} [options.appToken]      the app-level token ("xapp-...") to receive the events via Socket Mode
+   * @param {string} [options.signingSecret] the signing secret to verify the requests of the Events API
+   * @param {number} [options.eventsPort]    the port to listen to the requests of the Events API
+   * @param {string} [options.apiUrl]        the URL of the Web API
+   * @param {number} [options.retryDelay]    the delay before reconnecting to Socket Mode in milliseconds
+   */
+  constructor(token, options = {}) {
+    super();
+    this.token = token;
+    this.appToken = options.appToken;
+    this.signingSecret = options.signingSecret;
+    this.eventsPort = options.eventsPort;
+    this.apiUrl = (options.apiUrl === undefined ? DefaultApiUrl : options.apiUrl).replace(/\/+$/, '');
+    this.retryDelay = options.retryDelay === undefined ? DefaultRetryDelayMillis : options.retryDelay;
+
+    this.user = null;
+    this.active = false;
+    this.socket = null;
+    this.eventsServer = null;
+    this.pendingRequests = new Set();
+    this.retryHandle = null;
+  }
+
+  /**
+   * Gets the default URL of the Web API.
+   * @type {string}
+   */
+  static get DEFAULT_API_URL() {
+    return DefaultApiUrl;
+  }
+
+  /**
+   * Calls a method of the Web API. Throws an error if the request failed or the API returned an error.
+   * The parameters are sent form-encoded, since not all methods accept JSON.
+   * @throws {Error}
+   * @param  {string}          method   the name of the method (like "chat.postMessage")
+   * @param  {Object}          [params] the parameters of the method
+   * @param  {string}          [token]  the token to authorize the call, the bot token by default
+   * @return {Promise<Object>}          the reply of the method
+   */
+  callMethod(method, params = {}, token = this.token) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.apiUrl + '/' + method);
+      const transport = url.protocol === 'http:' ? http : https;
+      const form = new URLSearchParams();
+      for (const [name, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) {
+          form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+      }
+
+      const body = form.toString();
+
+      const request = transport.request(
+        url,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: 'Bearer ' + token,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(body)
+          },
+          timeout: RequestTimeoutMillis
+        },
+        response => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => {
+            this.pendingRequests.delete(request);
+
+            let reply;
+            try {
+              reply = JSON.parse(Buffer.concat(chunks).toString());
+            } catch (error) {
+              reject(new Error('Slack API ' + method + ': invalid response: ' + error.message));
+              return;
+            }
+
+            if (reply.ok !== true) {
+              reject(new Error('Slack API ' + method + ' error: ' + reply.error));
+              return;
+            }
+
+            resolve(reply);
+          });
+        }
+      );
+
+      request.on('timeout', () => request.destroy(new Error('Slack API ' + method + ': timeout')));
+      request.on('error', error => {
+        this.pendingRequests.delete(request);
+        reject(error);
+      });
+
+      this.pendingRequests.add(request);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Logs in: gets the info about the bot itself and starts receiving the events via Socket Mode
+   * or via the Events API, depending on the options. Emits "ready" after the login.
+   * @return {Promise<Object>} the identifiers of the bot user and the workspace
+   */
+  async login() {
+    const auth = await this.callMethod('auth.test');
+    this.user = { id: auth.user_id, name: auth.user, teamId: auth.team_id };
+    this.active = true;
+
+    if (this.appToken) {
+      await this.connectSocket();
+    } else if (this.signingSecret) {
+      await this.listenEvents(this.eventsPort);
+    } else {
+      throw new Error('Slack: either the app-level token or the signing secret must be set to receive the events');
+    }
+
+    this.emit('ready');
+    return this.user;
+  }
+
+  /**
+   * Stops receiving the events and aborts the pending requests.
+   */
+  destroy() {
+    this.active = false;
+    if (this.retryHandle !== null) {
+      clearTimeout(this.retryHandle);
+      this.retryHandle = null;
+    }
+
+    if (this.socket !== null) {
+      this.socket.terminate();
+      this.socket = null;
+    }
+
+    if (this.eventsServer !== null) {
+      this.eventsServer.close();
+      this.eventsServer = null;
+    }
+
+    for (const request of this.pendingRequests) {
+      request.destroy();
+    }
+
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Opens a Socket Mode connection. Slack closes the connections from time to time, then the client reconnects.
+   * @return {Promise} nothing
+   */
+  async connectSocket() {
+    const connection = await this.callMethod('apps.connections.open', {}, this.appToken);
+    const socket = new WebSocket(connection.url);
+    this.socket = socket;
+
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+
+    socket.on('message', data => this.handleEnvelope(socket, data));
+    socket.on('error', error => this.emit('error', error));
+    socket.on('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Reconnects to Socket Mode after the delay, if the client is still active.
+   */
+  scheduleReconnect() {
+    if (!this.active || this.retryHandle !== null) {
+      return;
+    }
+
+    this.retryHandle = setTimeout(async () => {
+      this.retryHandle = null;
+      if (!this.active) {
+        return;
+      }
+
+      try {
+        await this.connectSocket();
+      } catch (error) {
+        this.emit('error', error);
+        this.scheduleReconnect();
+      }
+    }, this.retryDelay);
+  }
+
+  /**
+   * Handles an envelope received via Socket Mode: acknowledges it and dispatches the event inside.
+   * @param {WebSocket} socket the socket which received the envelope
+   * @param {string}    data   the raw data of the envelope
+   */
+  handleEnvelope(socket, data) {
+    let envelope;
+    try {
+      envelope = JSON.parse(data);
+    } catch (error) {
+      this.emit('error', new Error('Slack Socket Mode: invalid envelope: ' + error.message));
+      return;
+    }
+
+    // Slack re-sends the envelopes which were not acknowledged within a few seconds.
+    if (envelope.envelope_id !== undefined) {
+      socket.send(JSON.stringify({ envelope_id: envelope.envelope_id }));
+    }
+
+    switch (envelope.type) {
+      case EnvelopeTypes.eventsApi:
+        this.dispatchEvent(envelope.payload);
+        break;
+      case EnvelopeTypes.disconnect:
+        // Slack asks to reconnect, e.g. before restarting the server of the connection.
+        socket.close();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Starts listening to the requests of the Events API.
+   * @param  {number}          port the port to listen to (0 for any free port)
+   * @return {Promise<number>}      the actual port
+   */
+  listenEvents(port) {
+    this.eventsServer = http.createServer((request, response) => this.handleEventsRequest(request, response));
+    return new Promise((resolve, reject) => {
+      this.eventsServer.once('error', reject);
+      this.eventsServer.listen(port, () => resolve(this.eventsServer.address().port));
+    });
+  }
+
+  /**
+   * Handles a request of the Events API: verifies its signature, replies to the URL verification
+   * and dispatches the events.
+   * @param {IncomingMessage} request  the HTTP request
+   * @param {ServerResponse}  response the HTTP response
+   */
+  handleEventsRequest(request, response) {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      if (request.method !== 'POST' || !this.verifySignature(request.headers, body)) {
+        response.writeHead(401);
+        response.end();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+      }
+
+      if (payload.type === PayloadTypes.urlVerification) {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ challenge: payload.challenge }));
+        return;
+      }
+
+      // Slack expects the reply within 3 seconds, so the events are processed after the reply.
+      response.writeHead(200);
+      response.end();
+
+      if (payload.type === PayloadTypes.eventCallback) {
+        this.dispatchEvent(payload);
+      }
+    });
+  }
+
+  /**
+   * Verifies the signature of a request of the Events API.
+   * @see https://api.slack.com/authentication/verifying-requests-from-slack
+   * @param  {Object}  headers the headers of the request
+   * @param  {string}  body    the raw body of the request
+   * @return {boolean}         true if the request is signed by Slack, false otherwise
+   */
+  verifySignature(headers, body) {
+    const timestamp = Number.parseInt(headers['x-slack-request-timestamp'], 10);
+    const signature = headers['x-slack-signature'];
+    if (Number.isNaN(timestamp) || typeof signature !== 'string') {
+      return false;
+    }
+
+    // Protects against the replay attacks.
+    if (Math.abs(Date.now() / 1000 - timestamp) > MaxRequestAgeSeconds) {
+      return false;
+    }
+
+    // The lengths are compared in bytes, since the header may contain non-ASCII characters,
+    // and the comparison of the buffers of different lengths throws.
+    const expected = Buffer.from(SlackClient.makeSignature(this.signingSecret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Makes the signature of a request of the Events API.
+   * @param  {string} signingSecret the signing secret of the app
+   * @param  {number} timestamp     the Unix time of the request in seconds
+   * @param  {string} body          the raw body of the request
+   * @return {string}               the signature
+   */
+  static makeSignature(signingSecret, timestamp, body) {
+    const hmac = crypto.createHmac('sha256', signingSecret);
+    hmac.update(SignatureVersion + ':' + timestamp + ':' + body);
+    return SignatureVersion + '=' + hmac.digest('hex');
+  }
+
+  /**
+   * Emits the event of an Events API payload, adding the identifier of the workspace to it.
+   * @param {Object} payload the payload with the event
+   */
+  dispatchEvent(payload) {
+    if (payload === undefined || payload.event === undefined) {
+      return;
+    }
+
+    this.emit(payload.event.type, Object.assign({ team_id: payload.team_id }, payload.event));
+  }
+
+  /**
+   * Posts a text message to a channel.
+   * @param  {string}          channelId the identifier of the channel
+   * @param  {string}          text      the text of the message
+   * @param  {Object}          [options] other parameters of the "chat.postMessage" method (like "thread_ts")
+   * @return {Promise<Object>}           the reply of the method (with the "ts" of the posted message)
+   */
+  async postMessage(channelId, text, options) {
+    return this.callMethod('chat.postMessage', Object.assign({ channel: channelId, text }, options));
+  }
+
+  /**
+   * Posts a text to a channel, considering the recommended limit of symbols of a message. If the length is more
+   * than the limit, splits the text into several messages, if possible - at the line end closest to the limit.
+   * @see SlackUtils.splitText
+   * @param  {string}          channelId the identifier of the channel
+   * @param  {string}          text      the text to be posted
+   * @param  {Object}          [options] other parameters of the "chat.postMessage" method (like "thread_ts")
+   * @return {Promise<Object>}           the reply for the last posted message
+   */
+  async sendToChannel(channelId, text, options) {
+    let lastReply = null;
+    for (const part of SlackUtils.splitText(text)) {
+      // Must preserve the order of messages, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      lastReply = await this.postMessage(channelId, part, options);
+      /* eslint-enable no-await-in-loop */
+    }
+
+    return lastReply;
+  }
+
+  /**
+   * Adds a reaction (an emoji) to a message.
+   * @param  {string}  channelId the identifier of the channel
+   * @param  {string}  timestamp the "ts" of the message
+   * @param  {string}  name      the name of the emoji (like "thumbsup")
+   * @return {Promise}           nothing
+   */
+  async addReaction(channelId, timestamp, name) {
+    await this.callMethod('reactions.add', { channel: channelId, timestamp, name });
+  }
+
+  /**
+   * Deletes a message.
+   * @param  {string}  channelId the identifier of the channel
+   * @param  {string}  timestamp the "ts" of the message
+   * @return {Promise}           nothing
+   */
+  async deleteMessage(channelId, timestamp) {
+    await this.callMethod('chat.delete', { channel: channelId, ts: timestamp });
+  }
+
+  /**
+   * Gets the info about a user.
+   * @param  {string}          userId the identifier of the user
+   * @return {Promise<Object>}        the Slack user
+   */
+  async getUserInfo(userId) {
+    return (await this.callMethod('users.info', { user: userId })).user;
+  }
+
+  /**
+   * Gets the info about the workspace of the bot.
+   * @return {Promise<Object>} the Slack workspace (a team)
+   */
+  async getTeamInfo() {
+    return (await this.callMethod('team.info')).team;
+  }
+
+  /**
+   * Gets the public and private channels of the workspace which are not archived.
+   * @return {Promise<Array<Object>>} the Slack conversations
+   */
+  async listChannels() {
+    return this.listAllPages('conversations.list', 'channels', {
+      types: 'public_channel,private_channel',
+      exclude_archived: true
+    });
+  }
+
+  /**
+   * Gets the users of the workspace.
+   * @return {Promise<Array<Object>>} the Slack users
+   */
+  async listUsers() {
+    return this.listAllPages('users.list', 'members', {});
+  }
+
+  /**
+   * Calls a paginated method of the Web API until all pages are received.
+   * @param  {string}                 method the name of the method
+   * @param  {string}                 field  the field of the reply containing the items of a page
+   * @param  {Object}                 params the parameters of the method (besides the pagination)
+   * @return {Promise<Array<Object>>}        the items of all pages
+   */
+  async listAllPages(method, field, params) {
+    let items = [];
+    let cursor;
+    do {
+      // The pages must be requested one by one, since each request needs the cursor of the previous one.
+      /* eslint-disable no-await-in-loop */
+      const reply = await this.callMethod(method, Object.assign({ limit: PageSize, cursor }, params));
+      /* eslint-enable no-await-in-loop */
+      items = items.concat(reply[field]);
+      cursor = reply.response_metadata === undefined ? '' : reply.response_metadata.next_cursor;
+    } while (cursor);
+
+    return items;
+  }
+}
+
+/**
+ * Exports the SlackClient class
+ * @type {SlackClient}
+ */
+module.exports = SlackClient;
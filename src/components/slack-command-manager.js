@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * @module slack-command-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const CommandManager = require('./command-manager');
+
+const SlackHelpCommand = require('../commands_slack/other/slack-help-command');
+const SlackPingCommand = require('../commands_slack/other/slack-ping-command');
+const SlackSetLocaleCommand = require('../commands_slack/settings/slack-set-locale-command');
+const SlackSetPrefixCommand = require('../commands_slack/settings/slack-set-prefix-command');
+const SlackSetTimezoneCommand = require('../commands_slack/settings/slack-set-timezone-command');
+const SlackSettingsCommand = require('../commands_slack/settings/slack-settings-command');
+const PollCommand = require('../commands_common/social/poll-command');
+const RemindCommand = require('../commands_common/social/remind-command');
+const WarnCommand = require('../commands_common/moderation/warn-command');
+
+/**
+ * Represents commands available for Slack
+ * @alias SlackCommandManager
+ * @extends CommandManager
+ */
+class SlackCommandManager extends CommandManager {
+  /**
+   * Gets the array of public command classes defined for specific source.
+   * @return {Array<constructor>} the defined commands
+   */
+  get definedCommands() {
+    return Object.freeze([
+      SlackHelpCommand,
+      SlackPingCommand,
+      PollCommand,
+      RemindCommand,
+      SlackSetLocaleCommand,
+      SlackSetPrefixCommand,
+      SlackSetTimezoneCommand,
+      SlackSettingsCommand,
+      WarnCommand
+    ]);
+  }
+
+  /**
+   * Gets the array of private (direct-messages) command classes defined for specific source.
+   * @return {Array<constructor>} the defined commands
+   */
+  get definedPrivateCommands() {
+    return Object.freeze([]);
+  }
+}
+
+/**
+ * Exports the SlackCommandManager class
+ * @type {SlackCommandManager}
+ */
+module.exports = SlackCommandManager;
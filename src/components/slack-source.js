@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * @module slack-source
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const SlackUtils = require('../utils/slack-utils');
+
+const BaseSource = require('./base-source');
+const BotTable = require('../mongo_classes/bot-table');
+const SlackCommandManager = require('../components/slack-command-manager');
+
+// The mentions may include the name after the identifier, like "<@U123|someone>".
+const MemberMentionRegex = /^<@([UW][\dA-Z]+)(\|[^>]*)?>$/;
+const MemberIdRegex = /^[UW][\dA-Z]+$/;
+const ChannelMentionRegex = /^<#([CG][\dA-Z]+)(\|[^>]*)?>$/;
+const ChannelIdRegex = /^[CG][\dA-Z]+$/;
+
+/**
+ * The names of the Slack emojis used to vote for the answers of the polls.
+ * @type {Array<string>}
+ */
+const NumericReactions = Object.freeze([
+  'one',
+  'two',
+  'three',
+  'four',
+  'five',
+  'six',
+  'seven',
+  'eight',
+  'nine',
+  'keycap_ten'
+]);
+
+const YesNoReactions = Object.freeze(['thumbsup', 'thumbsdown']);
+
+const TitleMarkup = '*';
+
+/**
+ * Represents the Slack source
+ * @alias SlackSource
+ * @extends BaseSource
+ */
+class SlackSource extends BaseSource {
+  /**
+   * Creates the instance using the Slack client object
+   * @param {SlackClient} client the client object
+   */
+  constructor(client) {
+    super(client);
+    this.commandManager = new SlackCommandManager();
+  }
+
+  /**
+   * Replies to the message using a source-dependent class. If the message is posted in a thread,
+   * then the reply is posted to the same thread.
+   * The errors of posting are emitted as the "error" events of the client.
+   * @param   {BaseMessage} message   the base message object
+   * @param   {string}      replyText the text to reply with
+   * @returns {Promise}               nothing
+   */
+  async replyToMessage(message, replyText) {
+    const threadTimestamp = message.originalMessage.thread_ts;
+    this.client
+      .sendToChannel(message.channelId, replyText, threadTimestamp === undefined ? {} : { thread_ts: threadTimestamp })
+      .catch(error => this.client.emit('error', error));
+  }
+
+  /**
+   * Gets the identifier of the member referred by a text: a mention (like "<@U123>") or an identifier.
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a member
+   */
+  parseMemberReference(text) {
+    const match = MemberMentionRegex.exec(text);
+    if (match !== null) {
+      return match[1];
+    }
+
+    return MemberIdRegex.test(text) ? text : null;
+  }
+
+  /**
+   * Makes the text referring to a member in the messages of the source.
+   * @param   {OrgMember} memberRow the member's row from the DB
+   * @returns {string}              the text referring to the member
+   */
+  makeMemberMention(memberRow) {
+    return SlackUtils.makeUserMention(memberRow.id);
+  }
+
+  /**
+   * Gets the identifier of the channel referred by a text: a mention (like "<#C123>") or an identifier.
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a channel
+   */
+  parseChannelReference(text) {
+    const match = ChannelMentionRegex.exec(text);
+    if (match !== null) {
+      return match[1];
+    }
+
+    return ChannelIdRegex.test(text) ? text : null;
+  }
+
+  /**
+   * Makes the text referring to a channel in the messages of the source.
+   * @param   {OrgChannel} channelRow the channel's row from the DB
+   * @returns {string}                the text referring to the channel
+   */
+  makeChannelMention(channelRow) {
+    return SlackUtils.makeChannelMention(channelRow.id);
+  }
+
+  /**
+   * Posts a text to a channel.
+   * @param   {string}          channelId the identifier of the channel
+   * @param   {string}          text      the text to be posted
+   * @returns {Promise<string>}           the "ts" of the (last) posted message
+   */
+  async sendText(channelId, text) {
+    const reply = await this.client.sendToChannel(channelId, text);
+    return reply.ts;
+  }
+
+  /**
+   * Posts a rich message to a channel as text with the bold title.
+   * @param   {string}          channelId the identifier of the channel
+   * @param   {SourceEmbed}     embed     the rich message
+   * @returns {Promise<string>}           the "ts" of the posted message
+   */
+  async sendEmbed(channelId, embed) {
+    return this.sendText(channelId, embed.toText(TitleMarkup));
+  }
+
+  /**
+   * Posts a poll to a channel. Slack has no native polls for the bots, so the poll is a message
+   * with the numbered answers, and the users vote by the reactions.
+   * @param   {string}        channelId   the identifier of the channel
+   * @param   {string}        question    the question of the poll
+   * @param   {Array<string>} answers     the answers (null or empty for a yes/no poll)
+   * @param   {LangManager}   langManager the language manager to localize the texts of the poll (if any)
+   * @returns {Promise}                   nothing
+   */
+  async postPoll(channelId, question, answers, langManager) {
+    const timestamp = await this.sendEmbed(channelId, BaseSource.makePollEmbed(question, answers));
+
+    const reactions =
+      answers === null || answers.length === 0 ? YesNoReactions : NumericReactions.slice(0, answers.length);
+    for (const reaction of reactions) {
+      // Must preserve the order of reactions, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      await this.client.addReaction(channelId, timestamp, reaction);
+      /* eslint-enable no-await-in-loop */
+    }
+  }
+
+  /**
+   * Deletes the message. Only the admins can delete the messages of other users in Slack.
+   * @param   {BaseMessage} message the base message object
+   * @returns {Promise}             nothing
+   */
+  async deleteMessage(message) {
+    await this.client.deleteMessage(message.channelId, message.originalMessage.ts);
+  }
+
+  /**
+   * Gets the name of the source
+   * @return {string} the name
+   */
+  get name() {
+    return BotTable.SLACK_SOURCE;
+  }
+}
+
+/**
+ * Exports the SlackSource class
+ * @type {SlackSource}
+ */
+module.exports = SlackSource;
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * @module telegram-client
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+
+const TelegramUtils = require('../utils/telegram-utils');
+
+const DefaultApiUrl = 'https://api.telegram.org';
+const DefaultPollTimeoutSeconds = 30;
+const DefaultRetryDelayMillis = 5000;
+const RequestTimeoutGapMillis = 10000;
+
+/**
+ * The types of the updates received by the client. Each update is emitted as an event of the same name.
+ * @type {Array<string>}
+ */
+const UpdateTypes = Object.freeze(['message', 'edited_message', 'my_chat_member', 'chat_member']);
+
+/**
+ * Minimal client of the Telegram Bot API. Receives the updates via long polling and emits them as events
+ * (e.g. "message" with the Telegram message object), and provides the API methods used by the Bot.
+ * Also emits "ready" after the login and "error" on failed polling requests.
+ * The URL of the API can be changed, e.g. to run the Bot against a local Bot API server or a fake one in tests.
+ * @see https://core.telegram.org/bots/api
+ * @alias TelegramClient
+ * @extends EventEmitter
+ */
+class TelegramClient extends EventEmitter {
+  /**
+   * Constructs an instance of the class
+   * @param {string} token                 the token of the Telegram bot
+   * @param {Object} [options]             the options of the client
+   * @param {string} [options.apiUrl]      the URL of the Bot API
+   * @param {number} [options.pollTimeout] the timeout of the long polling requests in seconds
+   * @param {number} [options.retryDelay]  the delay before retrying a failed polling request in milliseconds
+   */
+  constructor(token, options = {}) {
+    super();
+    this.token = token;
+    this.apiUrl = (options.apiUrl === undefined ? DefaultApiUrl : options.apiUrl).replace(/\/+$/, '');
+    this.pollTimeout = options.pollTimeout === undefined ? DefaultPollTimeoutSeconds : options.pollTimeout;
+    this.retryDelay = options.retryDelay === undefined ? DefaultRetryDelayMillis : options.retryDelay;
+
+    this.user = null;
+    this.offset = 0;
+    this.polling = false;
+    this.pendingRequests = new Set();
+    this.retryHandle = null;
+  }
+
+  /**
+   * Gets the default URL of the Bot API.
+   * @type {string}
+   */
+  static get DEFAULT_API_URL() {
+    return DefaultApiUrl;
+  }
+
+  /**
+   * Gets the types of the updates received by the client.
+   * @type {Array<string>}
+   */
+  static get UPDATE_TYPES() {
+    return UpdateTypes;
+  }
+
+  /**
+   * Calls a method of the Bot API. Throws an error if the request failed or the API returned an error.
+   * @throws {Error}
+   * @param  {string}          method   the name of the method (like "sendMessage")
+   * @param  {Object}          [params] the parameters of the method
+   * @return {Promise<Object>}          the result of the method
+   */
+  callMethod(method, params = {}) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.apiUrl + '/bot' + this.token + '/' + method);
+      const transport = url.protocol === 'http:' ? http : https;
+      const body = JSON.stringify(params);
+
+      const request = transport.request(
+        url,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+          timeout: this.pollTimeout * 1000 + RequestTimeoutGapMillis
+        },
+        response => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => {
+            this.pendingRequests.delete(request);
+
+            let reply;
+            try {
+              reply = JSON.parse(Buffer.concat(chunks).toString());
+            } catch (error) {
+              reject(new Error('Telegram API ' + method + ': invalid response: ' + error.message));
+              return;
+            }
+
+            if (reply.ok !== true) {
+              reject(new Error('Telegram API ' + method + ' error ' + reply.error_code + ': ' + reply.description));
+              return;
+            }
+
+            resolve(reply.result);
+          });
+        }
+      );
+
+      request.on('timeout', () => request.destroy(new Error('Telegram API ' + method + ': timeout')));
+      request.on('error', error => {
+        this.pendingRequests.delete(request);
+        reject(error);
+      });
+
+      this.pendingRequests.add(request);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Logs in: gets the info about the bot itself and starts polling the updates. Emits "ready" after the login.
+   * @return {Promise<Object>} the Telegram user of the bot
+   */
+  async login() {
+    this.user = await this.callMethod('getMe');
+    this.polling = true;
+    this.emit('ready');
+    this.pollUpdates();
+    return this.user;
+  }
+
+  /**
+   * Stops polling the updates and aborts the pending requests.
+   */
+  destroy() {
+    this.polling = false;
+    if (this.retryHandle !== null) {
+      clearTimeout(this.retryHandle);
+      this.retryHandle = null;
+    }
+
+    for (const request of this.pendingRequests) {
+      request.destroy();
+    }
+
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Polls the updates while the polling is not stopped, emits an event for each of them.
+   * @return {Promise} nothing
+   */
+  async pollUpdates() {
+    while (this.polling) {
+      let updates;
+      // The updates must be requested one by one, since each request confirms the previous ones.
+      /* eslint-disable no-await-in-loop */
+      try {
+        updates = await this.callMethod('getUpdates', {
+          offset: this.offset,
+          timeout: this.pollTimeout,
+          allowed_updates: UpdateTypes
+        });
+      } catch (error) {
+        if (!this.polling) {
+          break;
+        }
+
+        this.emit('error', error);
+        await new Promise(resolve => {
+          this.retryHandle = setTimeout(resolve, this.retryDelay);
+        });
+        this.retryHandle = null;
+        continue;
+      }
+      /* eslint-enable no-await-in-loop */
+
+      for (const update of updates) {
+        this.offset = update.update_id + 1;
+        this.dispatchUpdate(update);
+      }
+    }
+  }
+
+  /**
+   * Emits the event corresponding to the type of an update.
+   * @param {Object} update the Telegram update
+   */
+  dispatchUpdate(update) {
+    const type = UpdateTypes.find(updateType => update[updateType] !== undefined);
+    if (type !== undefined) {
+      this.emit(type, update[type]);
+    }
+  }
+
+  /**
+   * Sends a text message to a chat.
+   * @param  {string}          chatId    the identifier of the chat
+   * @param  {string}          text      the text of the message
+   * @param  {Object}          [options] other parameters of the "sendMessage" method (like "reply_to_message_id")
+   * @return {Promise<Object>}           the sent Telegram message
+   */
+  async sendMessage(chatId, text, options) {
+    return this.callMethod('sendMessage', Object.assign({ chat_id: chatId, text }, options));
+  }
+
+  /**
+   * Sends a text to a chat, considering the hard limit of symbols of a message. If the length is more than
+   * the limit, splits the text into several messages, if possible - at the line end closest to the limit.
+   * The options are applied to the first message only.
+   * @see TelegramUtils.splitText
+   * @param  {string}          chatId    the identifier of the chat
+   * @param  {string}          text      the text to be sent
+   * @param  {Object}          [options] other parameters of the "sendMessage" method (like "reply_to_message_id")
+   * @return {Promise<Object>}           the last sent Telegram message
+   */
+  async sendToChat(chatId, text, options) {
+    let lastMessage = null;
+    let partOptions = options;
+    for (const part of TelegramUtils.splitText(text)) {
+      // Must preserve the order of messages, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      lastMessage = await this.sendMessage(chatId, part, partOptions);
+      /* eslint-enable no-await-in-loop */
+      partOptions = undefined;
+    }
+
+    return lastMessage;
+  }
+
+  /**
+   * Sends a native poll to a chat.
+   * @param  {string}          chatId   the identifier of the chat
+   * @param  {string}          question the question of the poll
+   * @param  {Array<string>}   answers  the answer options (from 2 to 10)
+   * @return {Promise<Object>}          the sent Telegram message with the poll
+   */
+  async sendPoll(chatId, question, answers) {
+    return this.callMethod('sendPoll', { chat_id: chatId, question, options: answers, is_anonymous: false });
+  }
+
+  /**
+   * Deletes a message in a chat.
+   * @param  {string}  chatId    the identifier of the chat
+   * @param  {number}  messageId the identifier of the message
+   * @return {Promise}           nothing
+   */
+  async deleteMessage(chatId, messageId) {
+    await this.callMethod('deleteMessage', { chat_id: chatId, message_id: messageId });
+  }
+
+  /**
+   * Gets a member of a chat.
+   * @param  {string}          chatId the identifier of the chat
+   * @param  {string}          userId the identifier of the user
+   * @return {Promise<Object>}        the Telegram chat member
+   */
+  async getChatMember(chatId, userId) {
+    return this.callMethod('getChatMember', { chat_id: chatId, user_id: userId });
+  }
+
+  /**
+   * Gets the administrators of a chat (excluding other bots).
+   * @param  {string}                 chatId the identifier of the chat
+   * @return {Promise<Array<Object>>}        the Telegram chat members
+   */
+  async getChatAdministrators(chatId) {
+    return this.callMethod('getChatAdministrators', { chat_id: chatId });
+  }
+
+  /**
+   * Restricts a member of a chat from sending messages (mutes the member).
+   * @param  {string}  chatId    the identifier of the chat
+   * @param  {string}  userId    the identifier of the user
+   * @param  {number}  untilDate the Unix time (in seconds) when the restriction is lifted, 0 for forever
+   * @return {Promise}           nothing
+   */
+  async muteChatMember(chatId, userId, untilDate) {
+    await this.callMethod('restrictChatMember', {
+      chat_id: chatId,
+      user_id: userId,
+      permissions: { can_send_messages: false },
+      until_date: untilDate
+    });
+  }
+
+  /**
+   * Bans a member of a chat.
+   * @param  {string}  chatId    the identifier of the chat
+   * @param  {string}  userId    the identifier of the user
+   * @param  {number}  untilDate the Unix time (in seconds) when the ban is lifted, 0 for forever
+   * @return {Promise}           nothing
+   */
+  async banChatMember(chatId, userId, untilDate) {
+    await this.callMethod('banChatMember', { chat_id: chatId, user_id: userId, until_date: untilDate });
+  }
+
+  /**
+   * Unbans a member of a chat, so the user can join it again. Does nothing if the user is not banned.
+   * @param  {string}  chatId the identifier of the chat
+   * @param  {string}  userId the identifier of the user
+   * @return {Promise}        nothing
+   */
+  async unbanChatMember(chatId, userId) {
+    await this.callMethod('unbanChatMember', { chat_id: chatId, user_id: userId, only_if_banned: true });
+  }
+}
+
+/**
+ * Exports the TelegramClient class
+ * @type {TelegramClient}
+ */
+module.exports = TelegramClient;
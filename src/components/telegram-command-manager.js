@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * @module telegram-command-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const CommandManager = require('./command-manager');
+
+const TelegramHelpCommand = require('../commands_telegram/other/telegram-help-command');
+const TelegramPingCommand = require('../commands_telegram/other/telegram-ping-command');
+const PollCommand = require('../commands_common/social/poll-command');
+const RemindCommand = require('../commands_common/social/remind-command');
+const WarnCommand = require('../commands_common/moderation/warn-command');
+
+/**
+ * Represents commands available for Telegram
+ * @alias TelegramCommandManager
+ * @extends CommandManager
+ */
+class TelegramCommandManager extends CommandManager {
+  /**
+   * Gets the array of public command classes defined for specific source.
+   * @return {Array<constructor>} the defined commands
+   */
+  get definedCommands() {
+    return Object.freeze([TelegramHelpCommand, TelegramPingCommand, PollCommand, RemindCommand, WarnCommand]);
+  }
+
+  /**
+   * Gets the array of private (direct-messages) command classes defined for specific source.
+   * @return {Array<constructor>} the defined commands
+   */
+  get definedPrivateCommands() {
+    return Object.freeze([]);
+  }
+}
+
+/**
+ * Exports the TelegramCommandManager class
+ * @type {TelegramCommandManager}
+ */
+module.exports = TelegramCommandManager;
@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * @module telegram-source
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotPublicError = require('../utils/bot-public-error');
+const TelegramUtils = require('../utils/telegram-utils');
+
+const BaseSource = require('./base-source');
+const SourceMember = require('../command_meta/source-member');
+const SourceChannel = require('../command_meta/source-channel');
+const BotTable = require('../mongo_classes/bot-table');
+const OrgEscalationStep = require('../mongo_classes/org-escalation-step');
+const TelegramCommandManager = require('../components/telegram-command-manager');
+
+const TelegramCommandPrefix = '/';
+
+const UserNameRegex = /^@[a-z\d_]{5,32}$/i;
+const IdRegex = /^-?\d+$/;
+
+const MinPollAnswers = 2;
+const MaxPollQuestionLength = 300;
+const MaxPollAnswerLength = 100;
+
+/**
+ * Represents the Telegram source. The groups are the organizations, and each group is its only channel.
+ * @alias TelegramSource
+ * @extends BaseSource
+ */
+class TelegramSource extends BaseSource {
+  /**
+   * Creates the instance using the Telegram client object
+   * @param {TelegramClient} client the client object
+   */
+  constructor(client) {
+    super(client);
+    this.commandManager = new TelegramCommandManager();
+  }
+
+  /**
+   * Replies to the message using a source-dependent class. The reply is linked to the original message,
+   * but is sent even if the original message is already deleted.
+   * The errors of sending are emitted as the "error" events of the client.
+   * @param   {BaseMessage} message   the base message object
+   * @param   {string}      replyText the text to reply with
+   * @returns {Promise}               nothing
+   */
+  async replyToMessage(message, replyText) {
+    this.client
+      .sendToChat(message.channelId, replyText, {
+        reply_to_message_id: message.originalMessage.message_id,
+        allow_sending_without_reply: true
+      })
+      .catch(error => this.client.emit('error', error));
+  }
+
+  /**
+   * Checks if a text is a reference to a member: a user name (like "@someone") or a user identifier.
+   * @param   {string}  text the text
+   * @returns {boolean}      true if the text is a reference to a member, false otherwise
+   */
+  isMemberReference(text) {
+    return UserNameRegex.test(text) || this.parseMemberReference(text) !== null;
+  }
+
+  /**
+   * Gets the identifier of the member referred by a text. Only the user identifiers can be parsed without the DB.
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a user identifier
+   */
+  parseMemberReference(text) {
+    return IdRegex.test(text) ? text : null;
+  }
+
+  /**
+   * Gets a member of a group by a user name (like "@someone", case-insensitive) or by a user identifier.
+   * The bots cannot list the members of a group, so the users who have not written to the group yet
+   * can be referred only by their identifiers.
+   * @param   {Context}               context   the Bot's context
+   * @param   {string}                orgId     the organization identifier
+   * @param   {string}                reference the reference to the member
+   * @returns {Promise<SourceMember>}           the member, or null if not found
+   */
+  async resolveMember(context, orgId, reference) {
+    if (!reference.startsWith(TelegramUtils.USER_NAME_PREFIX)) {
+      const member = await super.resolveMember(context, orgId, reference);
+      if (member !== null || this.parseMemberReference(reference) === null) {
+        return member;
+      }
+
+      return new SourceMember(reference, reference, reference);
+    }
+
+    const userName = reference.slice(TelegramUtils.USER_NAME_PREFIX.length).toLowerCase();
+    const rows = await context.dbManager.getRows(context.dbManager.membersTable, { source: this.name, orgId });
+    const row = rows.find(memberRow => memberRow.userName && memberRow.userName.toLowerCase() === userName);
+    return row === undefined ? null : new SourceMember(row.id, row.displayName, this.makeMemberMention(row));
+  }
+
+  /**
+   * Makes the text referring to a member in the messages of the source: the user name if set,
+   * otherwise the display name.
+   * @param   {OrgMember} memberRow the member's row from the DB
+   * @returns {string}              the text referring to the member
+   */
+  makeMemberMention(memberRow) {
+    return TelegramUtils.makeUserLabel(memberRow.userName, memberRow.displayName);
+  }
+
+  /**
+   * Gets the identifier of the author of the message which the given message replies to.
+   * @param   {BaseMessage} message the base message object
+   * @returns {string}              the identifier of the replied author, or null if the message is not a reply
+   */
+  getRepliedMemberId(message) {
+    const repliedMessage = message.originalMessage.reply_to_message;
+    return repliedMessage !== undefined && repliedMessage.from ? String(repliedMessage.from.id) : null;
+  }
+
+  /**
+   * Gets a text channel of an organization by the identifier. The only channel of a group is the group itself.
+   * @param   {Context}                context   the Bot's context
+   * @param   {string}                 orgId     the organization identifier
+   * @param   {string}                 channelId the identifier of the channel
+   * @returns {Promise<SourceChannel>}           the channel, or null if not found
+   */
+  async fetchChannel(context, orgId, channelId) {
+    if (channelId !== orgId) {
+      return null;
+    }
+
+    const rows = await context.dbManager.getRows(context.dbManager.orgsTable, { source: this.name, id: orgId });
+    const name = rows.length === 0 ? orgId : rows[0].name;
+    return new SourceChannel(channelId, name, name);
+  }
+
+  /**
+   * Gets the identifier of the channel referred by a text: the identifier of the group.
+   * @param   {string} text the text
+   * @returns {string}      the identifier, or null if the text is not a reference to a channel
+   */
+  parseChannelReference(text) {
+    return IdRegex.test(text) ? text : null;
+  }
+
+  /**
+   * Posts a text to a chat.
+   * @param   {string}          channelId the identifier of the chat
+   * @param   {string}          text      the text to be posted
+   * @returns {Promise<string>}           the identifier of the (last) posted message
+   */
+  async sendText(channelId, text) {
+    const message = await this.client.sendToChat(channelId, text);
+    return String(message.message_id);
+  }
+
+  /**
+   * Checks that a poll fits the limitations of the native Telegram polls. Throws BotPublicError otherwise.
+   * @throws {BotPublicError}
+   * @param {string}        question    the question of the poll
+   * @param {Array<string>} answers     the answers (null or empty for a yes/no poll)
+   * @param {LangManager}   langManager the language manager to localize the error
+   */
+  validatePoll(question, answers, langManager) {
+    if (answers !== null && answers.length > 0 && answers.length < MinPollAnswers) {
+      throw new BotPublicError(langManager.getString('command_poll_one_answer'));
+    }
+
+    if (question.length > MaxPollQuestionLength) {
+      throw new BotPublicError(langManager.getString('command_poll_question_too_long', MaxPollQuestionLength));
+    }
+
+    if (answers !== null && answers.some(answer => answer.length > MaxPollAnswerLength)) {
+      throw new BotPublicError(langManager.getString('command_poll_answer_too_long', MaxPollAnswerLength));
+    }
+  }
+
+  /**
+   * Posts a native Telegram poll to a chat. The yes/no polls get the localized "yes" and "no" answers.
+   * @param   {string}        channelId   the identifier of the chat
+   * @param   {string}        question    the question of the poll
+   * @param   {Array<string>} answers     the answers (null or empty for a yes/no poll)
+   * @param   {LangManager}   langManager the language manager to localize the texts of the poll
+   * @returns {Promise}                   nothing
+   */
+  async postPoll(channelId, question, answers, langManager) {
+    const pollAnswers =
+      answers === null || answers.length === 0
+        ? [langManager.getString('command_poll_yes'), langManager.getString('command_poll_no')]
+        : answers;
+    await this.client.sendPoll(channelId, question, pollAnswers);
+  }
+
+  /**
+   * Deletes the message. The bot needs the right to delete the messages in the group.
+   * @param   {BaseMessage} message the base message object
+   * @returns {Promise}             nothing
+   */
+  async deleteMessage(message) {
+    await this.client.deleteMessage(message.channelId, message.originalMessage.message_id);
+  }
+
+  /**
+   * Gets the moderation actions (like a mute or a ban) the source supports.
+   * @see OrgEscalationStep.ESCALATION_ACTIONS
+   * @return {Array<string>} the names of the actions
+   */
+  get moderationActions() {
+    return Object.values(OrgEscalationStep.ESCALATION_ACTIONS);
+  }
+
+  /**
+   * Applies a moderation action (like a mute or a ban) to a member of a group. The temporary restrictions
+   * are lifted by Telegram itself. Telegram has no kicks, so the member is banned and unbanned right away
+   * to be able to join again.
+   * @throws {Error}
+   * @param   {Context}         context     the Bot's context
+   * @param   {string}          orgId       the organization identifier
+   * @param   {string}          memberId    the identifier of the member
+   * @param   {string}          moderatorId the identifier of the moderator applying the action
+   * @param   {string}          action      the name of the action
+   * @param   {number}          duration    the duration of a temporary action in milliseconds, 0 for a permanent one
+   * @param   {string}          reason      the reason of the action
+   * @returns {Promise<number>}             the time when the action expires, or null if it's permanent
+   */
+  async moderateMember(context, orgId, memberId, moderatorId, action, duration, reason) {
+    const actions = OrgEscalationStep.ESCALATION_ACTIONS;
+    const expiresAt = duration > 0 ? new Date().getTime() + duration : null;
+    // Telegram expects the Unix time in seconds, 0 means forever.
+    const untilDate = expiresAt === null ? 0 : Math.floor(expiresAt / 1000);
+
+    switch (action) {
+      case actions.mute:
+        await this.client.muteChatMember(orgId, memberId, untilDate);
+        return expiresAt;
+      case actions.kick:
+        await this.client.banChatMember(orgId, memberId, 0);
+        await this.client.unbanChatMember(orgId, memberId);
+        return null;
+      case actions.ban:
+        await this.client.banChatMember(orgId, memberId, untilDate);
+        return expiresAt;
+      default:
+        return super.moderateMember(context, orgId, memberId, moderatorId, action, duration, reason);
+    }
+  }
+
+  /**
+   * Gets the name of the source
+   * @return {string} the name
+   */
+  get name() {
+    return BotTable.TELEGRAM_SOURCE;
+  }
+
+  /**
+   * Gets the default command prefix to be recognized by the bot. Telegram clients highlight the commands
+   * starting with "/" and suggest the commands of the bots after typing it.
+   * @return {string} the prefix
+   */
+  get DEFAULT_COMMAND_PREFIX() {
+    return TelegramCommandPrefix;
+  }
+}
+
+/**
+ * Exports the TelegramSource class
+ * @type {TelegramSource}
+ */
+module.exports = TelegramSource;
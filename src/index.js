@@ -16,6 +16,12 @@ const BaseMessage = require('./components/base-message');
 const PrefsManager = require('./managers/prefs-manager');
 const Context = require('./managers/context');
 const DiscordSource = require('./components/discord-source');
+const TelegramClient = require('./components/telegram-client');
+const TelegramSource = require('./components/telegram-source');
+const TelegramUtils = require('./utils/telegram-utils');
+const SlackClient = require('./components/slack-client');
+const SlackSource = require('./components/slack-source');
+const SlackUtils = require('./utils/slack-utils');
 const prefsPath = path.join(__dirname, '..', 'preferences.txt');
 const localizationPath = path.join(__dirname, '..', 'localization');
 
@@ -25,8 +31,28 @@ const prefsManager = new PrefsManager(prefsPath);
 
 prefsManager.readPrefs();
 
-const c = new Context(prefsManager, localizationPath, client);
+// Telegram is optional, the client is created only if the token is set.
+const telegramClient =
+  prefsManager.telegram_token === undefined
+    ? null
+    : new TelegramClient(prefsManager.telegram_token, { apiUrl: prefsManager.telegram_api_url });
+
+// Slack is optional as well. The events are received via Socket Mode if the app-level token is set,
+// otherwise via the Events API on the given port.
+let slackClient = null;
+if (prefsManager.slack_bot_token !== undefined) {
+  slackClient = new SlackClient(prefsManager.slack_bot_token, {
+    appToken: prefsManager.slack_app_token,
+    signingSecret: prefsManager.slack_signing_secret,
+    eventsPort: Number.parseInt(prefsManager.slack_events_port, 10),
+    apiUrl: prefsManager.slack_api_url
+  });
+}
+
+const c = new Context(prefsManager, localizationPath, client, telegramClient, slackClient);
 const discordSource = new DiscordSource(client);
+const telegramSource = telegramClient === null ? null : new TelegramSource(telegramClient);
+const slackSource = slackClient === null ? null : new SlackSource(slackClient);
 
 c.log.i('Context created.');
 
@@ -63,22 +89,32 @@ MongoClient.connect(dbConnectionString, async (err, db) => {
     db.close();
   });
 
+  c.discordSyncManager.subscribe(client);
+  c.muteManager.subscribe(client);
+  c.appealManager.subscribe(client);
+  c.automodManager.subscribe(client);
+  c.slashCommandsManager.subscribe(client, discordSource);
+
   client.on('ready', async () => {
     try {
       c.log.i('Servers:');
-      const guildsArray = client.guilds.cache.array();
-      const updateResults = [];
-      for (const guild of guildsArray) {
+      for (const guild of client.guilds.cache.array()) {
         c.log.i(' - ' + guild.name);
-        updateResults.push(c.dbManager.updateGuild(guild));
       }
 
-      await Promise.all(updateResults);
-      await c.dbManager.updateGuilds(client.guilds.cache);
+      await c.discordSyncManager.reconcile();
 
       c.discordClientReady = true;
 
+      c.discordSyncManager.startReconciliation();
+
       await c.scheduler.syncTasks();
+      await c.scheduler.archiveExpiredWarnings();
+      c.scheduler.startSync();
+
+      await c.appealManager.fetchPendingAppeals();
+
+      await c.slashCommandsManager.registerAllCommands();
     } catch (error) {
       c.log.f('client on ready error: ' + error + '; stack: ' + error.stack);
     }
@@ -92,12 +128,8 @@ MongoClient.connect(dbConnectionString, async (err, db) => {
 
     try {
       const message = BaseMessage.createFromDiscord(discordMessage, discordSource);
-      await c.dbManager.updateGuilds(client.guilds.cache);
-      await c.scheduler.syncTasks();
 
       if (message.originalMessage.guild !== undefined && message.originalMessage.guild !== null) {
-        await c.dbManager.updateGuild(message.originalMessage.guild);
-
         let processed = false;
         if (message.userId !== client.user.id) {
           processed = await c.commandsParser.processMessage(message);
@@ -114,5 +146,127 @@ MongoClient.connect(dbConnectionString, async (err, db) => {
     }
   });
 
+  client.on('messageUpdate', async (oldDiscordMessage, newDiscordMessage) => {
+    if (!c.discordClientReady) {
+      c.log.w('on messageUpdate: the client is not ready');
+      return;
+    }
+
+    try {
+      const message = BaseMessage.createFromDiscord(newDiscordMessage, discordSource);
+
+      // The edits of private ("DM") messages are not moderated.
+      if (message.originalMessage.guild !== undefined && message.originalMessage.guild !== null) {
+        if (message.userId !== client.user.id) {
+          await c.messageModerator.moderateEditedDiscordMessage(oldDiscordMessage, message);
+        }
+      }
+    } catch (error) {
+      c.log.e('client on messageUpdate error: ' + error + '; stack: ' + error.stack);
+    }
+  });
+
+  client.on('messageDelete', async discordMessage => {
+    if (!c.discordClientReady) {
+      c.log.w('on messageDelete: the client is not ready');
+      return;
+    }
+
+    try {
+      const message = BaseMessage.createFromDiscord(discordMessage, discordSource);
+
+      if (message.originalMessage.guild !== undefined && message.originalMessage.guild !== null) {
+        if (message.userId !== client.user.id) {
+          await c.messageModerator.logDeletedDiscordMessage(message);
+        }
+      }
+    } catch (error) {
+      c.log.e('client on messageDelete error: ' + error + '; stack: ' + error.stack);
+    }
+  });
+
   client.login(c.prefsManager.discord_token);
+
+  if (telegramClient !== null) {
+    c.telegramSyncManager.subscribe(telegramClient);
+
+    telegramClient.on('error', error => {
+      c.log.e('telegramClient error: ' + error + '; stack: ' + error.stack);
+    });
+
+    telegramClient.on('ready', () => {
+      c.log.i('Telegram bot: @' + telegramClient.user.username);
+      c.telegramClientReady = true;
+    });
+
+    telegramClient.on('message', async telegramMessage => {
+      if (!c.telegramClientReady) {
+        c.log.w('on Telegram message: the client is not ready');
+        return;
+      }
+
+      // Only the commands in the groups are supported for now, the private chats are skipped.
+      if (!TelegramUtils.isGroupChat(telegramMessage.chat) || !telegramMessage.from || telegramMessage.from.is_bot) {
+        return;
+      }
+
+      try {
+        const message = BaseMessage.createFromTelegram(telegramMessage, telegramSource);
+        await c.commandsParser.processTelegramMessage(message);
+      } catch (error) {
+        c.log.e('telegramClient on message error: ' + error + '; stack: ' + error.stack);
+      }
+    });
+
+    telegramClient.login().catch(error => {
+      c.log.f('telegramClient login error: ' + error + '; stack: ' + error.stack);
+    });
+  }
+
+  if (slackClient !== null) {
+    c.slackSyncManager.subscribe(slackClient);
+
+    slackClient.on('error', error => {
+      c.log.e('slackClient error: ' + error + '; stack: ' + error.stack);
+    });
+
+    slackClient.on('ready', async () => {
+      c.log.i('Slack bot: ' + slackClient.user.name + ' in ' + slackClient.user.teamId);
+      try {
+        await c.slackSyncManager.reconcile();
+      } catch (error) {
+        c.log.e('slackClient reconcile error: ' + error + '; stack: ' + error.stack);
+      }
+
+      c.slackClientReady = true;
+    });
+
+    slackClient.on('message', async slackMessage => {
+      if (!c.slackClientReady) {
+        c.log.w('on Slack message: the client is not ready');
+        return;
+      }
+
+      // The edits, joins etc. come as the messages with subtypes, they are not commands.
+      // Only the commands in the channels are supported for now, the direct messages are skipped.
+      if (
+        slackMessage.subtype !== undefined ||
+        slackMessage.bot_id !== undefined ||
+        !SlackUtils.isChannelMessage(slackMessage)
+      ) {
+        return;
+      }
+
+      try {
+        const message = BaseMessage.createFromSlack(slackMessage, slackSource);
+        await c.commandsParser.processSlackMessage(message);
+      } catch (error) {
+        c.log.e('slackClient on message error: ' + error + '; stack: ' + error.stack);
+      }
+    });
+
+    slackClient.login().catch(error => {
+      c.log.f('slackClient login error: ' + error + '; stack: ' + error.stack);
+    });
+  }
 });
@@ -0,0 +1,387 @@
+'use strict';
+
+/**
+ * @module appeal-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../utils/bot-utils');
+const DiscordUtils = require('../utils/discord-utils');
+
+const LangManager = require('./lang-manager');
+const PermissionsManager = require('./permissions-manager');
+
+const BaseModerationCommand = require('../commands_discord/moderation/base-moderation-command');
+const DeleteWarningCommand = require('../commands_discord/moderation/delete-warning-command');
+const ModerationExpiryTaskExecutor = require('../task_executors/moderation-expiry-task-executor');
+
+const BotTable = require('../mongo_classes/bot-table');
+const OrgAppeal = require('../mongo_classes/org-appeal');
+const OrgChannel = require('../mongo_classes/org-channel');
+const OrgModerationCase = require('../mongo_classes/org-moderation-case');
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+const ApproveEmoji = '✅';
+const DenyEmoji = '❌';
+
+const AppealableActions = Object.freeze([
+  OrgModerationCase.CASE_ACTIONS.warn,
+  OrgModerationCase.CASE_ACTIONS.mute,
+  OrgModerationCase.CASE_ACTIONS.ban
+]);
+
+/**
+ * Maintains the appeals of the users against the moderation cases. An appeal is posted into the appeals channel
+ * of the server with the approve and deny reactions. When a moderator (a member permitted to ban) reacts, the appeal
+ * gets decided: if approved, then the action of the case is reverted (the warning is deleted, the user is unbanned
+ * or unmuted). The decision is sent to the user directly.
+ * @see AppealCommand
+ * @see SetAppealsChannelCommand
+ * @alias AppealManager
+ */
+class AppealManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * The emoji to approve an appeal.
+   * @type {string}
+   */
+  static get APPROVE_EMOJI() {
+    return ApproveEmoji;
+  }
+
+  /**
+   * The emoji to deny an appeal.
+   * @type {string}
+   */
+  static get DENY_EMOJI() {
+    return DenyEmoji;
+  }
+
+  /**
+   * The actions of the moderation cases which can be appealed.
+   * @type {Array<string>}
+   */
+  static get APPEALABLE_ACTIONS() {
+    return AppealableActions;
+  }
+
+  /**
+   * Gets the status of an appeal decided by a reaction.
+   * @param  {string} emojiName the name of the reaction's emoji
+   * @return {string}           the approved or the denied status, or null if the emoji does not decide appeals
+   */
+  static getDecisionStatus(emojiName) {
+    switch (emojiName) {
+      case ApproveEmoji:
+        return OrgAppeal.APPEAL_STATUSES.approved;
+      case DenyEmoji:
+        return OrgAppeal.APPEAL_STATUSES.denied;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Makes the text of an appeal posted for the moderators.
+   * @param  {OrgAppeal}         appeal      the appeal
+   * @param  {OrgModerationCase} caseRow     the appealed case
+   * @param  {LangManager}       langManager the language manager to localize the text
+   * @return {string}                        the text of the appeal
+   */
+  static makeAppealText(appeal, caseRow, langManager) {
+    return langManager.getString(
+      'appeal_message',
+      appeal.id,
+      DiscordUtils.makeUserMention(appeal.userId),
+      caseRow.id,
+      BaseModerationCommand.describeCaseAction(caseRow, langManager),
+      caseRow.reason === null || caseRow.reason === ''
+        ? langManager.getString('moderation_case_no_reason')
+        : DiscordUtils.escapeMentions(caseRow.reason),
+      DiscordUtils.escapeMentions(appeal.text),
+      ApproveEmoji,
+      DenyEmoji
+    );
+  }
+
+  /**
+   * Subscribes the manager to the Discord client events which require maintaining the appeals.
+   * @param {Client} client the Discord client
+   */
+  subscribe(client) {
+    client.on('messageReactionAdd', (reaction, user) =>
+      this.handleEvent('messageReactionAdd', () => this.onReactionAdd(reaction, user))
+    );
+  }
+
+  /**
+   * Runs a handler of a Discord event, if the client is ready. Logs the errors, if happened.
+   * @param  {string}   eventName the name of the Discord event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.discordClientReady) {
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('AppealManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Gets the language manager for the locale of an organization, to localize the appeals and the decisions.
+   * @param  {string}               orgId the organization identifier
+   * @return {Promise<LangManager>}       the language manager
+   */
+  async getOrgLangManager(orgId) {
+    const localeName = await this.context.dbManager.getSetting(
+      BotTable.DISCORD_SOURCE,
+      orgId,
+      ServerSettingsTable.SERVER_SETTINGS.localeName.name
+    );
+
+    return new LangManager(this.context.localizationPath, localeName);
+  }
+
+  /**
+   * Finds the appeals channel of a guild set in the server settings.
+   * @param  {string}           orgId the organization identifier
+   * @return {Promise<Channel>}       the text channel, or undefined if the appeals channel is not set or not found
+   */
+  async findAppealsChannel(orgId) {
+    const channelId = await this.context.dbManager.getSetting(
+      BotTable.DISCORD_SOURCE,
+      orgId,
+      ServerSettingsTable.SERVER_SETTINGS.appealsChannel.name,
+      null
+    );
+
+    const guild = this.context.discordClient.guilds.cache.get(orgId);
+    if (channelId === null || guild === undefined) {
+      return undefined;
+    }
+
+    const channel = guild.channels.cache.get(channelId);
+    return channel !== undefined && channel.type === OrgChannel.getTextType() ? channel : undefined;
+  }
+
+  /**
+   * Records an appeal against a moderation case and posts it into the appeals channel of the case's server.
+   * @param  {OrgModerationCase}  caseRow the appealed case
+   * @param  {string}             text    the text of the appeal
+   * @return {Promise<OrgAppeal>}         the recorded appeal, or null if the server has no appeals channel
+   */
+  async submitAppeal(caseRow, text) {
+    const channel = await this.findAppealsChannel(caseRow.orgId);
+    if (channel === undefined) {
+      return null;
+    }
+
+    const appealsTable = this.context.dbManager.appealsTable;
+    const currentRows = await this.context.dbManager.getDiscordRows(appealsTable, caseRow.orgId);
+    const appeal = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source: caseRow.source,
+      orgId: caseRow.orgId,
+      caseId: caseRow.id,
+      userId: caseRow.targetId,
+      text,
+      status: OrgAppeal.APPEAL_STATUSES.pending,
+      timestamp: new Date().getTime(),
+      channelId: channel.id,
+      messageId: null,
+      moderatorId: null
+    };
+    await this.context.dbManager.insertOne(appealsTable, appeal);
+
+    const langManager = await this.getOrgLangManager(caseRow.orgId);
+    const appealMessage = await DiscordUtils.sendToTextChannel(
+      channel,
+      AppealManager.makeAppealText(appeal, caseRow, langManager)
+    );
+    appeal.messageId = appealMessage.id;
+    await appealsTable.insertOrUpdate(appeal);
+
+    await appealMessage.react(ApproveEmoji);
+    await appealMessage.react(DenyEmoji);
+
+    return appeal;
+  }
+
+  /**
+   * Fetches the messages of the pending appeals, so that the Discord client receives the reactions to them
+   * even if the messages were posted before the Bot's restart.
+   * @return {Promise} nothing
+   */
+  async fetchPendingAppeals() {
+    const appeals = await this.context.dbManager.getRows(this.context.dbManager.appealsTable, {
+      source: BotTable.DISCORD_SOURCE,
+      status: OrgAppeal.APPEAL_STATUSES.pending
+    });
+
+    // Must fetch the messages one by one, so that the Discord rate limits are not exceeded.
+    /* eslint-disable no-await-in-loop */
+    for (const appeal of appeals) {
+      const guild = this.context.discordClient.guilds.cache.get(appeal.orgId);
+      const channel = guild === undefined ? undefined : guild.channels.cache.get(appeal.channelId);
+      if (channel === undefined || appeal.messageId === null) {
+        continue;
+      }
+
+      try {
+        await channel.messages.fetch(appeal.messageId);
+      } catch (error) {
+        this.context.log.w('AppealManager fetchPendingAppeals: cannot fetch appeal ' + appeal.id + ': ' + error);
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+
+  /**
+   * Handles the event of a reaction being added: decides the appeal, if the reaction is an approval or a denial
+   * by a moderator.
+   * @param  {MessageReaction} reaction the Discord reaction
+   * @param  {User}            user     the Discord user who reacted
+   * @return {Promise}                  nothing
+   */
+  async onReactionAdd(reaction, user) {
+    const message = reaction.message;
+    const status = AppealManager.getDecisionStatus(reaction.emoji.name);
+    if (user.bot || message.guild === null || status === null) {
+      return;
+    }
+
+    const appeals = await this.context.dbManager.getDiscordRows(this.context.dbManager.appealsTable, message.guild.id, {
+      channelId: message.channel.id,
+      messageId: message.id,
+      status: OrgAppeal.APPEAL_STATUSES.pending
+    });
+    if (appeals.length === 0) {
+      return;
+    }
+
+    const moderator = await message.guild.members.fetch(user.id);
+    if (!moderator.hasPermission(PermissionsManager.DISCORD_PERMISSIONS.BAN_MEMBERS)) {
+      return;
+    }
+
+    await this.decideAppeal(appeals[0], status, moderator, message);
+  }
+
+  /**
+   * Decides an appeal: reverts the appealed case (if approved), records the decision, updates the appeal's message,
+   * logs the decision into the moderation logs and sends it to the user.
+   * @param  {OrgAppeal}   appeal    the appeal
+   * @param  {string}      status    the approved or the denied status
+   * @param  {GuildMember} moderator the moderator who decided
+   * @param  {Message}     message   the Discord message of the appeal
+   * @return {Promise}               nothing
+   */
+  async decideAppeal(appeal, status, moderator, message) {
+    const guild = message.guild;
+    const approved = status === OrgAppeal.APPEAL_STATUSES.approved;
+    const cases = await this.context.dbManager.getDiscordRows(this.context.dbManager.moderationCasesTable, guild.id, {
+      id: appeal.caseId
+    });
+
+    if (approved && cases.length > 0) {
+      await this.revertCase(guild, cases[0]);
+    }
+
+    appeal.status = status;
+    appeal.moderatorId = moderator.id;
+    await this.context.dbManager.appealsTable.insertOrUpdate(appeal);
+
+    const langManager = await this.getOrgLangManager(guild.id);
+    const decisionText = langManager.getString(
+      approved ? 'appeal_decision_approved' : 'appeal_decision_denied',
+      DiscordUtils.makeUserMention(moderator.id)
+    );
+    await message.edit(message.content + '\n' + decisionText);
+
+    await BaseModerationCommand.logModerActionForOrg(
+      this.context,
+      BotTable.DISCORD_SOURCE,
+      guild.id,
+      langManager.getString(
+        approved ? 'appeal_log_approved' : 'appeal_log_denied',
+        appeal.id,
+        DiscordUtils.makeUserMention(appeal.userId),
+        appeal.caseId,
+        DiscordUtils.makeUserMention(moderator.id)
+      )
+    );
+
+    try {
+      const user = await this.context.discordClient.users.fetch(appeal.userId);
+      await DiscordUtils.sendToTextChannel(
+        user,
+        langManager.getString(approved ? 'appeal_dm_approved' : 'appeal_dm_denied', appeal.caseId, guild.name)
+      );
+    } catch (error) {
+      this.context.log.w('AppealManager decideAppeal: cannot notify user ' + appeal.userId + ': ' + error);
+    }
+  }
+
+  /**
+   * Reverts the action of a moderation case: deletes the warning, unbans or unmutes the user.
+   * The pending expiries of the action (for temporary bans and mutes) are cancelled.
+   * @param  {Guild}             guild   the Discord guild
+   * @param  {OrgModerationCase} caseRow the case
+   * @return {Promise}                   nothing
+   */
+  async revertCase(guild, caseRow) {
+    switch (caseRow.action) {
+      case OrgModerationCase.CASE_ACTIONS.warn:
+        if (caseRow.warningId !== null && caseRow.warningId !== undefined) {
+          await DeleteWarningCommand.deleteWarnings(this.context, guild.id, [caseRow.warningId]);
+        }
+
+        break;
+      case OrgModerationCase.CASE_ACTIONS.ban:
+        await ModerationExpiryTaskExecutor.cancelExpiries(
+          this.context,
+          guild.id,
+          ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unban,
+          caseRow.targetId
+        );
+        try {
+          await guild.members.unban(caseRow.targetId);
+        } catch (error) {
+          this.context.log.w('AppealManager revertCase: cannot unban ' + caseRow.targetId + ': ' + error);
+        }
+
+        break;
+      case OrgModerationCase.CASE_ACTIONS.mute:
+        await ModerationExpiryTaskExecutor.cancelExpiries(
+          this.context,
+          guild.id,
+          ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unmute,
+          caseRow.targetId
+        );
+        await this.context.muteManager.unmuteMember(guild, caseRow.targetId);
+        break;
+      default:
+        this.context.log.e('AppealManager revertCase: the action ' + caseRow.action + ' cannot be reverted');
+        break;
+    }
+  }
+}
+
+/**
+ * Exports the AppealManager class
+ * @type {AppealManager}
+ */
+module.exports = AppealManager;
@@ -0,0 +1,542 @@
+'use strict';
+
+/**
+ * @module automod-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../utils/discord-utils');
+const LinkFilter = require('../utils/link-filter');
+
+const PermissionsManager = require('./permissions-manager');
+const MessageModerator = require('./message-moderator');
+
+const BaseModerationCommand = require('../commands_discord/moderation/base-moderation-command');
+
+const BotTable = require('../mongo_classes/bot-table');
+const OrgAutomodRule = require('../mongo_classes/org-automod-rule');
+const OrgChannel = require('../mongo_classes/org-channel');
+const OrgModerationCase = require('../mongo_classes/org-moderation-case');
+
+const ChannelLockTaskExecutor = require('../task_executors/channel-lock-task-executor');
+const ModerationExpiryTaskExecutor = require('../task_executors/moderation-expiry-task-executor');
+
+const SecondMillis = 1000;
+const MinuteMillis = 60 * SecondMillis;
+const MaxWindowMillis = 60 * MinuteMillis;
+const MinCapsLetters = 8;
+
+/**
+ * Applies the automoderation rules of the servers: tracks the recent messages of each member and the recent joins
+ * of each server, and applies the action of a rule when the tracked events reach the rule's limit within
+ * the rule's window. The events are kept in memory only, so they are lost on restarts of the Bot.
+ * The members who can manage messages (i.e. the moderators) are not tracked.
+ * @see OrgAutomodRule
+ * @see MessageModerator
+ * @alias AutomodManager
+ */
+class AutomodManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+    this.messageEvents = new Map();
+    this.joinEvents = new Map();
+    this.lastPruneTime = Date.now();
+  }
+
+  /**
+   * The maximum window of the automoderation rules, in milliseconds.
+   * @type {number}
+   */
+  static get MAX_WINDOW_MILLIS() {
+    return MaxWindowMillis;
+  }
+
+  /**
+   * Counts the invite links to Discord servers in a text.
+   * @param  {string} text the text
+   * @return {number}      the number of the invite links
+   */
+  static countInvites(text) {
+    return LinkFilter.extractLinks(text).filter(link => link.inviteCode !== null).length;
+  }
+
+  /**
+   * Calculates the percentage of the capital letters among the letters of a text. The short texts are not
+   * considered shouting, so zero is returned for them.
+   * @param  {string} text the text
+   * @return {number}      the percentage of the capital letters
+   */
+  static getCapsPercent(text) {
+    const letters = Array.from(text).filter(char => char.toLowerCase() !== char.toUpperCase());
+    if (letters.length < MinCapsLetters) {
+      return 0;
+    }
+
+    const capitals = letters.filter(char => char !== char.toLowerCase());
+    return Math.round((capitals.length * 100) / letters.length);
+  }
+
+  /**
+   * Makes the tracked event of a message.
+   * @param  {string} content       the content of the message
+   * @param  {number} mentionsCount the number of the users and the roles mentioned in the message
+   * @param  {number} timestamp     the time of the message
+   * @param  {string} messageId     the identifier of the message (optional)
+   * @return {Object}               the event
+   */
+  static makeMessageEvent(content, mentionsCount, timestamp, messageId) {
+    return {
+      messageId: messageId === undefined ? null : messageId,
+      timestamp,
+      text: content.trim().toLowerCase(),
+      mentions: mentionsCount,
+      invites: this.countInvites(content),
+      caps: this.getCapsPercent(content)
+    };
+  }
+
+  /**
+   * Adds the event of a message to the tracked events. The event of an edited message replaces the event
+   * of its original version (if it's still tracked) and keeps the original time.
+   * @param  {Array<Object>} events the tracked events, ordered by time
+   * @param  {Object}        event  the event of the message
+   * @param  {boolean}       edited true if the message was edited, false if it's a new one
+   * @return {Array<Object>}        the same array of the events
+   */
+  static addMessageEvent(events, event, edited) {
+    const originalIndex = edited ? events.findIndex(trackedEvent => trackedEvent.messageId === event.messageId) : -1;
+    if (originalIndex < 0) {
+      events.push(event);
+    } else {
+      event.timestamp = events[originalIndex].timestamp;
+      events[originalIndex] = event;
+    }
+
+    return events;
+  }
+
+  /**
+   * Selects the events which happened within a window.
+   * @param  {Array<Object>} events the events, ordered by time
+   * @param  {number}        window the window in milliseconds
+   * @param  {number}        now    the current time
+   * @return {Array<Object>}        the events within the window
+   */
+  static filterWindow(events, window, now) {
+    return events.filter(event => now - event.timestamp <= window);
+  }
+
+  /**
+   * Checks if a rule is triggered by the last of the tracked events.
+   * @param  {OrgAutomodRule} rule   the automoderation rule
+   * @param  {Array<Object>}  events the tracked events of the member (or of the server), ordered by time
+   * @param  {number}         now    the current time
+   * @return {boolean}               true if the rule is triggered, false otherwise
+   */
+  static isTriggered(rule, events, now) {
+    const lastEvent = events[events.length - 1];
+    const windowEvents = this.filterWindow(events, rule.window, now);
+    const types = OrgAutomodRule.AUTOMOD_TYPES;
+    switch (rule.type) {
+      case types.caps.name:
+        return lastEvent.caps >= rule.limit;
+      case types.duplicates.name:
+        return (
+          lastEvent.text.length > 0 && windowEvents.filter(event => event.text === lastEvent.text).length >= rule.limit
+        );
+      case types.mentions.name:
+      case types.invites.name:
+        return lastEvent[rule.type] > 0 && windowEvents.reduce((sum, event) => sum + event[rule.type], 0) >= rule.limit;
+      default:
+        return windowEvents.length >= rule.limit;
+    }
+  }
+
+  /**
+   * Describes an automoderation rule in a human readable way: what triggers the rule and what is its action.
+   * @param  {OrgAutomodRule} rule        the automoderation rule
+   * @param  {LangManager}    langManager the language manager to localize the description
+   * @return {string}                     the description
+   */
+  static describeRule(rule, langManager) {
+    // The caps rules check single messages, so they have no window.
+    const trigger =
+      rule.type === OrgAutomodRule.AUTOMOD_TYPES.caps.name
+        ? langManager.getString('automod_rule_caps', rule.limit)
+        : langManager.getString('automod_rule_' + rule.type, rule.limit, Math.round(rule.window / SecondMillis));
+    const action = langManager.getString(OrgAutomodRule.AUTOMOD_ACTIONS[rule.action].textId);
+    if (!(rule.duration > 0)) {
+      return langManager.getString('automod_rule', trigger, action);
+    }
+
+    return langManager.getString('automod_rule_temporary', trigger, action, Math.round(rule.duration / MinuteMillis));
+  }
+
+  /**
+   * Subscribes the manager to the Discord client events which are tracked by the automoderation.
+   * The messages are passed to the manager by the MessageModerator.
+   * @param {Client} client the Discord client
+   */
+  subscribe(client) {
+    client.on('guildMemberAdd', member => this.handleEvent('guildMemberAdd', () => this.onMemberAdd(member)));
+  }
+
+  /**
+   * Runs a handler of a Discord event, if the client is ready. Logs the errors, if happened.
+   * @param  {string}   eventName the name of the Discord event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.discordClientReady) {
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('AutomodManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Gets the automoderation rules of an organization, ordered by their ids.
+   * @param  {string}                         source the source name (like Discord etc.)
+   * @param  {string}                         orgId  the organization identifier
+   * @return {Promise<Array<OrgAutomodRule>>}        the rules
+   */
+  async getRules(source, orgId) {
+    const rules = await this.context.dbManager.getRows(this.context.dbManager.automodRulesTable, { source, orgId });
+    return rules.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Removes the events which are out of any window from the memory. Done at most once per the maximum window.
+   * @param {number} now the current time
+   */
+  pruneEvents(now) {
+    if (now - this.lastPruneTime < MaxWindowMillis) {
+      return;
+    }
+
+    for (const eventsMap of [this.messageEvents, this.joinEvents]) {
+      for (const [key, events] of eventsMap) {
+        const recentEvents = AutomodManager.filterWindow(events, MaxWindowMillis, now);
+        if (recentEvents.length === 0) {
+          eventsMap.delete(key);
+        } else {
+          eventsMap.set(key, recentEvents);
+        }
+      }
+    }
+
+    this.lastPruneTime = now;
+  }
+
+  /**
+   * Tracks an incoming message and applies the first (by id) automoderation rule triggered by it.
+   * An edited message replaces the tracked event of its original version, so it's not counted twice.
+   * @see AutomodManager.addMessageEvent
+   * @param  {BaseMessage}      message the Discord message
+   * @param  {boolean}          edited  true if the message was edited, false if it's a new one
+   * @return {Promise<boolean>}         true if the message was deleted by the automoderation, false otherwise
+   */
+  async checkMessage(message, edited = false) {
+    const rules = (await this.getRules(message.source.name, message.orgId)).filter(
+      rule => rule.type !== OrgAutomodRule.AUTOMOD_TYPES.joins.name
+    );
+    if (rules.length === 0) {
+      return false;
+    }
+
+    // The messages without a member (like the webhooks' messages) are not tracked.
+    const member = message.originalMessage.member;
+    if (
+      member === null ||
+      member === undefined ||
+      member.hasPermission(PermissionsManager.DISCORD_PERMISSIONS.MANAGE_MESSAGES)
+    ) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.pruneEvents(now);
+
+    const mentions = message.originalMessage.mentions;
+    const mentionsCount = mentions.users.size + mentions.roles.size + (mentions.everyone ? 1 : 0);
+    const key = message.orgId + '_' + message.userId;
+    const previousEvents = this.messageEvents.has(key) ? this.messageEvents.get(key) : [];
+    const events = AutomodManager.filterWindow(previousEvents, MaxWindowMillis, now);
+    const event = AutomodManager.makeMessageEvent(message.content, mentionsCount, now, message.originalMessage.id);
+    AutomodManager.addMessageEvent(events, event, edited);
+    this.messageEvents.set(key, events);
+
+    const rule = rules.find(automodRule => AutomodManager.isTriggered(automodRule, events, now));
+    if (rule === undefined) {
+      return false;
+    }
+
+    // The events are reset, so that the rest of the same burst of messages does not trigger the rule again.
+    this.messageEvents.delete(key);
+    await this.applyMessageAction(message, rule);
+    return rule.action === OrgAutomodRule.AUTOMOD_ACTIONS.delete.name;
+  }
+
+  /**
+   * Applies the action of a triggered automoderation rule to the author of a message.
+   * @param  {BaseMessage}    message the Discord message
+   * @param  {OrgAutomodRule} rule    the triggered rule
+   * @return {Promise}                nothing
+   */
+  async applyMessageAction(message, rule) {
+    const langManager = this.context.langManager;
+    const userMention = DiscordUtils.makeUserMention(message.userId);
+    const reason = this.makeReason(rule);
+    switch (rule.action) {
+      case OrgAutomodRule.AUTOMOD_ACTIONS.delete.name:
+        await this.context.messageModerator.deleteMessage(message);
+        await this.logAction(
+          message.orgId,
+          langManager.getString(
+            'automod_log_delete',
+            reason,
+            userMention,
+            DiscordUtils.makeChannelMention(message.channelId)
+          )
+        );
+        break;
+      case OrgAutomodRule.AUTOMOD_ACTIONS.warn.name:
+        await message.reply(
+          MessageModerator.appendEscalationResult(
+            langManager.getString('automod_warned_message', userMention, reason),
+            await this.context.messageModerator.warnUser(message, reason)
+          )
+        );
+        break;
+      case OrgAutomodRule.AUTOMOD_ACTIONS.mute.name:
+        await this.muteMember(message.originalMessage.member, rule, reason);
+        break;
+      default: {
+        // The channel may be locked already, e.g. by a previous trigger, then its unlock is scheduled already too.
+        if (ChannelLockTaskExecutor.isLocked(message.originalMessage.channel)) {
+          break;
+        }
+
+        const unlockTime = await this.lockChannel(message.originalMessage.channel, rule);
+        await this.logLock(message.orgId, 'automod_log_lock', unlockTime, [
+          reason,
+          DiscordUtils.makeChannelMention(message.channelId)
+        ]);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Handles the event of a member joining a guild: tracks the join and applies the first (by id) joins rule
+   * triggered by it. The mute is applied to all the members who joined within the rule's window and are not
+   * muted yet, the lock is applied to all text channels of the guild.
+   * @param  {GuildMember} member the Discord guild member
+   * @return {Promise}            nothing
+   */
+  async onMemberAdd(member) {
+    const guild = member.guild;
+    const rules = (await this.getRules(BotTable.DISCORD_SOURCE, guild.id)).filter(
+      rule => rule.type === OrgAutomodRule.AUTOMOD_TYPES.joins.name
+    );
+    if (rules.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    this.pruneEvents(now);
+
+    const previousEvents = this.joinEvents.has(guild.id) ? this.joinEvents.get(guild.id) : [];
+    const events = AutomodManager.filterWindow(previousEvents, MaxWindowMillis, now);
+    events.push({ timestamp: now, userId: member.id, handled: false });
+    this.joinEvents.set(guild.id, events);
+
+    const rule = rules.find(automodRule => AutomodManager.isTriggered(automodRule, events, now));
+    if (rule === undefined) {
+      return;
+    }
+
+    const reason = this.makeReason(rule);
+    if (rule.action === OrgAutomodRule.AUTOMOD_ACTIONS.lock.name) {
+      // The whole server gets locked, so the further joins of the same raid do not need to be handled.
+      this.joinEvents.delete(guild.id);
+      await this.lockServer(guild, rule, reason);
+    } else if (rule.action === OrgAutomodRule.AUTOMOD_ACTIONS.mute.name) {
+      const raidEvents = AutomodManager.filterWindow(events, rule.window, now).filter(event => !event.handled);
+      // Must mute the members one by one, since the expiry tasks ids are assigned sequentially.
+      /* eslint-disable no-await-in-loop */
+      for (const event of raidEvents) {
+        event.handled = true;
+        try {
+          await this.muteMember(await guild.members.fetch(event.userId), rule, reason);
+        } catch (error) {
+          this.context.log.w(
+            'AutomodManager onMemberAdd: cannot mute ' + event.userId + ' in ' + guild.id + ': ' + error
+          );
+        }
+      }
+      /* eslint-enable no-await-in-loop */
+    }
+  }
+
+  /**
+   * Makes the reason of the automoderation actions made according to a rule.
+   * @param  {OrgAutomodRule} rule the automoderation rule
+   * @return {string}              the localized reason
+   */
+  makeReason(rule) {
+    const type = OrgAutomodRule.AUTOMOD_TYPES[rule.type];
+    return this.context.langManager.getString(
+      'automod_reason',
+      rule.id,
+      this.context.langManager.getString(type.textId)
+    );
+  }
+
+  /**
+   * Logs an automoderation action into the moderation logs channel of a Discord server.
+   * @param  {string}  orgId the organization identifier
+   * @param  {string}  text  the text to be logged
+   * @return {Promise}       nothing
+   */
+  async logAction(orgId, text) {
+    await BaseModerationCommand.logModerActionForOrg(this.context, BotTable.DISCORD_SOURCE, orgId, text);
+  }
+
+  /**
+   * Logs a lock made by the automoderation into the moderation logs channel of a Discord server.
+   * @param  {string}        orgId      the organization identifier
+   * @param  {string}        textId     the id of the log text, suffixed by "_temporary" for the temporary locks
+   * @param  {number}        unlockTime the time of the unlock, or null if the lock is permanent
+   * @param  {Array<Object>} textArgs   the arguments of the log text, besides the time of the unlock
+   * @return {Promise}                  nothing
+   */
+  async logLock(orgId, textId, unlockTime, textArgs) {
+    if (unlockTime === null) {
+      await this.logAction(orgId, this.context.langManager.getString(textId, ...textArgs));
+    } else {
+      const unlockText = new Date(unlockTime).toISOString();
+      await this.logAction(orgId, this.context.langManager.getString(textId + '_temporary', ...textArgs, unlockText));
+    }
+  }
+
+  /**
+   * Mutes a member on behalf of the Bot (temporarily, if the rule has a duration) and records the moderation case.
+   * @param  {GuildMember}    member the Discord guild member
+   * @param  {OrgAutomodRule} rule   the triggered rule
+   * @param  {string}         reason the reason of the mute
+   * @return {Promise}               nothing
+   */
+  async muteMember(member, rule, reason) {
+    const botId = this.context.discordClient.user.id;
+    const orgId = member.guild.id;
+    await this.context.muteManager.muteMember(member, botId, reason);
+
+    // A new mute replaces the expiry of the previous one, if any.
+    await ModerationExpiryTaskExecutor.cancelExpiries(
+      this.context,
+      orgId,
+      ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unmute,
+      member.id
+    );
+
+    const caseInfo = {
+      action: OrgModerationCase.CASE_ACTIONS.mute,
+      moderatorId: botId,
+      targetId: member.id,
+      reason,
+      textId: 'command_mute_log',
+      textArgs: [DiscordUtils.makeUserMention(member.id), DiscordUtils.makeUserMention(botId)]
+    };
+
+    if (rule.duration > 0) {
+      const expiresAt = await ModerationExpiryTaskExecutor.scheduleExpiry(
+        this.context,
+        BotTable.DISCORD_SOURCE,
+        orgId,
+        rule.duration,
+        { action: ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.unmute, user: member.id }
+      );
+
+      caseInfo.textId = 'command_mute_log_temporary';
+      caseInfo.textArgs.push(new Date(expiresAt).toISOString());
+    }
+
+    await BaseModerationCommand.logModerCaseForOrg(
+      this.context,
+      BotTable.DISCORD_SOURCE,
+      orgId,
+      this.context.langManager,
+      caseInfo
+    );
+  }
+
+  /**
+   * Locks a channel (temporarily, if the rule has a duration, then the channel's previous permission
+   * gets restored on unlock).
+   * @param  {Channel}         channel the Discord channel
+   * @param  {OrgAutomodRule}  rule    the triggered rule
+   * @return {Promise<number>}         the time of the unlock, or null if the lock is permanent
+   */
+  async lockChannel(channel, rule) {
+    const previousOverwrite = ChannelLockTaskExecutor.getSendOverwrite(channel);
+    await ChannelLockTaskExecutor.setLocked(channel, true);
+    if (!(rule.duration > 0)) {
+      return null;
+    }
+
+    await ChannelLockTaskExecutor.scheduleUnlock(
+      this.context,
+      BotTable.DISCORD_SOURCE,
+      channel.guild.id,
+      rule.duration,
+      channel.id,
+      previousOverwrite
+    );
+    return Date.now() + rule.duration;
+  }
+
+  /**
+   * Locks all text channels of a guild (temporarily, if the rule has a duration). The channels which are
+   * locked already (like the read-only ones) are skipped, so that they are not unlocked afterwards.
+   * @param  {Guild}          guild  the Discord guild
+   * @param  {OrgAutomodRule} rule   the triggered rule
+   * @param  {string}         reason the reason of the lock
+   * @return {Promise}               nothing
+   */
+  async lockServer(guild, rule, reason) {
+    let unlockTime = null;
+    const textChannels = guild.channels.cache.filter(
+      channel => channel.type === OrgChannel.getTextType() && !ChannelLockTaskExecutor.isLocked(channel)
+    );
+    if (textChannels.size === 0) {
+      return;
+    }
+
+    // Must lock the channels one by one, so that the Discord rate limits are not exceeded,
+    // and since the unlock tasks ids are assigned sequentially.
+    /* eslint-disable no-await-in-loop */
+    for (const channel of textChannels.values()) {
+      unlockTime = await this.lockChannel(channel, rule);
+    }
+    /* eslint-enable no-await-in-loop */
+
+    await this.logLock(guild.id, 'automod_log_raid_lock', unlockTime, [reason, textChannels.size]);
+  }
+}
+
+/**
+ * Exports the AutomodManager class
+ * @type {AutomodManager}
+ */
+module.exports = AutomodManager;
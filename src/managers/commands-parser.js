@@ -9,6 +9,7 @@
 const LangManager = require('./lang-manager');
 
 const BotPublicError = require('../utils/bot-public-error');
+const CommandOverrides = require('../utils/command-overrides');
 
 const ServerSettingsTable = require('../mongo_classes/server-settings-table');
 const UserSettingsTable = require('../mongo_classes/user-settings-table');
@@ -64,7 +65,7 @@ class CommandsParser {
     );
 
     const commandLangManager = await this.getCommandLangManager(message);
-    const command = this.parseMessage(message, currentPrefix, commandLangManager);
+    const command = await this.parseMessage(message, currentPrefix, commandLangManager);
     if (command) {
       await this.executeCommand(message, command, commandLangManager);
     }
@@ -72,13 +73,15 @@ class CommandsParser {
   }
 
   /**
-   * Parse message to get a bot command
+   * Parse message to get a bot command. The command is found by its localized name or by its alias
+   * in the organization, and the commands disabled in the organization are not recognized.
+   * @see CommandOverrides
    * @param message
    * @param currentPrefix
    * @param commandLangManager
-   * @returns {constructor|HelpCommand|null}
+   * @returns {Promise<constructor|HelpCommand|null>}
    */
-  parseMessage(message, currentPrefix, commandLangManager) {
+  async parseMessage(message, currentPrefix, commandLangManager) {
     if (
       !message.content.startsWith(currentPrefix) &&
       message.content.startsWith(message.source.DEFAULT_COMMAND_PREFIX)
@@ -109,14 +112,24 @@ class CommandsParser {
     );
     this.context.log.i('parseDiscordCommand: command: ' + message.content + '; commandName: ' + commandName);
 
-    for (const command of message.source.commandManager.definedCommands) {
-      if (commandName === commandLangManager.getString(command.getCommandInterfaceName())) {
-        this.context.log.i('Found command: ' + message.content);
-        return command;
-      }
+    const overrides = await CommandOverrides.getOverrides(this.context, message.source.name, message.orgId);
+    const command = CommandOverrides.findCommand(
+      message.source.commandManager.definedCommands,
+      overrides,
+      commandLangManager,
+      commandName
+    );
+    if (command === undefined) {
+      return null;
+    }
+
+    if (CommandOverrides.isDisabled(command, overrides)) {
+      this.context.log.i('Found disabled command: ' + message.content);
+      return null;
     }
 
-    return null;
+    this.context.log.i('Found command: ' + message.content);
+    return command;
   }
 
   /**
@@ -187,14 +200,17 @@ class CommandsParser {
    * that the caller has necessary permissions and finally executes the instance.
    * If there were errors during parsing then replies to the source text channel with info about the error.
    * If there was no error, then replies to the channel with a string result generated by the command object.
+   * The arguments' texts are given for the commands which are not parsed from the message's text (like the slash
+   * commands), otherwise they are parsed from the message.
    * @see DiscordCommand
    * @param  {BaseMessage}                  message            the message
    * @param  {constructor<DiscordCommand>}  commandClass       the command class/constructor
    * @param  {LangManager}                  commandLangManager the language manager to be used for the command
+   * @param  {Object}                       [argTexts]         the texts of the arguments by their keys
    * @return {Promise}                                         nothing
    */
-  async executeCommand(message, commandClass, commandLangManager) {
-    const command = await this.tryParseDiscordCommand(commandClass, message, commandLangManager);
+  async executeCommand(message, commandClass, commandLangManager, argTexts) {
+    const command = await this.tryParseDiscordCommand(commandClass, message, commandLangManager, argTexts);
     if (command === null) {
       return;
     }
@@ -210,7 +226,7 @@ class CommandsParser {
           '; stack: ' +
           error.stack
       );
-      message.reply(
+      message.replyError(
         commandLangManager.getString(
           'permission_command_error',
           error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
@@ -231,7 +247,7 @@ class CommandsParser {
           '; stack: ' +
           error.stack
       );
-      message.reply(
+      message.replyError(
         commandLangManager.getString(
           'execute_command_error',
           error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
@@ -274,7 +290,7 @@ class CommandsParser {
           '; stack: ' +
           error.stack
       );
-      message.reply(
+      message.replyError(
         commandLangManager.getString(
           'execute_command_error',
           error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
@@ -295,13 +311,18 @@ class CommandsParser {
    * @param  {constructor<DiscordCommand>}  commandClass       the command class/constructor
    * @param  {BaseMessage}                  message            the message
    * @param  {LangManager}                  commandLangManager the language manager to be used for the command
+   * @param  {Object}                       [argTexts]         the texts of the arguments by their keys
    * @return {Promise<DiscordCommand>}                         the command object with all arguments set up
    */
-  async tryParseDiscordCommand(commandClass, message, commandLangManager) {
+  async tryParseDiscordCommand(commandClass, message, commandLangManager, argTexts) {
     const command = commandClass.createForOrg(this.context, message.source.name, commandLangManager, message.orgId);
 
     try {
-      await command.parseFromDiscord(message);
+      if (argTexts === undefined) {
+        await command.parseFromDiscord(message);
+      } else {
+        await command.parseFromDiscordArgTexts(message, argTexts);
+      }
     } catch (error) {
       this.context.log.w(
         'tryParseDiscordCommand: failed to parse command: "' +
@@ -311,7 +332,263 @@ class CommandsParser {
           '; stack: ' +
           error.stack
       );
-      message.reply(
+      message.replyError(
+        commandLangManager.getString(
+          'validate_command_error',
+          error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error'),
+          await new HelpCommand(
+            this.context,
+            message.source.name,
+            commandLangManager,
+            message.orgId
+          ).getHelpCommandString(commandClass.getCommandInterfaceName(), message.source)
+        )
+      );
+      return null;
+    }
+
+    return command;
+  }
+
+  /**
+   * Tries to parse an incoming Telegram message in a group as a command and execute it, if possible.
+   * The flow is the same as for the Discord messages, except the permissions are checked against the rights
+   * of the Telegram administrators.
+   * @see CommandsParser#processMessage
+   * @param  {BaseMessage}          message the incoming Telegram message
+   * @return {Promise<Boolean>}             true if a command was found, false otherwise
+   */
+  async processTelegramMessage(message) {
+    const currentPrefix = await this.context.dbManager.getSetting(
+      message.source.name,
+      message.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.commandPrefix.name,
+      message.source.DEFAULT_COMMAND_PREFIX
+    );
+
+    const commandLangManager = await this.getCommandLangManager(message);
+    const command = await this.parseMessage(message, currentPrefix, commandLangManager);
+    if (command) {
+      await this.executeTelegramCommand(message, command, commandLangManager);
+    }
+    return command !== null;
+  }
+
+  /**
+   * Executes a command from Telegram source. Creates a command instance, parses arguments for it, checks
+   * that the caller has necessary permissions and finally executes the instance.
+   * If there were errors during parsing then replies to the source chat with info about the error.
+   * If there was no error, then replies to the chat with a string result generated by the command object.
+   * @see TelegramCommand
+   * @param  {BaseMessage}                  message            the message
+   * @param  {constructor<TelegramCommand>} commandClass       the command class/constructor
+   * @param  {LangManager}                  commandLangManager the language manager to be used for the command
+   * @return {Promise}                                         nothing
+   */
+  async executeTelegramCommand(message, commandClass, commandLangManager) {
+    const command = await this.tryParseTelegramCommand(commandClass, message, commandLangManager);
+    if (command === null) {
+      return;
+    }
+
+    try {
+      await this.context.permManager.checkTelegramCommandPermissions(message, command);
+    } catch (error) {
+      this.context.log.w(
+        'executeTelegramCommand: Not permitted to execute: "' +
+          message.content +
+          '"; Error message: ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+      message.replyError(
+        commandLangManager.getString(
+          'permission_command_error',
+          error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
+        )
+      );
+      return;
+    }
+
+    let result;
+    try {
+      result = await command.executeForTelegram(message);
+    } catch (error) {
+      this.context.log.w(
+        'executeTelegramCommand: failed to execute command: "' +
+          message.content +
+          '"; Error message: ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+      message.replyError(
+        commandLangManager.getString(
+          'execute_command_error',
+          error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
+        )
+      );
+      return;
+    }
+
+    if (result !== undefined && result !== null && result !== '') {
+      message.reply(result);
+    }
+  }
+
+  /**
+   * Creates a command object based on a class, and parses arguments from the Telegram message for it.
+   * If there were errors during parsing then replies to the source chat with info about the error.
+   * @see TelegramCommand
+   * @param  {constructor<TelegramCommand>} commandClass       the command class/constructor
+   * @param  {BaseMessage}                  message            the message
+   * @param  {LangManager}                  commandLangManager the language manager to be used for the command
+   * @return {Promise<TelegramCommand>}                        the command object with all arguments set up
+   */
+  async tryParseTelegramCommand(commandClass, message, commandLangManager) {
+    const command = commandClass.createForOrg(this.context, message.source.name, commandLangManager, message.orgId);
+
+    try {
+      await command.parseFromTelegram(message);
+    } catch (error) {
+      this.context.log.w(
+        'tryParseTelegramCommand: failed to parse command: "' +
+          message.content +
+          '"; Error message: ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+      message.replyError(
+        commandLangManager.getString(
+          'validate_command_error',
+          error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error'),
+          await new HelpCommand(
+            this.context,
+            message.source.name,
+            commandLangManager,
+            message.orgId
+          ).getHelpCommandString(commandClass.getCommandInterfaceName(), message.source)
+        )
+      );
+      return null;
+    }
+
+    return command;
+  }
+
+  /**
+   * Tries to parse an incoming Slack message in a channel as a command and execute it, if possible.
+   * The flow is the same as for the Discord messages, except the permissions are checked against the roles
+   * of the Slack users.
+   * @see CommandsParser#processMessage
+   * @param  {BaseMessage}          message the incoming Slack message
+   * @return {Promise<Boolean>}             true if a command was found, false otherwise
+   */
+  async processSlackMessage(message) {
+    const currentPrefix = await this.context.dbManager.getSetting(
+      message.source.name,
+      message.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.commandPrefix.name,
+      message.source.DEFAULT_COMMAND_PREFIX
+    );
+
+    const commandLangManager = await this.getCommandLangManager(message);
+    const command = await this.parseMessage(message, currentPrefix, commandLangManager);
+    if (command) {
+      await this.executeSlackCommand(message, command, commandLangManager);
+    }
+    return command !== null;
+  }
+
+  /**
+   * Executes a command from Slack source. Creates a command instance, parses arguments for it, checks
+   * that the caller has necessary permissions and finally executes the instance.
+   * If there were errors during parsing then replies to the source channel with info about the error.
+   * If there was no error, then replies to the channel with a string result generated by the command object.
+   * @see SlackCommand
+   * @param  {BaseMessage}                  message            the message
+   * @param  {constructor<SlackCommand>}    commandClass       the command class/constructor
+   * @param  {LangManager}                  commandLangManager the language manager to be used for the command
+   * @return {Promise}                                         nothing
+   */
+  async executeSlackCommand(message, commandClass, commandLangManager) {
+    const command = await this.tryParseSlackCommand(commandClass, message, commandLangManager);
+    if (command === null) {
+      return;
+    }
+
+    try {
+      await this.context.permManager.checkSlackCommandPermissions(message, command);
+    } catch (error) {
+      this.context.log.w(
+        'executeSlackCommand: Not permitted to execute: "' +
+          message.content +
+          '"; Error message: ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+      message.replyError(
+        commandLangManager.getString(
+          'permission_command_error',
+          error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
+        )
+      );
+      return;
+    }
+
+    let result;
+    try {
+      result = await command.executeForSlack(message);
+    } catch (error) {
+      this.context.log.w(
+        'executeSlackCommand: failed to execute command: "' +
+          message.content +
+          '"; Error message: ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+      message.replyError(
+        commandLangManager.getString(
+          'execute_command_error',
+          error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error')
+        )
+      );
+      return;
+    }
+
+    if (result !== undefined && result !== null && result !== '') {
+      message.reply(result);
+    }
+  }
+
+  /**
+   * Creates a command object based on a class, and parses arguments from the Slack message for it.
+   * If there were errors during parsing then replies to the source channel with info about the error.
+   * @see SlackCommand
+   * @param  {constructor<SlackCommand>}    commandClass       the command class/constructor
+   * @param  {BaseMessage}                  message            the message
+   * @param  {LangManager}                  commandLangManager the language manager to be used for the command
+   * @return {Promise<SlackCommand>}                           the command object with all arguments set up
+   */
+  async tryParseSlackCommand(commandClass, message, commandLangManager) {
+    const command = commandClass.createForOrg(this.context, message.source.name, commandLangManager, message.orgId);
+
+    try {
+      await command.parseFromSlack(message);
+    } catch (error) {
+      this.context.log.w(
+        'tryParseSlackCommand: failed to parse command: "' +
+          message.content +
+          '"; Error message: ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+      message.replyError(
         commandLangManager.getString(
           'validate_command_error',
           error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error'),
@@ -352,7 +629,7 @@ class CommandsParser {
           '; stack: ' +
           error.stack
       );
-      message.reply(
+      message.replyError(
         commandLangManager.getString(
           'validate_command_error',
           error instanceof BotPublicError ? error.message : commandLangManager.getString('internal_server_error'),
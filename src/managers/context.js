@@ -12,6 +12,13 @@ const PermissionsManager = require('./permissions-manager');
 const CommandsParser = require('./commands-parser');
 const MessageModerator = require('./message-moderator');
 const Scheduler = require('./scheduler');
+const DiscordSyncManager = require('./discord-sync-manager');
+const TelegramSyncManager = require('./telegram-sync-manager');
+const SlackSyncManager = require('./slack-sync-manager');
+const MuteManager = require('./mute-manager');
+const AppealManager = require('./appeal-manager');
+const AutomodManager = require('./automod-manager');
+const SlashCommandsManager = require('./slash-commands-manager');
 const Log = require('../utils/log');
 const ImageGenerator = require('./image-generator');
 
@@ -25,11 +32,13 @@ class Context {
   /**
    * Constructs an instance of the class. Initializes all necessarty managers (besides the PrefsManager,
    * which should be created before the Context).
-   * @param {PrefsManager} prefsManager     preferences manager
-   * @param {string}       localizationPath the path to localization resources
-   * @param {Client}       discordClient    the Discord client
+   * @param {PrefsManager}   prefsManager     preferences manager
+   * @param {string}         localizationPath the path to localization resources
+   * @param {Client}         discordClient    the Discord client
+   * @param {TelegramClient} telegramClient   the Telegram client (null if Telegram is not used)
+   * @param {SlackClient}    slackClient      the Slack client (null if Slack is not used)
    */
-  constructor(prefsManager, localizationPath, discordClient) {
+  constructor(prefsManager, localizationPath, discordClient, telegramClient, slackClient) {
     this.prefsManager = prefsManager;
     this.log = new Log(
       prefsManager.log_console_verbosity_level,
@@ -44,10 +53,23 @@ class Context {
     this.messageModerator = new MessageModerator(this);
     this.scheduler = new Scheduler(this);
     this.imageGenerator = new ImageGenerator(this);
+    this.discordSyncManager = new DiscordSyncManager(this);
+    this.telegramSyncManager = new TelegramSyncManager(this);
+    this.slackSyncManager = new SlackSyncManager(this);
+    this.muteManager = new MuteManager(this);
+    this.appealManager = new AppealManager(this);
+    this.automodManager = new AutomodManager(this);
+    this.slashCommandsManager = new SlashCommandsManager(this);
 
     this.discordClient = discordClient;
     this.discordClientReady = false;
 
+    this.telegramClient = telegramClient === undefined ? null : telegramClient;
+    this.telegramClientReady = false;
+
+    this.slackClient = slackClient === undefined ? null : slackClient;
+    this.slackClientReady = false;
+
     this.langManager.printMissingTranslations(this.log);
   }
 
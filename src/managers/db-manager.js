@@ -10,6 +10,8 @@ const util = require('util');
 
 const PermissionsManager = require('./permissions-manager');
 
+const ArrayArgScanner = require('../arg_scanners/array-arg-scanner');
+
 const BotTable = require('../mongo_classes/bot-table');
 const BotMasterTable = require('../mongo_classes/bot-master-table');
 const OrgsTable = require('../mongo_classes/orgs-table');
@@ -18,13 +20,28 @@ const MembersTable = require('../mongo_classes/members-table');
 const PermissionsTable = require('../mongo_classes/permissions-table');
 const RolesTable = require('../mongo_classes/roles-table');
 const TasksTable = require('../mongo_classes/tasks-table');
+const TaskRunsTable = require('../mongo_classes/task-runs-table');
 const ServerSettingsTable = require('../mongo_classes/server-settings-table');
 const UserSettingsTable = require('../mongo_classes/user-settings-table');
 const ImageTemplateTable = require('../mongo_classes/image-template-table');
 const WarningsTable = require('../mongo_classes/warnings-table');
+const MutesTable = require('../mongo_classes/mutes-table');
+const EscalationStepsTable = require('../mongo_classes/escalation-steps-table');
+const ModerationCasesTable = require('../mongo_classes/moderation-cases-table');
+const AppealsTable = require('../mongo_classes/appeals-table');
+const BadWordsTable = require('../mongo_classes/bad-words-table');
+const OrgBadWord = require('../mongo_classes/org-bad-word');
+const CensoringRulesTable = require('../mongo_classes/censoring-rules-table');
+const AutomodRulesTable = require('../mongo_classes/automod-rules-table');
+const LinkDomainsTable = require('../mongo_classes/link-domains-table');
+const AdminsTable = require('../mongo_classes/admins-table');
+const CommandOverridesTable = require('../mongo_classes/command-overrides-table');
+const OrgTask = require('../mongo_classes/org-task');
 
 const FirstManagedDbVersion = 3;
-const CurrentDbVersion = 4;
+const CurrentDbVersion = 5;
+
+const LegacyBadWordsSetting = 'badwords';
 
 /**
  * The defined tables.
@@ -38,10 +55,21 @@ const Tables = Object.freeze({
   permissionsTable: PermissionsTable,
   rolesTable: RolesTable,
   tasksTable: TasksTable,
+  taskRunsTable: TaskRunsTable,
   serverSettingsTable: ServerSettingsTable,
   userSettingsTable: UserSettingsTable,
   imageTemplateTable: ImageTemplateTable,
-  warningsTable: WarningsTable
+  warningsTable: WarningsTable,
+  mutesTable: MutesTable,
+  escalationStepsTable: EscalationStepsTable,
+  moderationCasesTable: ModerationCasesTable,
+  appealsTable: AppealsTable,
+  badWordsTable: BadWordsTable,
+  censoringRulesTable: CensoringRulesTable,
+  automodRulesTable: AutomodRulesTable,
+  linkDomainsTable: LinkDomainsTable,
+  adminsTable: AdminsTable,
+  commandOverridesTable: CommandOverridesTable
 });
 
 /**
@@ -128,6 +156,9 @@ class DbManager {
             await Promise.all(initResults);
           }
           break;
+        case 4:
+          await this.moveBadWordsToTable();
+          break;
         default:
           break;
       }
@@ -140,6 +171,36 @@ class DbManager {
     }
   }
 
+  /**
+   * Moves the bad words from the server settings (where they were kept as a comma separated string)
+   * to the bad words table. The words are matched as substrings, like before the match modes were introduced.
+   * @return {Promise} nothing
+   */
+  async moveBadWordsToTable() {
+    const settingsCollection = this.dbo.collection(ServerSettingsTable.SERVER_SETTINGS_TABLE_NAME);
+    const settings = await settingsCollection.find({ settingName: LegacyBadWordsSetting }).toArray();
+
+    const badWords = [];
+    for (const setting of settings) {
+      const words = setting.settingValue.split(ArrayArgScanner.ARRAY_SEPARATOR).filter(word => word.length > 0);
+      for (let i = 0; i < words.length; i++) {
+        badWords.push({
+          id: i + 1,
+          source: setting.source,
+          orgId: setting.orgId,
+          word: words[i],
+          mode: OrgBadWord.MATCH_MODES.substring.name
+        });
+      }
+    }
+
+    if (badWords.length > 0) {
+      await this.dbo.collection(BadWordsTable.BAD_WORDS_TABLE_NAME).insertMany(badWords);
+    }
+
+    await settingsCollection.deleteMany({ settingName: LegacyBadWordsSetting });
+  }
+
   /**
    * Updates the list of Discord guild in DB according to the information fetched from the Client.
    * @param  {Colletion<Guild>} guilds the Discord guilds where the Bot is present
@@ -441,6 +502,70 @@ class DbManager {
       result = result + langManager.getString('privacy_no_warnings_records') + '\n';
     }
 
+    const mutesRows = await this.mutesTable.getRows({ source: BotTable.DISCORD_SOURCE, userId: userId });
+
+    if (mutesRows.length > 0) {
+      result = result + langManager.getString('privacy_mutes_records') + '\n';
+      for (const muteRow of mutesRows) {
+        const dbRecord = orgs.find(org => {
+          return org.id === muteRow.orgId;
+        });
+        muteRow.orgId = muteRow.orgId + (dbRecord === undefined ? '' : ' (' + dbRecord.name + ')');
+        result = result + util.inspect(muteRow) + '\n';
+      }
+    } else {
+      result = result + langManager.getString('privacy_no_mutes_records') + '\n';
+    }
+
+    const casesRows = await this.moderationCasesTable.getRows({ source: BotTable.DISCORD_SOURCE, targetId: userId });
+
+    if (casesRows.length > 0) {
+      result = result + langManager.getString('privacy_moderation_cases_records') + '\n';
+      for (const caseRow of casesRows) {
+        const dbRecord = orgs.find(org => {
+          return org.id === caseRow.orgId;
+        });
+        caseRow.orgId = caseRow.orgId + (dbRecord === undefined ? '' : ' (' + dbRecord.name + ')');
+        result = result + util.inspect(caseRow) + '\n';
+      }
+    } else {
+      result = result + langManager.getString('privacy_no_moderation_cases_records') + '\n';
+    }
+
+    const appealsRows = await this.appealsTable.getRows({ source: BotTable.DISCORD_SOURCE, userId: userId });
+
+    if (appealsRows.length > 0) {
+      result = result + langManager.getString('privacy_appeals_records') + '\n';
+      for (const appealRow of appealsRows) {
+        const dbRecord = orgs.find(org => {
+          return org.id === appealRow.orgId;
+        });
+        appealRow.orgId = appealRow.orgId + (dbRecord === undefined ? '' : ' (' + dbRecord.name + ')');
+        result = result + util.inspect(appealRow) + '\n';
+      }
+    } else {
+      result = result + langManager.getString('privacy_no_appeals_records') + '\n';
+    }
+
+    const personalRemindersRows = await this.tasksTable.getRows({
+      source: BotTable.DISCORD_SOURCE,
+      type: OrgTask.TASK_TYPES.personalReminder,
+      'content.user': userId
+    });
+
+    if (personalRemindersRows.length > 0) {
+      result = result + langManager.getString('privacy_personal_reminders_records') + '\n';
+      for (const reminderRow of personalRemindersRows) {
+        const dbRecord = orgs.find(org => {
+          return org.id === reminderRow.orgId;
+        });
+        reminderRow.orgId = reminderRow.orgId + (dbRecord === undefined ? '' : ' (' + dbRecord.name + ')');
+        result = result + util.inspect(reminderRow) + '\n';
+      }
+    } else {
+      result = result + langManager.getString('privacy_no_personal_reminders_records') + '\n';
+    }
+
     return result;
   }
 }
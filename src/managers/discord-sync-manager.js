@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * @module discord-sync-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DefaultReconciliationIntervalMinutes = 60;
+
+/**
+ * Keeps the DB copy of Discord guilds, channels, members and roles in sync with Discord.
+ * The main part of the sync is event-driven: each Discord event (e.g. a channel is created, a member leaves)
+ * leads to a targeted update of the respective DB row. As a safety net against missed events
+ * (e.g. during reconnects of the client), a full reconciliation of all guilds is made periodically.
+ * @alias DiscordSyncManager
+ */
+class DiscordSyncManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+    this.reconciliationHandle = null;
+  }
+
+  /**
+   * Gets the interval between full reconciliations in milliseconds, according to the Bot's preferences.
+   * @type {number}
+   */
+  get reconciliationInterval() {
+    let minutes = Number.parseInt(this.context.prefsManager.discord_reconciliation_interval_minutes, 10);
+    if (Number.isNaN(minutes) || minutes <= 0) {
+      minutes = DefaultReconciliationIntervalMinutes;
+    }
+
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Performs the full sync of all guilds available to the Discord client with the DB.
+   * Used on start up and periodically as a safety net for the event-driven sync.
+   * @return {Promise} nothing
+   */
+  async reconcile() {
+    const guildsArray = this.context.discordClient.guilds.cache.array();
+    const updateResults = [];
+    for (const guild of guildsArray) {
+      updateResults.push(this.context.dbManager.updateGuild(guild));
+    }
+
+    await Promise.all(updateResults);
+    await this.context.dbManager.updateGuilds(this.context.discordClient.guilds.cache);
+
+    this.context.log.i('DiscordSyncManager reconcile: reconciled ' + guildsArray.length + ' guild(s).');
+  }
+
+  /**
+   * Starts periodic full reconciliations. Does nothing if they are already started.
+   */
+  startReconciliation() {
+    if (this.reconciliationHandle !== null) {
+      return;
+    }
+
+    this.reconciliationHandle = setInterval(async () => {
+      try {
+        await this.reconcile();
+      } catch (error) {
+        this.context.log.e('DiscordSyncManager reconciliation error: ' + error + '; stack: ' + error.stack);
+      }
+    }, this.reconciliationInterval);
+  }
+
+  /**
+   * Stops periodic full reconciliations.
+   */
+  stopReconciliation() {
+    if (this.reconciliationHandle !== null) {
+      clearInterval(this.reconciliationHandle);
+      this.reconciliationHandle = null;
+    }
+  }
+
+  /**
+   * Subscribes the manager to the Discord client events which affect the DB copy of guilds.
+   * @param {Client} client the Discord client
+   */
+  subscribe(client) {
+    client.on('guildCreate', guild => this.handleEvent('guildCreate', () => this.onGuildCreate(guild)));
+    client.on('guildUpdate', (oldGuild, newGuild) =>
+      this.handleEvent('guildUpdate', () => this.onGuildUpdate(newGuild))
+    );
+    client.on('guildDelete', guild => this.handleEvent('guildDelete', () => this.onGuildDelete(guild)));
+    client.on('channelCreate', channel => this.handleEvent('channelCreate', () => this.onChannelUpdate(channel)));
+    client.on('channelUpdate', (oldChannel, newChannel) =>
+      this.handleEvent('channelUpdate', () => this.onChannelUpdate(newChannel))
+    );
+    client.on('channelDelete', channel => this.handleEvent('channelDelete', () => this.onChannelDelete(channel)));
+    client.on('guildMemberAdd', member => this.handleEvent('guildMemberAdd', () => this.onMemberUpdate(member)));
+    client.on('guildMemberUpdate', (oldMember, newMember) =>
+      this.handleEvent('guildMemberUpdate', () => this.onMemberUpdate(newMember))
+    );
+    client.on('guildMemberRemove', member => this.handleEvent('guildMemberRemove', () => this.onMemberRemove(member)));
+    client.on('roleCreate', role => this.handleEvent('roleCreate', () => this.onRoleUpdate(role)));
+    client.on('roleUpdate', (oldRole, newRole) => this.handleEvent('roleUpdate', () => this.onRoleUpdate(newRole)));
+    client.on('roleDelete', role => this.handleEvent('roleDelete', () => this.onRoleDelete(role)));
+  }
+
+  /**
+   * Runs a handler of a Discord event, if the client is ready. Logs the errors, if happened.
+   * Events received before the client is ready are skipped, since the initial reconciliation covers them.
+   * @param  {string}   eventName the name of the Discord event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.discordClientReady) {
+      this.context.log.w('DiscordSyncManager: skipping ' + eventName + ', the client is not ready');
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('DiscordSyncManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Handles the event of the Bot joining a new guild (or the guild becoming available again).
+   * @param  {Guild}   guild the Discord guild
+   * @return {Promise}       nothing
+   */
+  async onGuildCreate(guild) {
+    this.context.log.i('DiscordSyncManager onGuildCreate: ' + guild.id + ' (' + guild.name + ')');
+    await this.context.dbManager.orgsTable.updateOneFromDiscord(guild);
+    await this.context.dbManager.updateGuild(guild);
+  }
+
+  /**
+   * Handles the event of a guild being updated (e.g. renamed).
+   * @param  {Guild}   guild the updated Discord guild
+   * @return {Promise}       nothing
+   */
+  async onGuildUpdate(guild) {
+    await this.context.dbManager.orgsTable.updateOneFromDiscord(guild);
+  }
+
+  /**
+   * Handles the event of the Bot leaving a guild (or the guild being deleted).
+   * All data related to the guild gets deleted via the hooks of the OrgsTable.
+   * @see DbManager#onOrgDeleted
+   * @param  {Guild}   guild the Discord guild
+   * @return {Promise}       nothing
+   */
+  async onGuildDelete(guild) {
+    if (guild.available === false) {
+      // An outage of Discord, the guild is not actually left.
+      this.context.log.w('DiscordSyncManager onGuildDelete: guild ' + guild.id + ' became unavailable, skipping.');
+      return;
+    }
+
+    this.context.log.i('DiscordSyncManager onGuildDelete: ' + guild.id + ' (' + guild.name + ')');
+    await this.context.dbManager.orgsTable.deleteOneFromDiscord(guild);
+  }
+
+  /**
+   * Handles the events of a channel being created or updated.
+   * @param  {Channel} channel the Discord channel
+   * @return {Promise}         nothing
+   */
+  async onChannelUpdate(channel) {
+    // Private ("DM") channels do not belong to any guild, they are not stored.
+    if (channel.guild === undefined || channel.guild === null) {
+      return;
+    }
+
+    await this.context.dbManager.channelsTable.updateOneFromDiscord(channel, channel.guild);
+  }
+
+  /**
+   * Handles the event of a channel being deleted.
+   * @param  {Channel} channel the Discord channel
+   * @return {Promise}         nothing
+   */
+  async onChannelDelete(channel) {
+    if (channel.guild === undefined || channel.guild === null) {
+      return;
+    }
+
+    await this.context.dbManager.channelsTable.deleteOneFromDiscord(channel, channel.guild);
+  }
+
+  /**
+   * Handles the events of a member joining a guild or being updated (e.g. changing the nickname).
+   * @param  {GuildMember} member the Discord guild member
+   * @return {Promise}            nothing
+   */
+  async onMemberUpdate(member) {
+    await this.context.dbManager.membersTable.updateOneFromDiscord(member, member.guild);
+  }
+
+  /**
+   * Handles the event of a member leaving a guild (or being kicked/banned).
+   * @param  {GuildMember} member the Discord guild member
+   * @return {Promise}            nothing
+   */
+  async onMemberRemove(member) {
+    await this.context.dbManager.membersTable.deleteOneFromDiscord(member, member.guild);
+  }
+
+  /**
+   * Handles the events of a role being created or updated.
+   * @param  {Role}    role the Discord role
+   * @return {Promise}      nothing
+   */
+  async onRoleUpdate(role) {
+    await this.context.dbManager.rolesTable.updateOneFromDiscord(role, role.guild);
+  }
+
+  /**
+   * Handles the event of a role being deleted.
+   * @param  {Role}    role the Discord role
+   * @return {Promise}      nothing
+   */
+  async onRoleDelete(role) {
+    await this.context.dbManager.rolesTable.deleteOneFromDiscord(role, role.guild);
+  }
+}
+
+/**
+ * Exports the DiscordSyncManager class
+ * @type {DiscordSyncManager}
+ */
+module.exports = DiscordSyncManager;
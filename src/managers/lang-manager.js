@@ -150,6 +150,15 @@ class LangManager {
     return util.format(...args);
   }
 
+  /**
+   * Checks if a string with the given id exists in the current or in the default locale resources.
+   * @param  {string}  id the text id
+   * @return {boolean}    true if the string exists, false otherwise
+   */
+  hasString(id) {
+    return this.currentLocale[id] !== undefined || this.getDefaultLocale()[id] !== undefined;
+  }
+
   /**
    * Prints missing localizations comparing to the default locale. For debugging purposes.
    * @param  {Log}    log the log object which will print the missing translations
@@ -8,9 +8,16 @@
 
 const OhUtils = require('../utils/bot-utils');
 const DiscordUtils = require('../utils/discord-utils');
+const BadWordsMatcher = require('../utils/bad-words-matcher');
+const LinkFilter = require('../utils/link-filter');
 
-const ArrayArgScanner = require('../arg_scanners/array-arg-scanner');
+const PermissionsManager = require('./permissions-manager');
 
+const SourceMember = require('../command_meta/source-member');
+const BaseModerationCommand = require('../commands_discord/moderation/base-moderation-command');
+const WarnCommand = require('../commands_common/moderation/warn-command');
+
+const OrgCensoringRule = require('../mongo_classes/org-censoring-rule');
 const ServerSettingsTable = require('../mongo_classes/server-settings-table');
 
 /**
@@ -24,14 +31,49 @@ class MessageModerator {
    */
   constructor(context) {
     this.context = context;
+    this.botDeletedMessageIds = new Set();
+  }
+
+  /**
+   * Finds the censoring rule applicable to a channel: the rule for the channel itself, otherwise the rule for the
+   * channel's category, otherwise the rule for the whole organization. If several rules match equally,
+   * then the earliest one is applied.
+   * @param  {Array<OrgCensoringRule>} rules      the censoring rules of the organization
+   * @param  {string}                  channelId  the channel identifier
+   * @param  {string}                  categoryId the identifier of the channel's category (can be null)
+   * @return {OrgCensoringRule}                   the applicable rule, or null if no rules match the channel
+   */
+  static findCensoringRule(rules, channelId, categoryId) {
+    const sortedRules = rules.slice().sort((a, b) => a.id - b.id);
+    const matchers = [
+      rule => rule.channelIds.includes(channelId),
+      rule => categoryId !== null && categoryId !== undefined && rule.channelIds.includes(categoryId),
+      rule => rule.channelIds.length === 0
+    ];
+
+    for (const matcher of matchers) {
+      const rule = sortedRules.find(matcher);
+      if (rule !== undefined) {
+        return rule;
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Premoderates incoming message (e.g. replaces bad words etc.)
+   * Premoderates incoming message (e.g. applies the automoderation rules, filters links, replaces bad words etc.)
+   * @see AutomodManager
    * @param  {BaseMessage}  message the Discordmessage
+   * @param  {boolean}      edited  true if the message was edited, false if it's a new one
    * @return {Promise}              nothing
    */
-  async premoderateDiscordMessage(message) {
+  async premoderateDiscordMessage(message, edited = false) {
+    const deleted = await this.context.automodManager.checkMessage(message, edited);
+    if (deleted || (await this.filterLinks(message))) {
+      return;
+    }
+
     const censoringEnabled = await this.context.dbManager.getSetting(
       message.source.name,
       message.orgId,
@@ -40,36 +82,287 @@ class MessageModerator {
     );
 
     if (censoringEnabled === OhUtils.ON) {
-      const badWordsString = await this.context.dbManager.getSetting(
-        message.source.name,
-        message.orgId,
-        ServerSettingsTable.SERVER_SETTINGS.badwords.name,
-        ''
-      );
-
-      if (badWordsString.length > 0) {
-        const badWords = badWordsString.split(ArrayArgScanner.ARRAY_SEPARATOR);
-        let content = message.content.slice(0);
-        for (const badWord of badWords) {
-          const euphemism = OhUtils.makeEuphemism(badWord.length);
-          const re = new RegExp(badWord, 'gi');
+      const badWords = await this.context.dbManager.getRows(this.context.dbManager.badWordsTable, {
+        source: message.source.name,
+        orgId: message.orgId
+      });
 
-          content = content.replace(re, euphemism);
+      if (badWords.length > 0) {
+        const rules = await this.context.dbManager.getRows(this.context.dbManager.censoringRulesTable, {
+          source: message.source.name,
+          orgId: message.orgId
+        });
+        const rule = MessageModerator.findCensoringRule(
+          rules,
+          message.channelId,
+          message.originalMessage.channel.parentID
+        );
+        if (rule !== null && this.isExempt(message, rule)) {
+          return;
         }
 
+        const content = BadWordsMatcher.censor(message.content, badWords);
         if (content !== message.content) {
-          await message.reply(
-            this.context.langManager.getString(
-              'moderator_censored_message',
-              DiscordUtils.makeUserMention(message.userId),
-              content
-            )
+          await this.applyCensoringAction(
+            message,
+            rule === null ? OrgCensoringRule.CENSORING_ACTIONS.censor.name : rule.action,
+            content
           );
-          await message.originalMessage.delete();
         }
       }
     }
   }
+
+  /**
+   * Premoderates an edited message the same way as the new ones, so the bad words or the links cannot be edited
+   * into a message which was clean initially. Logs the edit, if the message logs are enabled.
+   * @param  {Message}     oldDiscordMessage the previous version of the Discord message
+   * @param  {BaseMessage} message           the edited Discord message
+   * @return {Promise}                       nothing
+   */
+  async moderateEditedDiscordMessage(oldDiscordMessage, message) {
+    // Discord reports an edit also when the embeds of the links are loaded, the content stays the same then.
+    if (oldDiscordMessage.content === message.content) {
+      return;
+    }
+
+    if (await this.isMessageLogEnabled(message)) {
+      await BaseModerationCommand.logModerActionForOrg(
+        this.context,
+        message.source.name,
+        message.orgId,
+        this.context.langManager.getString(
+          'moderator_message_edited_log',
+          DiscordUtils.makeUserMention(message.userId),
+          DiscordUtils.makeChannelMention(message.channelId),
+          DiscordUtils.escapeMentions(oldDiscordMessage.content),
+          DiscordUtils.escapeMentions(message.content)
+        )
+      );
+    }
+
+    await this.premoderateDiscordMessage(message, true);
+  }
+
+  /**
+   * Logs a deleted message, if the message logs are enabled. The messages deleted by the Bot's premoderation
+   * are not logged here, since the premoderation logs the reasons of the deletion itself.
+   * @param  {BaseMessage} message the deleted Discord message
+   * @return {Promise}             nothing
+   */
+  async logDeletedDiscordMessage(message) {
+    if (this.botDeletedMessageIds.delete(message.originalMessage.id) || !(await this.isMessageLogEnabled(message))) {
+      return;
+    }
+
+    await BaseModerationCommand.logModerActionForOrg(
+      this.context,
+      message.source.name,
+      message.orgId,
+      this.context.langManager.getString(
+        'moderator_message_deleted_log',
+        DiscordUtils.makeUserMention(message.userId),
+        DiscordUtils.makeChannelMention(message.channelId),
+        DiscordUtils.escapeMentions(message.content)
+      )
+    );
+  }
+
+  /**
+   * Checks if the edits and the deletions of messages should be logged for the message's organization.
+   * @param  {BaseMessage}      message the Discord message
+   * @return {Promise<boolean>}         true if the message logs are enabled, false otherwise
+   */
+  async isMessageLogEnabled(message) {
+    const messageLogs = await this.context.dbManager.getSetting(
+      message.source.name,
+      message.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.messageLogs.name,
+      OhUtils.OFF
+    );
+    return messageLogs === OhUtils.ON;
+  }
+
+  /**
+   * Deletes a message on behalf of the Bot's premoderation, so the deletion is not logged as a deleted message.
+   * @param  {BaseMessage} message the Discord message
+   * @return {Promise}             nothing
+   */
+  async deleteMessage(message) {
+    const messageId = message.originalMessage.id;
+    this.botDeletedMessageIds.add(messageId);
+    try {
+      await message.originalMessage.delete();
+    } catch (error) {
+      this.botDeletedMessageIds.delete(messageId);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a message if it has links blocked by the link domains of the organization (if the link filter is enabled).
+   * The invites to the organization's own server are allowed. The members who can manage messages are not checked.
+   * @see LinkFilter
+   * @param  {BaseMessage}      message the Discord message
+   * @return {Promise<boolean>}         true if the message was deleted, false otherwise
+   */
+  async filterLinks(message) {
+    const filterEnabled = await this.context.dbManager.getSetting(
+      message.source.name,
+      message.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.linkFilter.name,
+      OhUtils.OFF
+    );
+    const member = message.originalMessage.member;
+    if (
+      filterEnabled !== OhUtils.ON ||
+      (member !== null &&
+        member !== undefined &&
+        member.hasPermission(PermissionsManager.DISCORD_PERMISSIONS.MANAGE_MESSAGES))
+    ) {
+      return false;
+    }
+
+    const links = LinkFilter.extractLinks(message.content);
+    if (links.length === 0) {
+      return false;
+    }
+
+    const domains = await this.context.dbManager.getRows(this.context.dbManager.linkDomainsTable, {
+      source: message.source.name,
+      orgId: message.orgId
+    });
+    const blockedLinks = links.filter(link => LinkFilter.isBlocked(link, domains));
+    const ownInvites = await Promise.all(
+      blockedLinks.map(link => link.inviteCode !== null && this.isOwnInvite(link.inviteCode, message.orgId))
+    );
+    if (ownInvites.every(ownInvite => ownInvite)) {
+      return false;
+    }
+
+    const userMention = DiscordUtils.makeUserMention(message.userId);
+    await this.deleteMessage(message);
+    await message.reply(this.context.langManager.getString('moderator_link_blocked', userMention));
+    await BaseModerationCommand.logModerActionForOrg(
+      this.context,
+      message.source.name,
+      message.orgId,
+      this.context.langManager.getString(
+        'moderator_link_log',
+        userMention,
+        DiscordUtils.makeChannelMention(message.channelId),
+        DiscordUtils.escapeMentions(message.content)
+      )
+    );
+    return true;
+  }
+
+  /**
+   * Checks if an invite leads to the given Discord server.
+   * @param  {string}           inviteCode the code of the invite
+   * @param  {string}           orgId      the organization identifier
+   * @return {Promise<boolean>}            true if the invite leads to the server, false otherwise (or if not found)
+   */
+  async isOwnInvite(inviteCode, orgId) {
+    try {
+      const invite = await this.context.discordClient.fetchInvite(inviteCode);
+      return invite.guild !== null && invite.guild.id === orgId;
+    } catch (error) {
+      this.context.log.w('MessageModerator isOwnInvite: cannot fetch invite ' + inviteCode + ': ' + error);
+      return false;
+    }
+  }
+
+  /**
+   * Checks if the author of a message is exempt from a censoring rule.
+   * @param  {BaseMessage}      message the Discord message
+   * @param  {OrgCensoringRule} rule    the censoring rule
+   * @return {boolean}                  true if the rule does not apply to the author, false otherwise
+   */
+  isExempt(message, rule) {
+    if (rule.action === OrgCensoringRule.CENSORING_ACTIONS.ignore.name) {
+      return true;
+    }
+
+    const member = message.originalMessage.member;
+    if (member === null || member === undefined) {
+      return false;
+    }
+
+    return rule.exemptRoleIds.some(roleId => member.roles.cache.has(roleId));
+  }
+
+  /**
+   * Applies the action of a censoring rule to a message containing bad words.
+   * @param  {BaseMessage} message the Discord message
+   * @param  {string}      action  the name of the censoring action
+   * @param  {string}      content the censored content of the message
+   * @return {Promise}             nothing
+   */
+  async applyCensoringAction(message, action, content) {
+    const userMention = DiscordUtils.makeUserMention(message.userId);
+    switch (action) {
+      case OrgCensoringRule.CENSORING_ACTIONS.delete.name:
+        await this.deleteMessage(message);
+        break;
+      case OrgCensoringRule.CENSORING_ACTIONS.warn.name:
+        await this.deleteMessage(message);
+        await message.reply(
+          MessageModerator.appendEscalationResult(
+            this.context.langManager.getString('moderator_warned_message', userMention),
+            await this.warnUser(message, this.context.langManager.getString('moderator_bad_words_reason'))
+          )
+        );
+        break;
+      case OrgCensoringRule.CENSORING_ACTIONS.log.name:
+        await BaseModerationCommand.logModerActionForOrg(
+          this.context,
+          message.source.name,
+          message.orgId,
+          this.context.langManager.getString(
+            'moderator_bad_words_log',
+            userMention,
+            DiscordUtils.makeChannelMention(message.channelId),
+            DiscordUtils.escapeMentions(message.content)
+          )
+        );
+        break;
+      default:
+        await message.reply(this.context.langManager.getString('moderator_censored_message', userMention, content));
+        await this.deleteMessage(message);
+        break;
+    }
+  }
+
+  /**
+   * Warns the author of a message on behalf of the Bot, the same way as the warn command does: records the warning
+   * and the moderation case, then applies the step of the escalation ladder (if the author has got enough warnings).
+   * Used by the automatic moderation, like censoring and automod rules.
+   * @see WarnCommand.warnMember
+   * @param  {BaseMessage}     message the Discord message
+   * @param  {string}          reason  the reason of the warning
+   * @return {Promise<string>}         the result text of the applied escalation step, or null if none applied
+   */
+  async warnUser(message, reason) {
+    const botUser = this.context.discordClient.user;
+    const bot = new SourceMember(
+      botUser.id,
+      botUser.username,
+      message.source.makeMemberMention({ id: botUser.id, displayName: botUser.username })
+    );
+    const member = await WarnCommand.fetchMember(this.context, message, message.userId);
+    return WarnCommand.warnMember(this.context, message, this.context.langManager, member, bot, reason, null);
+  }
+
+  /**
+   * Appends the result text of an escalation step (if any) to a reply text.
+   * @param  {string} text             the reply text
+   * @param  {string} escalationResult the result text of the escalation step, or null if none applied
+   * @return {string}                  the full reply text
+   */
+  static appendEscalationResult(text, escalationResult) {
+    return escalationResult === null ? text : text + '\n' + escalationResult;
+  }
 }
 
 /**
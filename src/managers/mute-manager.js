@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * @module mute-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../utils/bot-utils');
+
+const PermissionsManager = require('./permissions-manager');
+
+const BotTable = require('../mongo_classes/bot-table');
+const OrgChannel = require('../mongo_classes/org-channel');
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+const MutedRoleName = 'Muted';
+
+/**
+ * Maintains the muted role of the guilds and the list of the muted users.
+ * The muted role is created by the Bot on the first mute and denies sending messages, adding reactions and speaking
+ * via the permission overwrites of each channel, including the channels created later. The muted users are stored
+ * in the DB, so that the muted role is given back to a user who leaves the server and joins it again.
+ * @see MuteCommand
+ * @see UnmuteCommand
+ * @alias MuteManager
+ */
+class MuteManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * The name of the muted role created by the Bot.
+   * @type {string}
+   */
+  static get MUTED_ROLE_NAME() {
+    return MutedRoleName;
+  }
+
+  /**
+   * Subscribes the manager to the Discord client events which require maintaining the mutes.
+   * @param {Client} client the Discord client
+   */
+  subscribe(client) {
+    client.on('channelCreate', channel => this.handleEvent('channelCreate', () => this.onChannelCreate(channel)));
+    client.on('guildMemberAdd', member => this.handleEvent('guildMemberAdd', () => this.onMemberAdd(member)));
+  }
+
+  /**
+   * Runs a handler of a Discord event, if the client is ready. Logs the errors, if happened.
+   * @param  {string}   eventName the name of the Discord event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.discordClientReady) {
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('MuteManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Finds the muted role of a guild: the role saved in the server settings, or the role with the default name.
+   * @param  {Guild}         guild the Discord guild
+   * @return {Promise<Role>}       the muted role, or undefined if the guild has no muted role yet
+   */
+  async findMutedRole(guild) {
+    const roleId = await this.context.dbManager.getSetting(
+      BotTable.DISCORD_SOURCE,
+      guild.id,
+      ServerSettingsTable.SERVER_SETTINGS.mutedRole.name,
+      null
+    );
+
+    let role = roleId === null ? undefined : guild.roles.cache.get(roleId);
+    if (role === undefined) {
+      role = guild.roles.cache.find(guildRole => guildRole.name === MutedRoleName);
+    }
+
+    return role;
+  }
+
+  /**
+   * Gets the muted role of a guild. If the role does not exist, then creates it and sets up the permission
+   * overwrites for it in all channels of the guild. The role is saved in the server settings.
+   * @param  {Guild}         guild the Discord guild
+   * @return {Promise<Role>}       the muted role
+   */
+  async getMutedRole(guild) {
+    let role = await this.findMutedRole(guild);
+    if (role === undefined) {
+      role = await guild.roles.create({ data: { name: MutedRoleName, permissions: [] } });
+      // Must wait for each overwrite, so that the Discord rate limits are not exceeded.
+      /* eslint-disable no-await-in-loop */
+      for (const channel of guild.channels.cache.values()) {
+        await this.applyMutedOverwrites(channel, role);
+      }
+      /* eslint-enable no-await-in-loop */
+    }
+
+    await this.context.dbManager.setSetting(
+      BotTable.DISCORD_SOURCE,
+      guild.id,
+      ServerSettingsTable.SERVER_SETTINGS.mutedRole.name,
+      role.id
+    );
+
+    return role;
+  }
+
+  /**
+   * Denies sending messages and adding reactions (for text channels) or speaking (for voice channels)
+   * for the muted role in a channel.
+   * @param  {Channel} channel the Discord channel
+   * @param  {Role}    role    the muted role
+   * @return {Promise}         nothing
+   */
+  async applyMutedOverwrites(channel, role) {
+    if (channel.type === OrgChannel.getTextType()) {
+      await channel.updateOverwrite(role, {
+        [PermissionsManager.DISCORD_PERMISSIONS.SEND_MESSAGES]: false,
+        [PermissionsManager.DISCORD_PERMISSIONS.ADD_REACTIONS]: false
+      });
+    } else if (channel.type === OrgChannel.getVoiceType()) {
+      await channel.updateOverwrite(role, { [PermissionsManager.DISCORD_PERMISSIONS.SPEAK]: false });
+    }
+  }
+
+  /**
+   * Mutes a member: gives the muted role to the member and records the mute in the DB.
+   * @param  {GuildMember} member      the Discord guild member
+   * @param  {string}      moderatorId the identifier of the moderator who muted the member
+   * @param  {string}      reason      the reason of the mute (can be null)
+   * @return {Promise<Role>}           the muted role
+   */
+  async muteMember(member, moderatorId, reason) {
+    const role = await this.getMutedRole(member.guild);
+    await member.roles.add(role, reason === null ? undefined : reason);
+
+    const mutesTable = this.context.dbManager.mutesTable;
+    const existingRows = await this.context.dbManager.getDiscordRows(mutesTable, member.guild.id, {
+      userId: member.id
+    });
+    if (existingRows.length === 0) {
+      const currentRows = await this.context.dbManager.getDiscordRows(mutesTable, member.guild.id);
+      await this.context.dbManager.insertOne(mutesTable, {
+        id: OhUtils.findMaxId(currentRows) + 1,
+        source: BotTable.DISCORD_SOURCE,
+        orgId: member.guild.id,
+        userId: member.id,
+        moderatorId,
+        reason,
+        timestamp: new Date().getTime()
+      });
+    }
+
+    return role;
+  }
+
+  /**
+   * Unmutes a user: removes the muted role from the user (if the user is still a member of the guild)
+   * and deletes the records of the mute from the DB.
+   * @param  {Guild}            guild  the Discord guild
+   * @param  {string}           userId the user identifier
+   * @return {Promise<boolean>}        true if the user was muted, false otherwise
+   */
+  async unmuteMember(guild, userId) {
+    const mutesTable = this.context.dbManager.mutesTable;
+    const muteRows = await this.context.dbManager.getDiscordRows(mutesTable, guild.id, { userId });
+    await this.context.dbManager.deleteDiscordRows(mutesTable, guild.id, { userId });
+
+    let hadRole = false;
+    const role = await this.findMutedRole(guild);
+    if (role !== undefined) {
+      let member = null;
+      try {
+        member = await guild.members.fetch(userId);
+      } catch (error) {
+        this.context.log.w('MuteManager unmuteMember: user ' + userId + ' is not a member of guild ' + guild.id);
+      }
+
+      if (member !== null && member.roles.cache.has(role.id)) {
+        hadRole = true;
+        await member.roles.remove(role);
+      }
+    }
+
+    return hadRole || muteRows.length > 0;
+  }
+
+  /**
+   * Handles the event of a channel being created: sets up the permission overwrites for the muted role.
+   * @param  {Channel} channel the Discord channel
+   * @return {Promise}         nothing
+   */
+  async onChannelCreate(channel) {
+    // Private ("DM") channels do not belong to any guild.
+    if (channel.guild === undefined || channel.guild === null) {
+      return;
+    }
+
+    const role = await this.findMutedRole(channel.guild);
+    if (role !== undefined) {
+      await this.applyMutedOverwrites(channel, role);
+    }
+  }
+
+  /**
+   * Handles the event of a member joining a guild: gives the muted role back if the member left while muted.
+   * @param  {GuildMember} member the Discord guild member
+   * @return {Promise}            nothing
+   */
+  async onMemberAdd(member) {
+    const muteRows = await this.context.dbManager.getDiscordRows(this.context.dbManager.mutesTable, member.guild.id, {
+      userId: member.id
+    });
+    if (muteRows.length === 0) {
+      return;
+    }
+
+    const role = await this.getMutedRole(member.guild);
+    await member.roles.add(role);
+    this.context.log.i('MuteManager onMemberAdd: muted role reapplied to ' + member.id + ' in ' + member.guild.id);
+  }
+}
+
+/**
+ * Exports the MuteManager class
+ * @type {MuteManager}
+ */
+module.exports = MuteManager;
@@ -64,6 +64,32 @@ const DiscordPermissions = Object.freeze({
   MANAGE_EMOJIS: 'MANAGE_EMOJIS'
 });
 
+/**
+ * The rights of the Telegram administrators (keep intact with Telegram Bot API). The ADMINISTRATOR permission
+ * is not a right in Telegram, it requires the user to be any administrator of the group.
+ * @type {Object}
+ */
+const TelegramPermissions = Object.freeze({
+  ADMINISTRATOR: 'administrator',
+  CHANGE_INFO: 'can_change_info',
+  DELETE_MESSAGES: 'can_delete_messages',
+  RESTRICT_MEMBERS: 'can_restrict_members',
+  INVITE_USERS: 'can_invite_users',
+  PIN_MESSAGES: 'can_pin_messages',
+  PROMOTE_MEMBERS: 'can_promote_members',
+  MANAGE_CHAT: 'can_manage_chat'
+});
+
+/**
+ * The roles of the Slack users (keep intact with the fields of the Slack user object). The owners
+ * of the workspace are considered having all roles.
+ * @type {Object}
+ */
+const SlackPermissions = Object.freeze({
+  ADMINISTRATOR: 'is_admin',
+  OWNER: 'is_owner'
+});
+
 /**
  * Manages and check caller's permissions for commands.
  * @alias PermissionsManager
@@ -103,6 +129,22 @@ class PermissionsManager {
     return DiscordPermissions;
   }
 
+  /**
+   * The object containing defined Telegram permissions (keep intact with Telegram Bot API).
+   * @type {Object}
+   */
+  static get TELEGRAM_PERMISSIONS() {
+    return TelegramPermissions;
+  }
+
+  /**
+   * The object containing defined Slack permissions (keep intact with Slack API).
+   * @type {Object}
+   */
+  static get SLACK_PERMISSIONS() {
+    return SlackPermissions;
+  }
+
   /**
    * The object containing defined permission types as multilanguage values.
    * @see MultiLangValue
@@ -383,6 +425,101 @@ class PermissionsManager {
       .permissionsIn(message.originalMessage.channel)
       .has(DiscordPermissions.ADMINISTRATOR);
   }
+
+  /**
+   * Checks if the author of the Telegram message has the administrator rights required by the command.
+   * The rights are fetched from Telegram, so the changes made since the last sync are considered.
+   * Throws public error if the permissions are not found.
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}      message the command's message
+   * @param  {TelegramCommand}  command the command instance
+   * @return {Promise}                  nothing
+   */
+  async checkTelegramCommandPermissions(message, command) {
+    const requiredTelegramPermissions = command.constructor.getRequiredTelegramPermissions();
+    if (requiredTelegramPermissions.length === 0) {
+      return;
+    }
+
+    const admin = await this.context.telegramSyncManager.fetchAdmin(
+      message.originalMessage.chat,
+      message.originalMessage.from
+    );
+    if (admin === null) {
+      this.context.log.w(
+        'Attempt to use command ' + command.constructor.getCommandInterfaceName() + ' by user ' + message.userId
+      );
+      throw new BotPublicError(command.langManager.getString('permission_missing_telegram_admin'));
+    }
+
+    for (const permission of requiredTelegramPermissions) {
+      if (permission !== TelegramPermissions.ADMINISTRATOR && !admin.hasRight(permission)) {
+        this.context.log.w(
+          'Attempt to use command ' + command.constructor.getCommandInterfaceName() + ' by user ' + message.userId
+        );
+        throw new BotPublicError(command.langManager.getString('permission_missing_telegram', permission));
+      }
+    }
+  }
+
+  /**
+   * Checks if the author of the Telegram message is an administrator of the group.
+   * @param  {BaseMessage}       message the message
+   * @return {Promise<Boolean>}          true if admin, false otherwise
+   */
+  async isTelegramAuthorAdmin(message) {
+    const admin = await this.context.telegramSyncManager.fetchAdmin(
+      message.originalMessage.chat,
+      message.originalMessage.from
+    );
+    return admin !== null;
+  }
+
+  /**
+   * Checks if the author of the Slack message has the roles required by the command.
+   * The user is fetched from Slack, so the changes made since the last sync are considered.
+   * Throws public error if the permissions are not found.
+   * @throws {BotPublicError}
+   * @param  {BaseMessage}      message the command's message
+   * @param  {SlackCommand}     command the command instance
+   * @return {Promise}                  nothing
+   */
+  async checkSlackCommandPermissions(message, command) {
+    const requiredSlackPermissions = command.constructor.getRequiredSlackPermissions();
+    if (requiredSlackPermissions.length === 0) {
+      return;
+    }
+
+    const user = await this.context.slackSyncManager.fetchUser(message.orgId, message.userId);
+    for (const permission of requiredSlackPermissions) {
+      if (!PermissionsManager.hasSlackPermission(user, permission)) {
+        this.context.log.w(
+          'Attempt to use command ' + command.constructor.getCommandInterfaceName() + ' by user ' + message.userId
+        );
+        throw new BotPublicError(command.langManager.getString('permission_missing_slack', permission));
+      }
+    }
+  }
+
+  /**
+   * Checks if the author of the Slack message is an administrator (or the owner) of the workspace.
+   * @param  {BaseMessage}       message the message
+   * @return {Promise<Boolean>}          true if admin, false otherwise
+   */
+  async isSlackAuthorAdmin(message) {
+    const user = await this.context.slackSyncManager.fetchUser(message.orgId, message.userId);
+    return PermissionsManager.hasSlackPermission(user, SlackPermissions.ADMINISTRATOR);
+  }
+
+  /**
+   * Checks if the Slack user has the role.
+   * @param  {Object}  user       the Slack user
+   * @param  {string}  permission the role
+   * @return {Boolean}            true if the user has the role or is the owner of the workspace, false otherwise
+   */
+  static hasSlackPermission(user, permission) {
+    return user[permission] === true || user[SlackPermissions.OWNER] === true;
+  }
 }
 
 /**
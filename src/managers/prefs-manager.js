@@ -8,7 +8,15 @@
 
 const fs = require('fs');
 
-const SecuredPreferences = Object.freeze(['discord_token', 'db_username', 'db_password']);
+const SecuredPreferences = Object.freeze([
+  'discord_token',
+  'telegram_token',
+  'slack_bot_token',
+  'slack_app_token',
+  'slack_signing_secret',
+  'db_username',
+  'db_password'
+]);
 
 /**
  * Keeps Bot-wide preferences (settings related to the bot's server itself).
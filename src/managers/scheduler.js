@@ -6,17 +6,40 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
-const momentTz = require('moment-timezone');
 const util = require('util');
 
 const OhUtils = require('../utils/bot-utils');
-const DiscordUtils = require('../utils/discord-utils');
+const NextRunCalculator = require('../utils/next-run-calculator');
+const WarningsDecay = require('../utils/warnings-decay');
 
 const TimeArg = require('../command_meta/time-arg');
 
 const OrgTask = require('../mongo_classes/org-task');
+const TaskRun = require('../mongo_classes/task-run');
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+const ReminderTaskExecutor = require('../task_executors/reminder-task-executor');
+const PersonalReminderTaskExecutor = require('../task_executors/personal-reminder-task-executor');
+const CleanTaskExecutor = require('../task_executors/clean-task-executor');
+const PollTaskExecutor = require('../task_executors/poll-task-executor');
+const RoleTaskExecutor = require('../task_executors/role-task-executor');
+const ChannelLockTaskExecutor = require('../task_executors/channel-lock-task-executor');
+const ModerationExpiryTaskExecutor = require('../task_executors/moderation-expiry-task-executor');
 
 const MaxIntervalSafetyGap = 10000;
+const DefaultResyncIntervalMinutes = 60;
+const DefaultMaxMissedRuns = 10;
+const DefaultMaxHistoryRuns = 20;
+
+const DefinedExecutors = Object.freeze([
+  ReminderTaskExecutor,
+  PersonalReminderTaskExecutor,
+  CleanTaskExecutor,
+  PollTaskExecutor,
+  RoleTaskExecutor,
+  ChannelLockTaskExecutor,
+  ModerationExpiryTaskExecutor
+]);
 
 /**
  * Manages scheduled tasks (schedules, executes, cancels etc.).
@@ -33,90 +56,388 @@ class Scheduler {
   constructor(context) {
     this.context = context;
 
-    this.tasks = [];
+    this.tasks = new Map();
+    this.taskKeysByDbId = new Map();
+    this.resyncHandle = null;
+    this.changeStream = null;
+
+    this.executors = new Map();
+    for (const executorClass of DefinedExecutors) {
+      this.registerExecutor(executorClass);
+    }
+  }
+
+  /**
+   * Registers an executor of a task type. The tasks of the type get executed by the executor,
+   * and their content gets validated by the executor before scheduling.
+   * Replaces the previously registered executor of the same type, if any.
+   * @see TaskExecutor
+   * @param {constructor<TaskExecutor>} ExecutorClass the class of the executor
+   */
+  registerExecutor(ExecutorClass) {
+    this.executors.set(ExecutorClass.getTaskType(), new ExecutorClass(this.context));
+  }
+
+  /**
+   * Gets the class of the executor registered for a task type.
+   * @param  {string}                   type the task type
+   * @return {constructor<TaskExecutor>}     the class of the executor, or null if the type is unknown
+   */
+  getExecutorClass(type) {
+    const executor = this.executors.get(type);
+    return executor === undefined ? null : executor.constructor;
+  }
+
+  /**
+   * Checks that a task has a registered type and a valid content. Logs a warning if it does not.
+   * @param  {Object}  rawTask the task object
+   * @return {boolean}         true if the task can be scheduled, false otherwise
+   */
+  isTaskValid(rawTask) {
+    const executorClass = this.getExecutorClass(rawTask.type);
+    if (executorClass === null) {
+      this.context.log.w('Scheduler: task.id: ' + rawTask.id + '; unknown task type: ' + rawTask.type);
+      return false;
+    }
+
+    try {
+      executorClass.validateContent(rawTask.content);
+    } catch (error) {
+      this.context.log.w('Scheduler: task.id: ' + rawTask.id + '; invalid content: ' + error.message);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Makes the key identifying a task in the RAM queue.
+   * @param  {Object} task the task (or any object containing its key columns)
+   * @return {string}      the key
+   */
+  static makeTaskKey(task) {
+    return task.source + '_' + task.orgId + '_' + task.id;
+  }
+
+  /**
+   * Gets the interval between full resyncs of the tasks with the DB in milliseconds,
+   * according to the Bot's preferences.
+   * @type {number}
+   */
+  get resyncInterval() {
+    let minutes = Number.parseInt(this.context.prefsManager.scheduler_resync_interval_minutes, 10);
+    if (Number.isNaN(minutes) || minutes <= 0) {
+      minutes = DefaultResyncIntervalMinutes;
+    }
+
+    return minutes * 60 * 1000;
   }
 
   /**
    * Updates tasks in RAM according the their DB counterparts. Schedules the new tasks, reschedule updated
    * tasks, cancels deleted tasks.
+   * Reads the whole tasks table, so should be used only on start up and as a periodic safety net.
+   * The regular changes of the tasks are expected to be reported via addTask, updateTask and cancelTask.
    * @return {Promise} nothing
    */
   async syncTasks() {
-    const dbTasks = await this.context.dbManager.getRows(this.context.dbManager.tasksTable);
-
-    const foundIndices = [];
-
-    for (let i = dbTasks.length - 1; i >= 0; i--) {
-      let found = false;
-      for (let j = 0; j < this.tasks.length; j++) {
-        if (dbTasks[i].equalsByKey(this.tasks[j])) {
-          found = true;
-          foundIndices.push(j);
-          const valuesToUpdate = dbTasks[i].getValuesToUpdate(this.tasks[j]);
-
-          const fieldsToUpdate = Object.keys(valuesToUpdate);
-          if (fieldsToUpdate.length > 0) {
-            for (const field of fieldsToUpdate) {
-              this.tasks[j][field] = dbTasks[i][field];
-            }
-
-            this.context.log.i(
-              'Scheduler syncTasks: dbTasks[i]: ' +
-                dbTasks[i].id +
-                '; updated, new values: ' +
-                util.inspect(fieldsToUpdate, { showHidden: true, depth: 6 })
-            );
-            clearTimeout(this.tasks[j].timeoutHandle);
-            this.scheduleTask(this.tasks[j]);
-          }
+    const rawTasks = await this.context.dbManager.dbo
+      .collection(this.context.dbManager.tasksTable.getTableName())
+      .find({})
+      .toArray();
+
+    const foundKeys = new Set();
+    for (const rawTask of rawTasks) {
+      foundKeys.add(Scheduler.makeTaskKey(rawTask));
+      this.addTask(rawTask, true);
+    }
 
-          break;
-        }
+    for (const [key, task] of this.tasks) {
+      if (!foundKeys.has(key)) {
+        this.context.log.i('Scheduler syncTasks: task.id: ' + task.id + ' was removed from DB, cancelling.');
+        this.cancelTask(task);
+      }
+    }
+
+    this.context.log.i('Scheduler syncTasks: synced ' + this.tasks.size + ' task(s).');
+  }
+
+  /**
+   * Archives the warnings which have expired (by their own expiry time or by the decay period of their server).
+   * Runs on start up and together with the periodic resyncs.
+   * @see WarningsDecay
+   * @return {Promise} nothing
+   */
+  async archiveExpiredWarnings() {
+    const archivedCount = await WarningsDecay.archiveExpiredWarnings(this.context);
+    if (archivedCount > 0) {
+      this.context.log.i('Scheduler archiveExpiredWarnings: archived ' + archivedCount + ' warning(s).');
+    }
+  }
+
+  /**
+   * Starts periodic full resyncs of the tasks with the DB and, if enabled in the preferences,
+   * listening to the DB change notifications. Does nothing if already started.
+   */
+  startSync() {
+    if (this.resyncHandle !== null) {
+      return;
+    }
+
+    this.resyncHandle = setInterval(async () => {
+      try {
+        await this.syncTasks();
+      } catch (error) {
+        this.context.log.e('Scheduler resync error: ' + error + '; stack: ' + error.stack);
       }
 
-      if (!found) {
-        this.context.log.i('Scheduler syncTasks: dbTasks[i]: ' + dbTasks[i].id + '; new task detected, adding.');
-        this.tasks.push(dbTasks[i]);
-        foundIndices.push(this.tasks.length - 1);
-        this.scheduleTask(dbTasks[i]);
+      try {
+        await this.archiveExpiredWarnings();
+      } catch (error) {
+        this.context.log.e('Scheduler warnings archiving error: ' + error + '; stack: ' + error.stack);
       }
+    }, this.resyncInterval);
+
+    if (this.context.prefsManager.scheduler_use_change_streams === 'true') {
+      this.watchTasks();
     }
+  }
 
-    const toDelete = this.tasks.filter((value, index) => {
-      return !foundIndices.includes(index);
-    });
+  /**
+   * Stops periodic resyncs and listening to the DB change notifications.
+   */
+  stopSync() {
+    if (this.resyncHandle !== null) {
+      clearInterval(this.resyncHandle);
+      this.resyncHandle = null;
+    }
+
+    if (this.changeStream !== null) {
+      this.changeStream.close();
+      this.changeStream = null;
+    }
+  }
 
-    this.context.log.d('Scheduler syncTasks: toDelete: ' + util.inspect(toDelete, { showHidden: true, depth: 3 }));
-    if (!OhUtils.isEmpty(toDelete)) {
-      for (const element of toDelete) {
-        for (let j = this.tasks.length - 1; j >= 0; j--) {
-          if (element.equalsByKey(this.tasks[j])) {
-            this.context.log.i(
-              'Scheduler syncTasks: this.tasks[j].id: ' + this.tasks[j].id + ' was removed from DB, cancelling.'
-            );
-            clearTimeout(this.tasks[j].timeoutHandle);
-            this.tasks.splice(j, 1);
+  /**
+   * Listens to the change notifications of the tasks table, so that the tasks changed by other
+   * instances of the Bot (or manually in the DB) get applied immediately.
+   * Requires the MongoDB to run as a replica set. If change streams are not available, then
+   * logs a warning and relies on the periodic resyncs only.
+   */
+  watchTasks() {
+    try {
+      this.changeStream = this.context.dbManager.dbo
+        .collection(this.context.dbManager.tasksTable.getTableName())
+        .watch([], { fullDocument: 'updateLookup' });
+    } catch (error) {
+      this.context.log.w('Scheduler watchTasks: change streams are not available: ' + error);
+      this.changeStream = null;
+      return;
+    }
+
+    this.changeStream.on('change', change => {
+      switch (change.operationType) {
+        case 'insert':
+        case 'update':
+        case 'replace':
+          if (change.fullDocument !== undefined && change.fullDocument !== null) {
+            this.addTask(change.fullDocument, true);
+          }
+
+          break;
+        case 'delete': {
+          const key = this.taskKeysByDbId.get(String(change.documentKey._id));
+          if (key !== undefined) {
+            this.cancelTask(this.tasks.get(key));
           }
+
+          break;
         }
+
+        default:
+          break;
+      }
+    });
+
+    this.changeStream.on('error', error => {
+      this.context.log.w('Scheduler watchTasks: change stream error, relying on periodic resyncs: ' + error);
+      this.changeStream = null;
+    });
+  }
+
+  /**
+   * Adds a task to the RAM queue and schedules it. If the task is already in the queue,
+   * then updates it instead.
+   * @param  {Object}  rawTask  the task object (e.g. as inserted to the DB)
+   * @param  {boolean} [silent] if true, then the unchanged tasks are not logged
+   */
+  addTask(rawTask, silent) {
+    const key = Scheduler.makeTaskKey(rawTask);
+    if (this.tasks.has(key)) {
+      this.updateTask(rawTask, silent);
+      return;
+    }
+
+    if (!this.isTaskValid(rawTask)) {
+      return;
+    }
+
+    const task = this.context.dbManager.tasksTable.getRowInstance(rawTask);
+    this.setTaskDbId(task, rawTask);
+    this.context.log.i('Scheduler addTask: task.id: ' + task.id + '; new task, adding.');
+    this.tasks.set(key, task);
+    this.scheduleTask(task);
+  }
+
+  /**
+   * Applies new values of a task which is already in the RAM queue and reschedules it, if anything changed.
+   * If the task is not in the queue, then adds it.
+   * @param  {Object}  rawTask  the task object with new values
+   * @param  {boolean} [silent] if true, then the unchanged tasks are not logged
+   */
+  updateTask(rawTask, silent) {
+    const key = Scheduler.makeTaskKey(rawTask);
+    const task = this.tasks.get(key);
+    if (task === undefined) {
+      this.addTask(rawTask, silent);
+      return;
+    }
+
+    if (!this.isTaskValid(rawTask)) {
+      this.cancelTask(task);
+      return;
+    }
+
+    this.setTaskDbId(task, rawTask);
+
+    // The execution info is maintained by the Scheduler itself, the RAM values are the most recent ones.
+    const valuesToUpdate = task.getValuesToUpdate(rawTask);
+    const fieldsToUpdate = Object.keys(valuesToUpdate).filter(field => !OrgTask.RUN_INFO_COLUMNS.includes(field));
+    if (fieldsToUpdate.length === 0) {
+      if (!silent) {
+        this.context.log.v('Scheduler updateTask: task.id: ' + task.id + '; nothing changed.');
       }
+
+      return;
+    }
+
+    for (const field of fieldsToUpdate) {
+      task[field] = valuesToUpdate[field];
     }
+
+    // The previously calculated next run may be not relevant anymore (e.g. the time has changed).
+    task.nextRunAt = null;
+
+    this.context.log.i(
+      'Scheduler updateTask: task.id: ' +
+        task.id +
+        '; updated, new values: ' +
+        util.inspect(fieldsToUpdate, { showHidden: true, depth: 6 })
+    );
+    clearTimeout(task.timeoutHandle);
+    this.scheduleTask(task);
+  }
+
+  /**
+   * Postpones the next run of a task until a given moment. For recurrent tasks the regular runs
+   * before the moment are skipped, and the regular schedule continues after the snoozed run.
+   * @param  {Object}           rawTask the task (or any object containing its key columns)
+   * @param  {number}           until   the timestamp of the postponed run
+   * @return {Promise<boolean>}         true if the task was found and snoozed, false otherwise
+   */
+  async snoozeTask(rawTask, until) {
+    const task = this.tasks.get(Scheduler.makeTaskKey(rawTask));
+    if (task === undefined) {
+      return false;
+    }
+
+    this.context.log.i('Scheduler snoozeTask: task.id: ' + task.id + '; until: ' + until);
+    clearTimeout(task.timeoutHandle);
+    task.snoozedUntil = until;
+    task.nextRunAt = null;
+    await this.saveRunInfo(task);
+    this.scheduleTask(task);
+    return true;
+  }
+
+  /**
+   * Removes a task from the RAM queue and cancels its scheduled execution. Does not touch the DB.
+   * @param  {Object} task the task (or any object containing its key columns)
+   */
+  cancelTask(task) {
+    const key = Scheduler.makeTaskKey(task);
+    const existingTask = this.tasks.get(key);
+    if (existingTask === undefined) {
+      return;
+    }
+
+    this.context.log.i('Scheduler cancelTask: task.id: ' + existingTask.id + '; cancelling.');
+    clearTimeout(existingTask.timeoutHandle);
+    this.tasks.delete(key);
+    if (existingTask.dbId !== undefined) {
+      this.taskKeysByDbId.delete(existingTask.dbId);
+    }
+  }
+
+  /**
+   * Remembers the DB identifier of a task, so that it can be found on change notifications
+   * which contain the identifier only (e.g. deletions).
+   * @param {OrgTask} task    the task in the RAM queue
+   * @param {Object}  rawTask the raw task object, possibly containing the DB identifier
+   */
+  setTaskDbId(task, rawTask) {
+    if (rawTask._id === undefined || rawTask._id === null) {
+      return;
+    }
+
+    task.dbId = String(rawTask._id);
+    this.taskKeysByDbId.set(task.dbId, Scheduler.makeTaskKey(task));
   }
 
   /**
    * Schedules a task using setTimeout/cancelTimeout API. If the task is one-shot and scheduled in the past,
-   * then removes it. If the task is recurrent - schedules it at the nearest appropriate time.
+   * or if a run of the task was missed (e.g. the Bot was offline), then applies the misfire policy of the task.
+   * If the task is recurrent - schedules it at the nearest appropriate time.
+   * Paused tasks are not scheduled, snoozed tasks are scheduled at the end of the snooze.
    * If scheduled too far in the future, schedules a reschedulement at the max interval
    * acceptable by the setTimeout funcction (minus some safety gap to avoid jumping over the scheduled timeout
    * due to CPU busy with other tasks).
    * @param  {OrgTask} task the task to be scheduled
-   * @return {Promise}      nothing
    */
   scheduleTask(task) {
     this.context.log.i('Scheduler scheduleTask: ' + util.inspect(task, { showHidden: true, depth: 6 }));
-    let timeDiff = this.getNextExecutionTimeDiff(task);
+    const now = Date.now();
+
+    if (task.paused === true) {
+      this.context.log.i('Scheduler scheduleTask: task.id: ' + task.id + '; paused, not scheduling.');
+      if (task.nextRunAt !== null && task.nextRunAt !== undefined) {
+        task.nextRunAt = null;
+        this.saveRunInfo(task);
+      }
+
+      return;
+    }
+
+    if (typeof task.nextRunAt === 'number' && task.nextRunAt <= now) {
+      this.handleMisfire(task, task.nextRunAt);
+      return;
+    }
+
+    let timeDiff = this.getNextExecutionTimeDiff(task, now);
+    if (typeof task.snoozedUntil === 'number' && task.snoozedUntil > now) {
+      timeDiff = task.snoozedUntil - now;
+    } else if (timeDiff === 0) {
+      // The current moment is exactly an execution moment (e.g. the task has just been executed), need the next one.
+      timeDiff = this.getNextExecutionTimeDiff(task, now + 1) + 1;
+    }
 
     if (timeDiff > 0) {
       this.context.log.i('Scheduler scheduleTask: task.id: ' + task.id + '; timeDiff: ' + timeDiff);
+      if (task.nextRunAt !== now + timeDiff) {
+        task.nextRunAt = now + timeDiff;
+        this.saveRunInfo(task);
+      }
+
       const taskArgument = { task, scheduler: this };
       if (timeDiff >= OhUtils.MAX_TIMEOUT - MaxIntervalSafetyGap) {
         this.context.log.i(
@@ -141,187 +462,264 @@ class Scheduler {
         timeDiff,
         taskArgument
       );
+    } else if (TimeArg.isRecurringDefinitions(task.time.definitions)) {
+      this.context.log.w(
+        'Scheduler scheduleTask: task.id: ' + task.id + '; timeDiff: ' + timeDiff + '; no next run found, removing.'
+      );
+
+      this.deleteTask(task);
     } else {
       this.context.log.i(
-        'Scheduler scheduleTask: task.id: ' + task.id + '; timeDiff: ' + timeDiff + '; scheduled in the past, removing.'
+        'Scheduler scheduleTask: task.id: ' + task.id + '; timeDiff: ' + timeDiff + '; scheduled in the past.'
       );
 
-      this.deleteTask(task);
+      this.handleMisfire(task, now + timeDiff);
     }
   }
 
   /**
-   * Executes the task based on its type. Rechedules recurrent tasks on completion or deletes one-shot tasks.
+   * Executes the task when its time comes. Rechedules recurrent tasks on completion or deletes one-shot tasks.
+   * The errors are logged, and the task is rescheduled or deleted anyway.
    * @param  {OrgTask}  task the task to execute
    * @return {Promise}       nothing
    */
   async executeTask(task) {
-    this.context.log.i('Scheduler executeTask: ' + util.inspect(task, { showHidden: true, depth: 6 }));
-    switch (task.type) {
-      case OrgTask.TASK_TYPES.reminder:
-        await this.remind(task);
-        break;
-      default:
-        break;
-    }
-
-    if (TimeArg.isRecurringDefinitions(task.time.definitions)) {
-      this.scheduleTask(task);
-    } else {
-      this.deleteTask(task);
+    try {
+      this.context.log.i('Scheduler executeTask: ' + util.inspect(task, { showHidden: true, depth: 6 }));
+      const scheduledAt = typeof task.nextRunAt === 'number' ? task.nextRunAt : Date.now();
+      task.nextRunAt = null;
+
+      await this.runTask(task, scheduledAt, false);
+    } catch (error) {
+      this.context.log.e(
+        'Scheduler executeTask: task.id: ' + task.id + '; error: ' + error + '; stack: ' + error.stack
+      );
+    } finally {
+      this.finishRun(task);
     }
   }
 
   /**
-   * Deletes the task from DB which is no longer needed.
-   * @param  {OrgTask}  task the task to delete
-   * @return {Promise}       nothing
+   * Handles the run(s) of a task which have been missed (e.g. because the Bot was offline at the moment)
+   * according to the misfire policy of the task or, if it's not set, of the task's organization.
+   * @see OrgTask.MISFIRE_POLICIES
+   * @param  {OrgTask}  task        the task
+   * @param  {number}   missedRunAt the timestamp of the first missed run
+   * @return {Promise}              nothing
    */
-  deleteTask(task) {
-    for (let i = 0; i < this.tasks.length; i++) {
-      if (task.equalsByKey(this.tasks[i])) {
-        this.context.log.v('Scheduler scheduleTask: task.id: ' + task.id + '; found in the list, removing.');
-        this.tasks.splice(i, 1);
-        const deleteQuery = { id: task.id };
-        this.context.dbManager.deleteDiscordRows(this.context.dbManager.tasksTable, task.orgId, deleteQuery);
-        break;
+  async handleMisfire(task, missedRunAt) {
+    try {
+      const policy = await this.getMisfirePolicy(task);
+      this.context.log.i(
+        'Scheduler handleMisfire: task.id: ' + task.id + '; missedRunAt: ' + missedRunAt + '; policy: ' + policy
+      );
+      task.nextRunAt = null;
+
+      switch (policy) {
+        case OrgTask.MISFIRE_POLICIES.skip.name:
+          await this.recordRun(task, missedRunAt, TaskRun.STATUSES.skipped.name, null);
+          break;
+        case OrgTask.MISFIRE_POLICIES.all.name:
+          for (const runAt of this.getMissedRuns(task, missedRunAt, Date.now())) {
+            // The missed runs should be executed in order.
+            /* eslint-disable no-await-in-loop */
+            await this.runTask(task, runAt, true);
+            /* eslint-enable no-await-in-loop */
+          }
+
+          break;
+        default:
+          await this.runTask(task, missedRunAt, true);
+          break;
       }
+    } catch (error) {
+      this.context.log.e(
+        'Scheduler handleMisfire: task.id: ' + task.id + '; error: ' + error + '; stack: ' + error.stack
+      );
     }
+
+    this.finishRun(task);
   }
 
   /**
-   * Executes a reminder task
-   * @param  {OrgTask}  task the reminder task
-   * @return {Promise}       nothing
+   * Reschedules a recurrent task or deletes a one-shot task after it has been executed.
+   * @param  {OrgTask} task the task
    */
-  async remind(task) {
-    const guild = this.context.discordClient.guilds.cache.get(task.orgId);
-    if (guild !== undefined) {
-      const channel = guild.channels.cache.get(task.content.channel);
-      if (channel !== undefined) {
-        await DiscordUtils.sendToTextChannel(channel, task.content.message);
-      }
+  finishRun(task) {
+    if (!this.tasks.has(Scheduler.makeTaskKey(task))) {
+      // The task got cancelled during the execution.
+      return;
+    }
+
+    // The snooze affects one run only. The updated value is saved on rescheduling.
+    task.snoozedUntil = null;
+
+    if (TimeArg.isRecurringDefinitions(task.time.definitions)) {
+      this.scheduleTask(task);
+    } else {
+      this.deleteTask(task);
     }
   }
 
   /**
-   * Calculates the time in milliseconds till the next execution moment for a task.
-   * Considers the caller's/organization's timezone and the timezone where the Bot's server is located.
-   * May cause errors if scheduled over the daylight saving dates.
-   * @param  {OrgTask} task the task to be scheduled
-   * @return {number}       the time difference between the next execution moment and current moment in milliseconds
+   * Gets the misfire policy which should be applied to a task.
+   * @param  {OrgTask}          task the task
+   * @return {Promise<string>}       the name of the misfire policy
    */
-  getNextExecutionTimeDiff(task) {
-    let currentTime = new Date();
-    let proposedTime = new Date();
-
-    const anyValueInt = Number.parseInt(OhUtils.ANY_VALUE, 10);
+  async getMisfirePolicy(task) {
+    if (task.misfirePolicy !== undefined && task.misfirePolicy !== null) {
+      return task.misfirePolicy;
+    }
 
-    const definedKeys = Object.keys(TimeArg.DEFINITION_FUNCTIONS);
+    return this.context.dbManager.getSetting(
+      task.source,
+      task.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.misfirePolicy.name,
+      OrgTask.MISFIRE_POLICIES.once.name
+    );
+  }
 
-    // Initialize all proposed definitions with "any" values
-    const proposedDefinitions = {};
-    for (const key of definedKeys) {
-      proposedDefinitions[key] = anyValueInt;
+  /**
+   * Gets the timestamps of the missed runs of a task, starting from the first missed one.
+   * The number of the runs is limited by the Bot's preferences.
+   * @param  {OrgTask}        task        the task
+   * @param  {number}         missedRunAt the timestamp of the first missed run
+   * @param  {number}         now         the current timestamp
+   * @return {Array<number>}              the timestamps of the missed runs
+   */
+  getMissedRuns(task, missedRunAt, now) {
+    let maxRuns = Number.parseInt(this.context.prefsManager.max_missed_runs_per_task, 10);
+    if (Number.isNaN(maxRuns) || maxRuns <= 0) {
+      maxRuns = DefaultMaxMissedRuns;
     }
 
-    const definitions = task.time.definitions;
+    const runs = [missedRunAt];
+    if (!TimeArg.isRecurringDefinitions(task.time.definitions)) {
+      return runs;
+    }
 
-    let dayOfWeek = null;
-
-    // Read all definitions from OrgTask as the proposed time of execution
-    for (const definition of definitions) {
-      for (const key of definedKeys) {
-        if (
-          definition.shiftType === key &&
-          definition.shiftType !== TimeArg.SHIFT_TYPES.timezone &&
-          definition.amount !== anyValueInt
-        ) {
-          proposedDefinitions[key] = definition.amount;
-        }
+    let runAt = missedRunAt;
+    while (runs.length < maxRuns) {
+      const timeDiff = this.getNextExecutionTimeDiff(task, runAt + 1);
+      if (timeDiff <= 0 || runAt + 1 + timeDiff >= now) {
+        break;
       }
 
-      if (definition.shiftType === TimeArg.SHIFT_TYPES.dayofweek) {
-        dayOfWeek = definition.amount;
-      }
+      runAt = runAt + 1 + timeDiff;
+      runs.push(runAt);
     }
 
-    // Initialize the proposed time as the current server's time.
-    // Adjust the current time according to the Bot's server timzone and
-    // by the scheduled timeone.
-    // E.g. if the task was scheduled in Paris (UTC+2) and the Bot's server is located in Moscow (UTC+3)
-    // then need to remove 3 hours from the server time to make it UTC, and then add 2 hours to make it Paris time.
-    for (const definition of definitions) {
-      if (definition.shiftType === TimeArg.SHIFT_TYPES.timezone) {
-        const botServerOffsetMillis = currentTime.getTimezoneOffset() * 60000;
-        currentTime = new Date(currentTime.getTime() + botServerOffsetMillis);
+    return runs;
+  }
 
-        const currentUtcTime = currentTime.getTime();
-        const targetZoneOffsetMillis = momentTz.tz.zone(definition.amount).utcOffset(currentUtcTime) * 60000;
+  /**
+   * Executes the task based on its type and records the execution info and history.
+   * @param  {OrgTask}  task        the task to execute
+   * @param  {number}   scheduledAt the timestamp when the task was scheduled to run
+   * @param  {boolean}  late        true if the run was missed and is executed with a delay
+   * @return {Promise}              nothing
+   */
+  async runTask(task, scheduledAt, late) {
+    let runError = null;
+    try {
+      const executor = this.executors.get(task.type);
+      if (executor === undefined) {
+        throw new Error('no executor for the task type: ' + task.type);
+      }
 
-        currentTime = new Date(currentUtcTime - targetZoneOffsetMillis);
-        proposedTime = new Date(currentTime.getTime());
+      await executor.execute(task);
+    } catch (error) {
+      this.context.log.e('Scheduler runTask: task.id: ' + task.id + '; error: ' + error + '; stack: ' + error.stack);
+      runError = error.toString();
+    }
 
-        break;
-      }
+    task.lastRunAt = Date.now();
+    task.runCount = (typeof task.runCount === 'number' ? task.runCount : 0) + 1;
+    task.lastError = runError;
+
+    let status = late ? TaskRun.STATUSES.late.name : TaskRun.STATUSES.success.name;
+    if (runError !== null) {
+      status = TaskRun.STATUSES.failed.name;
     }
 
-    // Shifts the current time according to scheduled propositions.
-    // "Any" value defintions remain untouched - they will be tweaked later.
-    const indicesWithAnyValue = [];
-    for (const [i, key] of definedKeys.entries()) {
-      if (key === TimeArg.SHIFT_TYPES.days && dayOfWeek !== null) {
-        indicesWithAnyValue.push(i);
-        continue;
-      }
+    await this.saveRunInfo(task);
+    await this.recordRun(task, scheduledAt, status, runError);
+  }
 
-      if (proposedDefinitions[key] === anyValueInt) {
-        indicesWithAnyValue.push(i);
-        TimeArg.DEFINITION_FUNCTIONS[key].setFunc(proposedTime, TimeArg.DEFINITION_FUNCTIONS[key].getFunc(currentTime));
-      } else {
-        const definedValue = proposedDefinitions[key];
-        TimeArg.DEFINITION_FUNCTIONS[key].setFunc(proposedTime, definedValue);
-      }
+  /**
+   * Saves the execution info of a task to the DB. Logs the errors, if happened.
+   * @param  {OrgTask}  task the task
+   * @return {Promise}       nothing
+   */
+  async saveRunInfo(task) {
+    try {
+      await this.context.dbManager.tasksTable.updateRunInfo(task);
+    } catch (error) {
+      this.context.log.e(
+        'Scheduler saveRunInfo: task.id: ' + task.id + '; error: ' + error + '; stack: ' + error.stack
+      );
     }
+  }
 
-    // If the result scheduled moment is before the current moment and it's a current task
-    // (has at least one definition with "any" value) when tries to find the next execution time
-    // by making shifting forward the tweakable definitions. If the tweakable definition reaches its limit
-    // (e.g. 61 seconds in minute), then tries to tweak the next tweakable definition.
-    // Starts with the shifts with the smallest amount of milliseconds in it, ends with the largest shifts
-    // (e.g. from milliseconds to years).
-    // Does not support schedules with dayofweek definition together with definitions larger than hours.
-    if (currentTime.getTime() > proposedTime.getTime() && indicesWithAnyValue.length > 0) {
-      for (let i = indicesWithAnyValue.length - 1; i >= 0; i--) {
-        if (definedKeys[indicesWithAnyValue[i]] === TimeArg.SHIFT_TYPES.days && dayOfWeek !== null) {
-          const currentDay = proposedTime.getDay();
-          let dayDistance = dayOfWeek - currentDay;
-          if (dayDistance <= 0) {
-            dayDistance += 7;
-          }
+  /**
+   * Adds a record to the execution history of a task and prunes the too old records.
+   * @param  {OrgTask}  task        the task
+   * @param  {number}   scheduledAt the timestamp when the task was scheduled to run
+   * @param  {string}   status      the status of the run
+   * @param  {string}   runError    the error text if the run failed, null otherwise
+   * @return {Promise}              nothing
+   */
+  async recordRun(task, scheduledAt, status, runError) {
+    let maxHistoryRuns = Number.parseInt(this.context.prefsManager.max_task_history_runs, 10);
+    if (Number.isNaN(maxHistoryRuns) || maxHistoryRuns <= 0) {
+      maxHistoryRuns = DefaultMaxHistoryRuns;
+    }
 
-          proposedTime.setDate(proposedTime.getDate() + dayDistance);
-          break;
-        }
+    const run = {
+      source: task.source,
+      orgId: task.orgId,
+      taskId: task.id,
+      scheduledAt,
+      executedAt: status === TaskRun.STATUSES.skipped.name ? null : task.lastRunAt,
+      channelId: task.content === undefined || task.content.channel === undefined ? null : task.content.channel,
+      status,
+      error: runError
+    };
+
+    await this.context.dbManager.taskRunsTable.insertOrUpdate(run);
+    await this.context.dbManager.taskRunsTable.pruneRuns(task.source, task.orgId, task.id, maxHistoryRuns);
+  }
 
-        const recurrenceShift = TimeArg.RECURRENCE_SHIFTS[definedKeys[indicesWithAnyValue[i]]];
-        const nextValue =
-          TimeArg.DEFINITION_FUNCTIONS[definedKeys[indicesWithAnyValue[i]]].getFunc(proposedTime) +
-          recurrenceShift.step;
-        if (nextValue <= recurrenceShift.maxValue) {
-          TimeArg.DEFINITION_FUNCTIONS[definedKeys[indicesWithAnyValue[i]]].setFunc(proposedTime, nextValue);
-          break;
-        } else {
-          TimeArg.DEFINITION_FUNCTIONS[definedKeys[indicesWithAnyValue[i]]].setFunc(
-            proposedTime,
-            recurrenceShift.minValue
-          );
-          continue;
-        }
-      }
+  /**
+   * Deletes the task from DB which is no longer needed.
+   * @param  {OrgTask}  task the task to delete
+   * @return {Promise}       nothing
+   */
+  deleteTask(task) {
+    if (!this.tasks.has(Scheduler.makeTaskKey(task))) {
+      return;
     }
 
-    return proposedTime.getTime() - currentTime.getTime();
+    this.context.log.v('Scheduler deleteTask: task.id: ' + task.id + '; found in the list, removing.');
+    this.cancelTask(task);
+    this.context.dbManager.tasksTable.deleteRows(task.source, task.orgId, { id: task.id });
+  }
+
+  /**
+   * Calculates the time in milliseconds till the next execution moment for a task.
+   * The moment is calculated in the task's timezone (UTC if not defined).
+   * @see NextRunCalculator.getNextRunTime
+   * @param  {OrgTask} task       the task to be scheduled
+   * @param  {number}  [fromTime] the timestamp to calculate the difference from (the current moment by default)
+   * @return {number}             the time difference between the next execution moment and the "from" moment
+   *                              in milliseconds (negative for the one-shot tasks in the past,
+   *                              -1 if the task has no more execution moments)
+   */
+  getNextExecutionTimeDiff(task, fromTime) {
+    const now = fromTime === undefined ? Date.now() : fromTime;
+    const definitions = task.time.definitions;
+    const nextTime = NextRunCalculator.getNextRunTime(definitions, TimeArg.getTimezone(definitions), now);
+    return nextTime === null ? -1 : nextTime - now;
   }
 }
 
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * @module slack-sync-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+/**
+ * Keeps the DB copy of the Slack workspace, its channels and users in sync with Slack.
+ * A Slack bot token belongs to one workspace, so the full sync is made on start, and then the changes
+ * come as the events of the workspace.
+ * @alias SlackSyncManager
+ */
+class SlackSyncManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Subscribes the manager to the Slack client events which affect the DB copy of the workspace.
+   * @param {SlackClient} client the Slack client
+   */
+  subscribe(client) {
+    client.on('channel_created', event => this.handleEvent('channel_created', () => this.onChannelChanged(event)));
+    client.on('channel_rename', event => this.handleEvent('channel_rename', () => this.onChannelChanged(event)));
+    client.on('channel_deleted', event => this.handleEvent('channel_deleted', () => this.onChannelRemoved(event)));
+    client.on('channel_archive', event => this.handleEvent('channel_archive', () => this.onChannelRemoved(event)));
+    client.on('team_join', event => this.handleEvent('team_join', () => this.onUserChanged(event)));
+    client.on('user_change', event => this.handleEvent('user_change', () => this.onUserChanged(event)));
+    client.on('app_uninstalled', event => this.handleEvent('app_uninstalled', () => this.onAppRemoved(event)));
+    client.on('tokens_revoked', event => this.handleEvent('tokens_revoked', () => this.onAppRemoved(event)));
+  }
+
+  /**
+   * Runs a handler of a Slack event, if the client is ready. Logs the errors, if happened.
+   * @param  {string}   eventName the name of the Slack event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.slackClientReady) {
+      this.context.log.w('SlackSyncManager: skipping ' + eventName + ', the client is not ready');
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('SlackSyncManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Performs the full sync of the workspace, its channels and users with the DB.
+   * @return {Promise} nothing
+   */
+  async reconcile() {
+    const client = this.context.slackClient;
+    const team = await client.getTeamInfo();
+    await this.context.dbManager.orgsTable.updateOneFromSlack(team);
+
+    const channels = await client.listChannels();
+    await this.context.dbManager.channelsTable.updateFromSlack(channels, team);
+
+    const users = await client.listUsers();
+    await this.context.dbManager.membersTable.updateFromSlack(
+      users.filter(user => SlackSyncManager.isHumanUser(user)),
+      team
+    );
+
+    this.context.log.i('SlackSyncManager reconcile: ' + team.id + ', channels: ' + channels.length);
+  }
+
+  /**
+   * Handles a created or renamed channel.
+   * @param  {Object}  event the Slack event with the channel
+   * @return {Promise}       nothing
+   */
+  async onChannelChanged(event) {
+    await this.context.dbManager.channelsTable.updateOneFromSlack(event.channel, { id: event.team_id });
+  }
+
+  /**
+   * Handles a deleted or archived channel. The channel may be given as an object or as an identifier.
+   * @param  {Object}  event the Slack event with the channel
+   * @return {Promise}       nothing
+   */
+  async onChannelRemoved(event) {
+    const channel = typeof event.channel === 'string' ? { id: event.channel } : event.channel;
+    await this.context.dbManager.channelsTable.deleteOneFromSlack(channel, { id: event.team_id });
+  }
+
+  /**
+   * Handles a joined or changed user. The deactivated users get deleted.
+   * @param  {Object}  event the Slack event with the user
+   * @return {Promise}       nothing
+   */
+  async onUserChanged(event) {
+    await this.updateUser(event.user, { id: event.team_id });
+  }
+
+  /**
+   * Handles the removal of the Bot from the workspace. All data related to the workspace gets deleted
+   * via the hooks of the OrgsTable.
+   * @see DbManager#onOrgDeleted
+   * @param  {Object}  event the Slack event
+   * @return {Promise}       nothing
+   */
+  async onAppRemoved(event) {
+    this.context.log.i('SlackSyncManager onAppRemoved: ' + event.team_id);
+    await this.context.dbManager.orgsTable.deleteOneFromSlack({ id: event.team_id });
+  }
+
+  /**
+   * Inserts, updates or deletes the member row of a Slack user, depending on the user's state.
+   * The bots are skipped.
+   * @param  {Object}  user the Slack user
+   * @param  {Object}  team the Slack workspace (at least with the identifier)
+   * @return {Promise}      nothing
+   */
+  async updateUser(user, team) {
+    if (user.is_bot) {
+      return;
+    }
+
+    if (!SlackSyncManager.isHumanUser(user)) {
+      await this.context.dbManager.membersTable.deleteOneFromSlack(user, team);
+      return;
+    }
+
+    await this.context.dbManager.membersTable.updateOneFromSlack(user, team);
+  }
+
+  /**
+   * Fetches the actual info about a user from Slack and updates the member row accordingly.
+   * Used for the permission checks, so the recent changes of the roles are considered.
+   * @param  {string}          teamId the identifier of the workspace
+   * @param  {string}          userId the identifier of the user
+   * @return {Promise<Object>}        the Slack user
+   */
+  async fetchUser(teamId, userId) {
+    const user = await this.context.slackClient.getUserInfo(userId);
+    await this.updateUser(user, { id: teamId });
+    return user;
+  }
+
+  /**
+   * Checks if a Slack user is an active human user (not a bot and not deactivated).
+   * @param  {Object}  user the Slack user
+   * @return {boolean}      true if the user is an active human, false otherwise
+   */
+  static isHumanUser(user) {
+    // Slackbot is not marked as a bot, but has a special identifier.
+    return !user.is_bot && !user.deleted && user.id !== 'USLACKBOT';
+  }
+}
+
+/**
+ * Exports the SlackSyncManager class
+ * @type {SlackSyncManager}
+ */
+module.exports = SlackSyncManager;
@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * @module slash-commands-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const LangManager = require('./lang-manager');
+
+const BaseMessage = require('../components/base-message');
+const DiscordInteractionMessage = require('../components/discord-interaction-message');
+
+const BooleanArgScanner = require('../arg_scanners/boolean-arg-scanner');
+
+const CommandOverrides = require('../utils/command-overrides');
+
+const BotTable = require('../mongo_classes/bot-table');
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+const InteractionCreateEvent = 'INTERACTION_CREATE';
+const ApplicationCommandInteractionType = 2;
+
+/**
+ * The types of the slash command options used for the commands' arguments.
+ * @type {Object}
+ */
+const OptionTypes = Object.freeze({
+  string: 3,
+  integer: 4,
+  boolean: 5
+});
+
+const SlashNameRe = /^[\p{Ll}\p{Lo}\p{N}_-]{1,32}$/u;
+const MaxDescriptionLength = 100;
+const MaxOptions = 25;
+const MaxCommands = 100;
+
+/**
+ * Exposes the guild Discord commands as the Discord slash commands (application commands).
+ * The slash commands are registered for each guild, with the names and the descriptions in the guild's locale,
+ * and with the options generated from the commands' arguments. The invoked slash commands are processed
+ * by the CommandsParser the same way as the text commands, but the arguments are taken from the options.
+ * The discord.js version used by the Bot does not support the interactions, so the raw gateway events
+ * and the raw API requests are used.
+ * @see DiscordInteractionMessage
+ * @see CommandsParser#executeCommand
+ * @alias SlashCommandsManager
+ */
+class SlashCommandsManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+    this.discordSource = null;
+  }
+
+  /**
+   * The types of the slash command options used for the commands' arguments.
+   * @type {Object}
+   */
+  static get OPTION_TYPES() {
+    return OptionTypes;
+  }
+
+  /**
+   * Makes the name of a slash command or an option from a localized text.
+   * @param  {string} text the localized text
+   * @return {string}      the name, or null if the text cannot be used as a name
+   */
+  static makeName(text) {
+    const name = text.toLowerCase();
+    return SlashNameRe.test(name) ? name : null;
+  }
+
+  /**
+   * Makes the description of a slash command or an option from a localized text, fitting the Discord limits.
+   * @param  {string} text the localized text
+   * @return {string}      the description
+   */
+  static makeDescription(text) {
+    const description = text.replace(/\s+/g, ' ').trim();
+    if (description.length <= MaxDescriptionLength) {
+      return description;
+    }
+
+    return description.slice(0, MaxDescriptionLength - 1) + '…';
+  }
+
+  /**
+   * Gets the name of the option representing a command's argument: the first of the argument's aliases
+   * which can be used as a name, otherwise the argument's own name.
+   * @param  {CommandArgDef} arg         the argument definition
+   * @param  {LangManager}   langManager the language manager to localize the aliases
+   * @return {string}                    the name, or null if neither of the names can be used
+   */
+  static getOptionName(arg, langManager) {
+    for (const aliasId of arg.aliasIds.filter(id => langManager.hasString(id))) {
+      const name = this.makeName(langManager.getString(aliasId));
+      if (name !== null) {
+        return name;
+      }
+    }
+
+    return this.makeName(arg.name);
+  }
+
+  /**
+   * Gets the type of the option representing a command's argument.
+   * @param  {CommandArgDef} arg the argument definition
+   * @return {number}            the option type
+   */
+  static getOptionType(arg) {
+    if (arg.scanner === BooleanArgScanner) {
+      return OptionTypes.boolean;
+    }
+
+    return arg.validationOptions.isNonNegativeInteger ? OptionTypes.integer : OptionTypes.string;
+  }
+
+  /**
+   * Makes the definition of the slash command representing a command class. All the options are optional,
+   * since the arguments may have the default values, and their validation is done by the commands.
+   * @param  {constructor<DiscordCommand>} commandClass the command class
+   * @param  {Context}                     context      the Bot's context
+   * @param  {LangManager}                 langManager  the language manager to localize the command
+   * @return {Object}                                   the slash command data, or null if the name is not suitable
+   */
+  static makeCommandData(commandClass, context, langManager) {
+    const name = this.makeName(langManager.getString(commandClass.getCommandInterfaceName()));
+    if (name === null) {
+      return null;
+    }
+
+    const options = [];
+    for (const arg of Object.values(commandClass.getDefinedArgs())) {
+      const optionName = this.getOptionName(arg, langManager);
+      if (optionName === null || options.length >= MaxOptions) {
+        continue;
+      }
+
+      options.push({
+        type: this.getOptionType(arg),
+        name: optionName,
+        description: this.makeDescription(
+          langManager.hasString(arg.helpId) ? langManager.getString(arg.helpId) : optionName
+        ),
+        required: false
+      });
+    }
+
+    return {
+      name,
+      description: this.makeDescription(commandClass.getHelpText(context, langManager)),
+      options
+    };
+  }
+
+  /**
+   * Finds the command class invoked by a slash command.
+   * @param  {Array<constructor<DiscordCommand>>} commandClasses the defined command classes
+   * @param  {string}                             name           the name of the invoked slash command
+   * @param  {LangManager}                        langManager    the language manager the commands are localized by
+   * @return {constructor<DiscordCommand>}                       the command class, or undefined if not found
+   */
+  static findCommandClass(commandClasses, name, langManager) {
+    return commandClasses.find(
+      commandClass => this.makeName(langManager.getString(commandClass.getCommandInterfaceName())) === name
+    );
+  }
+
+  /**
+   * Converts the options of an invoked slash command to the texts of the command's arguments,
+   * so they can be scanned the same way as the arguments of the text commands.
+   * @param  {constructor<DiscordCommand>} commandClass       the command class
+   * @param  {Array<Object>}               options            the options of the invoked slash command (can be empty)
+   * @param  {LangManager}                 langManager        the language manager the options are localized by
+   * @param  {LangManager}                 commandLangManager the language manager to be used for the command
+   * @return {Object}                                         the texts of the arguments by their keys
+   */
+  static makeArgTexts(commandClass, options, langManager, commandLangManager) {
+    const definedArgs = commandClass.getDefinedArgs();
+    const argTexts = {};
+    for (const option of options === undefined ? [] : options) {
+      const argKey = Object.keys(definedArgs).find(
+        key => this.getOptionName(definedArgs[key], langManager) === option.name
+      );
+      if (argKey === undefined) {
+        continue;
+      }
+
+      if (option.type === OptionTypes.boolean) {
+        argTexts[argKey] = commandLangManager.getString(option.value ? 'arg_boolean_true' : 'arg_boolean_false');
+      } else {
+        argTexts[argKey] = String(option.value);
+      }
+    }
+
+    return argTexts;
+  }
+
+  /**
+   * Subscribes the manager to the Discord client events which are needed for the slash commands.
+   * @param {Client}        client        the Discord client
+   * @param {DiscordSource} discordSource the Discord source to process the commands with
+   */
+  subscribe(client, discordSource) {
+    this.discordSource = discordSource;
+    client.on('raw', packet => {
+      if (packet.t === InteractionCreateEvent) {
+        this.handleEvent('interactionCreate', () => this.onInteraction(packet.d));
+      }
+    });
+    client.on('guildCreate', guild => this.handleEvent('guildCreate', () => this.registerCommands(guild)));
+  }
+
+  /**
+   * Runs a handler of a Discord event, if the client is ready. Logs the errors, if happened.
+   * @param  {string}   eventName the name of the Discord event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.discordClientReady) {
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('SlashCommandsManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Checks if the slash commands should be registered, according to the preferences.
+   * @return {boolean} true if the slash commands are enabled, false otherwise
+   */
+  isEnabled() {
+    return this.context.prefsManager.discord_slash_commands === 'true';
+  }
+
+  /**
+   * Gets the language manager with the locale of a guild. The slash commands of the guild are localized by it.
+   * @param  {string}               orgId the organization identifier
+   * @return {Promise<LangManager>}       the language manager
+   */
+  async getOrgLangManager(orgId) {
+    const localeName = await this.context.dbManager.getSetting(
+      BotTable.DISCORD_SOURCE,
+      orgId,
+      ServerSettingsTable.SERVER_SETTINGS.localeName.name
+    );
+    return new LangManager(this.context.localizationPath, localeName);
+  }
+
+  /**
+   * Registers the slash commands for all guilds of the Bot.
+   * @return {Promise} nothing
+   */
+  async registerAllCommands() {
+    for (const guild of this.context.discordClient.guilds.cache.array()) {
+      // Registering one by one to not exceed the rate limits of Discord.
+      /* eslint-disable no-await-in-loop */
+      await this.registerCommands(guild);
+      /* eslint-enable no-await-in-loop */
+    }
+  }
+
+  /**
+   * Registers (overwrites) the slash commands of a guild, localized in the guild's locale.
+   * Should be called again after the guild's locale is changed. Logs the errors, if happened.
+   * @param  {Guild}   guild the Discord guild
+   * @return {Promise}       nothing
+   */
+  async registerCommands(guild) {
+    if (!this.isEnabled() || this.discordSource === null) {
+      return;
+    }
+
+    try {
+      const langManager = await this.getOrgLangManager(guild.id);
+      const commandsData = this.discordSource.commandManager.definedCommands
+        .map(commandClass => SlashCommandsManager.makeCommandData(commandClass, this.context, langManager))
+        .filter(commandData => commandData !== null);
+      if (commandsData.length > MaxCommands) {
+        this.context.log.w('SlashCommandsManager: too many commands, registering the first ' + MaxCommands);
+      }
+
+      await this.context.discordClient.api
+        .applications(this.context.discordClient.user.id)
+        .guilds(guild.id)
+        .commands.put({ data: commandsData.slice(0, MaxCommands) });
+    } catch (error) {
+      this.context.log.e(
+        'SlashCommandsManager: cannot register commands for guild ' +
+          guild.id +
+          ': ' +
+          error +
+          '; stack: ' +
+          error.stack
+      );
+    }
+  }
+
+  /**
+   * Processes an invoked slash command: defers the response and executes the command.
+   * @param  {Object}  interaction the raw interaction data from the Discord gateway
+   * @return {Promise}             nothing
+   */
+  async onInteraction(interaction) {
+    if (
+      interaction.type !== ApplicationCommandInteractionType ||
+      !interaction.guild_id ||
+      this.discordSource === null
+    ) {
+      return;
+    }
+
+    const guild = this.context.discordClient.guilds.cache.get(interaction.guild_id);
+    const channel = guild === undefined ? undefined : guild.channels.cache.get(interaction.channel_id);
+    if (channel === undefined) {
+      return;
+    }
+
+    const member = await guild.members.fetch(interaction.member.user.id);
+    const options = interaction.data.options === undefined ? [] : interaction.data.options;
+    const content =
+      '/' + interaction.data.name + options.map(option => ' ' + option.name + ': ' + option.value).join('');
+    const interactionMessage = new DiscordInteractionMessage(
+      this.context,
+      interaction,
+      guild,
+      channel,
+      member,
+      content
+    );
+    await interactionMessage.defer();
+
+    try {
+      await this.executeInteraction(interactionMessage);
+    } finally {
+      // The deferred response must not stay forever, even if the command failed unexpectedly.
+      await interactionMessage.finish();
+    }
+  }
+
+  /**
+   * Finds the command invoked by a slash command and executes it with the arguments taken from the options.
+   * @param  {DiscordInteractionMessage} interactionMessage the message representing the interaction
+   * @return {Promise}                                      nothing
+   */
+  async executeInteraction(interactionMessage) {
+    const message = BaseMessage.createFromDiscord(interactionMessage, this.discordSource);
+    const langManager = await this.getOrgLangManager(message.orgId);
+    const commandLangManager = await this.context.commandsParser.getCommandLangManager(message);
+    const commandClass = SlashCommandsManager.findCommandClass(
+      this.discordSource.commandManager.definedCommands,
+      interactionMessage.interaction.data.name,
+      langManager
+    );
+    if (commandClass === undefined) {
+      this.context.log.w('SlashCommandsManager: unknown command: ' + message.content);
+      message.replyError(commandLangManager.getString('slash_command_unknown'));
+      return;
+    }
+
+    const overrides = await CommandOverrides.getOverrides(this.context, message.source.name, message.orgId);
+    if (CommandOverrides.isDisabled(commandClass, overrides)) {
+      this.context.log.i('SlashCommandsManager: disabled command: ' + message.content);
+      message.replyError(commandLangManager.getString('slash_command_disabled'));
+      return;
+    }
+
+    this.context.log.i('SlashCommandsManager: found command: ' + message.content);
+    const argTexts = SlashCommandsManager.makeArgTexts(
+      commandClass,
+      interactionMessage.interaction.data.options,
+      langManager,
+      commandLangManager
+    );
+    await this.context.commandsParser.executeCommand(message, commandClass, commandLangManager, argTexts);
+  }
+}
+
+/**
+ * Exports the SlashCommandsManager class
+ * @type {SlashCommandsManager}
+ */
+module.exports = SlashCommandsManager;
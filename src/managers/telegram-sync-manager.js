@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * @module telegram-sync-manager
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const TelegramUtils = require('../utils/telegram-utils');
+
+const OrgAdmin = require('../mongo_classes/org-admin');
+
+const LeftStatuses = Object.freeze(['left', 'kicked']);
+
+/**
+ * Keeps the DB copy of Telegram groups, members and administrators in sync with Telegram.
+ * Unlike Discord, the Bot API provides no lists of the groups and their members, so the groups and the members
+ * are stored as they appear in the updates (messages, joins etc.). The administrators of a group are fetched
+ * when the group is seen for the first time since the start, and are refreshed on the permission checks.
+ * @alias TelegramSyncManager
+ */
+class TelegramSyncManager {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+    this.syncedChatIds = new Set();
+  }
+
+  /**
+   * Subscribes the manager to the Telegram client events which affect the DB copy of groups.
+   * @param {TelegramClient} client the Telegram client
+   */
+  subscribe(client) {
+    client.on('message', message => this.handleEvent('message', () => this.onMessage(message)));
+    client.on('my_chat_member', update => this.handleEvent('my_chat_member', () => this.onMyChatMember(update)));
+    client.on('chat_member', update => this.handleEvent('chat_member', () => this.onChatMember(update)));
+  }
+
+  /**
+   * Runs a handler of a Telegram event, if the client is ready. Logs the errors, if happened.
+   * @param  {string}   eventName the name of the Telegram event
+   * @param  {Function} handler   the async handler of the event
+   * @return {Promise}            nothing
+   */
+  async handleEvent(eventName, handler) {
+    if (!this.context.telegramClientReady) {
+      this.context.log.w('TelegramSyncManager: skipping ' + eventName + ', the client is not ready');
+      return;
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      this.context.log.e('TelegramSyncManager ' + eventName + ' error: ' + error + '; stack: ' + error.stack);
+    }
+  }
+
+  /**
+   * Handles a message in a chat: stores the group, its administrators (once) and the members mentioned
+   * in the message (the author, the joined and the left members).
+   * @param  {Object}  message the Telegram message
+   * @return {Promise}         nothing
+   */
+  async onMessage(message) {
+    const chat = message.chat;
+    if (!TelegramUtils.isGroupChat(chat)) {
+      return;
+    }
+
+    if (message.migrate_to_chat_id !== undefined) {
+      // The basic group became a supergroup with a new identifier, the old one will not be used anymore.
+      this.context.log.i('TelegramSyncManager onMessage: ' + chat.id + ' migrated to ' + message.migrate_to_chat_id);
+      this.syncedChatIds.delete(chat.id);
+      await this.context.dbManager.orgsTable.deleteOneFromTelegram(chat);
+      return;
+    }
+
+    await this.context.dbManager.orgsTable.updateOneFromTelegram(chat);
+    if (!this.syncedChatIds.has(chat.id)) {
+      await this.syncAdmins(chat);
+      this.syncedChatIds.add(chat.id);
+    }
+
+    const users = [message.from].concat(message.new_chat_members === undefined ? [] : message.new_chat_members);
+    await Promise.all(
+      users
+        .filter(user => user !== undefined && !user.is_bot)
+        .map(user => this.context.dbManager.membersTable.updateOneFromTelegram(user, chat))
+    );
+
+    if (message.left_chat_member !== undefined) {
+      await this.removeMember(message.left_chat_member, chat);
+    }
+  }
+
+  /**
+   * Handles the change of the Bot's own status in a chat. If the Bot left the group (or was removed),
+   * then all data related to the group gets deleted via the hooks of the OrgsTable.
+   * @see DbManager#onOrgDeleted
+   * @param  {Object}  update the Telegram chat member update
+   * @return {Promise}        nothing
+   */
+  async onMyChatMember(update) {
+    const chat = update.chat;
+    if (!TelegramUtils.isGroupChat(chat)) {
+      return;
+    }
+
+    if (LeftStatuses.includes(update.new_chat_member.status)) {
+      this.context.log.i('TelegramSyncManager onMyChatMember: left ' + chat.id + ' (' + chat.title + ')');
+      this.syncedChatIds.delete(chat.id);
+      await this.context.dbManager.orgsTable.deleteOneFromTelegram(chat);
+      return;
+    }
+
+    this.context.log.i('TelegramSyncManager onMyChatMember: joined ' + chat.id + ' (' + chat.title + ')');
+    await this.context.dbManager.orgsTable.updateOneFromTelegram(chat);
+  }
+
+  /**
+   * Handles the change of a member's status in a group (joins, leaves, promotions etc.).
+   * Telegram sends such updates only if the Bot is an administrator of the group.
+   * @param  {Object}  update the Telegram chat member update
+   * @return {Promise}        nothing
+   */
+  async onChatMember(update) {
+    const chat = update.chat;
+    const chatMember = update.new_chat_member;
+    if (!TelegramUtils.isGroupChat(chat) || chatMember.user.is_bot) {
+      return;
+    }
+
+    if (LeftStatuses.includes(chatMember.status)) {
+      await this.removeMember(chatMember.user, chat);
+      return;
+    }
+
+    await this.context.dbManager.membersTable.updateOneFromTelegram(chatMember.user, chat);
+    await this.updateAdmin(chatMember, chat);
+  }
+
+  /**
+   * Deletes the rows of a member who left a group.
+   * @param  {Object}  user the Telegram user
+   * @param  {Object}  chat the Telegram chat
+   * @return {Promise}      nothing
+   */
+  async removeMember(user, chat) {
+    await this.context.dbManager.membersTable.deleteOneFromTelegram(user, chat);
+    await this.context.dbManager.adminsTable.deleteOneFromTelegram({ user, status: LeftStatuses[0] }, chat);
+  }
+
+  /**
+   * Inserts, updates or deletes the administrator row of a chat member, depending on the member's status.
+   * @param  {Object}            chatMember the Telegram chat member
+   * @param  {Object}            chat       the Telegram chat
+   * @return {Promise<OrgAdmin>}            the administrator row, or null if the member is not an administrator
+   */
+  async updateAdmin(chatMember, chat) {
+    if (!OrgAdmin.isTelegramAdmin(chatMember)) {
+      await this.context.dbManager.adminsTable.deleteOneFromTelegram(chatMember, chat);
+      return null;
+    }
+
+    await this.context.dbManager.adminsTable.updateOneFromTelegram(chatMember, chat);
+    return OrgAdmin.createFromTelegramEntity(chatMember, chat);
+  }
+
+  /**
+   * Performs the full sync of the administrators of a group with the DB.
+   * @param  {Object}  chat the Telegram chat
+   * @return {Promise}      nothing
+   */
+  async syncAdmins(chat) {
+    const chatMembers = await this.context.telegramClient.getChatAdministrators(chat.id);
+    await this.context.dbManager.adminsTable.updateFromTelegram(chatMembers, chat);
+  }
+
+  /**
+   * Fetches the actual status of a user in a group from Telegram and updates the administrator row accordingly.
+   * Used for the permission checks, so the recent promotions and demotions are considered.
+   * @param  {Object}            chat the Telegram chat
+   * @param  {Object}            user the Telegram user
+   * @return {Promise<OrgAdmin>}      the administrator row, or null if the user is not an administrator
+   */
+  async fetchAdmin(chat, user) {
+    const chatMember = await this.context.telegramClient.getChatMember(chat.id, user.id);
+    return this.updateAdmin(chatMember, chat);
+  }
+}
+
+/**
+ * Exports the TelegramSyncManager class
+ * @type {TelegramSyncManager}
+ */
+module.exports = TelegramSyncManager;
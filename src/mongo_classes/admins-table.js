@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * @module admins-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgAdmin = require('./org-admin');
+
+const ADMINS_TABLE_NAME = 'admins';
+
+/**
+ * Represents administrators table. Keeps the administrators of the organizations of the sources
+ * where the administrators are not defined by roles (like Telegram).
+ * @see OrgAdmin
+ * @alias AdminsTable
+ * @extends BotTable
+ */
+class AdminsTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get ADMINS_TABLE_NAME() {
+    return ADMINS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgAdmin;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgAdmin(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return ADMINS_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the AdminsTable class
+ * @type {AdminsTable}
+ */
+module.exports = AdminsTable;
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * @module appeals-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgAppeal = require('./org-appeal');
+
+const APPEALS_TABLE_NAME = 'appeals';
+
+/**
+ * Represents appeals table. Keeps the appeals of the users against the moderation cases and the decisions on them.
+ * @see AppealManager
+ * @see OrgAppeal
+ * @alias AppealsTable
+ * @extends BotTable
+ */
+class AppealsTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get APPEALS_TABLE_NAME() {
+    return APPEALS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgAppeal;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgAppeal(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return APPEALS_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the AppealsTable class
+ * @type {AppealsTable}
+ */
+module.exports = AppealsTable;
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * @module automod-rules-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgAutomodRule = require('./org-automod-rule');
+
+const AUTOMOD_RULES_TABLE_NAME = 'automod_rules';
+
+/**
+ * Represents automoderation rules table. Keeps the tracked events, their limits and the actions of automoderation
+ * in the organizations.
+ * @see AutomodManager
+ * @see OrgAutomodRule
+ * @alias AutomodRulesTable
+ * @extends BotTable
+ */
+class AutomodRulesTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get AUTOMOD_RULES_TABLE_NAME() {
+    return AUTOMOD_RULES_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgAutomodRule;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgAutomodRule(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return AUTOMOD_RULES_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the AutomodRulesTable class
+ * @type {AutomodRulesTable}
+ */
+module.exports = AutomodRulesTable;
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * @module bad-words-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgBadWord = require('./org-bad-word');
+
+const BAD_WORDS_TABLE_NAME = 'bad_words';
+
+/**
+ * Represents bad words table. Keeps the words censored in the organizations, with their match modes.
+ * @see MessageModerator
+ * @see OrgBadWord
+ * @alias BadWordsTable
+ * @extends BotTable
+ */
+class BadWordsTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get BAD_WORDS_TABLE_NAME() {
+    return BAD_WORDS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgBadWord;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgBadWord(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return BAD_WORDS_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the BadWordsTable class
+ * @type {BadWordsTable}
+ */
+module.exports = BadWordsTable;
@@ -82,6 +82,30 @@ class BotRow {
     throw new Error('createFromDiscordEntity: ' + this.name + ' is an abstract class');
   }
 
+  /**
+   * Creates an instance based on a Telegram entity
+   * @param  {Object} telegramEntity the Telegram object to create instance from
+   * @param  {Object} chat           the Telegram chat which the object belongs to
+   * @return {Object}                the instance created
+   */
+  static createFromTelegramEntity(telegramEntity, chat) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('createFromTelegramEntity: ' + this.name + ' is an abstract class');
+  }
+
+  /**
+   * Creates an instance based on a Slack entity
+   * @param  {Object} slackEntity the Slack object to create instance from
+   * @param  {Object} team        the Slack workspace which the object belongs to
+   * @return {Object}             the instance created
+   */
+  static createFromSlackEntity(slackEntity, team) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('createFromSlackEntity: ' + this.name + ' is an abstract class');
+  }
+
   /**
    * Gets the keys of the row instance.
    * @return {Object} the object containing key values of the row object
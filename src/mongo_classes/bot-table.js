@@ -12,6 +12,8 @@ const util = require('util');
 const OhUtils = require('../utils/bot-utils');
 
 const DISCORD_SOURCE = 'Discord';
+const TELEGRAM_SOURCE = 'Telegram';
+const SLACK_SOURCE = 'Slack';
 
 /**
  * Represents a DB table.
@@ -37,6 +39,22 @@ class BotTable {
     return DISCORD_SOURCE;
   }
 
+  /**
+   * Gets the string representing Telegram as the source of data.
+   * @type {String}
+   */
+  static get TELEGRAM_SOURCE() {
+    return TELEGRAM_SOURCE;
+  }
+
+  /**
+   * Gets the string representing Slack as the source of data.
+   * @type {String}
+   */
+  static get SLACK_SOURCE() {
+    return SLACK_SOURCE;
+  }
+
   /**
    * Inits the instance, creates the collection in the DB, necessary indices, assigns hooks etc.
    * @return {Promise} nothing
@@ -287,6 +305,150 @@ class BotTable {
     await this.dbManager.dbo.collection(this.getTableName()).remove(query);
   }
 
+  /**
+   * Inserts or updates a single row in the DB based on the actual information about a Discord entity.
+   * Unlike updateFromDiscord, does not touch other rows of the guild, so it can be used to react on
+   * particular Discord events (e.g. a channel being created or renamed).
+   * @see BotTable#updateFromDiscord
+   * @param  {Object}  discordEntity the Discord object (role, member etc.)
+   * @param  {Guild}   guild         the Discord guild object (may be skipped for the guild entities themselves)
+   * @return {Promise}               nothing
+   */
+  async updateOneFromDiscord(discordEntity, guild) {
+    await this.updateOneRow(this.getRowClass().createFromDiscordEntity(discordEntity, guild));
+  }
+
+  /**
+   * Inserts or updates a single row in the DB based on the actual information about a Telegram entity.
+   * @see BotTable#updateOneFromDiscord
+   * @param  {Object}  telegramEntity the Telegram object (chat, user, chat member etc.)
+   * @param  {Object}  chat           the Telegram chat (may be skipped for the chat entities themselves)
+   * @return {Promise}                nothing
+   */
+  async updateOneFromTelegram(telegramEntity, chat) {
+    await this.updateOneRow(this.getRowClass().createFromTelegramEntity(telegramEntity, chat));
+  }
+
+  /**
+   * Inserts or updates a single row in the DB based on the actual information about a Slack entity.
+   * @see BotTable#updateOneFromDiscord
+   * @param  {Object}  slackEntity the Slack object (workspace, channel, user etc.)
+   * @param  {Object}  team        the Slack workspace (may be skipped for the workspaces themselves)
+   * @return {Promise}             nothing
+   */
+  async updateOneFromSlack(slackEntity, team) {
+    await this.updateOneRow(this.getRowClass().createFromSlackEntity(slackEntity, team));
+  }
+
+  /**
+   * Inserts or updates a single row in the DB, triggers the respective hooks.
+   * @param  {BotRow}  rowFromSource the row made from the actual information of a source
+   * @return {Promise}               nothing
+   */
+  async updateOneRow(rowFromSource) {
+    const updateQuery = rowFromSource.getKey();
+
+    // False positive, the unicorn thinks that "query" is a function here.
+    /* eslint-disable unicorn/no-fn-reference-in-iterator */
+    const rawRows = await this.dbManager.dbo.collection(this.getTableName()).find(updateQuery).toArray();
+    /* eslint-enable unicorn/no-fn-reference-in-iterator */
+
+    if (rawRows[0] === undefined) {
+      await this.dbManager.dbo.collection(this.getTableName()).insertOne(rowFromSource);
+
+      if (this.hooks.onInsertDuringUpdate !== undefined) {
+        await this.hooks.onInsertDuringUpdate(this.dbManager, rowFromSource);
+      }
+
+      this.dbManager.context.log.i(
+        'Table: ' +
+          this.getTableName() +
+          '; 1 entity inserted: ' +
+          util.inspect(rowFromSource, { showHidden: true, depth: 1 })
+      );
+      return;
+    }
+
+    const valuesToUpdate = this.getRowInstance(rawRows[0]).getValuesToUpdate(rowFromSource);
+    if (OhUtils.isEmpty(valuesToUpdate)) {
+      return;
+    }
+
+    const newValues = { $set: valuesToUpdate };
+    await this.dbManager.dbo.collection(this.getTableName()).updateOne(updateQuery, newValues);
+    this.dbManager.context.log.i(
+      'Table: ' +
+        this.getTableName() +
+        '; 1 entity updated, id: ' +
+        util.inspect(updateQuery, { showHidden: false, depth: 1 }) +
+        '; values: ' +
+        util.inspect(newValues, { showHidden: false, depth: 1 })
+    );
+
+    if (this.hooks.onUpdateDuringUpdate !== undefined) {
+      await this.hooks.onUpdateDuringUpdate(this.dbManager, updateQuery);
+    }
+  }
+
+  /**
+   * Deletes a single row from the DB corresponding to a Discord entity which no longer exists.
+   * Triggers the same hooks as deletion during the full update.
+   * @see BotTable#updateFromDiscord
+   * @param  {Object}  discordEntity the Discord object (role, member etc.)
+   * @param  {Guild}   guild         the Discord guild object (may be skipped for the guild entities themselves)
+   * @return {Promise}               nothing
+   */
+  async deleteOneFromDiscord(discordEntity, guild) {
+    await this.deleteOneRow(this.getRowClass().createFromDiscordEntity(discordEntity, guild));
+  }
+
+  /**
+   * Deletes a single row from the DB corresponding to a Telegram entity which no longer exists.
+   * @see BotTable#deleteOneFromDiscord
+   * @param  {Object}  telegramEntity the Telegram object (chat, user, chat member etc.)
+   * @param  {Object}  chat           the Telegram chat (may be skipped for the chat entities themselves)
+   * @return {Promise}                nothing
+   */
+  async deleteOneFromTelegram(telegramEntity, chat) {
+    await this.deleteOneRow(this.getRowClass().createFromTelegramEntity(telegramEntity, chat));
+  }
+
+  /**
+   * Deletes a single row from the DB corresponding to a Slack entity which no longer exists.
+   * @see BotTable#deleteOneFromDiscord
+   * @param  {Object}  slackEntity the Slack object (workspace, channel, user etc.)
+   * @param  {Object}  team        the Slack workspace (may be skipped for the workspaces themselves)
+   * @return {Promise}             nothing
+   */
+  async deleteOneFromSlack(slackEntity, team) {
+    await this.deleteOneRow(this.getRowClass().createFromSlackEntity(slackEntity, team));
+  }
+
+  /**
+   * Deletes a single row from the DB, triggers the same hooks as deletion during the full update.
+   * @param  {BotRow}  rowFromSource the row made from the information of a source
+   * @return {Promise}               nothing
+   */
+  async deleteOneRow(rowFromSource) {
+    const deleteQuery = rowFromSource.getKey();
+
+    const deleteResult = await this.dbManager.dbo.collection(this.getTableName()).deleteOne(deleteQuery);
+    if (deleteResult.deletedCount === 0) {
+      return;
+    }
+
+    this.dbManager.context.log.i(
+      'Table: ' +
+        this.getTableName() +
+        '; 1 entity deleted, id: ' +
+        util.inspect(deleteQuery, { showHidden: false, depth: 1 })
+    );
+
+    if (this.hooks.onDeleteDuringUpdate !== undefined) {
+      await this.hooks.onDeleteDuringUpdate(this.dbManager, rowFromSource);
+    }
+  }
+
   /**
    * Inserts, updates and deletes rows in the DB based on the actual information about the Discord guild.
    * @param  {Collection}  discordCollection the collection of Discord objects (roles, members etc.)
@@ -381,6 +543,51 @@ class BotTable {
       }
     }
   }
+
+  /**
+   * Inserts, updates and deletes rows of a Telegram chat in the DB based on the actual list of Telegram entities
+   * (e.g. the administrators of the chat). The rows of the chat missing in the list get deleted.
+   * @param  {Array<Object>}  telegramEntities the Telegram objects
+   * @param  {Object}         chat             the Telegram chat
+   * @return {Promise}                         nothing
+   */
+  async updateFromTelegram(telegramEntities, chat) {
+    const rowsFromTelegram = telegramEntities.map(entity => this.getRowClass().createFromTelegramEntity(entity, chat));
+    await this.updateRowsFromSource(rowsFromTelegram, { source: BotTable.TELEGRAM_SOURCE, orgId: String(chat.id) });
+  }
+
+  /**
+   * Inserts, updates and deletes rows in the DB based on the actual list of Slack entities.
+   * If the workspace is specified, then only the rows of the workspace are considered (e.g. the channels),
+   * otherwise all Slack rows of the table (e.g. the workspaces themselves).
+   * @param  {Array<Object>}  slackEntities the Slack objects
+   * @param  {Object}         [team]        the Slack workspace
+   * @return {Promise}                      nothing
+   */
+  async updateFromSlack(slackEntities, team) {
+    const rowsFromSlack = slackEntities.map(entity => this.getRowClass().createFromSlackEntity(entity, team));
+    const query = { source: BotTable.SLACK_SOURCE };
+    if (team !== undefined) {
+      query.orgId = team.id;
+    }
+
+    await this.updateRowsFromSource(rowsFromSlack, query);
+  }
+
+  /**
+   * Inserts, updates and deletes rows in the DB based on the actual rows made from a source.
+   * The rows matching the query but missing in the actual list get deleted.
+   * @param  {Array<BotRow>}  rowsFromSource the rows made from the actual information of a source
+   * @param  {Object}         query          the query to get the current rows to be compared with
+   * @return {Promise}                       nothing
+   */
+  async updateRowsFromSource(rowsFromSource, query) {
+    const currentRows = await this.getRows(query);
+
+    const toDelete = currentRows.filter(row => !rowsFromSource.some(sourceRow => row.equalsByKey(sourceRow)));
+    await Promise.all(toDelete.map(row => this.deleteOneRow(row)));
+    await Promise.all(rowsFromSource.map(rowFromSource => this.updateOneRow(rowFromSource)));
+  }
 }
 
 /**
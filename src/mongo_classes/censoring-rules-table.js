@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * @module censoring-rules-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgCensoringRule = require('./org-censoring-rule');
+
+const CENSORING_RULES_TABLE_NAME = 'censoring_rules';
+
+/**
+ * Represents censoring rules table. Keeps the channels, the exempt roles and the actions of censoring
+ * in the organizations.
+ * @see MessageModerator
+ * @see OrgCensoringRule
+ * @alias CensoringRulesTable
+ * @extends BotTable
+ */
+class CensoringRulesTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get CENSORING_RULES_TABLE_NAME() {
+    return CENSORING_RULES_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgCensoringRule;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgCensoringRule(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return CENSORING_RULES_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the CensoringRulesTable class
+ * @type {CensoringRulesTable}
+ */
+module.exports = CensoringRulesTable;
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * @module command-overrides-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgCommandOverride = require('./org-command-override');
+
+const COMMAND_OVERRIDES_TABLE_NAME = 'command_overrides';
+
+/**
+ * Represents command overrides table. Keeps the aliases of the commands and the disabled commands in the organizations.
+ * @see CommandOverrides
+ * @see OrgCommandOverride
+ * @alias CommandOverridesTable
+ * @extends BotTable
+ */
+class CommandOverridesTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get COMMAND_OVERRIDES_TABLE_NAME() {
+    return COMMAND_OVERRIDES_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgCommandOverride;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgCommandOverride(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return COMMAND_OVERRIDES_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the CommandOverridesTable class
+ * @type {CommandOverridesTable}
+ */
+module.exports = CommandOverridesTable;
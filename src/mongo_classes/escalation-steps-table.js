@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * @module escalation-steps-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgEscalationStep = require('./org-escalation-step');
+
+const ESCALATION_STEPS_TABLE_NAME = 'escalation_steps';
+
+/**
+ * Represents escalation steps table. The steps of a server form its escalation ladder: the actions
+ * (like mute, kick or ban) applied to a user automatically when they get a given number of warnings.
+ * @see EscalationLadder
+ * @see OrgEscalationStep
+ * @alias EscalationStepsTable
+ * @extends BotTable
+ */
+class EscalationStepsTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get ESCALATION_STEPS_TABLE_NAME() {
+    return ESCALATION_STEPS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgEscalationStep;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgEscalationStep(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return ESCALATION_STEPS_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the EscalationStepsTable class
+ * @type {EscalationStepsTable}
+ */
+module.exports = EscalationStepsTable;
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * @module link-domains-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgLinkDomain = require('./org-link-domain');
+
+const LINK_DOMAINS_TABLE_NAME = 'link_domains';
+
+/**
+ * Represents link domains table. Keeps the allowed and the denied domains of the links in the organizations.
+ * @see LinkFilter
+ * @see OrgLinkDomain
+ * @alias LinkDomainsTable
+ * @extends BotTable
+ */
+class LinkDomainsTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get LINK_DOMAINS_TABLE_NAME() {
+    return LINK_DOMAINS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgLinkDomain;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgLinkDomain(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return LINK_DOMAINS_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the LinkDomainsTable class
+ * @type {LinkDomainsTable}
+ */
+module.exports = LinkDomainsTable;
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * @module moderation-cases-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgModerationCase = require('./org-moderation-case');
+
+const MODERATION_CASES_TABLE_NAME = 'moderation_cases';
+
+/**
+ * Represents moderation cases table. Keeps the actions made by the moderators (warnings, kicks, bans etc.)
+ * with their reasons and the references to the messages in the moderation logs.
+ * @see BaseModerationCommand
+ * @see OrgModerationCase
+ * @alias ModerationCasesTable
+ * @extends BotTable
+ */
+class ModerationCasesTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get MODERATION_CASES_TABLE_NAME() {
+    return MODERATION_CASES_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgModerationCase;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgModerationCase(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return MODERATION_CASES_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the ModerationCasesTable class
+ * @type {ModerationCasesTable}
+ */
+module.exports = ModerationCasesTable;
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * @module mutes-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const OrgMute = require('./org-mute');
+
+const MUTES_TABLE_NAME = 'mutes';
+
+/**
+ * Represents mutes table. Keeps the currently muted users, so that the muted role can be given back
+ * to a user who leaves the server and joins it again.
+ * @see MuteManager
+ * @see OrgMute
+ * @alias MutesTable
+ * @extends BotTable
+ */
+class MutesTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get MUTES_TABLE_NAME() {
+    return MUTES_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return OrgMute;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new OrgMute(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return MUTES_TABLE_NAME;
+  }
+}
+
+/**
+ * Exports the MutesTable class
+ * @type {MutesTable}
+ */
+module.exports = MutesTable;
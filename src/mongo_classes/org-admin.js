@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * @module org-admin
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const BotRow = require('./bot-row');
+
+const AdminColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  status: 'status',
+  rights: 'rights'
+});
+
+const AdminStatuses = Object.freeze({
+  creator: 'creator',
+  administrator: 'administrator'
+});
+
+const RightPrefix = 'can_';
+
+/**
+ * Represents a DB row of an administrator of the organization, for the sources where the administrators are not
+ * defined by roles (like Telegram). The rights are the names of the granted administrator rights
+ * (like "can_restrict_members"). The creator of the organization has all rights.
+ * @see AdminsTable
+ * @alias OrgAdmin
+ * @extends BotRow
+ */
+class OrgAdmin extends BotRow {
+  /**
+   * Gets the statuses of the administrators.
+   * @type {Object}
+   */
+  static get ADMIN_STATUSES() {
+    return AdminStatuses;
+  }
+
+  /**
+   * Checks if a Telegram chat member is an administrator of the chat.
+   * @param  {Object}  chatMember the Telegram chat member
+   * @return {boolean}            true if the member is an administrator or the creator, false otherwise
+   */
+  static isTelegramAdmin(chatMember) {
+    return Object.values(AdminStatuses).includes(chatMember.status);
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(AdminColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [AdminColumns.id, AdminColumns.source, AdminColumns.orgId];
+  }
+
+  /**
+   * Creates an instance based on a Telegram entity.
+   * @param  {Object} telegramEntity the Telegram chat member (an administrator) to create instance from
+   * @param  {Object} chat           the Telegram chat (a group) which the administrator belongs to
+   * @return {Object}                the instance created
+   */
+  static createFromTelegramEntity(telegramEntity, chat) {
+    const dbObject = {
+      id: String(telegramEntity.user.id),
+      source: BotTable.TELEGRAM_SOURCE,
+      orgId: String(chat.id),
+      status: telegramEntity.status,
+      rights: Object.keys(telegramEntity)
+        .filter(key => key.startsWith(RightPrefix) && telegramEntity[key] === true)
+        .sort()
+    };
+    return new OrgAdmin(dbObject);
+  }
+
+  /**
+   * Checks if the administrator has a given right.
+   * @param  {string}  right the name of the right
+   * @return {boolean}       true if the right is granted, false otherwise
+   */
+  hasRight(right) {
+    return this.status === AdminStatuses.creator || this.rights.includes(right);
+  }
+}
+
+/**
+ * Exports the OrgAdmin class
+ * @type {OrgAdmin}
+ */
+module.exports = OrgAdmin;
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * @module org-appeal
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const AppealColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  caseId: 'caseId',
+  userId: 'userId',
+  text: 'text',
+  status: 'status',
+  timestamp: 'timestamp',
+  channelId: 'channelId',
+  messageId: 'messageId',
+  moderatorId: 'moderatorId'
+});
+
+const AppealStatuses = Object.freeze({
+  pending: 'pending',
+  approved: 'approved',
+  denied: 'denied'
+});
+
+/**
+ * Represents a DB row of an appeal of a user against a moderation case. The channel and the message ids refer
+ * to the message of the appeal posted for the moderators. The moderator id is the moderator who made the decision
+ * (null while the appeal is pending).
+ * @see AppealsTable
+ * @see AppealManager
+ * @alias OrgAppeal
+ * @extends BotRow
+ */
+class OrgAppeal extends BotRow {
+  /**
+   * Gets the possible statuses of an appeal.
+   * @type {Object}
+   */
+  static get APPEAL_STATUSES() {
+    return AppealStatuses;
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(AppealColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [AppealColumns.id, AppealColumns.source, AppealColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgAppeal class
+ * @type {OrgAppeal}
+ */
+module.exports = OrgAppeal;
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * @module org-automod-rule
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const MultiLangValue = require('../utils/multi-lang-value');
+
+const AutomodRuleColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  type: 'type',
+  limit: 'limit',
+  window: 'window',
+  action: 'action',
+  duration: 'duration'
+});
+
+const AutomodTypes = Object.freeze({
+  rate: new MultiLangValue('rate', 'automod_type_rate'),
+  duplicates: new MultiLangValue('duplicates', 'automod_type_duplicates'),
+  mentions: new MultiLangValue('mentions', 'automod_type_mentions'),
+  caps: new MultiLangValue('caps', 'automod_type_caps'),
+  invites: new MultiLangValue('invites', 'automod_type_invites'),
+  joins: new MultiLangValue('joins', 'automod_type_joins')
+});
+
+const AutomodActions = Object.freeze({
+  delete: new MultiLangValue('delete', 'automod_action_delete'),
+  warn: new MultiLangValue('warn', 'automod_action_warn'),
+  mute: new MultiLangValue('mute', 'automod_action_mute'),
+  lock: new MultiLangValue('lock', 'automod_action_lock')
+});
+
+/**
+ * Represents a DB row of an automoderation rule: the action applied when the number of the tracked events
+ * (messages, duplicate messages, mentions, invite links or joined members) within the window (in milliseconds)
+ * reaches the limit. For the excessive caps the limit is the percentage of capital letters in a message,
+ * and the window is not used. The duration (in milliseconds) is applicable to mutes and locks,
+ * zero means the action is permanent.
+ * @see AutomodRulesTable
+ * @see AutomodManager
+ * @alias OrgAutomodRule
+ * @extends BotRow
+ */
+class OrgAutomodRule extends BotRow {
+  /**
+   * Gets the types of the automoderation rules, i.e. what the rules track.
+   * @type {Object}
+   */
+  static get AUTOMOD_TYPES() {
+    return AutomodTypes;
+  }
+
+  /**
+   * Gets the actions of the automoderation rules.
+   * @type {Object}
+   */
+  static get AUTOMOD_ACTIONS() {
+    return AutomodActions;
+  }
+
+  /**
+   * Finds an automoderation rule type by its localized name.
+   * @param  {LangManager}    langManager the language manager to localize the names of the types
+   * @param  {string}         text        the localized name of the type
+   * @return {MultiLangValue}             the type, or undefined if not found
+   */
+  static findType(langManager, text) {
+    return Object.values(AutomodTypes).find(type => langManager.getString(type.textId) === text);
+  }
+
+  /**
+   * Finds an automoderation action by its localized name.
+   * @param  {LangManager}    langManager the language manager to localize the names of the actions
+   * @param  {string}         text        the localized name of the action
+   * @return {MultiLangValue}             the action, or undefined if not found
+   */
+  static findAction(langManager, text) {
+    return Object.values(AutomodActions).find(action => langManager.getString(action.textId) === text);
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(AutomodRuleColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [AutomodRuleColumns.id, AutomodRuleColumns.source, AutomodRuleColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgAutomodRule class
+ * @type {OrgAutomodRule}
+ */
+module.exports = OrgAutomodRule;
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * @module org-bad-word
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const MultiLangValue = require('../utils/multi-lang-value');
+
+const BadWordColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  word: 'word',
+  mode: 'mode'
+});
+
+const MatchModes = Object.freeze({
+  word: new MultiLangValue('word', 'bad_words_mode_word'),
+  substring: new MultiLangValue('substring', 'bad_words_mode_substring'),
+  wildcard: new MultiLangValue('wildcard', 'bad_words_mode_wildcard'),
+  regex: new MultiLangValue('regex', 'bad_words_mode_regex')
+});
+
+/**
+ * Represents a DB row of a "bad word" to be censored in the organization. The match mode defines how the word
+ * is searched in the messages: as a whole word, as a part of any word, as a wildcard pattern ("*" for any letters,
+ * "?" for a single letter) or as a regular expression.
+ * @see BadWordsTable
+ * @see BadWordsMatcher
+ * @alias OrgBadWord
+ * @extends BotRow
+ */
+class OrgBadWord extends BotRow {
+  /**
+   * Gets the modes of matching the bad words.
+   * @type {Object}
+   */
+  static get MATCH_MODES() {
+    return MatchModes;
+  }
+
+  /**
+   * Finds a match mode by its localized name.
+   * @param  {LangManager}    langManager the language manager to localize the names of the modes
+   * @param  {string}         text        the localized name of the mode
+   * @return {MultiLangValue}             the mode, or undefined if not found
+   */
+  static findMatchMode(langManager, text) {
+    return Object.values(MatchModes).find(mode => langManager.getString(mode.textId) === text);
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(BadWordColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [BadWordColumns.id, BadWordColumns.source, BadWordColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgBadWord class
+ * @type {OrgBadWord}
+ */
+module.exports = OrgBadWord;
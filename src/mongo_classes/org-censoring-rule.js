@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * @module org-censoring-rule
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const MultiLangValue = require('../utils/multi-lang-value');
+
+const CensoringRuleColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  channelIds: 'channelIds',
+  exemptRoleIds: 'exemptRoleIds',
+  action: 'action'
+});
+
+const CensoringActions = Object.freeze({
+  censor: new MultiLangValue('censor', 'censoring_action_censor'),
+  delete: new MultiLangValue('delete', 'censoring_action_delete'),
+  warn: new MultiLangValue('warn', 'censoring_action_warn'),
+  log: new MultiLangValue('log', 'censoring_action_log'),
+  ignore: new MultiLangValue('ignore', 'censoring_action_ignore')
+});
+
+/**
+ * Represents a DB row of a censoring rule of the organization: what to do with the messages containing bad words
+ * in the given channels (or in the channels of the given categories). A rule without channels applies to the whole
+ * organization. The members having any of the exempt roles are not censored by the rule.
+ * @see CensoringRulesTable
+ * @see MessageModerator
+ * @alias OrgCensoringRule
+ * @extends BotRow
+ */
+class OrgCensoringRule extends BotRow {
+  /**
+   * Gets the actions of the censoring rules.
+   * @type {Object}
+   */
+  static get CENSORING_ACTIONS() {
+    return CensoringActions;
+  }
+
+  /**
+   * Finds a censoring action by its localized name.
+   * @param  {LangManager}    langManager the language manager to localize the names of the actions
+   * @param  {string}         text        the localized name of the action
+   * @return {MultiLangValue}             the action, or undefined if not found
+   */
+  static findAction(langManager, text) {
+    return Object.values(CensoringActions).find(action => langManager.getString(action.textId) === text);
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(CensoringRuleColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [CensoringRuleColumns.id, CensoringRuleColumns.source, CensoringRuleColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgCensoringRule class
+ * @type {OrgCensoringRule}
+ */
+module.exports = OrgCensoringRule;
@@ -60,6 +60,23 @@ class OrgChannel extends BotRow {
     return new OrgChannel(dbObject);
   }
 
+  /**
+   * Creates an instance based on a Slack entity. All Slack conversations are stored as text channels.
+   * @param  {Object} slackEntity the Slack conversation (a channel) to create instance from
+   * @param  {Object} team        the Slack workspace which the channel belongs to
+   * @return {Object}             the instance created
+   */
+  static createFromSlackEntity(slackEntity, team) {
+    const dbObject = {
+      id: slackEntity.id,
+      source: BotTable.SLACK_SOURCE,
+      orgId: team.id,
+      name: slackEntity.name,
+      type: TEXT_TYPE
+    };
+    return new OrgChannel(dbObject);
+  }
+
   /**
    * Checks if the channel type is text type (according to DB predefined values)
    * @param  {string}   type the name of the text channel type
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * @module org-command-override
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const CommandOverrideColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  type: 'type',
+  command: 'command',
+  alias: 'alias'
+});
+
+const OverrideTypes = Object.freeze({
+  alias: 'alias',
+  disabled: 'disabled'
+});
+
+/**
+ * Represents a DB row of a command override in the organization: either an alias of a command (an additional name
+ * to call the command with), or the mark that the command is disabled. The command is referred by the text id
+ * of its name, so the overrides do not depend on the locale of the organization.
+ * @see CommandOverridesTable
+ * @see CommandOverrides
+ * @alias OrgCommandOverride
+ * @extends BotRow
+ */
+class OrgCommandOverride extends BotRow {
+  /**
+   * Gets the types of the command overrides.
+   * @type {Object}
+   */
+  static get OVERRIDE_TYPES() {
+    return OverrideTypes;
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(CommandOverrideColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [CommandOverrideColumns.id, CommandOverrideColumns.source, CommandOverrideColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgCommandOverride class
+ * @type {OrgCommandOverride}
+ */
+module.exports = OrgCommandOverride;
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * @module org-escalation-step
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const EscalationStepColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  warnings: 'warnings',
+  action: 'action',
+  duration: 'duration'
+});
+
+const EscalationActions = Object.freeze({
+  mute: 'mute',
+  kick: 'kick',
+  ban: 'ban'
+});
+
+/**
+ * Represents a DB row of an escalation step: the action applied to a user who got the given number of warnings.
+ * The duration (in milliseconds) is applicable to mutes and bans, zero means the action is permanent.
+ * @see EscalationStepsTable
+ * @alias OrgEscalationStep
+ * @extends BotRow
+ */
+class OrgEscalationStep extends BotRow {
+  /**
+   * Gets the actions which can be applied by the escalation steps.
+   * @type {Object}
+   */
+  static get ESCALATION_ACTIONS() {
+    return EscalationActions;
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(EscalationStepColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [EscalationStepColumns.id, EscalationStepColumns.source, EscalationStepColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgEscalationStep class
+ * @type {OrgEscalationStep}
+ */
+module.exports = OrgEscalationStep;
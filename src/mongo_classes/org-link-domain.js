@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * @module org-link-domain
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const MultiLangValue = require('../utils/multi-lang-value');
+
+const LinkDomainColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  domain: 'domain',
+  list: 'list'
+});
+
+const LinkLists = Object.freeze({
+  allow: new MultiLangValue('allow', 'link_list_allow'),
+  deny: new MultiLangValue('deny', 'link_list_deny')
+});
+
+/**
+ * Represents a DB row of a link domain of the organization: a domain (optionally followed by a path) in the allowlist
+ * or in the denylist of the links. The domain "*" matches all links.
+ * @see LinkDomainsTable
+ * @see LinkFilter
+ * @alias OrgLinkDomain
+ * @extends BotRow
+ */
+class OrgLinkDomain extends BotRow {
+  /**
+   * Gets the lists of the link domains.
+   * @type {Object}
+   */
+  static get LINK_LISTS() {
+    return LinkLists;
+  }
+
+  /**
+   * Finds a list of the link domains by its localized name.
+   * @param  {LangManager}    langManager the language manager to localize the names of the lists
+   * @param  {string}         text        the localized name of the list
+   * @return {MultiLangValue}             the list, or undefined if not found
+   */
+  static findList(langManager, text) {
+    return Object.values(LinkLists).find(list => langManager.getString(list.textId) === text);
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(LinkDomainColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [LinkDomainColumns.id, LinkDomainColumns.source, LinkDomainColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgLinkDomain class
+ * @type {OrgLinkDomain}
+ */
+module.exports = OrgLinkDomain;
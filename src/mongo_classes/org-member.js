@@ -7,6 +7,8 @@
  */
 
 const DiscordUtils = require('../utils/discord-utils');
+const SlackUtils = require('../utils/slack-utils');
+const TelegramUtils = require('../utils/telegram-utils');
 
 const BotTable = require('./bot-table');
 const BotRow = require('./bot-row');
@@ -61,6 +63,40 @@ class OrgMember extends BotRow {
     };
     return new OrgMember(dbObject);
   }
+
+  /**
+   * Creates an instance based on a Telegram entity. The user name is stored without the "@" prefix.
+   * @param  {Object} telegramEntity the Telegram user to create instance from
+   * @param  {Object} chat           the Telegram chat (a group) which the user belongs to
+   * @return {Object}                the instance created
+   */
+  static createFromTelegramEntity(telegramEntity, chat) {
+    const dbObject = {
+      id: String(telegramEntity.id),
+      source: BotTable.TELEGRAM_SOURCE,
+      orgId: String(chat.id),
+      displayName: TelegramUtils.getDisplayName(telegramEntity),
+      userName: telegramEntity.username === undefined ? null : telegramEntity.username
+    };
+    return new OrgMember(dbObject);
+  }
+
+  /**
+   * Creates an instance based on a Slack entity.
+   * @param  {Object} slackEntity the Slack user to create instance from
+   * @param  {Object} team        the Slack workspace which the user belongs to
+   * @return {Object}             the instance created
+   */
+  static createFromSlackEntity(slackEntity, team) {
+    const dbObject = {
+      id: slackEntity.id,
+      source: BotTable.SLACK_SOURCE,
+      orgId: team.id,
+      displayName: SlackUtils.getDisplayName(slackEntity),
+      userName: slackEntity.name === undefined ? null : slackEntity.name
+    };
+    return new OrgMember(dbObject);
+  }
 }
 
 /**
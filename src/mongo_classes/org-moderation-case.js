@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * @module org-moderation-case
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const ModerationCaseColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  action: 'action',
+  moderatorId: 'moderatorId',
+  targetId: 'targetId',
+  reason: 'reason',
+  timestamp: 'timestamp',
+  textId: 'textId',
+  textArgs: 'textArgs',
+  logChannelId: 'logChannelId',
+  logMessageId: 'logMessageId',
+  warningId: 'warningId'
+});
+
+const CaseActions = Object.freeze({
+  warn: 'warn',
+  kick: 'kick',
+  ban: 'ban',
+  mute: 'mute',
+  unmute: 'unmute',
+  clean: 'clean',
+  addRole: 'addRole',
+  removeRole: 'removeRole'
+});
+
+/**
+ * Represents a DB row of a moderation case: an action made by a moderator. The id of the row is the case number,
+ * sequential within the organization. The text id and the arguments are used to (re)make the text of the case
+ * in the moderation logs, with the reason as the last argument. The target is the user affected by the action
+ * (null if the action affects no particular user, like cleaning channels). The warning id refers to the warning
+ * made by the case (null for the other actions), so that the warning can be deleted if the case gets appealed.
+ * @see ModerationCasesTable
+ * @alias OrgModerationCase
+ * @extends BotRow
+ */
+class OrgModerationCase extends BotRow {
+  /**
+   * Gets the actions recorded as moderation cases.
+   * @type {Object}
+   */
+  static get CASE_ACTIONS() {
+    return CaseActions;
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(ModerationCaseColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [ModerationCaseColumns.id, ModerationCaseColumns.source, ModerationCaseColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgModerationCase class
+ * @type {OrgModerationCase}
+ */
+module.exports = OrgModerationCase;
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * @module org-mute
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const MuteColumns = Object.freeze({
+  id: 'id',
+  source: 'source',
+  orgId: 'orgId',
+  userId: 'userId',
+  moderatorId: 'moderatorId',
+  reason: 'reason',
+  timestamp: 'timestamp'
+});
+
+/**
+ * Represents a DB row of a mute.
+ * @see MutesTable
+ * @alias OrgMute
+ * @extends BotRow
+ */
+class OrgMute extends BotRow {
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(MuteColumns);
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [MuteColumns.id, MuteColumns.source, MuteColumns.orgId];
+  }
+}
+
+/**
+ * Exports the OrgMute class
+ * @type {OrgMute}
+ */
+module.exports = OrgMute;
@@ -57,6 +57,39 @@ class OrgRow extends BotRow {
     };
     return new OrgRow(dbObject);
   }
+
+  /**
+   * Creates an instance based on a Telegram entity.
+   * The identifiers of Telegram are numbers, they are stored as strings similarly to the Discord ones.
+   * @param  {Object} telegramEntity the Telegram chat (a group) to create instance from
+   * @return {Object}                the instance created
+   */
+  static createFromTelegramEntity(telegramEntity) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const dbObject = {
+      id: String(telegramEntity.id),
+      source: BotTable.TELEGRAM_SOURCE,
+      name: telegramEntity.title
+    };
+    return new OrgRow(dbObject);
+  }
+
+  /**
+   * Creates an instance based on a Slack entity.
+   * @param  {Object} slackEntity the Slack workspace (a team) to create instance from
+   * @return {Object}             the instance created
+   */
+  static createFromSlackEntity(slackEntity) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    const dbObject = {
+      id: slackEntity.id,
+      source: BotTable.SLACK_SOURCE,
+      name: slackEntity.name
+    };
+    return new OrgRow(dbObject);
+  }
 }
 
 /**
@@ -8,17 +8,48 @@
 
 const BotRow = require('./bot-row');
 
+const MultiLangValue = require('../utils/multi-lang-value');
+
 const TasksColumns = Object.freeze({
   id: 'id',
   source: 'source',
   orgId: 'orgId',
   type: 'type',
   time: 'time',
-  content: 'content'
+  content: 'content',
+  misfirePolicy: 'misfirePolicy',
+  paused: 'paused',
+  snoozedUntil: 'snoozedUntil',
+  lastRunAt: 'lastRunAt',
+  nextRunAt: 'nextRunAt',
+  runCount: 'runCount',
+  lastError: 'lastError'
 });
 
+// The columns maintained by the Scheduler itself, they should not be overwritten from outside.
+// The snooze is also applied via the Scheduler, since it gets reset after the snoozed run.
+const RunInfoColumns = Object.freeze([
+  TasksColumns.snoozedUntil,
+  TasksColumns.lastRunAt,
+  TasksColumns.nextRunAt,
+  TasksColumns.runCount,
+  TasksColumns.lastError
+]);
+
 const TasksTypes = Object.freeze({
-  reminder: 'reminder'
+  reminder: 'reminder',
+  personalReminder: 'personalReminder',
+  clean: 'clean',
+  poll: 'poll',
+  role: 'role',
+  channelLock: 'channelLock',
+  moderationExpiry: 'moderationExpiry'
+});
+
+const MisfirePolicies = Object.freeze({
+  once: new MultiLangValue('once', 'misfire_policy_once'),
+  skip: new MultiLangValue('skip', 'misfire_policy_skip'),
+  all: new MultiLangValue('all', 'misfire_policy_all')
 });
 
 /**
@@ -52,6 +83,34 @@ class OrgTask extends BotRow {
     return TasksTypes;
   }
 
+  /**
+   * Gets the policies of handling the runs of tasks missed while the Bot was offline.
+   * "once" - run the task once with a delay, "skip" - do not run the missed runs,
+   * "all" - run each of the missed runs (with a limit from the Bot's preferences).
+   * @type {Object}
+   */
+  static get MISFIRE_POLICIES() {
+    return MisfirePolicies;
+  }
+
+  /**
+   * Finds a misfire policy by its localized name.
+   * @param  {LangManager}    langManager the language manager to localize the names of the policies
+   * @param  {string}         text        the localized name of the policy
+   * @return {MultiLangValue}             the policy, or undefined if not found
+   */
+  static findMisfirePolicy(langManager, text) {
+    return Object.values(MisfirePolicies).find(policy => langManager.getString(policy.textId) === text);
+  }
+
+  /**
+   * Gets the columns which contain the execution info of a task (maintained by the Scheduler).
+   * @type {Array<string>}
+   */
+  static get RUN_INFO_COLUMNS() {
+    return RunInfoColumns;
+  }
+
   /**
    * Gets key defined columns of the DB row.
    * @return {Array<string>} the array of key column names
@@ -15,11 +15,15 @@ const WarningColumns = Object.freeze({
   userId: 'userId',
   moderatorId: 'moderatorId',
   reason: 'reason',
-  timestamp: 'timestamp'
+  timestamp: 'timestamp',
+  expiresAt: 'expiresAt',
+  archived: 'archived'
 });
 
 /**
  * Represents a DB row of a warning.
+ * The warning may have its own expiry time (null if not set), and gets archived by the Scheduler once expired.
+ * @see WarningsDecay
  * @see WarningsTable
  * @alias OrgWarning
  * @extends BotRow
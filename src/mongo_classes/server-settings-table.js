@@ -17,11 +17,19 @@ const DefinedSettings = Object.freeze({
   commandPrefix: new MultiLangValue('commandPrefix', 'setting_command_prefix'),
   localeName: new MultiLangValue('localeName', 'setting_locale_name'),
   timezone: new MultiLangValue('timezone', 'setting_timezone'),
-  badwords: new MultiLangValue('badwords', 'setting_badwords'),
   censoring: new MultiLangValue('censoring', 'setting_censoring'),
+  linkFilter: new MultiLangValue('linkFilter', 'setting_linkFilter'),
   moderLogsEnabled: new MultiLangValue('moderLogsEnabled', 'setting_moderLogsEnabled'),
   moderLogsChannel: new MultiLangValue('moderLogsChannel', 'setting_moderLogsChannel'),
-  banOnWarnings: new MultiLangValue('banOnWarnings', 'setting_banOnWarnings')
+  messageLogs: new MultiLangValue('messageLogs', 'setting_messageLogs'),
+  banOnWarnings: new MultiLangValue('banOnWarnings', 'setting_banOnWarnings'),
+  banOnWarningsDuration: new MultiLangValue('banOnWarningsDuration', 'setting_banOnWarningsDuration'),
+  muteOnWarnings: new MultiLangValue('muteOnWarnings', 'setting_muteOnWarnings'),
+  muteOnWarningsDuration: new MultiLangValue('muteOnWarningsDuration', 'setting_muteOnWarningsDuration'),
+  mutedRole: new MultiLangValue('mutedRole', 'setting_mutedRole'),
+  warningsDecay: new MultiLangValue('warningsDecay', 'setting_warningsDecay'),
+  appealsChannel: new MultiLangValue('appealsChannel', 'setting_appealsChannel'),
+  misfirePolicy: new MultiLangValue('misfirePolicy', 'setting_misfirePolicy')
 });
 
 /**
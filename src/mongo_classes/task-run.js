@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * @module task-run
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotRow = require('./bot-row');
+
+const MultiLangValue = require('../utils/multi-lang-value');
+
+const TaskRunColumns = Object.freeze({
+  source: 'source',
+  orgId: 'orgId',
+  taskId: 'taskId',
+  scheduledAt: 'scheduledAt',
+  executedAt: 'executedAt',
+  channelId: 'channelId',
+  status: 'status',
+  error: 'error'
+});
+
+const TaskRunStatuses = Object.freeze({
+  success: new MultiLangValue('success', 'task_run_status_success'),
+  late: new MultiLangValue('late', 'task_run_status_late'),
+  failed: new MultiLangValue('failed', 'task_run_status_failed'),
+  skipped: new MultiLangValue('skipped', 'task_run_status_skipped')
+});
+
+/**
+ * Represents a DB row of a single execution (or a skipped execution) of a scheduled task.
+ * @see TaskRunsTable
+ * @see OrgTask
+ * @alias TaskRun
+ * @extends BotRow
+ */
+class TaskRun extends BotRow {
+  /**
+   * Gets all defined columns of the class.
+   * @type {Array<Object>}
+   */
+  static get COLUMNS() {
+    return TaskRunColumns;
+  }
+
+  /**
+   * Gets all defined columns of the DB row.
+   * @return {Array<string>} the array of column names
+   */
+  static getColumns() {
+    return Object.values(TaskRunColumns);
+  }
+
+  /**
+   * Gets the defined statuses of the runs.
+   * @type {Object}
+   */
+  static get STATUSES() {
+    return TaskRunStatuses;
+  }
+
+  /**
+   * Gets key defined columns of the DB row.
+   * @return {Array<string>} the array of key column names
+   */
+  static getKeyColumns() {
+    return [TaskRunColumns.source, TaskRunColumns.orgId, TaskRunColumns.taskId, TaskRunColumns.scheduledAt];
+  }
+}
+
+/**
+ * Exports the TaskRun class
+ * @type {TaskRun}
+ */
+module.exports = TaskRun;
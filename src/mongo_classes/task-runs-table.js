@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * @module task-runs-table
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const BotTable = require('./bot-table');
+const TaskRun = require('./task-run');
+
+const TASK_RUNS_TABLE_NAME = 'task_runs';
+
+/**
+ * Represents the table of the execution history of scheduled tasks.
+ * @see TaskRun
+ * @alias TaskRunsTable
+ * @extends BotTable
+ */
+class TaskRunsTable extends BotTable {
+  /**
+   * This table's name.
+   * @type {string}
+   */
+  static get TASK_RUNS_TABLE_NAME() {
+    return TASK_RUNS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the class representing a row in this collection.
+   * @return {Object} the row class
+   */
+  getRowClass() {
+    return TaskRun;
+  }
+
+  /**
+   * Gets an instance of a class representing a row in this collection, based on the provided values
+   * @param  {Object} dbObj the raw object from DB
+   * @return {Object}       the row class' instance
+   */
+  getRowInstance(dbObject) {
+    return new TaskRun(dbObject);
+  }
+
+  /**
+   * Gets this collection's name.
+   * @return {string} the table name
+   */
+  getTableName() {
+    return TASK_RUNS_TABLE_NAME;
+  }
+
+  /**
+   * Gets the most recent runs of a task, starting from the latest one.
+   * @param  {string}                  source the source name (like Discord etc.)
+   * @param  {string}                  orgId  the organization identifier
+   * @param  {number}                  taskId the task identifier
+   * @param  {number}                  limit  the max number of runs to return
+   * @return {Promise<Array<TaskRun>>}        the runs
+   */
+  async getRecentRuns(source, orgId, taskId, limit) {
+    const rawRows = await this.dbManager.dbo
+      .collection(this.getTableName())
+      .find({ source, orgId, taskId })
+      .sort({ scheduledAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    return rawRows.map(row => this.getRowInstance(row));
+  }
+
+  /**
+   * Deletes the old runs of a task, keeping only a given number of the most recent ones.
+   * @param  {string}  source   the source name (like Discord etc.)
+   * @param  {string}  orgId    the organization identifier
+   * @param  {number}  taskId   the task identifier
+   * @param  {number}  keepRuns the number of the most recent runs to keep
+   * @return {Promise}          nothing
+   */
+  async pruneRuns(source, orgId, taskId, keepRuns) {
+    const runsToKeep = await this.getRecentRuns(source, orgId, taskId, keepRuns);
+    if (runsToKeep.length < keepRuns) {
+      return;
+    }
+
+    const oldestKeptRun = runsToKeep[runsToKeep.length - 1];
+    await this.deleteRows(source, orgId, { taskId, scheduledAt: { $lt: oldestKeptRun.scheduledAt } });
+  }
+}
+
+/**
+ * Exports the TaskRunsTable class
+ * @type {TaskRunsTable}
+ */
+module.exports = TaskRunsTable;
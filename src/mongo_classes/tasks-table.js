@@ -50,6 +50,48 @@ class TasksTable extends BotTable {
   getTableName() {
     return TASKS_TABLE_NAME;
   }
+
+  /**
+   * Saves the execution info of a task (last run time, next run time etc.) to the DB.
+   * @see OrgTask.RUN_INFO_COLUMNS
+   * @param  {OrgTask}  task the task with the actual execution info
+   * @return {Promise}       nothing
+   */
+  async updateRunInfo(task) {
+    const values = {};
+    for (const column of OrgTask.RUN_INFO_COLUMNS) {
+      values[column] = task[column] === undefined ? null : task[column];
+    }
+
+    await this.dbManager.dbo.collection(this.getTableName()).updateOne(task.getKey(), { $set: values });
+  }
+
+  /**
+   * Deletes rows related to a given source and to a given organization, with applied filter query.
+   * Also deletes the execution history of the deleted tasks, since the identifiers of the tasks get reused
+   * and the new tasks must not inherit the history.
+   * @see TaskRunsTable
+   * @param  {string}  source          the source of the data (like Discord etc.)
+   * @param  {string}  orgId           id of the Discord server (organization)
+   * @param  {Object}  additionalQuery the query filter object
+   * @return {Promise}                 nothing
+   */
+  async deleteRows(source, orgId, additionalQuery) {
+    const query = Object.assign({}, additionalQuery);
+    if (source !== undefined && source !== null) {
+      query.source = source;
+    }
+
+    if (orgId !== undefined && orgId !== null) {
+      query.orgId = orgId;
+    }
+
+    const tasks = await this.getRows(query);
+    await Promise.all(
+      tasks.map(task => this.dbManager.taskRunsTable.deleteRows(task.source, task.orgId, { taskId: task.id }))
+    );
+    await super.deleteRows(source, orgId, additionalQuery);
+  }
 }
 
 /**
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * @module channel-lock-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../utils/bot-utils');
+const DiscordUtils = require('../utils/discord-utils');
+
+const TaskExecutor = require('./task-executor');
+
+const TimeArg = require('../command_meta/time-arg');
+
+const OrgTask = require('../mongo_classes/org-task');
+
+const PermissionsManager = require('../managers/permissions-manager');
+
+/**
+ * Executes scheduled channel locks and unlocks: denies or restores sending messages to the channel
+ * for the "everyone" role. Unlocking resets the permission to the channel's defaults, or restores the permission
+ * which the channel had before a temporary lock (so that e.g. the read-only channels do not become writable).
+ * @alias ChannelLockTaskExecutor
+ * @extends TaskExecutor
+ */
+class ChannelLockTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.channelLock;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    this.validateStringField(content, 'channel');
+    if (typeof content.locked !== 'boolean') {
+      throw new Error('the content field "locked" is not a boolean');
+    }
+
+    const previousOverwrite = content.previousOverwrite;
+    if (previousOverwrite !== undefined && previousOverwrite !== null && typeof previousOverwrite !== 'boolean') {
+      throw new Error('the content field "previousOverwrite" is not a boolean');
+    }
+  }
+
+  /**
+   * Gets the ids of the channels affected by a task, e.g. to filter the tasks by channels.
+   * @param  {Object}        content the content of the task
+   * @return {Array<string>}         the channel ids
+   */
+  static getChannelIds(content) {
+    return [content.channel];
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return langManager.getString(
+      content.locked ? 'task_description_channelLock_lock' : 'task_description_channelLock_unlock',
+      DiscordUtils.makeChannelMention(content.channel)
+    );
+  }
+
+  /**
+   * Gets the overwrite of the permission to send messages to a channel for the "everyone" role.
+   * @param  {Channel} channel the Discord channel
+   * @return {boolean}         true if allowed, false if denied, null if not overwritten
+   */
+  static getSendOverwrite(channel) {
+    const overwrite = channel.permissionOverwrites.get(channel.guild.roles.everyone.id);
+    const permission = PermissionsManager.DISCORD_PERMISSIONS.SEND_MESSAGES;
+    if (overwrite === undefined) {
+      return null;
+    }
+
+    if (overwrite.deny.has(permission, false)) {
+      return false;
+    }
+
+    return overwrite.allow.has(permission, false) ? true : null;
+  }
+
+  /**
+   * Checks if sending messages to a channel is denied for the "everyone" role, e.g. by a previous lock
+   * or since the channel is read-only.
+   * @param  {Channel} channel the Discord channel
+   * @return {boolean}         true if locked, false otherwise
+   */
+  static isLocked(channel) {
+    return this.getSendOverwrite(channel) === false;
+  }
+
+  /**
+   * Locks or unlocks a channel for the "everyone" role.
+   * @param  {Channel} channel             the Discord channel
+   * @param  {boolean} locked              true to lock the channel, false to unlock it
+   * @param  {boolean} [previousOverwrite] the overwrite to be restored on unlock (true or null),
+   *                                       if not set, then the overwrite is reset
+   * @return {Promise}                     nothing
+   */
+  static async setLocked(channel, locked, previousOverwrite) {
+    let overwrite = locked ? false : null;
+    if (!locked && previousOverwrite !== undefined) {
+      overwrite = previousOverwrite;
+    }
+
+    await channel.updateOverwrite(channel.guild.roles.everyone, {
+      [PermissionsManager.DISCORD_PERMISSIONS.SEND_MESSAGES]: overwrite
+    });
+  }
+
+  /**
+   * Schedules a one-time unlock of a channel, e.g. after a temporary lock made by the automoderation.
+   * The unlock is persisted as a task, so it survives restarts of the Bot.
+   * @see AutomodManager
+   * @param  {Context} context           the Bot's context
+   * @param  {string}  source            the source name (like Discord etc.)
+   * @param  {string}  orgId             the organization identifier
+   * @param  {number}  durationMillis    the time until the unlock in milliseconds
+   * @param  {string}  channelId         the channel identifier
+   * @param  {boolean} previousOverwrite the overwrite the channel had before the lock, to be restored on unlock
+   * @return {Promise}                   nothing
+   */
+  static async scheduleUnlock(context, source, orgId, durationMillis, channelId, previousOverwrite) {
+    const delay = new TimeArg(context.langManager);
+    delay.addParsedDefinition({ amount: durationMillis, shiftType: TimeArg.SHIFT_TYPES.milliseconds });
+
+    const currentRows = await context.dbManager.getDiscordRows(context.dbManager.tasksTable, orgId);
+
+    const unlockRow = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source,
+      orgId,
+      type: OrgTask.TASK_TYPES.channelLock,
+      time: OrgTask.parseTimeArg(delay),
+      content: { channel: channelId, locked: false, previousOverwrite },
+      misfirePolicy: OrgTask.MISFIRE_POLICIES.once.name
+    };
+
+    await context.dbManager.insertOne(context.dbManager.tasksTable, unlockRow);
+    context.scheduler.addTask(unlockRow);
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    const channel = this.getChannel(task, task.content.channel);
+    await ChannelLockTaskExecutor.setLocked(channel, task.content.locked, task.content.previousOverwrite);
+  }
+}
+
+/**
+ * Exports the ChannelLockTaskExecutor class
+ * @type {ChannelLockTaskExecutor}
+ */
+module.exports = ChannelLockTaskExecutor;
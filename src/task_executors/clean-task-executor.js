@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * @module clean-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../utils/discord-utils');
+
+const TaskExecutor = require('./task-executor');
+
+const CleanCommand = require('../commands_discord/moderation/clean-command');
+
+const OrgTask = require('../mongo_classes/org-task');
+
+const MinuteMillis = 60 * 1000;
+
+/**
+ * Executes scheduled cleanings: deletes the messages posted in a text channel during a period before the run.
+ * @see CleanCommand
+ * @alias CleanTaskExecutor
+ * @extends TaskExecutor
+ */
+class CleanTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.clean;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    this.validateStringField(content, 'channel');
+    if (typeof content.period !== 'number' || content.period <= 0) {
+      throw new Error('the content field "period" is not a positive number');
+    }
+  }
+
+  /**
+   * Gets the ids of the channels affected by a task, e.g. to filter the tasks by channels.
+   * @param  {Object}        content the content of the task
+   * @return {Array<string>}         the channel ids
+   */
+  static getChannelIds(content) {
+    return [content.channel];
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return langManager.getString(
+      'task_description_clean',
+      DiscordUtils.makeChannelMention(content.channel),
+      Math.round(content.period / MinuteMillis)
+    );
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    const channel = this.getChannel(task, task.content.channel);
+    const counts = await CleanCommand.cleanChannel(this.context, channel, Date.now() - task.content.period);
+    this.context.log.i(
+      'CleanTaskExecutor: task.id: ' + task.id + '; deleted ' + counts.deletedCount + ' of ' + counts.checkedCount
+    );
+  }
+}
+
+/**
+ * Exports the CleanTaskExecutor class
+ * @type {CleanTaskExecutor}
+ */
+module.exports = CleanTaskExecutor;
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * @module moderation-expiry-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('../utils/bot-utils');
+const DiscordUtils = require('../utils/discord-utils');
+
+const TaskExecutor = require('./task-executor');
+
+const TimeArg = require('../command_meta/time-arg');
+
+const BaseModerationCommand = require('../commands_discord/moderation/base-moderation-command');
+
+const OrgTask = require('../mongo_classes/org-task');
+
+const ExpiryActions = Object.freeze({
+  unban: 'unban',
+  removeRoles: 'removeRoles',
+  unmute: 'unmute'
+});
+
+/**
+ * Executes the expiry of temporary moderation actions: lifts temporary bans and mutes, removes temporary roles.
+ * The expiry is logged to the moderation logs of the server.
+ * @see BaseModerationCommand#logModerAction
+ * @alias ModerationExpiryTaskExecutor
+ * @extends TaskExecutor
+ */
+class ModerationExpiryTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the actions which can be undone on expiry.
+   * @type {Object}
+   */
+  static get EXPIRY_ACTIONS() {
+    return ExpiryActions;
+  }
+
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.moderationExpiry;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    if (!Object.values(ExpiryActions).includes(content.action)) {
+      throw new Error('unknown expiry action: ' + content.action);
+    }
+
+    this.validateStringField(content, 'user');
+    if (content.action === ExpiryActions.removeRoles) {
+      this.validateStringArrayField(content, 'roles');
+    }
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return this.getContentText(content, langManager, 'task_description_moderationExpiry_');
+  }
+
+  /**
+   * Gets the localized text about the expiring action, with the mentions of the user and, for the temporary
+   * roles, the mentions of the roles.
+   * @param  {Object}      content      the content of the task
+   * @param  {LangManager} langManager  the language manager to localize the text
+   * @param  {string}      textIdPrefix the prefix of the text id, to be completed by the action name
+   * @return {string}                   the localized text
+   */
+  static getContentText(content, langManager, textIdPrefix) {
+    const userMention = DiscordUtils.makeUserMention(content.user);
+    if (content.action !== ExpiryActions.removeRoles) {
+      return langManager.getString(textIdPrefix + content.action, userMention);
+    }
+
+    return langManager.getString(
+      textIdPrefix + content.action,
+      userMention,
+      content.roles.map(roleId => DiscordUtils.makeRoleMention(roleId)).join(', ')
+    );
+  }
+
+  /**
+   * Schedules the expiry of a temporary moderation action. The expiry is persisted as a task, so it survives
+   * restarts of the Bot. A missed expiry is executed once the Bot is back online.
+   * @param  {Context}         context        the Bot's context
+   * @param  {string}          source         the source name (like Discord etc.)
+   * @param  {string}          orgId          the organization identifier
+   * @param  {number}          durationMillis the duration of the action in milliseconds
+   * @param  {Object}          content        the content of the expiry task (the action, the user etc.)
+   * @return {Promise<number>}                the timestamp of the expiry
+   */
+  static async scheduleExpiry(context, source, orgId, durationMillis, content) {
+    const duration = new TimeArg(context.langManager);
+    duration.addParsedDefinition({ amount: durationMillis, shiftType: TimeArg.SHIFT_TYPES.milliseconds });
+
+    const currentRows = await context.dbManager.getDiscordRows(context.dbManager.tasksTable, orgId);
+
+    const expiryRow = {
+      id: OhUtils.findMaxId(currentRows) + 1,
+      source,
+      orgId,
+      type: OrgTask.TASK_TYPES.moderationExpiry,
+      time: OrgTask.parseTimeArg(duration),
+      content,
+      misfirePolicy: OrgTask.MISFIRE_POLICIES.once.name
+    };
+
+    await context.dbManager.insertOne(context.dbManager.tasksTable, expiryRow);
+    context.scheduler.addTask(expiryRow);
+    return Date.now() + durationMillis;
+  }
+
+  /**
+   * Cancels the pending expiries of a given action for a user, e.g. when the action is undone manually
+   * or is replaced by a new one. If a role is given (for the removals of roles), then only the removal of the role
+   * is cancelled, the pending removals of the other roles are kept.
+   * @param  {Context}          context  the Bot's context
+   * @param  {string}           orgId    the organization identifier
+   * @param  {string}           action   the expiry action
+   * @param  {string}           userId   the user identifier
+   * @param  {string}           [roleId] the role identifier
+   * @return {Promise<boolean>}          true if any expiry was cancelled, false otherwise
+   */
+  static async cancelExpiries(context, orgId, action, userId, roleId) {
+    const query = { type: OrgTask.TASK_TYPES.moderationExpiry, 'content.action': action, 'content.user': userId };
+    if (roleId !== undefined) {
+      query['content.roles'] = roleId;
+    }
+
+    const tasks = await context.dbManager.getDiscordRows(context.dbManager.tasksTable, orgId, query);
+    if (tasks.length === 0) {
+      return false;
+    }
+
+    const keptTasks = [];
+    for (const task of tasks) {
+      const keptRoles = roleId === undefined ? [] : task.content.roles.filter(id => id !== roleId);
+      if (keptRoles.length > 0) {
+        task.content = Object.assign({}, task.content, { roles: keptRoles });
+        keptTasks.push(task);
+      }
+    }
+
+    const deletedIds = tasks.filter(task => !keptTasks.includes(task)).map(task => task.id);
+    if (deletedIds.length > 0) {
+      await context.dbManager.deleteDiscordRows(context.dbManager.tasksTable, orgId, { id: { $in: deletedIds } });
+    }
+
+    for (const task of tasks) {
+      if (keptTasks.includes(task)) {
+        // The tasks are few (one per a temporary assignment), so they are simply updated one by one.
+        /* eslint-disable no-await-in-loop */
+        await context.dbManager.tasksTable.insertOrUpdate(task);
+        /* eslint-enable no-await-in-loop */
+        context.scheduler.updateTask(task);
+      } else {
+        context.scheduler.cancelTask(task);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    const guild = this.getGuild(task);
+
+    if (task.content.action === ExpiryActions.unban) {
+      await guild.members.unban(task.content.user);
+    } else if (task.content.action === ExpiryActions.unmute) {
+      await this.context.muteManager.unmuteMember(guild, task.content.user);
+    } else {
+      const member = await guild.members.fetch(task.content.user);
+      await member.roles.remove(task.content.roles);
+    }
+
+    const langManager = await this.getOrgLangManager(task);
+    await BaseModerationCommand.logModerActionForOrg(
+      this.context,
+      task.source,
+      task.orgId,
+      ModerationExpiryTaskExecutor.getContentText(task.content, langManager, 'moderation_expiry_log_')
+    );
+  }
+}
+
+/**
+ * Exports the ModerationExpiryTaskExecutor class
+ * @type {ModerationExpiryTaskExecutor}
+ */
+module.exports = ModerationExpiryTaskExecutor;
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * @module personal-reminder-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../utils/discord-utils');
+const ReminderFormatter = require('../utils/reminder-formatter');
+
+const TaskExecutor = require('./task-executor');
+
+const OrgTask = require('../mongo_classes/org-task');
+
+/**
+ * Executes personal reminders: sends the reminder's message to the user via direct messages.
+ * @see RemindMeCommand
+ * @alias PersonalReminderTaskExecutor
+ * @extends TaskExecutor
+ */
+class PersonalReminderTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.personalReminder;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    this.validateStringField(content, 'user');
+    this.validateStringField(content, 'message');
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return langManager.getString('task_description_personalReminder', content.message);
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    const user = await this.context.discordClient.users.fetch(task.content.user);
+    const content = ReminderFormatter.formatContent(task, Date.now());
+    await DiscordUtils.sendToTextChannel(user, content.message, DiscordUtils.makeReminderOptions(content));
+  }
+}
+
+/**
+ * Exports the PersonalReminderTaskExecutor class
+ * @type {PersonalReminderTaskExecutor}
+ */
+module.exports = PersonalReminderTaskExecutor;
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * @module poll-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../utils/discord-utils');
+
+const TaskExecutor = require('./task-executor');
+
+const PollCommand = require('../commands_common/social/poll-command');
+const DiscordSource = require('../components/discord-source');
+
+const OrgTask = require('../mongo_classes/org-task');
+
+/**
+ * Executes scheduled polls: posts a poll to a text channel.
+ * @see PollCommand
+ * @alias PollTaskExecutor
+ * @extends TaskExecutor
+ */
+class PollTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.poll;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    this.validateStringField(content, 'channel');
+    this.validateStringField(content, 'question');
+    if (content.answers !== null && content.answers !== undefined) {
+      this.validateStringArrayField(content, 'answers');
+      if (content.answers.length > PollCommand.MAX_ANSWERS) {
+        throw new Error('too many answers: ' + content.answers.length);
+      }
+    }
+  }
+
+  /**
+   * Gets the ids of the channels affected by a task, e.g. to filter the tasks by channels.
+   * @param  {Object}        content the content of the task
+   * @return {Array<string>}         the channel ids
+   */
+  static getChannelIds(content) {
+    return [content.channel];
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return langManager.getString(
+      'task_description_poll',
+      DiscordUtils.makeChannelMention(content.channel),
+      content.question,
+      content.answers ? content.answers.join(', ') : ''
+    );
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    const channel = this.getChannel(task, task.content.channel);
+    await new DiscordSource(this.context.discordClient).postPoll(
+      channel.id,
+      task.content.question,
+      task.content.answers || null,
+      await this.getOrgLangManager(task)
+    );
+  }
+}
+
+/**
+ * Exports the PollTaskExecutor class
+ * @type {PollTaskExecutor}
+ */
+module.exports = PollTaskExecutor;
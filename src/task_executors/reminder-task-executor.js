@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * @module reminder-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../utils/discord-utils');
+const ReminderFormatter = require('../utils/reminder-formatter');
+
+const SourceEmbed = require('../command_meta/source-embed');
+
+const TaskExecutor = require('./task-executor');
+
+const BotTable = require('../mongo_classes/bot-table');
+const OrgTask = require('../mongo_classes/org-task');
+
+const SlackTitleMarkup = '*';
+
+/**
+ * Executes reminders: posts the reminder's message to a text channel (or to a Telegram group, or to a Slack channel).
+ * The placeholders in the reminder are expanded at the moment of the execution.
+ * @see ReminderFormatter
+ * @alias ReminderTaskExecutor
+ * @extends TaskExecutor
+ */
+class ReminderTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.reminder;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    this.validateStringField(content, 'channel');
+    this.validateStringField(content, 'message');
+  }
+
+  /**
+   * Gets the ids of the channels affected by a task, e.g. to filter the tasks by channels.
+   * @param  {Object}        content the content of the task
+   * @return {Array<string>}         the channel ids
+   */
+  static getChannelIds(content) {
+    return [content.channel];
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return langManager.getString(
+      'task_description_reminder',
+      DiscordUtils.makeChannelMention(content.channel),
+      content.message
+    );
+  }
+
+  /**
+   * Makes the text of a reminder for the sources without rich messages: the message followed by the embed's text.
+   * @see SourceEmbed#toText
+   * @param  {Object} content       the formatted content of the task
+   * @param  {string} [titleMarkup] the markup to wrap the embed's title into (like "*" for bold)
+   * @return {string}               the text of the reminder
+   */
+  static makeText(content, titleMarkup = '') {
+    if (content.embed === undefined || content.embed === null) {
+      return content.message;
+    }
+
+    const embedText = new SourceEmbed(content.embed.title, null, content.embed.color, content.embed.fields).toText(
+      titleMarkup
+    );
+    return embedText === '' ? content.message : content.message + '\n' + embedText;
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    if (task.source === BotTable.TELEGRAM_SOURCE) {
+      if (this.context.telegramClient === null) {
+        throw new Error('the Telegram client is not available');
+      }
+
+      await this.context.telegramClient.sendToChat(
+        task.content.channel,
+        ReminderTaskExecutor.makeText(ReminderFormatter.formatContent(task, Date.now()))
+      );
+      return;
+    }
+
+    if (task.source === BotTable.SLACK_SOURCE) {
+      if (this.context.slackClient === null) {
+        throw new Error('the Slack client is not available');
+      }
+
+      await this.context.slackClient.sendToChannel(
+        task.content.channel,
+        ReminderTaskExecutor.makeText(ReminderFormatter.formatContent(task, Date.now()), SlackTitleMarkup)
+      );
+      return;
+    }
+
+    const guild = this.getGuild(task);
+    const channel = this.getChannel(task, task.content.channel);
+
+    const content = ReminderFormatter.formatContent(task, Date.now());
+    if (content.mentionEveryone === false) {
+      content.message = DiscordUtils.restrictRoleMentions(guild, content.message);
+    }
+
+    await DiscordUtils.sendToTextChannel(channel, content.message, DiscordUtils.makeReminderOptions(content));
+  }
+}
+
+/**
+ * Exports the ReminderTaskExecutor class
+ * @type {ReminderTaskExecutor}
+ */
+module.exports = ReminderTaskExecutor;
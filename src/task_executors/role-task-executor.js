@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * @module role-task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const DiscordUtils = require('../utils/discord-utils');
+
+const TaskExecutor = require('./task-executor');
+
+const OrgTask = require('../mongo_classes/org-task');
+
+const RoleActions = Object.freeze({
+  add: 'add',
+  remove: 'remove'
+});
+
+/**
+ * Executes timed role changes: grants roles to members or removes roles from them.
+ * @see AddRoleCommand
+ * @see RemoveRoleCommand
+ * @alias RoleTaskExecutor
+ * @extends TaskExecutor
+ */
+class RoleTaskExecutor extends TaskExecutor {
+  /**
+   * Gets the actions which can be done with the roles.
+   * @type {Object}
+   */
+  static get ROLE_ACTIONS() {
+    return RoleActions;
+  }
+
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return OrgTask.TASK_TYPES.role;
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    super.validateContent(content);
+    if (!Object.values(RoleActions).includes(content.action)) {
+      throw new Error('unknown role action: ' + content.action);
+    }
+
+    this.validateStringArrayField(content, 'roles');
+    this.validateStringArrayField(content, 'users');
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    return langManager.getString(
+      content.action === RoleActions.add ? 'task_description_role_add' : 'task_description_role_remove',
+      content.roles.map(roleId => DiscordUtils.makeRoleMention(roleId)).join(', '),
+      content.users.map(userId => DiscordUtils.makeUserMention(userId)).join(', ')
+    );
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * The roles are changed for as many members as possible, the failures are counted and reported in the error.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    const guild = this.getGuild(task);
+    const add = task.content.action === RoleActions.add;
+
+    let errorCount = 0;
+    const changeResults = [];
+    for (const userId of task.content.users) {
+      changeResults.push(
+        guild.members
+          .fetch(userId)
+          .then(member => {
+            const rolesToChange = task.content.roles.filter(roleId => member.roles.cache.has(roleId) !== add);
+            if (rolesToChange.length === 0) {
+              return null;
+            }
+
+            return add ? member.roles.add(rolesToChange) : member.roles.remove(rolesToChange);
+          })
+          .catch(error => {
+            this.context.log.e('RoleTaskExecutor: task.id: ' + task.id + '; user: ' + userId + '; error: ' + error);
+            errorCount++;
+          })
+      );
+    }
+
+    await Promise.all(changeResults);
+
+    if (errorCount > 0) {
+      throw new Error('failed to change the roles of ' + errorCount + ' member(s)');
+    }
+  }
+}
+
+/**
+ * Exports the RoleTaskExecutor class
+ * @type {RoleTaskExecutor}
+ */
+module.exports = RoleTaskExecutor;
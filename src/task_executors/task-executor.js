@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * @module task-executor
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const LangManager = require('../managers/lang-manager');
+
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+/**
+ * Base (abstract) executor of scheduled tasks of a specific type.
+ * The executors are registered in the Scheduler, which selects the executor by the type of a task when it's time
+ * to run the task. Each executor also defines how the content of its tasks is validated and described.
+ * @see Scheduler#registerExecutor
+ * @abstract
+ * @alias TaskExecutor
+ */
+class TaskExecutor {
+  /**
+   * Constructs an instance of the class
+   * @param {Context} context the Bot's context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Gets the type of the tasks executed by the executor.
+   * @see OrgTask.TASK_TYPES
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    throw new Error('getTaskType: ' + this.name + ' is an abstract class');
+  }
+
+  /**
+   * Gets the text id of the task type's name from localization resources.
+   * @return {string} the id of the type's name to be localized
+   */
+  static getTypeTextId() {
+    return 'task_type_' + this.getTaskType();
+  }
+
+  /**
+   * Checks that the content of a task is suitable for the executor.
+   * Used for the tasks coming from the DB, so the errors are not expected to be shown to users.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   */
+  static validateContent(content) {
+    if (content === undefined || content === null || typeof content !== 'object') {
+      throw new Error('the content is not an object');
+    }
+  }
+
+  /**
+   * Gets the ids of the channels affected by a task, e.g. to filter the tasks by channels.
+   * @param  {Object}        content the content of the task
+   * @return {Array<string>}         the channel ids
+   */
+  static getChannelIds(content) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    return [];
+  }
+
+  /**
+   * Describes the content of a task in a human readable way, e.g. for listing the tasks.
+   * @param  {Object}      content     the content of the task
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeContent(content, langManager) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    return '';
+  }
+
+  /**
+   * Checks that a content field contains a non-empty string.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   * @param {string} field   the name of the field
+   */
+  static validateStringField(content, field) {
+    if (typeof content[field] !== 'string' || content[field] === '') {
+      throw new Error('the content field "' + field + '" is not a non-empty string');
+    }
+  }
+
+  /**
+   * Checks that a content field contains a non-empty array of strings.
+   * @throws {Error}
+   * @param {Object} content the content of the task
+   * @param {string} field   the name of the field
+   */
+  static validateStringArrayField(content, field) {
+    if (!Array.isArray(content[field]) || content[field].length === 0) {
+      throw new Error('the content field "' + field + '" is not a non-empty array');
+    }
+
+    for (const value of content[field]) {
+      if (typeof value !== 'string') {
+        throw new Error('the content field "' + field + '" contains a non-string value');
+      }
+    }
+  }
+
+  /**
+   * Gets the guild of a task. Throws an error if the guild is not available.
+   * @throws {Error}
+   * @param  {OrgTask} task the task
+   * @return {Guild}        the Discord guild
+   */
+  getGuild(task) {
+    const guild = this.context.discordClient.guilds.cache.get(task.orgId);
+    if (guild === undefined) {
+      throw new Error('the guild is not available: ' + task.orgId);
+    }
+
+    return guild;
+  }
+
+  /**
+   * Gets a channel of the task's guild. Throws an error if the channel is not found.
+   * @throws {Error}
+   * @param  {OrgTask} task      the task
+   * @param  {string}  channelId the channel identifier
+   * @return {Channel}           the Discord channel
+   */
+  getChannel(task, channelId) {
+    const channel = this.getGuild(task).channels.cache.get(channelId);
+    if (channel === undefined) {
+      throw new Error('the channel is not found: ' + channelId);
+    }
+
+    return channel;
+  }
+
+  /**
+   * Gets the language manager for the locale of the task's organization, e.g. to localize the texts posted
+   * by the task.
+   * @param  {OrgTask}              task the task
+   * @return {Promise<LangManager>}      the language manager
+   */
+  async getOrgLangManager(task) {
+    const localeName = await this.context.dbManager.getSetting(
+      task.source,
+      task.orgId,
+      ServerSettingsTable.SERVER_SETTINGS.localeName.name
+    );
+
+    return new LangManager(this.context.localizationPath, localeName);
+  }
+
+  /**
+   * Executes a task. Throws an error if the execution failed, the error is recorded in the task's history.
+   * @throws {Error}
+   * @param  {OrgTask} task the task to execute
+   * @return {Promise}      nothing
+   */
+  async execute(task) {
+    // Inherited function with various possible implementations, some args may be unused.
+    /* eslint no-unused-vars: ["error", { "args": "none" }] */
+    throw new Error('execute: ' + this.constructor.name + ' is an abstract class');
+  }
+}
+
+/**
+ * Exports the TaskExecutor class
+ * @type {TaskExecutor}
+ */
+module.exports = TaskExecutor;
@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * @module bad-words-matcher
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('./bot-utils');
+
+const OrgBadWord = require('../mongo_classes/org-bad-word');
+
+const MaxRegexLength = 100;
+
+/**
+ * The quantifiers which do not repeat the quantified element.
+ * @type {Array<string>}
+ */
+const SingleQuantifiers = Object.freeze(['?', '{0}', '{1}', '{0,1}', '{1,1}']);
+
+/**
+ * The characters which do not make the text's letters but can be used to obfuscate it: the combining marks
+ * (accents, "zalgo") and the invisible formatting characters (like the zero-width spaces).
+ * @type {RegExp}
+ */
+const IgnoredCharsRe = /^[\p{M}\p{Cf}]$/u;
+const MarksRe = /\p{M}/gu;
+
+/**
+ * The leetspeak symbols replaced by the letters they look like.
+ * @type {Object}
+ */
+const LeetReplacements = Object.freeze({
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+  '@': 'a',
+  $: 's'
+});
+
+/**
+ * The Cyrillic and the Greek letters replaced by the Latin letters they look like (in lower or upper case).
+ * @type {Object}
+ */
+const HomoglyphReplacements = Object.freeze({
+  а: 'a',
+  в: 'b',
+  е: 'e',
+  ё: 'e',
+  і: 'i',
+  ј: 'j',
+  к: 'k',
+  м: 'm',
+  н: 'h',
+  о: 'o',
+  р: 'p',
+  с: 'c',
+  т: 't',
+  у: 'y',
+  х: 'x',
+  ѕ: 's',
+  ԁ: 'd',
+  α: 'a',
+  β: 'b',
+  ε: 'e',
+  ι: 'i',
+  κ: 'k',
+  ν: 'v',
+  ο: 'o',
+  ρ: 'p',
+  τ: 't',
+  υ: 'u',
+  χ: 'x'
+});
+
+const WordChar = '[\\p{L}\\p{N}]';
+const WordStart = '(?<!' + WordChar + ')';
+const WordEnd = '(?!' + WordChar + ')';
+
+/**
+ * Matches the bad words in texts according to their match modes. Before matching, both the texts and the words
+ * get normalized: the combining marks and the invisible characters are removed, the letters are lowercased,
+ * the leetspeak symbols and the look-alike letters of other alphabets are replaced by the Latin letters.
+ * The regular expressions are matched against the normalized texts, but they are not normalized themselves
+ * (besides the look-alike letters), so they should be written in the lower case.
+ * @see MessageModerator
+ * @see OrgBadWord
+ * @alias BadWordsMatcher
+ */
+class BadWordsMatcher {
+  /**
+   * Normalizes a single character of a text.
+   * @param  {string} char the character (a whole code point)
+   * @return {string}      the normalized character(s), may be empty
+   */
+  static normalizeChar(char) {
+    if (IgnoredCharsRe.test(char)) {
+      return '';
+    }
+
+    const base = char.normalize('NFKD').replace(MarksRe, '').toLowerCase();
+    let result = '';
+    for (const baseChar of base) {
+      if (LeetReplacements[baseChar] !== undefined) {
+        result += LeetReplacements[baseChar];
+      } else if (HomoglyphReplacements[baseChar] !== undefined) {
+        result += HomoglyphReplacements[baseChar];
+      } else {
+        result += baseChar;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalizes a text and maps the characters of the normalized text to the positions in the original text.
+   * @param  {string} text the text
+   * @return {Object}      the normalized "text", plus the "starts" and the "ends" arrays with the range
+   *                       in the original text for each character of the normalized text
+   */
+  static normalizeWithMap(text) {
+    const result = { text: '', starts: [], ends: [] };
+    let index = 0;
+    for (const char of text) {
+      const end = index + char.length;
+      const normalizedChar = this.normalizeChar(char);
+      if (normalizedChar.length === 0 && result.ends.length > 0) {
+        // The ignored characters (like the combining marks) belong to the previous character.
+        result.ends[result.ends.length - 1] = end;
+      }
+
+      for (let i = 0; i < normalizedChar.length; i++) {
+        result.starts.push(index);
+        result.ends.push(end);
+      }
+
+      result.text += normalizedChar;
+      index = end;
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalizes a text.
+   * @param  {string} text the text
+   * @return {string}      the normalized text
+   */
+  static normalize(text) {
+    return this.normalizeWithMap(text).text;
+  }
+
+  /**
+   * Escapes the special characters of regular expressions in a text.
+   * @param  {string} text the text
+   * @return {string}      the escaped text
+   */
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Makes the regular expression to search a bad word in the normalized texts.
+   * @param  {OrgBadWord} badWord the bad word with its match mode
+   * @return {RegExp}             the regular expression
+   */
+  static makeRegex(badWord) {
+    switch (badWord.mode) {
+      case OrgBadWord.MATCH_MODES.substring.name:
+        return new RegExp(this.escapeRegex(this.normalize(badWord.word)), 'gu');
+      case OrgBadWord.MATCH_MODES.wildcard.name: {
+        const pattern = Array.from(this.normalize(badWord.word))
+          .map(char => {
+            if (char === '*') {
+              return WordChar + '*';
+            }
+
+            return char === '?' ? WordChar : this.escapeRegex(char);
+          })
+          .join('');
+        return new RegExp(WordStart + pattern + WordEnd, 'gu');
+      }
+      case OrgBadWord.MATCH_MODES.regex.name: {
+        const pattern = Array.from(badWord.word)
+          .map(char => (HomoglyphReplacements[char.toLowerCase()] === undefined ? char : this.normalizeChar(char)))
+          .join('');
+        return new RegExp(pattern, 'giu');
+      }
+      default:
+        return new RegExp(WordStart + this.escapeRegex(this.normalize(badWord.word)) + WordEnd, 'gu');
+    }
+  }
+
+  /**
+   * Checks if a regular expression has a repeated group which contains a quantifier, an alternation
+   * or a backreference, like "(a+)+" or "(a|aa)+". Such expressions may take exponential time to fail matching
+   * ("catastrophic backtracking"). The alternatives are not analyzed, so even the safe ones like "(foo|bar)+"
+   * are considered unsafe. Also checks if the expression has more than one unbounded quantifier, like ".*.*x":
+   * the text matched by such quantifiers may be split between them in many ways, which takes polynomial time.
+   * The overlaps of the quantified elements are not analyzed either, so any two such quantifiers are considered unsafe.
+   * @param  {string}  source the source of the regular expression
+   * @return {boolean}        true if the expression may backtrack catastrophically, false otherwise
+   */
+  static isUnsafeRegex(source) {
+    if (/\\[1-9]|\\k</.test(source)) {
+      return true;
+    }
+
+    const groups = [{ quantified: false, alternated: false }];
+    let unboundedCount = 0;
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        i++;
+        while (i < source.length && source[i] !== ']') {
+          i += source[i] === '\\' ? 2 : 1;
+        }
+      } else if (char === '(') {
+        const modifier = /^\?(?::|=|!|<=|<!|<[^>]*>)/.exec(source.slice(i + 1));
+        i += modifier === null ? 0 : modifier[0].length;
+        groups.push({ quantified: false, alternated: false });
+      } else if (char === '|') {
+        groups[groups.length - 1].alternated = true;
+      } else if (char === ')' && groups.length > 1) {
+        const group = groups.pop();
+        const quantifier = /^(?:[*+?]|\{\d+(?:,\d*)?\})/.exec(source.slice(i + 1));
+        const repeated = quantifier !== null && !SingleQuantifiers.includes(quantifier[0]);
+        if ((group.quantified || group.alternated) && repeated) {
+          return true;
+        }
+
+        const parent = groups[groups.length - 1];
+        parent.quantified = parent.quantified || group.quantified || quantifier !== null;
+        parent.alternated = parent.alternated || group.alternated;
+      } else if ('*+?'.includes(char) || (char === '{' && /^\{\d+(?:,\d*)?\}/.test(source.slice(i)))) {
+        groups[groups.length - 1].quantified = true;
+        if (char === '*' || char === '+' || /^\{\d+,\}/.test(source.slice(i))) {
+          unboundedCount++;
+          if (unboundedCount > 1) {
+            return true;
+          }
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Validates a regular expression of a bad word: it should be valid, not too long and safe from
+   * the catastrophic backtracking.
+   * @param  {string}      source      the source of the regular expression
+   * @param  {LangManager} langManager the language manager to localize the problem
+   * @return {string}                  the localized description of the problem, or null if the expression is valid
+   */
+  static validateRegex(source, langManager) {
+    if (source.length > MaxRegexLength) {
+      return langManager.getString('bad_words_regex_too_long', source, MaxRegexLength);
+    }
+
+    try {
+      this.makeRegex({ word: source, mode: OrgBadWord.MATCH_MODES.regex.name });
+    } catch (error) {
+      return langManager.getString('bad_words_regex_invalid', source);
+    }
+
+    return this.isUnsafeRegex(source) ? langManager.getString('bad_words_regex_unsafe', source) : null;
+  }
+
+  /**
+   * Replaces the bad words found in a text by euphemisms.
+   * @param  {string}            text     the text
+   * @param  {Array<OrgBadWord>} badWords the bad words with their match modes
+   * @return {string}                     the censored text, the same as the original if no bad words found
+   */
+  static censor(text, badWords) {
+    const normalized = this.normalizeWithMap(text);
+    const ranges = [];
+    for (const badWord of badWords) {
+      // The expressions saved before the safety check got stricter may still be unsafe.
+      if (badWord.mode === OrgBadWord.MATCH_MODES.regex.name && this.isUnsafeRegex(badWord.word)) {
+        continue;
+      }
+
+      const regex = this.makeRegex(badWord);
+      let match = regex.exec(normalized.text);
+      while (match !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+        } else {
+          ranges.push({
+            start: normalized.starts[match.index],
+            end: normalized.ends[match.index + match[0].length - 1]
+          });
+        }
+
+        match = regex.exec(normalized.text);
+      }
+    }
+
+    ranges.sort((a, b) => a.start - b.start);
+
+    let result = '';
+    let position = 0;
+    for (const range of ranges) {
+      if (range.end <= position) {
+        continue;
+      }
+
+      const start = Math.max(range.start, position);
+      result +=
+        text.slice(position, start) + OhUtils.makeEuphemism(this.normalize(text.slice(start, range.end)).length);
+      position = range.end;
+    }
+
+    return result + text.slice(position);
+  }
+}
+
+/**
+ * Exports the BadWordsMatcher class
+ * @type {BadWordsMatcher}
+ */
+module.exports = BadWordsMatcher;
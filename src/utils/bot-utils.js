@@ -322,6 +322,77 @@ class Utils {
       });
     });
   }
+
+  /**
+   * Downloads a file by its URL as raw binary data (e.g. an image).
+   * @param  {string}  url the URL to download the file from
+   * @return {Promise}     the Buffer with the file contents, if successful, Error otherwise
+   */
+  static downloadFile(url) {
+    return new Promise((resolve, reject) => {
+      request({ url, encoding: null }, (error, response, body) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        if (response.statusCode !== 200) {
+          reject(new Error('Invalid status code <' + response.statusCode + '>'));
+          return;
+        }
+
+        resolve(body);
+      });
+    });
+  }
+
+  /**
+   * Gets the number of days in a month of the Gregorian calendar.
+   * @param  {number} year  the full year
+   * @param  {number} month the month (0 to 11)
+   * @return {number}       the number of days
+   */
+  static getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  }
+
+  /**
+   * Splits a text into the parts fitting a hard limit of symbols (e.g. of a message of a source).
+   * If possible, the text is split at the line end closest to the limit.
+   * @param  {string}        text      the text to be split
+   * @param  {number}        maxLength the max length of a part
+   * @return {Array<string>}           the parts of the text
+   */
+  static splitText(text, maxLength) {
+    const parts = [];
+    let remainingText = text;
+    while (remainingText.length > maxLength) {
+      let nextPart = remainingText.slice(0, Math.max(0, maxLength));
+      const lastLineSymbol = nextPart.lastIndexOf('\n');
+      if (lastLineSymbol >= 0) {
+        nextPart = nextPart.slice(0, Math.max(0, lastLineSymbol));
+        remainingText = remainingText.slice(Math.max(0, lastLineSymbol + 1));
+      } else {
+        remainingText = remainingText.slice(Math.max(0, maxLength));
+      }
+
+      parts.push(nextPart);
+    }
+
+    parts.push(remainingText);
+    return parts;
+  }
+
+  /**
+   * Gets the day of week of a date of the Gregorian calendar (not depending on any timezone).
+   * @param  {number} year  the full year
+   * @param  {number} month the month (0 to 11)
+   * @param  {number} day   the day of month
+   * @return {number}       the day of week (0 for Sunday to 6 for Saturday)
+   */
+  static getDayOfWeek(year, month, day) {
+    return new Date(Date.UTC(year, month, day)).getUTCDay();
+  }
 }
 
 /**
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * @module command-overrides
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OrgCommandOverride = require('../mongo_classes/org-command-override');
+
+/**
+ * Resolves the commands of an organization considering its command overrides: the aliases the commands
+ * can be called with in addition to their localized names, and the disabled commands which are not recognized.
+ * @see OrgCommandOverride
+ * @see AliasCommand
+ * @see DisableCommandCommand
+ * @alias CommandOverrides
+ */
+class CommandOverrides {
+  /**
+   * Gets the command overrides of an organization.
+   * @param  {Context}                            context the Bot's context
+   * @param  {string}                             source  the source name (like Discord etc.)
+   * @param  {string}                             orgId   the organization identifier
+   * @return {Promise<Array<OrgCommandOverride>>}         the overrides
+   */
+  static async getOverrides(context, source, orgId) {
+    const rows = await context.dbManager.getRows(context.dbManager.commandOverridesTable, { source, orgId });
+    return rows.filter(row => Object.values(OrgCommandOverride.OVERRIDE_TYPES).includes(row.type));
+  }
+
+  /**
+   * Finds a command by its localized name.
+   * @param  {Array<constructor>} commandClasses the classes of the commands to search in
+   * @param  {LangManager}        langManager    the language manager to localize the names of the commands
+   * @param  {string}             name           the localized name of the command
+   * @return {constructor}                       the class of the command, or undefined if not found
+   */
+  static findByName(commandClasses, langManager, name) {
+    return commandClasses.find(commandClass => langManager.getString(commandClass.getCommandInterfaceName()) === name);
+  }
+
+  /**
+   * Finds a command by its localized name or by its alias. The names of the commands take precedence.
+   * @param  {Array<constructor>}         commandClasses the classes of the commands to search in
+   * @param  {Array<OrgCommandOverride>}  overrides      the overrides of the organization
+   * @param  {LangManager}                langManager    the language manager to localize the names of the commands
+   * @param  {string}                     name           the localized name or the alias of the command
+   * @return {constructor}                               the class of the command, or undefined if not found
+   */
+  static findCommand(commandClasses, overrides, langManager, name) {
+    const commandClass = this.findByName(commandClasses, langManager, name);
+    if (commandClass !== undefined) {
+      return commandClass;
+    }
+
+    const aliasRow = overrides.find(row => row.type === OrgCommandOverride.OVERRIDE_TYPES.alias && row.alias === name);
+    if (aliasRow === undefined) {
+      return undefined;
+    }
+
+    return commandClasses.find(commandClass => commandClass.getCommandInterfaceName() === aliasRow.command);
+  }
+
+  /**
+   * Gets the aliases of a command.
+   * @param  {constructor}               commandClass the class of the command
+   * @param  {Array<OrgCommandOverride>} overrides    the overrides of the organization
+   * @return {Array<string>}                          the aliases, sorted alphabetically
+   */
+  static getAliases(commandClass, overrides) {
+    return overrides
+      .filter(
+        row =>
+          row.type === OrgCommandOverride.OVERRIDE_TYPES.alias && row.command === commandClass.getCommandInterfaceName()
+      )
+      .map(row => row.alias)
+      .sort();
+  }
+
+  /**
+   * Checks if a command is disabled.
+   * @param  {constructor}               commandClass the class of the command
+   * @param  {Array<OrgCommandOverride>} overrides    the overrides of the organization
+   * @return {boolean}                                true if the command is disabled, false otherwise
+   */
+  static isDisabled(commandClass, overrides) {
+    return overrides.some(
+      row =>
+        row.type === OrgCommandOverride.OVERRIDE_TYPES.disabled &&
+        row.command === commandClass.getCommandInterfaceName()
+    );
+  }
+}
+
+/**
+ * Exports the CommandOverrides class
+ * @type {CommandOverrides}
+ */
+module.exports = CommandOverrides;
@@ -0,0 +1,339 @@
+'use strict';
+
+/**
+ * @module cron-expression
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const momentTz = require('moment-timezone');
+
+const OhUtils = require('./bot-utils');
+
+const MonthNames = Object.freeze(['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']);
+const DayOfWeekNames = Object.freeze(['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']);
+
+const FieldRanges = Object.freeze({
+  minutes: { min: 0, max: 59 },
+  hours: { min: 0, max: 23 },
+  days: { min: 1, max: 31 },
+  months: { min: 1, max: 12, names: MonthNames },
+  daysOfWeek: { min: 0, max: 7, names: DayOfWeekNames }
+});
+
+const FieldsCount = 5;
+const LastDaySymbol = 'L';
+const NthDayOfWeekSeparator = '#';
+
+// Enough to find Feb 29 which happens on a particular day of week (28 years cycle).
+const MaxDaysToSearch = 366 * 29;
+
+/**
+ * Cron expression in the classic 5-fields format: "minute hour day-of-month month day-of-week".
+ * Supports "*", "?", lists ("1,15"), ranges ("1-5"), steps ("*\/15", "0-30/10"), month and day of week names
+ * ("JAN", "MON-FRI"), the last day of the month ("L" in day-of-month), the last given day of week of the month
+ * ("5L" - the last Friday) and the n-th given day of week of the month ("2#2" - the 2nd Tuesday).
+ * As in the classic cron, if both day-of-month and day-of-week are restricted, then a day matching either of them
+ * is considered matching.
+ * The expression is evaluated in a given timezone. If a scheduled local time does not exist because of
+ * a daylight saving transition, then it's shifted forward by the length of the transition gap.
+ * If a local time is ambiguous (happens twice), then the first occurrence is used.
+ * @alias CronExpression
+ */
+class CronExpression {
+  /**
+   * Constructs an instance of the class. Use CronExpression.parse to create instances from text.
+   * @see CronExpression.parse
+   * @param {string} text the text of the expression
+   */
+  constructor(text) {
+    this.text = text;
+    this.minutes = [];
+    this.hours = [];
+    this.days = new Set();
+    this.lastDayOfMonth = false;
+    this.months = new Set();
+    this.daysOfWeek = new Set();
+    this.lastDaysOfWeek = new Set();
+    this.nthDaysOfWeek = [];
+    this.daysRestricted = false;
+    this.daysOfWeekRestricted = false;
+  }
+
+  /**
+   * Parses a cron expression from text.
+   * @param  {string}                  text the text of the expression (5 fields separated by spaces)
+   * @return {(CronExpression | null)}      the parsed expression, or null if the text is not a valid expression
+   */
+  static parse(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const fields = text.trim().toUpperCase().split(/\s+/);
+    if (fields.length !== FieldsCount) {
+      return null;
+    }
+
+    const expression = new CronExpression(fields.join(' '));
+
+    const minutes = this.parseField(fields[0], FieldRanges.minutes);
+    const hours = this.parseField(fields[1], FieldRanges.hours);
+    const months = this.parseField(fields[3], FieldRanges.months);
+    if (minutes === null || hours === null || months === null) {
+      return null;
+    }
+
+    expression.minutes = Array.from(minutes).sort((a, b) => a - b);
+    expression.hours = Array.from(hours).sort((a, b) => a - b);
+    expression.months = new Set(Array.from(months).map(a => a - 1));
+
+    if (!this.parseDaysOfMonth(fields[2], expression) || !this.parseDaysOfWeek(fields[4], expression)) {
+      return null;
+    }
+
+    return expression;
+  }
+
+  /**
+   * Parses a day-of-month field into the expression.
+   * @param  {string}         field      the field text
+   * @param  {CronExpression} expression the expression to fill
+   * @return {boolean}                   true if successful, false if the field is invalid
+   */
+  static parseDaysOfMonth(field, expression) {
+    expression.daysRestricted = !this.isUnrestricted(field);
+    for (const part of field.split(',')) {
+      if (part === LastDaySymbol) {
+        expression.lastDayOfMonth = true;
+        continue;
+      }
+
+      const values = this.parseField(part, FieldRanges.days);
+      if (values === null) {
+        return false;
+      }
+
+      for (const value of values) {
+        expression.days.add(value);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Parses a day-of-week field into the expression.
+   * @param  {string}         field      the field text
+   * @param  {CronExpression} expression the expression to fill
+   * @return {boolean}                   true if successful, false if the field is invalid
+   */
+  static parseDaysOfWeek(field, expression) {
+    expression.daysOfWeekRestricted = !this.isUnrestricted(field);
+    for (const part of field.split(',')) {
+      if (part.length > 1 && part.endsWith(LastDaySymbol)) {
+        const dayOfWeek = this.parseValue(part.slice(0, -1), FieldRanges.daysOfWeek);
+        if (dayOfWeek === null) {
+          return false;
+        }
+
+        expression.lastDaysOfWeek.add(dayOfWeek % 7);
+        continue;
+      }
+
+      if (part.includes(NthDayOfWeekSeparator)) {
+        const [dayPart, nthPart] = part.split(NthDayOfWeekSeparator);
+        const dayOfWeek = this.parseValue(dayPart, FieldRanges.daysOfWeek);
+        const nth = this.parseValue(nthPart, { min: 1, max: 5 });
+        if (dayOfWeek === null || nth === null) {
+          return false;
+        }
+
+        expression.nthDaysOfWeek.push({ dayOfWeek: dayOfWeek % 7, nth });
+        continue;
+      }
+
+      const values = this.parseField(part, FieldRanges.daysOfWeek);
+      if (values === null) {
+        return false;
+      }
+
+      for (const value of values) {
+        // Both 0 and 7 mean Sunday.
+        expression.daysOfWeek.add(value % 7);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks if a field matches any value.
+   * @param  {string}  field the field text
+   * @return {boolean}       true if the field is "*" or "?"
+   */
+  static isUnrestricted(field) {
+    return field === '*' || field === '?';
+  }
+
+  /**
+   * Parses a field (or a part of it) consisting of lists, ranges and steps.
+   * @param  {string}               field the field text
+   * @param  {Object}               range the min/max values and the names allowed for the field
+   * @return {(Set<number> | null)}       the set of matching values, or null if the field is invalid
+   */
+  static parseField(field, range) {
+    const result = new Set();
+    for (const part of field.split(',')) {
+      const [rangePart, stepPart, ...rest] = part.split('/');
+      if (rest.length > 0) {
+        return null;
+      }
+
+      let step = 1;
+      if (stepPart !== undefined) {
+        if (!/^\d+$/.test(stepPart) || Number.parseInt(stepPart, 10) === 0) {
+          return null;
+        }
+
+        step = Number.parseInt(stepPart, 10);
+      }
+
+      let start = range.min;
+      let end = range.max;
+      if (!this.isUnrestricted(rangePart)) {
+        const bounds = rangePart.split('-');
+        if (bounds.length > 2) {
+          return null;
+        }
+
+        start = this.parseValue(bounds[0], range);
+        if (start === null) {
+          return null;
+        }
+
+        if (bounds.length === 2) {
+          end = this.parseValue(bounds[1], range);
+        } else if (stepPart === undefined) {
+          end = start;
+        }
+
+        if (end === null || end < start) {
+          return null;
+        }
+      }
+
+      for (let value = start; value <= end; value += step) {
+        result.add(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses a single value of a field (a number or a name).
+   * @param  {string}          text  the text of the value
+   * @param  {Object}          range the min/max values and the names allowed for the field
+   * @return {(number | null)}       the value, or null if invalid
+   */
+  static parseValue(text, range) {
+    if (range.names !== undefined && range.names.includes(text)) {
+      return range.names.indexOf(text) + (range.min === 1 ? 1 : 0);
+    }
+
+    if (!/^\d+$/.test(text)) {
+      return null;
+    }
+
+    const value = Number.parseInt(text, 10);
+    if (value < range.min || value > range.max) {
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Checks if a calendar day matches the day-of-month, month and day-of-week fields.
+   * @param  {number}  year  the full year
+   * @param  {number}  month the month (0 to 11)
+   * @param  {number}  day   the day of month
+   * @return {boolean}       true if the day matches
+   */
+  matchesDay(year, month, day) {
+    if (!this.months.has(month)) {
+      return false;
+    }
+
+    const daysInMonth = OhUtils.getDaysInMonth(year, month);
+    const dayOfWeek = OhUtils.getDayOfWeek(year, month, day);
+
+    const dayOfMonthMatches = this.days.has(day) || (this.lastDayOfMonth && day === daysInMonth);
+    const dayOfWeekMatches =
+      this.daysOfWeek.has(dayOfWeek) ||
+      (this.lastDaysOfWeek.has(dayOfWeek) && day + 7 > daysInMonth) ||
+      this.nthDaysOfWeek.some(a => a.dayOfWeek === dayOfWeek && Math.ceil(day / 7) === a.nth);
+
+    if (this.daysRestricted && this.daysOfWeekRestricted) {
+      return dayOfMonthMatches || dayOfWeekMatches;
+    }
+
+    if (this.daysRestricted) {
+      return dayOfMonthMatches;
+    }
+
+    if (this.daysOfWeekRestricted) {
+      return dayOfWeekMatches;
+    }
+
+    return true;
+  }
+
+  /**
+   * Finds the next moment matching the expression after a given moment.
+   * @param  {number}          fromTime the timestamp (in milliseconds) to search after
+   * @param  {string}          timezone the timezone name (e.g. "Europe/Paris") to evaluate the expression in
+   * @return {(number | null)}          the timestamp of the next matching moment, or null if not found
+   */
+  getNextTime(fromTime, timezone) {
+    const fromLocal = momentTz.tz(fromTime, timezone);
+    // Iterate over calendar days with a timezone-independent counter to avoid daylight saving effects.
+    const calendarDay = new Date(Date.UTC(fromLocal.year(), fromLocal.month(), fromLocal.date()));
+
+    for (let i = 0; i < MaxDaysToSearch; i++) {
+      const year = calendarDay.getUTCFullYear();
+      const month = calendarDay.getUTCMonth();
+      const day = calendarDay.getUTCDate();
+
+      if (this.matchesDay(year, month, day)) {
+        for (const hour of this.hours) {
+          for (const minute of this.minutes) {
+            const candidate = momentTz.tz([year, month, day, hour, minute, 0, 0], timezone).valueOf();
+            if (candidate > fromTime) {
+              return candidate;
+            }
+          }
+        }
+      }
+
+      calendarDay.setUTCDate(calendarDay.getUTCDate() + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts the expression to string.
+   * @return {string} the text of the expression
+   */
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Exports the CronExpression class
+ * @type {CronExpression}
+ */
+module.exports = CronExpression;
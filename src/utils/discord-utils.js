@@ -6,6 +6,8 @@
  * @license MIT (see the root LICENSE file for details)
  */
 
+const Discord = require('discord.js');
+
 const OhUtils = require('../utils/bot-utils');
 
 const DiscordMentionStart = '<';
@@ -18,6 +20,8 @@ const DiscordDiscriminatorSeparator = '#';
 
 const MaxTextLength = 2000;
 
+const RoleMentionRegex = /<@&(\d+)>/g;
+
 /**
  * Various utils related to Discord.
  * @alias DiscordUtils
@@ -108,33 +112,146 @@ class DiscordUtils {
     return usernameString + DiscordDiscriminatorSeparator + discriminator.toString();
   }
 
+  /**
+   * Splits a text into the parts fitting the hard limit of symbols of a Discord message.
+   * If possible, the text is split at the line end closest to the limit.
+   * @param  {string}        text the text to be posted
+   * @return {Array<string>}      the parts of the text
+   */
+  static splitText(text) {
+    return OhUtils.splitText(text, MaxTextLength);
+  }
+
   /**
    * Sends a message to Discord channel, considering the hard limit of symbols to be posted.
    * If the length is more than the limits, splits the message into several, if possible - at the line end
    * closest to the limit.
-   * @param  {Channel}  discordChannel the Discord text channel
+   * The mentions restriction of the options is applied to all parts, the rest options (e.g. embeds and files)
+   * are applied to the last part only.
+   * @see DiscordUtils.splitText
+   * @param  {Channel}  discordChannel the Discord text channel (or the user to send a direct message to)
    * @param  {string}   text           the text to be posted
-   * @return {Promise}                 nothing
-   */
-  static async sendToTextChannel(discordChannel, text) {
-    let remainingText = text;
-    while (remainingText.length > MaxTextLength) {
-      let nextPart = remainingText.slice(0, Math.max(0, MaxTextLength));
-      const lastLineSymbol = nextPart.lastIndexOf('\n');
-      if (lastLineSymbol >= 0) {
-        nextPart = nextPart.slice(0, Math.max(0, lastLineSymbol));
-        remainingText = remainingText.slice(Math.max(0, lastLineSymbol + 1));
-      } else {
-        remainingText = remainingText.slice(Math.max(0, MaxTextLength));
-      }
+   * @param  {Object}   [options]      the Discord message options (embed, files, disableMentions etc.)
+   * @return {Promise<Message>}        the last posted message
+   */
+  static async sendToTextChannel(discordChannel, text, options) {
+    const partOptions =
+      options === undefined || options.disableMentions === undefined
+        ? undefined
+        : { disableMentions: options.disableMentions };
 
+    const parts = this.splitText(text);
+    for (const part of parts.slice(0, -1)) {
       // Must preserve the order of messages, so ignoring the warning about parallel processing.
       /* eslint-disable no-await-in-loop */
-      await discordChannel.send(nextPart);
+      await discordChannel.send(part, partOptions);
       /* eslint-enable no-await-in-loop */
     }
 
-    await discordChannel.send(remainingText);
+    return discordChannel.send(parts[parts.length - 1], options);
+  }
+
+  /**
+   * Escapes all mentions in a text (including @everyone and @here), so a text written by a user can be reposted
+   * by the Bot without pinging anyone on behalf of the Bot.
+   * @param  {string} text the text
+   * @return {string}      the text with the escaped mentions
+   */
+  static escapeMentions(text) {
+    return Discord.Util.removeMentions(text);
+  }
+
+  /**
+   * Replaces the mentions of the roles which are not mentionable by anyone with plain role names,
+   * so the roles are not pinged by the message.
+   * @param  {Guild}  guild the Discord guild
+   * @param  {string} text  the text of the message
+   * @return {string}       the text with the restricted role mentions
+   */
+  static restrictRoleMentions(guild, text) {
+    return text.replace(RoleMentionRegex, (mention, roleId) => {
+      const role = guild.roles.cache.get(roleId);
+      if (role === undefined) {
+        return mention;
+      }
+
+      return role.mentionable ? mention : DiscordSubjectPrefix + role.name;
+    });
+  }
+
+  /**
+   * Makes the Discord message options for the content of a reminder: the embed, the attached image
+   * and the mentions restriction. If the reminder has an embed, then the image is shown inside the embed.
+   * @param  {Object} content the content of the reminder
+   * @return {Object}         the Discord message options
+   */
+  static makeReminderOptions(content) {
+    const options = {};
+    if (content.mentionEveryone === false) {
+      options.disableMentions = 'everyone';
+    }
+
+    if (content.image !== undefined && content.image !== null) {
+      options.files = [new Discord.MessageAttachment(Buffer.from(content.image.data, 'base64'), content.image.name)];
+    }
+
+    if (content.embed !== undefined && content.embed !== null) {
+      const embed = new Discord.MessageEmbed();
+      if (content.embed.title) {
+        embed.setTitle(content.embed.title);
+      }
+
+      if (content.embed.color) {
+        embed.setColor(content.embed.color);
+      }
+
+      for (const field of content.embed.fields || []) {
+        embed.addField(field.name, field.value);
+      }
+
+      if (options.files !== undefined) {
+        embed.setImage('attachment://' + content.image.name);
+      }
+
+      options.embed = embed;
+    }
+
+    return options;
+  }
+
+  /**
+   * Tries to read an attachment as binary data. Returns null if failed.
+   * @param  {Object}        messageAttachment the attachment object
+   * @param  {Array<string>} allowedExtensions the array of allowed extensions (in lower case)
+   * @param  {Log}           log               the log object to save the error info
+   * @return {Promise<Buffer>}                 the attachment data or null if failed
+   */
+  static async getAttachmentData(messageAttachment, allowedExtensions, log) {
+    if (!this.hasAttachmentExtension(messageAttachment, allowedExtensions)) {
+      return null;
+    }
+
+    try {
+      return await OhUtils.downloadFile(messageAttachment.attachment);
+    } catch (error) {
+      log.e('getAttachmentData download error: ' + error.message + '; stack: ' + error.stack);
+      return null;
+    }
+  }
+
+  /**
+   * Checks if an attachment has one of the given extensions.
+   * @param  {Object}        messageAttachment the attachment object
+   * @param  {Array<string>} allowedExtensions the array of allowed extensions (in lower case)
+   * @return {boolean}                         true if the extension is allowed, false otherwise
+   */
+  static hasAttachmentExtension(messageAttachment, allowedExtensions) {
+    if (messageAttachment.name === null || messageAttachment.name === undefined) {
+      return false;
+    }
+
+    const extension = messageAttachment.name.slice(messageAttachment.name.lastIndexOf('.') + 1);
+    return allowedExtensions.includes(extension.toLowerCase());
   }
 
   /**
@@ -150,8 +267,10 @@ class DiscordUtils {
       allowedExtensions.push('');
     }
 
-    const extension = messageAttachment.name === null ? null :
-      messageAttachment.name.slice(messageAttachment.name.lastIndexOf('.') + 1);
+    const extension =
+      messageAttachment.name === null
+        ? null
+        : messageAttachment.name.slice(messageAttachment.name.lastIndexOf('.') + 1);
     if (!allowedExtensions.includes('') && !allowedExtensions.includes(extension.toLowerCase())) {
       return null;
     }
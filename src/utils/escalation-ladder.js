@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * @module escalation-ladder
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OrgEscalationStep = require('../mongo_classes/org-escalation-step');
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+const MinuteMillis = 60 * 1000;
+
+/**
+ * Evaluates the escalation ladder of a server: the ordered steps applied to a user automatically when they get
+ * a given number of warnings. After each warning the step with the biggest number of warnings not exceeding
+ * the user's warnings count is applied, so the last step keeps being applied to further warnings.
+ * If the server has no escalation steps, then the ladder is made of the legacy ban/mute on warnings settings.
+ * @see EscalationStepsTable
+ * @alias EscalationLadder
+ */
+class EscalationLadder {
+  /**
+   * Gets the escalation steps of an organization, ordered by the number of warnings.
+   * @param  {Context}                           context the Bot's context
+   * @param  {string}                            source  the source name (like Discord etc.)
+   * @param  {string}                            orgId   the organization identifier
+   * @return {Promise<Array<OrgEscalationStep>>}         the steps
+   */
+  static async getSteps(context, source, orgId) {
+    const steps = await context.dbManager.getRows(context.dbManager.escalationStepsTable, { source, orgId });
+    if (steps.length > 0) {
+      return this.sortSteps(steps);
+    }
+
+    const settings = ServerSettingsTable.SERVER_SETTINGS;
+    const settingNames = [
+      settings.banOnWarnings.name,
+      settings.banOnWarningsDuration.name,
+      settings.muteOnWarnings.name,
+      settings.muteOnWarningsDuration.name
+    ];
+    const values = await Promise.all(
+      settingNames.map(settingName => context.dbManager.getSetting(source, orgId, settingName, '0'))
+    );
+
+    return this.makeLegacySteps(...values.map(value => Number.parseInt(value, 10)));
+  }
+
+  /**
+   * Makes the escalation steps from the legacy ban/mute on warnings settings.
+   * @see SetBanOnWarningsCommand
+   * @see SetMuteOnWarningsCommand
+   * @param  {number}        banLimit     the number of warnings for the ban (zero if disabled)
+   * @param  {number}        banDuration  the duration of the ban in milliseconds (zero if permanent)
+   * @param  {number}        muteLimit    the number of warnings for the mute (zero if disabled)
+   * @param  {number}        muteDuration the duration of the mute in milliseconds (zero if permanent)
+   * @return {Array<Object>}              the steps, ordered by the number of warnings
+   */
+  static makeLegacySteps(banLimit, banDuration, muteLimit, muteDuration) {
+    const steps = [];
+    if (muteLimit > 0) {
+      steps.push({ warnings: muteLimit, action: OrgEscalationStep.ESCALATION_ACTIONS.mute, duration: muteDuration });
+    }
+
+    if (banLimit > 0) {
+      steps.push({ warnings: banLimit, action: OrgEscalationStep.ESCALATION_ACTIONS.ban, duration: banDuration });
+    }
+
+    return this.sortSteps(steps);
+  }
+
+  /**
+   * Sorts the escalation steps by the number of warnings.
+   * @param  {Array<Object>} steps the steps
+   * @return {Array<Object>}       the sorted steps
+   */
+  static sortSteps(steps) {
+    return steps.slice().sort((a, b) => a.warnings - b.warnings);
+  }
+
+  /**
+   * Selects the step to be applied to a user who got a given number of warnings.
+   * @param  {Array<Object>} steps         the steps ordered by the number of warnings
+   * @param  {number}        warningsCount the number of the user's warnings, including the last one
+   * @return {Object}                      the step, or null if no step should be applied
+   */
+  static selectStep(steps, warningsCount) {
+    let selectedStep = null;
+    for (const step of steps) {
+      if (step.warnings <= warningsCount) {
+        selectedStep = step;
+      }
+    }
+
+    return selectedStep;
+  }
+
+  /**
+   * Describes the action of an escalation step in a human readable way.
+   * @param  {Object}      step        the step
+   * @param  {LangManager} langManager the language manager to localize the description
+   * @return {string}                  the description
+   */
+  static describeStep(step, langManager) {
+    if (step.action === OrgEscalationStep.ESCALATION_ACTIONS.kick || !(step.duration > 0)) {
+      return langManager.getString('escalation_step_' + step.action);
+    }
+
+    return langManager.getString(
+      'escalation_step_' + step.action + '_temporary',
+      Math.round(step.duration / MinuteMillis)
+    );
+  }
+}
+
+/**
+ * Exports the EscalationLadder class
+ * @type {EscalationLadder}
+ */
+module.exports = EscalationLadder;
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * @module link-filter
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OrgLinkDomain = require('../mongo_classes/org-link-domain');
+
+const AnyDomain = '*';
+
+const BareLinkStart = '(?<![\\p{L}\\p{N}.@/-])(?=www\\.|discord\\.gg/|discord(?:app)?\\.com/invite/)';
+
+/**
+ * The links with a scheme, and the links without a scheme which start with "www." or lead to Discord invites.
+ * The first group is the host, the second one is the rest of the link.
+ * @type {RegExp}
+ */
+const LinkRe = new RegExp('(?:https?://|' + BareLinkStart + ')([^\\s/?#<>]+)([^\\s<>]*)', 'giu');
+const TrailingPunctuationRe = /[.,:;!?'")\]]+$/;
+const DomainRe = /^(?:[\p{L}\p{N}-]+\.)+[\p{L}\p{N}-]+(?:\/\S*)?$/u;
+
+const InviteHosts = Object.freeze(['discord.gg']);
+const InvitePathHosts = Object.freeze(['discord.com', 'discordapp.com']);
+
+/**
+ * Extracts the links from texts and checks them against the allowlist and the denylist of the domains.
+ * An allowed domain overrides a denied one, so a subdomain or a path can be allowed within a denied domain.
+ * The invites to Discord servers are not allowed unless they are in the allowlist.
+ * @see MessageModerator
+ * @see OrgLinkDomain
+ * @alias LinkFilter
+ */
+class LinkFilter {
+  /**
+   * The domain which matches all links.
+   * @type {string}
+   */
+  static get ANY_DOMAIN() {
+    return AnyDomain;
+  }
+
+  /**
+   * Normalizes a host name: lowercases it, removes the user info, the port and the "www." prefix.
+   * @param  {string} host the host name
+   * @return {string}      the normalized host name
+   */
+  static normalizeHost(host) {
+    return host
+      .toLowerCase()
+      .replace(/^.*@/, '')
+      .replace(/:\d*$/, '')
+      .replace(/\.$/, '')
+      .replace(/^www\./, '');
+  }
+
+  /**
+   * Normalizes a domain of the allowlist or the denylist, like "https://www.Example.com/path/" to "example.com/path".
+   * @param  {string} domain the domain, optionally followed by a path
+   * @return {string}        the normalized domain
+   */
+  static normalizeDomain(domain) {
+    const text = domain
+      .trim()
+      .replace(/^https?:\/\//i, '')
+      .replace(/\/+$/, '');
+    const slashIndex = text.indexOf('/');
+    if (slashIndex < 0) {
+      return this.normalizeHost(text);
+    }
+
+    return this.normalizeHost(text.slice(0, slashIndex)) + text.slice(slashIndex).toLowerCase();
+  }
+
+  /**
+   * Checks if a normalized domain can be added to the allowlist or the denylist.
+   * @param  {string}  domain the normalized domain
+   * @return {boolean}        true if the domain is valid, false otherwise
+   */
+  static isValidDomain(domain) {
+    return domain === AnyDomain || DomainRe.test(domain);
+  }
+
+  /**
+   * Extracts the links from a text.
+   * @param  {string}        text the text
+   * @return {Array<Object>}      the links with the normalized "host", the lowercased "path"
+   *                              and the "inviteCode" (null if the link is not an invite to a Discord server)
+   */
+  static extractLinks(text) {
+    const links = [];
+    for (const match of text.matchAll(LinkRe)) {
+      const host = this.normalizeHost(match[1]);
+      // The punctuation following a link in a sentence is not a part of the link.
+      const path = match[2].split(/[?#]/)[0].replace(TrailingPunctuationRe, '');
+      const segments = path.split('/');
+
+      let inviteCode = null;
+      if (InviteHosts.includes(host) && segments[1]) {
+        inviteCode = segments[1];
+      } else if (InvitePathHosts.includes(host) && segments[1] === 'invite' && segments[2]) {
+        inviteCode = segments[2];
+      }
+
+      links.push({ host, path: path.toLowerCase(), inviteCode });
+    }
+
+    return links;
+  }
+
+  /**
+   * Checks if a link matches a normalized domain: the link's host is the domain or its subdomain,
+   * and the link's path starts with the domain's path (if any).
+   * @param  {Object}  link   the link
+   * @param  {string}  domain the normalized domain
+   * @return {boolean}        true if the link matches the domain, false otherwise
+   */
+  static matchesDomain(link, domain) {
+    if (domain === AnyDomain) {
+      return true;
+    }
+
+    const slashIndex = domain.indexOf('/');
+    const host = slashIndex < 0 ? domain : domain.slice(0, slashIndex);
+    const path = slashIndex < 0 ? '' : domain.slice(slashIndex);
+    if (link.host !== host && !link.host.endsWith('.' + host)) {
+      return false;
+    }
+
+    return path === '' || link.path === path || link.path.startsWith(path + '/');
+  }
+
+  /**
+   * Checks if a link is blocked by the link domains of an organization. The invites to the organization's own
+   * server are not distinguished here, so they should be checked separately.
+   * @param  {Object}               link    the link
+   * @param  {Array<OrgLinkDomain>} domains the allowed and the denied domains
+   * @return {boolean}                      true if the link is blocked, false otherwise
+   */
+  static isBlocked(link, domains) {
+    const matchesList = list =>
+      domains.some(domainRow => domainRow.list === list.name && this.matchesDomain(link, domainRow.domain));
+
+    if (matchesList(OrgLinkDomain.LINK_LISTS.allow)) {
+      return false;
+    }
+
+    return link.inviteCode !== null || matchesList(OrgLinkDomain.LINK_LISTS.deny);
+  }
+}
+
+/**
+ * Exports the LinkFilter class
+ * @type {LinkFilter}
+ */
+module.exports = LinkFilter;
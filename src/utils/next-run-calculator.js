@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * @module next-run-calculator
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const momentTz = require('moment-timezone');
+
+const OhUtils = require('./bot-utils');
+
+const TimeArg = require('../command_meta/time-arg');
+
+const AnyValueInt = Number.parseInt(OhUtils.ANY_VALUE, 10);
+
+// The max shift of local time during daylight saving transitions (with a reserve).
+const MaxTransitionMillis = 3 * 60 * 60 * 1000;
+
+const HourMillis = 60 * 60 * 1000;
+const MinuteMillis = 60 * 1000;
+const SecondMillis = 1000;
+
+/**
+ * Calculates the moments of execution of scheduled tasks based on their time definitions.
+ * All calculations are made in the calendar of the target timezone and do not depend on the timezone
+ * of the Bot's server or on the current time of the machine, so the same input always gives the same result.
+ * If a scheduled local time does not exist because of a daylight saving transition (a "gap"), then it's shifted
+ * forward by the length of the gap. If a local time happens twice (an "overlap"), then the first occurrence is used.
+ * @see TimeArg
+ * @alias NextRunCalculator
+ */
+class NextRunCalculator {
+  /**
+   * Calculates the next execution moment for given time definitions.
+   * For recurring definitions (and the ones with a day of week) finds the first matching moment after the "now" moment.
+   * For one-shot schedules (with all definitions fixed) returns the scheduled moment even if it has already passed,
+   * so the caller can detect a missed execution.
+   * @param  {Array<Object>}   definitions the time definitions of the task (shift types and amounts)
+   * @param  {string}          timezone    the timezone name (e.g. "Europe/Paris") to evaluate the definitions in
+   * @param  {number}          now         the timestamp (in milliseconds) of the current moment
+   * @return {(number | null)}             the timestamp of the next execution, or null if there are no more executions
+   */
+  static getNextRunTime(definitions, timezone, now) {
+    const expression = TimeArg.getExpression(definitions);
+    if (expression !== null) {
+      return expression.getNextTime(now, timezone);
+    }
+
+    const fields = this.readFields(definitions);
+    if (fields === null) {
+      return null;
+    }
+
+    if (!this.hasFlexibleFields(fields)) {
+      if (fields.days > OhUtils.getDaysInMonth(fields.years, fields.months)) {
+        return null;
+      }
+
+      return this.toInstant(fields.years, fields.months, fields.days, this.getDayTime(fields), timezone);
+    }
+
+    return this.findNextTime(fields, timezone, now);
+  }
+
+  /**
+   * Reads the calendar fields from time definitions. The fields which are not defined get the "any" value.
+   * @param  {Array<Object>}   definitions the time definitions
+   * @return {(Object | null)}             the object with the fields (years, months, days, dayofweek, hours,
+   *                                       minutes, seconds and milliseconds), or null if the definitions cannot
+   *                                       be scheduled (e.g. a predefined value)
+   */
+  static readFields(definitions) {
+    const fields = {
+      years: AnyValueInt,
+      months: AnyValueInt,
+      days: AnyValueInt,
+      dayofweek: AnyValueInt,
+      hours: AnyValueInt,
+      minutes: AnyValueInt,
+      seconds: AnyValueInt,
+      milliseconds: AnyValueInt
+    };
+
+    for (const definition of definitions) {
+      if (definition.shiftType === TimeArg.SHIFT_TYPES.predefined) {
+        return null;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(fields, definition.shiftType)) {
+        fields[definition.shiftType] = definition.amount;
+      }
+    }
+
+    // A day of week replaces the day of month (which may be auto completed for one-shot schedules).
+    if (fields.dayofweek !== AnyValueInt) {
+      fields.days = AnyValueInt;
+    }
+
+    // Milliseconds are never scheduled with a precision, so "any" milliseconds are the same as 0.
+    if (fields.milliseconds === AnyValueInt) {
+      fields.milliseconds = 0;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Checks if any of the calendar fields has the "any" value, so the next matching moment should be searched.
+   * @param  {Object}  fields the calendar fields
+   * @return {boolean}        true if any field is flexible, false if the fields define a single moment
+   */
+  static hasFlexibleFields(fields) {
+    return (
+      fields.years === AnyValueInt ||
+      fields.months === AnyValueInt ||
+      fields.days === AnyValueInt ||
+      fields.hours === AnyValueInt ||
+      fields.minutes === AnyValueInt ||
+      fields.seconds === AnyValueInt
+    );
+  }
+
+  /**
+   * Gets the time within a day (in milliseconds since the local midnight) for fully defined fields.
+   * @param  {Object} fields the calendar fields
+   * @return {number}        the milliseconds since the midnight
+   */
+  static getDayTime(fields) {
+    return (
+      fields.hours * HourMillis + fields.minutes * MinuteMillis + fields.seconds * SecondMillis + fields.milliseconds
+    );
+  }
+
+  /**
+   * Converts a local date and time of a timezone to a timestamp.
+   * Non-existing local times (in daylight saving gaps) are shifted forward by the length of the gap,
+   * ambiguous local times (in overlaps) are resolved to the first occurrence.
+   * @param  {number} year     the full year
+   * @param  {number} month    the month (0 to 11)
+   * @param  {number} day      the day of month
+   * @param  {number} dayTime  the milliseconds since the local midnight
+   * @param  {string} timezone the timezone name
+   * @return {number}          the timestamp in milliseconds
+   */
+  static toInstant(year, month, day, dayTime, timezone) {
+    const hours = Math.floor(dayTime / HourMillis);
+    const minutes = Math.floor((dayTime % HourMillis) / MinuteMillis);
+    const seconds = Math.floor((dayTime % MinuteMillis) / SecondMillis);
+    return momentTz.tz([year, month, day, hours, minutes, seconds, dayTime % SecondMillis], timezone).valueOf();
+  }
+
+  /**
+   * Gets the possible values of a field: either the single defined value, or the whole range for the "any" value.
+   * @param  {number}        value the value of the field
+   * @param  {number}        min   the min value of the field
+   * @param  {number}        max   the max value of the field
+   * @return {Array<number>}       the possible values in ascending order
+   */
+  static getFieldValues(value, min, max) {
+    if (value !== AnyValueInt) {
+      return value >= min && value <= max ? [value] : [];
+    }
+
+    const values = [];
+    for (let i = min; i <= max; i++) {
+      values.push(i);
+    }
+
+    return values;
+  }
+
+  /**
+   * Finds the first moment matching the calendar fields after the "now" moment.
+   * @param  {Object}          fields   the calendar fields
+   * @param  {string}          timezone the timezone name
+   * @param  {number}          now      the timestamp of the current moment
+   * @return {(number | null)}          the timestamp of the next matching moment, or null if not found
+   */
+  static findNextTime(fields, timezone, now) {
+    const nowLocal = momentTz.tz(now, timezone);
+    const yearShift = TimeArg.RECURRENCE_SHIFTS.years;
+
+    for (const year of this.getFieldValues(fields.years, nowLocal.year(), yearShift.maxValue)) {
+      for (const month of this.getFieldValues(fields.months, 0, 11)) {
+        if (year === nowLocal.year() && month < nowLocal.month()) {
+          continue;
+        }
+
+        const daysInMonth = OhUtils.getDaysInMonth(year, month);
+        for (const day of this.getFieldValues(fields.days, 1, daysInMonth)) {
+          // The previous day is still checked, since its local times may be shifted to the current day
+          // by a daylight saving transition.
+          if (year === nowLocal.year() && month === nowLocal.month() && day < nowLocal.date() - 1) {
+            continue;
+          }
+
+          if (fields.dayofweek !== AnyValueInt && OhUtils.getDayOfWeek(year, month, day) !== fields.dayofweek) {
+            continue;
+          }
+
+          const result = this.findTimeInDay(fields, timezone, now, year, month, day);
+          if (result !== null) {
+            return result;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the first moment within a local day matching the time fields (hours, minutes etc.) after the "now" moment.
+   * @param  {Object}          fields   the calendar fields
+   * @param  {string}          timezone the timezone name
+   * @param  {number}          now      the timestamp of the current moment
+   * @param  {number}          year     the full year of the day
+   * @param  {number}          month    the month of the day (0 to 11)
+   * @param  {number}          day      the day of month
+   * @return {(number | null)}          the timestamp of the matching moment, or null if not found within the day
+   */
+  static findTimeInDay(fields, timezone, now, year, month, day) {
+    // The local times which are definitely before the "now" moment are skipped without the timezone conversion,
+    // to avoid checking each second of the day for the schedules with "any" seconds.
+    const dayStart = Date.UTC(year, month, day);
+    const threshold = now + momentTz.tz.zone(timezone).utcOffset(now) * -MinuteMillis - MaxTransitionMillis;
+
+    for (const hour of this.getFieldValues(fields.hours, 0, 23)) {
+      if (dayStart + (hour + 1) * HourMillis <= threshold) {
+        continue;
+      }
+
+      for (const minute of this.getFieldValues(fields.minutes, 0, 59)) {
+        const minuteStart = dayStart + hour * HourMillis + minute * MinuteMillis;
+        if (minuteStart + MinuteMillis <= threshold) {
+          continue;
+        }
+
+        for (const second of this.getFieldValues(fields.seconds, 0, 59)) {
+          const dayTime = hour * HourMillis + minute * MinuteMillis + second * SecondMillis + fields.milliseconds;
+          if (dayStart + dayTime < threshold) {
+            continue;
+          }
+
+          const candidate = this.toInstant(year, month, day, dayTime, timezone);
+          if (candidate > now) {
+            return candidate;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Exports the NextRunCalculator class
+ * @type {NextRunCalculator}
+ */
+module.exports = NextRunCalculator;
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * @module reminder-formatter
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const momentTz = require('moment-timezone');
+
+const NextRunCalculator = require('./next-run-calculator');
+
+const TimeArg = require('../command_meta/time-arg');
+
+const Placeholders = Object.freeze({
+  date: '{date}',
+  nextRun: '{nextRun}',
+  count: '{count}'
+});
+
+const DateFormat = 'YYYY-MM-DD';
+const DateTimeFormat = 'YYYY-MM-DD HH:mm z';
+
+/**
+ * Prepares the content of reminders for sending, expanding the placeholders at the moment of the execution.
+ * "{date}" - the current date, "{nextRun}" - the moment of the next run of the reminder (empty if there are
+ * no more runs), "{count}" - the ordinal number of the current run. The dates are shown in the reminder's timezone.
+ * @alias ReminderFormatter
+ */
+class ReminderFormatter {
+  /**
+   * Gets the placeholders supported in the reminders' texts.
+   * @type {Object}
+   */
+  static get PLACEHOLDERS() {
+    return Placeholders;
+  }
+
+  /**
+   * Makes a copy of the reminder's content with expanded placeholders in the texts (the message and the embed).
+   * @param  {OrgTask} task the reminder task
+   * @param  {number}  now  the timestamp of the current run
+   * @return {Object}       the content ready to be sent
+   */
+  static formatContent(task, now) {
+    const values = this.getPlaceholderValues(task, now);
+    const content = Object.assign({}, task.content);
+    content.message = this.expandPlaceholders(content.message, values);
+
+    if (content.embed !== undefined && content.embed !== null) {
+      content.embed = Object.assign({}, content.embed, {
+        title: this.expandPlaceholders(content.embed.title, values),
+        fields: (content.embed.fields || []).map(field => ({
+          name: this.expandPlaceholders(field.name, values),
+          value: this.expandPlaceholders(field.value, values)
+        }))
+      });
+    }
+
+    return content;
+  }
+
+  /**
+   * Calculates the values of the placeholders for a run of a task.
+   * @param  {OrgTask} task the task
+   * @param  {number}  now  the timestamp of the current run
+   * @return {Object}       the map from the placeholders to their values
+   */
+  static getPlaceholderValues(task, now) {
+    const definitions = task.time.definitions;
+    const timezone = TimeArg.getTimezone(definitions);
+
+    let nextRun = '';
+    if (TimeArg.isRecurringDefinitions(definitions)) {
+      const nextTime = NextRunCalculator.getNextRunTime(definitions, timezone, now + 1);
+      if (nextTime !== null) {
+        nextRun = momentTz.tz(nextTime, timezone).format(DateTimeFormat);
+      }
+    }
+
+    return {
+      [Placeholders.date]: momentTz.tz(now, timezone).format(DateFormat),
+      [Placeholders.nextRun]: nextRun,
+      [Placeholders.count]: String((typeof task.runCount === 'number' ? task.runCount : 0) + 1)
+    };
+  }
+
+  /**
+   * Replaces all known placeholders in a text with their values.
+   * @param  {string} text   the text (may be null or undefined)
+   * @param  {Object} values the map from the placeholders to their values
+   * @return {string}        the text with the expanded placeholders
+   */
+  static expandPlaceholders(text, values) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    let result = text;
+    for (const placeholder of Object.keys(values)) {
+      result = result.split(placeholder).join(values[placeholder]);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Exports the ReminderFormatter class
+ * @type {ReminderFormatter}
+ */
+module.exports = ReminderFormatter;
@@ -0,0 +1,556 @@
+'use strict';
+
+/**
+ * @module rrule-expression
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const momentTz = require('moment-timezone');
+
+const OhUtils = require('./bot-utils');
+
+const Frequencies = Object.freeze({
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+});
+
+const DayOfWeekNames = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+const RulePrefix = 'RRULE:';
+const DateTimeFormat = 'YYYYMMDD[T]HHmmss';
+
+const MaxPeriodsToSearch = 10000;
+
+/**
+ * Recurrence rule in the RFC 5545 (iCalendar RRULE) format, e.g. "FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=18;BYMINUTE=0".
+ * Supported frequencies: DAILY, WEEKLY, MONTHLY, YEARLY. Supported parts: INTERVAL, COUNT, UNTIL, WKST,
+ * BYMONTH, BYMONTHDAY (including negative values), BYDAY (including ordinals, like "2TU" or "-1FR"),
+ * BYHOUR, BYMINUTE, BYSECOND and BYSETPOS.
+ * The start of the recurrence is kept in the non-standard DTSTART part in the local time of the rule's timezone
+ * (e.g. "DTSTART=20200501T090000"), since the rule is stored as a single string.
+ * The rule is evaluated in a given timezone with the same daylight saving handling as in CronExpression.
+ * @see CronExpression
+ * @alias RRuleExpression
+ */
+class RRuleExpression {
+  /**
+   * Constructs an instance of the class. Use RRuleExpression.parse to create instances from text.
+   * @see RRuleExpression.parse
+   */
+  constructor() {
+    this.frequency = null;
+    this.interval = 1;
+    this.count = null;
+    this.until = null;
+    this.weekStart = 1;
+    this.months = [];
+    this.monthDays = [];
+    this.weekDays = [];
+    this.hours = [];
+    this.minutes = [];
+    this.seconds = [];
+    this.setPositions = [];
+    this.start = null;
+  }
+
+  /**
+   * Gets the part name which is used to store the start of the recurrence.
+   * @type {string}
+   */
+  static get START_PART() {
+    return 'DTSTART';
+  }
+
+  /**
+   * Parses a recurrence rule from text.
+   * @param  {string}                   text the text of the rule
+   * @return {(RRuleExpression | null)}      the parsed rule, or null if the text is not a valid rule
+   */
+  static parse(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    let ruleText = text.trim().toUpperCase();
+    if (ruleText.startsWith(RulePrefix)) {
+      ruleText = ruleText.slice(RulePrefix.length);
+    }
+
+    const rule = new RRuleExpression();
+    const foundParts = new Set();
+    for (const part of ruleText.split(';')) {
+      const [name, value, ...rest] = part.split('=');
+      if (value === undefined || value === '' || rest.length > 0 || foundParts.has(name)) {
+        return null;
+      }
+
+      foundParts.add(name);
+      if (!rule.parsePart(name, value)) {
+        return null;
+      }
+    }
+
+    if (rule.frequency === null || (rule.count !== null && rule.until !== null)) {
+      return null;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Parses a single part of the rule (like "FREQ=DAILY") into the instance.
+   * @param  {string}  name  the name of the part
+   * @param  {string}  value the value of the part
+   * @return {boolean}       true if successful, false if the part is invalid or not supported
+   */
+  parsePart(name, value) {
+    switch (name) {
+      case 'FREQ':
+        this.frequency = Object.values(Frequencies).includes(value) ? value : null;
+        return this.frequency !== null;
+      case 'INTERVAL':
+        this.interval = RRuleExpression.parseNumber(value, 1, 1000);
+        return this.interval !== null;
+      case 'COUNT':
+        this.count = RRuleExpression.parseNumber(value, 1, 10000);
+        return this.count !== null;
+      case 'UNTIL':
+        this.until = RRuleExpression.parseDateTime(value);
+        return this.until !== null;
+      case RRuleExpression.START_PART:
+        this.start = RRuleExpression.parseDateTime(value);
+        return this.start !== null && !this.start.utc;
+      case 'WKST':
+        this.weekStart = DayOfWeekNames.indexOf(value);
+        return this.weekStart !== -1;
+      case 'BYMONTH':
+        this.months = RRuleExpression.parseList(value, 1, 12, false);
+        return this.months !== null;
+      case 'BYMONTHDAY':
+        this.monthDays = RRuleExpression.parseList(value, 1, 31, true);
+        return this.monthDays !== null;
+      case 'BYHOUR':
+        this.hours = RRuleExpression.parseList(value, 0, 23, false);
+        return this.hours !== null;
+      case 'BYMINUTE':
+        this.minutes = RRuleExpression.parseList(value, 0, 59, false);
+        return this.minutes !== null;
+      case 'BYSECOND':
+        this.seconds = RRuleExpression.parseList(value, 0, 59, false);
+        return this.seconds !== null;
+      case 'BYSETPOS':
+        this.setPositions = RRuleExpression.parseList(value, 1, 366, true);
+        return this.setPositions !== null;
+      case 'BYDAY':
+        this.weekDays = RRuleExpression.parseWeekDays(value);
+        return this.weekDays !== null;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Parses an integer in given bounds.
+   * @param  {string}          text the text to parse
+   * @param  {number}          min  the min value
+   * @param  {number}          max  the max value
+   * @return {(number | null)}      the number, or null if invalid
+   */
+  static parseNumber(text, min, max) {
+    if (!/^[+-]?\d+$/.test(text)) {
+      return null;
+    }
+
+    const value = Number.parseInt(text, 10);
+    return value >= min && value <= max ? value : null;
+  }
+
+  /**
+   * Parses a comma-separated list of integers.
+   * @param  {string}                 text          the text to parse
+   * @param  {number}                 min           the min absolute value
+   * @param  {number}                 max           the max absolute value
+   * @param  {boolean}                allowNegative true if negative values (counted from the end) are allowed
+   * @return {(Array<number> | null)}               the sorted values, or null if invalid
+   */
+  static parseList(text, min, max, allowNegative) {
+    const values = [];
+    for (const part of text.split(',')) {
+      const value = this.parseNumber(part, allowNegative ? -max : min, max);
+      if (value === null || (allowNegative && value > -min && value < min)) {
+        return null;
+      }
+
+      values.push(value);
+    }
+
+    return values.sort((a, b) => a - b);
+  }
+
+  /**
+   * Parses a BYDAY list (like "MO,WE,FR" or "2TU,-1FR").
+   * @param  {string}                 text the text to parse
+   * @return {(Array<Object> | null)}      the array of objects with day of week (0 for Sunday) and ordinal
+   *                                       (null if not specified), or null if invalid
+   */
+  static parseWeekDays(text) {
+    const weekDays = [];
+    for (const part of text.split(',')) {
+      const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(part);
+      if (match === null || !DayOfWeekNames.includes(match[2])) {
+        return null;
+      }
+
+      let ordinal = null;
+      if (match[1] !== undefined) {
+        ordinal = this.parseNumber(match[1], -53, 53);
+        if (ordinal === null || ordinal === 0) {
+          return null;
+        }
+      }
+
+      weekDays.push({ dayOfWeek: DayOfWeekNames.indexOf(match[2]), ordinal });
+    }
+
+    return weekDays;
+  }
+
+  /**
+   * Parses a date-time value like "20200501T090000" (local) or "20200501T090000Z" (UTC).
+   * @param  {string}          text the text to parse
+   * @return {(Object | null)}      the object with the date-time parts and the UTC flag, or null if invalid
+   */
+  static parseDateTime(text) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?(Z)?$/.exec(text);
+    if (match === null) {
+      return null;
+    }
+
+    const parts = match.slice(1, 7).map(a => (a === undefined ? 0 : Number.parseInt(a, 10)));
+    const [year, month, day, hour, minute, second] = parts;
+    if (
+      month < 1 ||
+      month > 12 ||
+      day < 1 ||
+      day > OhUtils.getDaysInMonth(year, month - 1) ||
+      hour > 23 ||
+      minute > 59 ||
+      second > 59
+    ) {
+      return null;
+    }
+
+    return { year, month: month - 1, day, hour, minute, second, utc: match[7] !== undefined };
+  }
+
+  /**
+   * Makes the text of a rule with the start of the recurrence added, if the rule does not have it yet.
+   * @param  {string} text      the text of the rule
+   * @param  {number} startTime the timestamp of the start
+   * @param  {string} timezone  the timezone name to calculate the local start time in
+   * @return {string}           the text of the rule with the start
+   */
+  static addStartIfMissing(text, startTime, timezone) {
+    const rule = this.parse(text);
+    if (rule === null || rule.start !== null) {
+      return text;
+    }
+
+    return (
+      text.trim().replace(/^RRULE:/i, '') +
+      ';' +
+      this.START_PART +
+      '=' +
+      momentTz.tz(startTime, timezone).format(DateTimeFormat)
+    );
+  }
+
+  /**
+   * Converts a local date-time of the rule to a timestamp.
+   * @param  {Object} dateTime the date-time parts
+   * @param  {string} timezone the timezone name
+   * @return {number}          the timestamp in milliseconds
+   */
+  static toTimestamp(dateTime, timezone) {
+    const array = [dateTime.year, dateTime.month, dateTime.day, dateTime.hour, dateTime.minute, dateTime.second, 0];
+    return dateTime.utc ? Date.UTC(...array) : momentTz.tz(array, timezone).valueOf();
+  }
+
+  /**
+   * Gets the days of a period (a single day, a week, a month or a year) which match the BY* parts of the rule.
+   * @param  {Date}          periodStart the first day of the period (as a UTC calendar date)
+   * @return {Array<Object>}             the array of objects with year, month and day
+   */
+  getPeriodDays(periodStart) {
+    const year = periodStart.getUTCFullYear();
+    const startMonth = periodStart.getUTCMonth();
+    let days = [];
+    switch (this.frequency) {
+      case Frequencies.daily:
+        days.push({ year, month: startMonth, day: periodStart.getUTCDate() });
+        break;
+      case Frequencies.weekly:
+        for (let i = 0; i < 7; i++) {
+          const date = new Date(periodStart.getTime());
+          date.setUTCDate(date.getUTCDate() + i);
+          days.push({ year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() });
+        }
+
+        break;
+      case Frequencies.monthly:
+        days = this.expandMonth(year, startMonth);
+        break;
+      default: {
+        let months = this.months.map(a => a - 1);
+        if (months.length === 0) {
+          months =
+            this.monthDays.length > 0 || this.weekDays.length > 0 ? [...new Array(12).keys()] : [this.start.month];
+        }
+
+        if (this.months.length === 0 && this.weekDays.some(a => a.ordinal !== null)) {
+          // The ordinals of days of week are counted within the whole year.
+          for (let month = 0; month < 12; month++) {
+            days = days.concat(this.expandMonth(year, month, true));
+          }
+
+          days = this.filterByOrdinals(days);
+        } else {
+          for (const month of months) {
+            days = days.concat(this.expandMonth(year, month));
+          }
+        }
+
+        break;
+      }
+    }
+
+    return days.filter(a => this.matchesDayFilters(a));
+  }
+
+  /**
+   * Gets the days of a month matching BYMONTHDAY and BYDAY parts of the rule
+   * (or the day of the start, if neither is specified).
+   * @param  {number}        year       the full year
+   * @param  {number}        month      the month (0 to 11)
+   * @param  {boolean}       [allDays]  if true, then returns all days of the month
+   * @return {Array<Object>}            the array of objects with year, month and day
+   */
+  expandMonth(year, month, allDays) {
+    const daysInMonth = OhUtils.getDaysInMonth(year, month);
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      days.push({ year, month, day });
+    }
+
+    if (allDays) {
+      return days;
+    }
+
+    if (this.monthDays.length === 0 && this.weekDays.length === 0) {
+      return this.frequency === Frequencies.monthly || this.frequency === Frequencies.yearly
+        ? days.filter(a => a.day === this.start.day)
+        : days;
+    }
+
+    let result = days;
+    if (this.monthDays.length > 0) {
+      result = result.filter(a =>
+        this.monthDays.some(monthDay => monthDay === a.day || monthDay === a.day - daysInMonth - 1)
+      );
+    }
+
+    if (this.weekDays.length > 0) {
+      // The ordinals are counted within the whole month, regardless of BYMONTHDAY.
+      const weekDayMatches = this.filterByOrdinals(days);
+      result = result.filter(a => weekDayMatches.includes(a));
+    }
+
+    return result;
+  }
+
+  /**
+   * Filters days by the BYDAY part of the rule, considering the ordinals within the given list of days
+   * (e.g. "2TU" - the second Tuesday in the list).
+   * @param  {Array<Object>} days the days (with year, month and day)
+   * @return {Array<Object>}      the matching days
+   */
+  filterByOrdinals(days) {
+    return days.filter(a => {
+      const dayOfWeek = OhUtils.getDayOfWeek(a.year, a.month, a.day);
+      const sameDays = days.filter(b => OhUtils.getDayOfWeek(b.year, b.month, b.day) === dayOfWeek);
+      const index = sameDays.indexOf(a);
+      return this.weekDays.some(
+        weekDay =>
+          weekDay.dayOfWeek === dayOfWeek &&
+          (weekDay.ordinal === null || weekDay.ordinal === index + 1 || weekDay.ordinal === index - sameDays.length)
+      );
+    });
+  }
+
+  /**
+   * Checks the filters which limit (rather than expand) the days for the rule's frequency.
+   * @param  {Object}  day the day (with year, month and day)
+   * @return {boolean}     true if the day matches
+   */
+  matchesDayFilters(day) {
+    if (this.months.length > 0 && !this.months.includes(day.month + 1)) {
+      return false;
+    }
+
+    if (this.frequency === Frequencies.daily || this.frequency === Frequencies.weekly) {
+      if (this.frequency === Frequencies.daily && this.monthDays.length > 0) {
+        const daysInMonth = OhUtils.getDaysInMonth(day.year, day.month);
+        if (!this.monthDays.some(a => a === day.day || a === day.day - daysInMonth - 1)) {
+          return false;
+        }
+      }
+
+      const dayOfWeek = OhUtils.getDayOfWeek(day.year, day.month, day.day);
+      const weekDays =
+        this.weekDays.length === 0 && this.frequency === Frequencies.weekly
+          ? [OhUtils.getDayOfWeek(this.start.year, this.start.month, this.start.day)]
+          : this.weekDays.map(a => a.dayOfWeek);
+      if (weekDays.length > 0 && !weekDays.includes(dayOfWeek)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets the first day of the period with a given index (counting from the period of the start of the recurrence).
+   * @param  {number} index the index of the period
+   * @return {Date}         the first day of the period (as a UTC calendar date)
+   */
+  getPeriodStart(index) {
+    switch (this.frequency) {
+      case Frequencies.daily:
+        return new Date(Date.UTC(this.start.year, this.start.month, this.start.day + index));
+      case Frequencies.weekly: {
+        const startDayOfWeek = OhUtils.getDayOfWeek(this.start.year, this.start.month, this.start.day);
+        const shift = (startDayOfWeek - this.weekStart + 7) % 7;
+        return new Date(Date.UTC(this.start.year, this.start.month, this.start.day - shift + index * 7));
+      }
+
+      case Frequencies.monthly:
+        return new Date(Date.UTC(this.start.year, this.start.month + index, 1));
+      default:
+        return new Date(Date.UTC(this.start.year + index, 0, 1));
+    }
+  }
+
+  /**
+   * Gets the index of the period containing a given local calendar day.
+   * @param  {Object} day the local day (with year, month and day)
+   * @return {number}     the index of the period (may be negative if before the start of the recurrence)
+   */
+  getPeriodIndex(day) {
+    const dayMillis = 24 * 60 * 60 * 1000;
+    switch (this.frequency) {
+      case Frequencies.daily:
+        return Math.floor((Date.UTC(day.year, day.month, day.day) - this.getPeriodStart(0).getTime()) / dayMillis);
+      case Frequencies.weekly:
+        return Math.floor(
+          (Date.UTC(day.year, day.month, day.day) - this.getPeriodStart(0).getTime()) / (dayMillis * 7)
+        );
+      case Frequencies.monthly:
+        return (day.year - this.start.year) * 12 + day.month - this.start.month;
+      default:
+        return day.year - this.start.year;
+    }
+  }
+
+  /**
+   * Gets the sorted occurrences (timestamps) within a period, considering the times and BYSETPOS of the rule.
+   * @param  {number}        index    the index of the period
+   * @param  {string}        timezone the timezone name
+   * @return {Array<number>}          the timestamps
+   */
+  getPeriodOccurrences(index, timezone) {
+    const hours = this.hours.length > 0 ? this.hours : [this.start.hour];
+    const minutes = this.minutes.length > 0 ? this.minutes : [this.start.minute];
+    const seconds = this.seconds.length > 0 ? this.seconds : [this.start.second];
+
+    let occurrences = [];
+    for (const day of this.getPeriodDays(this.getPeriodStart(index))) {
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          for (const second of seconds) {
+            occurrences.push(RRuleExpression.toTimestamp({ ...day, hour, minute, second }, timezone));
+          }
+        }
+      }
+    }
+
+    occurrences = [...new Set(occurrences)].sort((a, b) => a - b);
+
+    if (this.setPositions.length > 0) {
+      occurrences = occurrences.filter((value, i) =>
+        this.setPositions.some(position => position === i + 1 || position === i - occurrences.length)
+      );
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Finds the next occurrence of the rule after a given moment.
+   * @param  {number}          fromTime the timestamp (in milliseconds) to search after
+   * @param  {string}          timezone the timezone name (e.g. "Europe/Paris") to evaluate the rule in
+   * @return {(number | null)}          the timestamp of the next occurrence, or null if the recurrence is over
+   */
+  getNextTime(fromTime, timezone) {
+    if (this.start === null) {
+      return null;
+    }
+
+    const startTime = RRuleExpression.toTimestamp(this.start, timezone);
+    const untilTime = this.until === null ? null : RRuleExpression.toTimestamp(this.until, timezone);
+
+    // Without COUNT there is no need to go through all the occurrences since the start.
+    let index = 0;
+    if (this.count === null) {
+      const fromLocal = momentTz.tz(Math.max(fromTime, startTime), timezone);
+      const fromIndex = this.getPeriodIndex({
+        year: fromLocal.year(),
+        month: fromLocal.month(),
+        day: fromLocal.date()
+      });
+      index = Math.max(0, Math.floor(fromIndex / this.interval) * this.interval);
+    }
+
+    let occurrencesCount = 0;
+    for (let i = 0; i < MaxPeriodsToSearch; i++, index += this.interval) {
+      for (const occurrence of this.getPeriodOccurrences(index, timezone)) {
+        if (occurrence < startTime) {
+          continue;
+        }
+
+        if (untilTime !== null && occurrence > untilTime) {
+          return null;
+        }
+
+        occurrencesCount++;
+        if (this.count !== null && occurrencesCount > this.count) {
+          return null;
+        }
+
+        if (occurrence > fromTime) {
+          return occurrence;
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Exports the RRuleExpression class
+ * @type {RRuleExpression}
+ */
+module.exports = RRuleExpression;
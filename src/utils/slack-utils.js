@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * @module slack-utils
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('./bot-utils');
+
+// Slack truncates the messages longer than 40000 symbols, but recommends to keep them under 4000.
+const MaxTextLength = 4000;
+
+/**
+ * The types of the Slack conversations which belong to a workspace as a whole (unlike the direct messages).
+ * @type {Array<string>}
+ */
+const ChannelTypes = Object.freeze(['channel', 'group']);
+
+const EscapedSymbols = Object.freeze({
+  '&lt;': '<',
+  '&gt;': '>',
+  '&amp;': '&'
+});
+
+/**
+ * Various utils related to Slack.
+ * @alias SlackUtils
+ */
+class SlackUtils {
+  /**
+   * Gets the max number of symbols in a Slack message.
+   * @type {number}
+   */
+  static get MAX_TEXT_LENGTH() {
+    return MaxTextLength;
+  }
+
+  /**
+   * Checks if a Slack message was posted to a channel of the workspace (public or private), and not to
+   * direct messages.
+   * @param  {Object}  slackMessage the Slack message event
+   * @return {boolean}              true if the message was posted to a channel, false otherwise
+   */
+  static isChannelMessage(slackMessage) {
+    return ChannelTypes.includes(slackMessage.channel_type);
+  }
+
+  /**
+   * Gets the display name of a Slack user: the display name from the profile if set, otherwise the real name
+   * or the user name.
+   * @param  {Object} user the Slack user
+   * @return {string}      the display name
+   */
+  static getDisplayName(user) {
+    const profile = user.profile === undefined ? {} : user.profile;
+    if (profile.display_name) {
+      return profile.display_name;
+    }
+
+    if (profile.real_name) {
+      return profile.real_name;
+    }
+
+    return user.real_name ? user.real_name : user.name;
+  }
+
+  /**
+   * Makes a mention of a Slack user in a message.
+   * @param  {string} userId the identifier of the user
+   * @return {string}        the mention
+   */
+  static makeUserMention(userId) {
+    return '<@' + userId + '>';
+  }
+
+  /**
+   * Makes a mention of a Slack channel in a message.
+   * @param  {string} channelId the identifier of the channel
+   * @return {string}           the mention
+   */
+  static makeChannelMention(channelId) {
+    return '<#' + channelId + '>';
+  }
+
+  /**
+   * Converts the text of a Slack message into the plain text: Slack escapes the "<", ">" and "&" symbols.
+   * @see https://api.slack.com/reference/surfaces/formatting#escaping
+   * @param  {string} text the text of a Slack message
+   * @return {string}      the plain text
+   */
+  static unescapeText(text) {
+    return text.replace(/&lt;|&gt;|&amp;/g, symbol => EscapedSymbols[symbol]);
+  }
+
+  /**
+   * Splits a text into the parts fitting the recommended limit of symbols of a Slack message.
+   * If possible, the text is split at the line end closest to the limit.
+   * @param  {string}        text the text to be posted
+   * @return {Array<string>}      the parts of the text
+   */
+  static splitText(text) {
+    return OhUtils.splitText(text, MaxTextLength);
+  }
+}
+
+/**
+ * Exports the SlackUtils class
+ * @type {SlackUtils}
+ */
+module.exports = SlackUtils;
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * @module telegram-utils
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const OhUtils = require('./bot-utils');
+
+const MaxTextLength = 4096;
+const UserNamePrefix = '@';
+
+const GroupChatTypes = Object.freeze(['group', 'supergroup']);
+
+/**
+ * Various utils related to Telegram.
+ * @alias TelegramUtils
+ */
+class TelegramUtils {
+  /**
+   * Gets the max number of symbols in a Telegram message.
+   * @type {number}
+   */
+  static get MAX_TEXT_LENGTH() {
+    return MaxTextLength;
+  }
+
+  /**
+   * Gets the prefix of the Telegram user names (like "@username").
+   * @type {string}
+   */
+  static get USER_NAME_PREFIX() {
+    return UserNamePrefix;
+  }
+
+  /**
+   * Checks if a Telegram chat is a group (a basic group or a supergroup), that is an organization for the Bot.
+   * @param  {Object}  chat the Telegram chat
+   * @return {boolean}      true if the chat is a group, false otherwise (e.g. a private chat or a channel)
+   */
+  static isGroupChat(chat) {
+    return chat !== undefined && chat !== null && GroupChatTypes.includes(chat.type);
+  }
+
+  /**
+   * Gets the display name of a Telegram user (the first name and the last name, if set).
+   * @param  {Object} user the Telegram user
+   * @return {string}      the display name
+   */
+  static getDisplayName(user) {
+    return user.last_name === undefined ? user.first_name : user.first_name + ' ' + user.last_name;
+  }
+
+  /**
+   * Makes the text referring to a Telegram user: the user name if set, otherwise the display name.
+   * @param  {string} userName    the user name (without the prefix), null or undefined if not set
+   * @param  {string} displayName the display name
+   * @return {string}             the text referring to the user
+   */
+  static makeUserLabel(userName, displayName) {
+    return userName === undefined || userName === null ? displayName : UserNamePrefix + userName;
+  }
+
+  /**
+   * Removes the name of the bot appended to the first word of a text (like "/help@SomeBot"). Telegram appends it
+   * to the commands in the groups, so the commands of different bots can be distinguished.
+   * The names of other bots are kept, so such commands are not recognized by the Bot.
+   * @param  {string} text        the text of a message
+   * @param  {string} botUserName the user name of the bot (without the prefix)
+   * @return {string}             the text without the name of the bot
+   */
+  static removeBotName(text, botUserName) {
+    const firstWordEnd = text.search(/\s|$/);
+    const nameStart = text.lastIndexOf(UserNamePrefix, firstWordEnd);
+    if (nameStart <= 0 || text.slice(nameStart + 1, firstWordEnd).toLowerCase() !== botUserName.toLowerCase()) {
+      return text;
+    }
+
+    return text.slice(0, nameStart) + text.slice(firstWordEnd);
+  }
+
+  /**
+   * Splits a text into the parts fitting the hard limit of symbols of a Telegram message.
+   * If possible, the text is split at the line end closest to the limit.
+   * @param  {string}        text the text to be posted
+   * @return {Array<string>}      the parts of the text
+   */
+  static splitText(text) {
+    return OhUtils.splitText(text, MaxTextLength);
+  }
+}
+
+/**
+ * Exports the TelegramUtils class
+ * @type {TelegramUtils}
+ */
+module.exports = TelegramUtils;
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * @module warnings-decay
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const ServerSettingsTable = require('../mongo_classes/server-settings-table');
+
+/**
+ * Evaluates which warnings of a server are still active. A warning expires either at its own expiry time
+ * (if the moderator set one while warning) or when it gets older than the server's warnings decay period.
+ * Only the active warnings count against the escalation ladder. The expired warnings are kept in the DB
+ * as archived, so that the moderators can still see them.
+ * @see WarnCommand
+ * @see SetWarningsDecayCommand
+ * @alias WarningsDecay
+ */
+class WarningsDecay {
+  /**
+   * Gets the warnings decay period of an organization.
+   * @param  {Context}         context the Bot's context
+   * @param  {string}          source  the source name (like Discord etc.)
+   * @param  {string}          orgId   the organization identifier
+   * @return {Promise<number>}         the period in milliseconds, zero if the warnings do not decay
+   */
+  static async getDecayMillis(context, source, orgId) {
+    const value = await context.dbManager.getSetting(
+      source,
+      orgId,
+      ServerSettingsTable.SERVER_SETTINGS.warningsDecay.name,
+      '0'
+    );
+
+    const decayMillis = Number.parseInt(value, 10);
+    return Number.isNaN(decayMillis) ? 0 : decayMillis;
+  }
+
+  /**
+   * Gets the moment when a warning expires, whichever comes first: its own expiry time or the end of the decay.
+   * @param  {OrgWarning} warning     the warning
+   * @param  {number}     decayMillis the decay period in milliseconds, zero if the warnings do not decay
+   * @return {number}                 the timestamp of the expiry, or null if the warning never expires
+   */
+  static getExpiryTime(warning, decayMillis) {
+    let expiryTime = warning.expiresAt > 0 ? warning.expiresAt : null;
+    if (decayMillis > 0) {
+      const decayTime = warning.timestamp + decayMillis;
+      expiryTime = expiryTime === null ? decayTime : Math.min(expiryTime, decayTime);
+    }
+
+    return expiryTime;
+  }
+
+  /**
+   * Checks if a warning is still active (not archived and not expired).
+   * @param  {OrgWarning} warning     the warning
+   * @param  {number}     decayMillis the decay period in milliseconds, zero if the warnings do not decay
+   * @param  {number}     now         the current timestamp
+   * @return {boolean}                true if the warning is active, false otherwise
+   */
+  static isActive(warning, decayMillis, now) {
+    if (warning.archived === true) {
+      return false;
+    }
+
+    const expiryTime = this.getExpiryTime(warning, decayMillis);
+    return expiryTime === null || expiryTime > now;
+  }
+
+  /**
+   * Splits warnings to the active and the expired ones.
+   * @param  {Array<OrgWarning>} warnings    the warnings
+   * @param  {number}            decayMillis the decay period in milliseconds, zero if the warnings do not decay
+   * @param  {number}            now         the current timestamp
+   * @return {Object}                        the object with "active" and "expired" arrays of the warnings
+   */
+  static splitWarnings(warnings, decayMillis, now) {
+    const result = { active: [], expired: [] };
+    for (const warning of warnings) {
+      if (this.isActive(warning, decayMillis, now)) {
+        result.active.push(warning);
+      } else {
+        result.expired.push(warning);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Marks all expired warnings in the DB as archived. Used by the Scheduler periodically.
+   * @param  {Context}         context the Bot's context
+   * @return {Promise<number>}         the number of the newly archived warnings
+   */
+  static async archiveExpiredWarnings(context) {
+    const collection = context.dbManager.dbo.collection(context.dbManager.warningsTable.getTableName());
+    const warnings = await collection.find({ archived: { $ne: true } }).toArray();
+
+    const orgs = new Map();
+    for (const warning of warnings) {
+      orgs.set(warning.source + ':' + warning.orgId, warning);
+    }
+
+    const decaysByOrg = new Map();
+    await Promise.all(
+      Array.from(orgs.entries()).map(async ([orgKey, warning]) => {
+        decaysByOrg.set(orgKey, await this.getDecayMillis(context, warning.source, warning.orgId));
+      })
+    );
+
+    const now = Date.now();
+    const expiredIds = warnings
+      .filter(warning => !this.isActive(warning, decaysByOrg.get(warning.source + ':' + warning.orgId), now))
+      .map(warning => warning._id);
+
+    if (expiredIds.length === 0) {
+      return 0;
+    }
+
+    const result = await collection.updateMany({ _id: { $in: expiredIds } }, { $set: { archived: true } });
+    return result.modifiedCount;
+  }
+}
+
+/**
+ * Exports the WarningsDecay class
+ * @type {WarningsDecay}
+ */
+module.exports = WarningsDecay;
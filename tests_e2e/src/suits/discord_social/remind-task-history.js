@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * @module remind-task-history
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const TestCase = require('../../components/test-case');
+
+/**
+ * Checks if the execution of a one-shot reminder gets recorded in the task history
+ * and remains available after the reminder itself is deleted.
+ * @extends TestCase
+ * @alias RemindTaskHistory
+ */
+class RemindTaskHistory extends TestCase {
+  /**
+   * Executes the test case
+   * @return {Promise} nothing (in case of failure - an exception will be thrown)
+   */
+  async execute() {
+    super.execute();
+
+    const discordClient = this.processor.discordClient;
+    this.assertNotNull(discordClient);
+    const user = discordClient.user;
+    this.assertNotNull(user);
+    const guild = discordClient.guilds.cache.get(this.processor.prefsManager.test_discord_guild_id);
+    this.assertNotNull(guild);
+    const channel = guild.channels.cache.get(this.processor.prefsManager.test_discord_text_channel_1_id);
+    this.assertNotNull(channel);
+
+    channel.send('!permitremind <@!' + user.id + '>');
+    let receivedMessage = await this.getReply(channel);
+    this.assertNotNull(receivedMessage);
+    this.assertEquals(receivedMessage.content, 'Successfully added the permission.');
+
+    channel.send('!remind in 20s e2e history test');
+    receivedMessage = await this.getReply(channel);
+    this.assertNotNull(receivedMessage);
+    this.assertEquals(receivedMessage.content, 'Successfully added and scheduled a reminder.');
+
+    channel.send('!reminders');
+    const receivedMessages = await this.getAllReplies(channel, 3000);
+    this.assertNotNull(receivedMessages);
+    let maxId = -1;
+    for (const message of receivedMessages) {
+      this.assertNotNull(message.content);
+      for (const match of message.content.matchAll(/Reminder id = (\d+);/g)) {
+        maxId = Math.max(maxId, Number.parseInt(match[1], 10));
+      }
+    }
+
+    this.assertTrue(maxId >= 0);
+
+    receivedMessage = await this.getReply(channel, 20000);
+    this.assertNotNull(receivedMessage);
+    this.assertEquals(receivedMessage.content, 'e2e history test');
+
+    channel.send('!taskhistory ' + maxId);
+    receivedMessage = await this.getReply(channel);
+    this.assertNotNull(receivedMessage);
+    this.assertTrue(receivedMessage.content.includes('no longer exists'));
+    this.assertTrue(receivedMessage.content.includes('status: executed'));
+
+    channel.send('!denyremind <@!' + user.id + '>');
+    receivedMessage = await this.getReply(channel);
+    this.assertNotNull(receivedMessage);
+    this.assertEquals(receivedMessage.content, 'Successfully removed 1 permission(s).');
+  }
+}
+
+/**
+ * Exports the RemindTaskHistory class
+ * @type {RemindTaskHistory}
+ */
+module.exports = RemindTaskHistory;
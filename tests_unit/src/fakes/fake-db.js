@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+/**
+ * Checks that a value satisfies a condition of a query.
+ * Supports the exact values (contained by the array values) and the "$in", "$ne", "$lt" and "$gt" operators.
+ * @param  {Object}  value     the value of the field
+ * @param  {Object}  condition the condition of the field from the query
+ * @return {boolean}           true if satisfies, false otherwise
+ */
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return Array.isArray(value) && !Array.isArray(condition) ? value.includes(condition) : value === condition;
+  }
+
+  return Object.keys(condition).every(operator => {
+    switch (operator) {
+      case '$in':
+        return condition.$in.includes(value);
+      case '$ne':
+        return value !== condition.$ne;
+      case '$lt':
+        return value < condition.$lt;
+      case '$gt':
+        return value > condition.$gt;
+      default:
+        throw new Error('FakeDb: unsupported query operator: ' + operator);
+    }
+  });
+}
+
+/**
+ * Gets the value of a field of a row, the nested fields are separated by dots (like "content.user").
+ * @param  {Object} row   the row
+ * @param  {string} field the field
+ * @return {Object}       the value, or undefined if not found
+ */
+function getFieldValue(row, field) {
+  return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), row);
+}
+
+/**
+ * Checks that a row satisfies a query.
+ * @param  {Object}  row   the row
+ * @param  {Object}  query the query
+ * @return {boolean}       true if satisfies, false otherwise
+ */
+function matchesQuery(row, query) {
+  return Object.keys(query).every(field => matchesCondition(getFieldValue(row, field), query[field]));
+}
+
+/**
+ * Local fake of a MongoDB collection, keeps the rows in RAM.
+ * Implements only the part of the driver's API which is used by the tested code.
+ * @alias FakeCollection
+ */
+class FakeCollection {
+  /**
+   * Constructs an instance of the class
+   */
+  constructor() {
+    this.rows = [];
+  }
+
+  /**
+   * Finds the rows satisfying a query.
+   * @param  {Object} query the query
+   * @return {Object}       the cursor supporting "sort", "limit" and "toArray"
+   */
+  find(query) {
+    let found = this.rows.filter(row => matchesQuery(row, query));
+    const cursor = {
+      sort: order => {
+        const [field, direction] = Object.entries(order)[0];
+        found = found.slice().sort((a, b) => (a[field] === b[field] ? 0 : a[field] < b[field] ? -1 : 1) * direction);
+        return cursor;
+      },
+      limit: count => {
+        found = found.slice(0, count);
+        return cursor;
+      },
+      toArray: async () => found.map(row => Object.assign({}, row))
+    };
+    return cursor;
+  }
+
+  /**
+   * Inserts a row.
+   * @param  {Object}  row the row
+   * @return {Promise}     the result of the insertion
+   */
+  async insertOne(row) {
+    this.rows.push(Object.assign({}, row));
+    return { insertedCount: 1 };
+  }
+
+  /**
+   * Updates the first row satisfying a query.
+   * @param  {Object}  query  the query
+   * @param  {Object}  update the update containing the "$set" values
+   * @return {Promise}        the result of the update
+   */
+  async updateOne(query, update) {
+    const row = this.rows.find(value => matchesQuery(value, query));
+    if (row !== undefined) {
+      Object.assign(row, update.$set);
+    }
+
+    return { modifiedCount: row === undefined ? 0 : 1 };
+  }
+
+  /**
+   * Removes the rows satisfying a query.
+   * @param  {Object}  query the query
+   * @return {Promise}       the result of the removal
+   */
+  async remove(query) {
+    const countBefore = this.rows.length;
+    this.rows = this.rows.filter(row => !matchesQuery(row, query));
+    return { deletedCount: countBefore - this.rows.length };
+  }
+}
+
+/**
+ * Local fake of a MongoDB database, to be used as the "dbo" of the DB manager in the tests.
+ * @alias FakeDb
+ */
+class FakeDb {
+  /**
+   * Constructs an instance of the class
+   */
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Gets a collection, creates it if needed.
+   * @param  {string}         name the name of the collection
+   * @return {FakeCollection}      the collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new FakeCollection());
+    }
+
+    return this.collections.get(name);
+  }
+}
+
+/**
+ * Exports the FakeDb class
+ * @type {FakeDb}
+ */
+module.exports = FakeDb;
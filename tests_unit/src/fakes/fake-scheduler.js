@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const Scheduler = require('../../../src/managers/scheduler');
+const TimeArg = require('../../../src/command_meta/time-arg');
+const TasksTable = require('../../../src/mongo_classes/tasks-table');
+const TaskRunsTable = require('../../../src/mongo_classes/task-runs-table');
+
+const FakeDb = require('./fake-db');
+
+const TestTaskType = 'test';
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+/**
+ * Executor of the tasks added by the tests, does nothing.
+ * @alias TestTaskExecutor
+ */
+class TestTaskExecutor {
+  /**
+   * Gets the type of the tasks executed by this executor.
+   * @return {string} the task type
+   */
+  static getTaskType() {
+    return TestTaskType;
+  }
+
+  /**
+   * Validates the content of a task, any content is valid.
+   */
+  static validateContent() {}
+
+  /**
+   * Executes a task.
+   * @return {Promise} nothing
+   */
+  async execute() {}
+}
+
+/**
+ * Scheduler with the tasks tables stored in RAM and with an executor of the test tasks.
+ * @alias FakeScheduler
+ * @extends Scheduler
+ */
+class FakeScheduler extends Scheduler {
+  /**
+   * Constructs an instance of the class
+   */
+  constructor() {
+    const dbManager = { dbo: new FakeDb(), getSetting: async (source, orgId, name, defaultValue) => defaultValue };
+    const context = { log: SilentLog, prefsManager: {}, dbManager };
+    dbManager.context = context;
+    dbManager.tasksTable = new TasksTable(dbManager);
+    dbManager.taskRunsTable = new TaskRunsTable(dbManager);
+
+    super(context);
+    this.registerExecutor(TestTaskExecutor);
+  }
+
+  /**
+   * Gets the rows of the tasks table.
+   * @type {Array<Object>}
+   */
+  get taskRows() {
+    return this.context.dbManager.dbo.collection(TasksTable.TASKS_TABLE_NAME).rows;
+  }
+
+  /**
+   * Makes a one-shot task to be run at the beginning of a given year.
+   * @param  {string} source the source name of the task (like Discord etc.)
+   * @param  {string} orgId  the organization identifier of the task
+   * @param  {number} year   the year of the run
+   * @return {Object}        the raw task
+   */
+  static makeOneShotTask(source, orgId, year) {
+    const definitions = [
+      { amount: year, shiftType: TimeArg.SHIFT_TYPES.years },
+      { amount: 0, shiftType: TimeArg.SHIFT_TYPES.months },
+      { amount: 1, shiftType: TimeArg.SHIFT_TYPES.days },
+      { amount: 10, shiftType: TimeArg.SHIFT_TYPES.hours },
+      { amount: 0, shiftType: TimeArg.SHIFT_TYPES.minutes },
+      { amount: 0, shiftType: TimeArg.SHIFT_TYPES.seconds }
+    ];
+    return { id: 1, source, orgId, type: TestTaskType, content: {}, time: { definitions } };
+  }
+
+  /**
+   * Adds a task to the DB and to the scheduler.
+   * @param  {Object}  task the raw task
+   * @return {Promise}      nothing
+   */
+  async addStoredTask(task) {
+    await this.context.dbManager.dbo.collection(TasksTable.TASKS_TABLE_NAME).insertOne(task);
+    this.addTask(task);
+  }
+
+  /**
+   * Adds a one-shot task, which run time is in the past, to the DB and to the scheduler.
+   * Such a task is run as a misfired one right away, waits till the run finishes.
+   * @param  {string}  source the source name of the task (like Discord etc.)
+   * @param  {string}  orgId  the organization identifier of the task
+   * @return {Promise}        nothing
+   */
+  async runMissedOneShotTask(source, orgId) {
+    await this.addStoredTask(FakeScheduler.makeOneShotTask(source, orgId, 2020));
+    await this.settle();
+  }
+
+  /**
+   * Waits till the runs and the DB operations which are not awaited by the scheduler are finished.
+   * The fake DB does not wait for any I/O, so they are finished once the pending promises are settled.
+   * @return {Promise} nothing
+   */
+  settle() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Exports the FakeScheduler class
+ * @type {FakeScheduler}
+ */
+module.exports = FakeScheduler;
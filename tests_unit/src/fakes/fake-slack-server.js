@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const http = require('http');
+
+const WebSocket = require('ws');
+
+const ApiPath = '/api/';
+const SocketPath = '/socket';
+
+/**
+ * Local fake of the Slack platform: the Web API and the Socket Mode endpoint. Records the called methods
+ * and replies with the results set up by the tests. The envelopes sent by the tests are delivered
+ * to the connected sockets, the acknowledgements of the client are recorded.
+ * @alias FakeSlackServer
+ */
+class FakeSlackServer {
+  /**
+   * Constructs an instance of the class
+   */
+  constructor() {
+    this.calls = [];
+    this.acks = [];
+    this.results = {
+      'auth.test': { user_id: 'UBOT', user: 'orghelper', team_id: 'T1' },
+      'team.info': { team: { id: 'T1', name: 'Test workspace' } },
+      'chat.postMessage': params => ({ channel: params.channel, ts: '1000.0001' })
+    };
+    this.waiters = [];
+    this.sockets = new Set();
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.socketServer = new WebSocket.Server({ noServer: true });
+    this.server.on('upgrade', (request, socket, head) => {
+      this.socketServer.handleUpgrade(request, socket, head, webSocket => this.handleSocket(webSocket));
+    });
+  }
+
+  /**
+   * Starts listening on a free local port.
+   * @return {Promise<string>} the URL of the Web API to be used by the client
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.makeUrl('http') + ApiPath.slice(0, -1)));
+    });
+  }
+
+  /**
+   * Closes the sockets and stops listening.
+   * @return {Promise} nothing
+   */
+  stop() {
+    for (const socket of this.sockets) {
+      socket.terminate();
+    }
+
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Makes the URL of the server.
+   * @param  {string} protocol the protocol ("http" or "ws")
+   * @return {string}          the URL
+   */
+  makeUrl(protocol) {
+    return protocol + '://127.0.0.1:' + this.server.address().port;
+  }
+
+  /**
+   * Waits until a method gets called (or returns immediately if it was called already).
+   * The acknowledgements of the envelopes can be awaited as the "ack" method.
+   * @param  {string}          method the name of the method
+   * @return {Promise<Object>}        the parameters of the call
+   */
+  waitForCall(method) {
+    const call = this.calls.find(value => value.method === method);
+    if (call !== undefined) {
+      return Promise.resolve(call.params);
+    }
+
+    return new Promise(resolve => this.waiters.push({ method, resolve }));
+  }
+
+  /**
+   * Sends an envelope to all connected sockets.
+   * @param {Object} envelope the Socket Mode envelope
+   */
+  sendEnvelope(envelope) {
+    for (const socket of this.sockets) {
+      socket.send(JSON.stringify(envelope));
+    }
+  }
+
+  /**
+   * Records a call and resolves the waiters of it.
+   * @param {string} method the name of the method
+   * @param {Object} params the parameters of the call
+   */
+  recordCall(method, params) {
+    this.calls.push({ method, params });
+    for (const waiter of this.waiters.filter(value => value.method === method)) {
+      waiter.resolve(params);
+    }
+
+    this.waiters = this.waiters.filter(value => value.method !== method);
+  }
+
+  /**
+   * Handles a connected socket of the client.
+   * @param {WebSocket} socket the socket
+   */
+  handleSocket(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('message', data => this.recordCall('ack', JSON.parse(data)));
+    socket.send(JSON.stringify({ type: 'hello' }));
+  }
+
+  /**
+   * Handles a request of the client to the Web API.
+   * @param {IncomingMessage} request  the HTTP request
+   * @param {ServerResponse}  response the HTTP response
+   */
+  handleRequest(request, response) {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const method = request.url.slice(ApiPath.length);
+      const params = Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString()));
+      params.authorization = request.headers.authorization;
+      this.recordCall(method, params);
+
+      let result = this.results[method];
+      if (method === 'apps.connections.open') {
+        result = { url: this.makeUrl('ws') + SocketPath };
+      } else if (typeof result === 'function') {
+        result = result(params);
+      }
+
+      response.end(JSON.stringify(Object.assign({ ok: true }, result)));
+    });
+  }
+}
+
+/**
+ * Exports the FakeSlackServer class
+ * @type {FakeSlackServer}
+ */
+module.exports = FakeSlackServer;
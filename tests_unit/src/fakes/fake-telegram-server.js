@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const http = require('http');
+
+const EmptyPollDelayMillis = 20;
+
+/**
+ * Local fake of the Telegram Bot API server. Records the called methods and replies with the results
+ * set up by the tests. The updates added by the tests are returned by "getUpdates" according to the offset.
+ * @alias FakeTelegramServer
+ */
+class FakeTelegramServer {
+  /**
+   * Constructs an instance of the class
+   */
+  constructor() {
+    this.calls = [];
+    this.updates = [];
+    this.results = { getMe: { id: 100, is_bot: true, first_name: 'OrgHelper', username: 'OrgHelperBot' } };
+    this.waiters = [];
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+  }
+
+  /**
+   * Starts listening on a free local port.
+   * @return {Promise<string>} the URL of the API to be used by the client
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve('http://127.0.0.1:' + this.server.address().port));
+    });
+  }
+
+  /**
+   * Stops listening.
+   * @return {Promise} nothing
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Waits until a method gets called (or returns immediately if it was called already).
+   * @param  {string}          method the name of the method
+   * @return {Promise<Object>}        the parameters of the call
+   */
+  waitForCall(method) {
+    const call = this.calls.find(value => value.method === method);
+    if (call !== undefined) {
+      return Promise.resolve(call.params);
+    }
+
+    return new Promise(resolve => this.waiters.push({ method, resolve }));
+  }
+
+  /**
+   * Handles a request of the client.
+   * @param {IncomingMessage} request  the HTTP request
+   * @param {ServerResponse}  response the HTTP response
+   */
+  handleRequest(request, response) {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const method = request.url.slice(request.url.lastIndexOf('/') + 1);
+      const params = chunks.length === 0 ? {} : JSON.parse(Buffer.concat(chunks).toString());
+
+      if (method === 'getUpdates') {
+        const updates = this.updates.filter(update => update.update_id >= params.offset);
+        const delay = updates.length === 0 ? EmptyPollDelayMillis : 0;
+        setTimeout(() => response.end(JSON.stringify({ ok: true, result: updates })), delay);
+        return;
+      }
+
+      this.calls.push({ method, params });
+      for (const waiter of this.waiters.filter(value => value.method === method)) {
+        waiter.resolve(params);
+      }
+
+      this.waiters = this.waiters.filter(value => value.method !== method);
+
+      const result = this.results[method];
+      if (typeof result === 'function') {
+        response.end(JSON.stringify({ ok: true, result: result(params) }));
+      } else {
+        response.end(JSON.stringify({ ok: true, result: result === undefined ? true : result }));
+      }
+    });
+  }
+}
+
+/**
+ * Exports the FakeTelegramServer class
+ * @type {FakeTelegramServer}
+ */
+module.exports = FakeTelegramServer;
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+// Offline unit tests. Each file in the "suits" folder exports an object where the keys are the names
+// of the test cases and the values are the functions performing the checks (using the "assert" module).
+// The functions may be async (e.g. to talk to a local fake server), then the cases are awaited one by one.
+// The cases may be filtered by passing a part of the suit's file name as an argument.
+
+console.log('OrgHelper unit test startup');
+
+const fs = require('fs');
+const path = require('path');
+
+const suitsPath = path.join(__dirname, 'suits');
+const filters = process.argv.slice(2);
+
+const suitFiles = fs
+  .readdirSync(suitsPath, { withFileTypes: true })
+  .filter(fileEntity => !fileEntity.isDirectory() && fileEntity.name.endsWith('.js'))
+  .map(fileEntity => fileEntity.name)
+  .filter(fileName => filters.length === 0 || filters.some(filter => fileName.includes(filter)));
+
+/**
+ * Runs the cases of all suits one by one, prints the results and sets the exit code.
+ * @return {Promise} nothing
+ */
+async function runSuits() {
+  let passedCount = 0;
+  let failedCount = 0;
+
+  for (const suitFile of suitFiles) {
+    const suit = require(path.join(suitsPath, suitFile));
+    console.log('Suit: ' + suitFile);
+    for (const caseName of Object.keys(suit)) {
+      // The cases must not interfere with each other, so ignoring the warning about parallel processing.
+      /* eslint-disable no-await-in-loop */
+      try {
+        await suit[caseName]();
+        passedCount++;
+        console.log('  PASSED: ' + caseName);
+      } catch (error) {
+        failedCount++;
+        console.log('  FAILED: ' + caseName + '\n' + error.message);
+      }
+      /* eslint-enable no-await-in-loop */
+    }
+  }
+
+  console.log('Total: ' + (passedCount + failedCount) + '; passed: ' + passedCount + '; failed: ' + failedCount);
+  if (failedCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+runSuits();
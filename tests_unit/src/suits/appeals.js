@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const AppealManager = require('../../../src/managers/appeal-manager');
+
+const LangManager = { getString: (...args) => args.join(' ') };
+
+module.exports = {
+  'the appeals are decided by the approve and deny reactions only': () => {
+    assert.equal(AppealManager.getDecisionStatus(AppealManager.APPROVE_EMOJI), 'approved');
+    assert.equal(AppealManager.getDecisionStatus(AppealManager.DENY_EMOJI), 'denied');
+    assert.equal(AppealManager.getDecisionStatus('👍'), null);
+  },
+
+  'the appeal text describes the case': () => {
+    const appeal = { id: 2, userId: '1', text: 'sorry' };
+    const caseRow = { id: 7, action: 'warn', reason: null };
+    assert.equal(
+      AppealManager.makeAppealText(appeal, caseRow, LangManager),
+      'appeal_message 2 <@!1> 7 moderation_case_action_warn moderation_case_no_reason sorry ✅ ❌'
+    );
+  },
+
+  'the appeal text does not ping anyone': () => {
+    const appeal = { id: 3, userId: '1', text: 'Hey @everyone and <@&5>' };
+    const caseRow = { id: 7, action: 'warn', reason: 'Pinged @here' };
+    const text = AppealManager.makeAppealText(appeal, caseRow, LangManager);
+    assert.equal(text.includes('@everyone'), false);
+    assert.equal(text.includes('@here'), false);
+    assert.equal(text.includes('<@&5>'), false);
+  }
+};
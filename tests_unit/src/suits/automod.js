@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+const Discord = require('discord.js');
+
+const AutomodManager = require('../../../src/managers/automod-manager');
+
+const LangManager = { getString: (...args) => args.join(' ') };
+
+/**
+ * Makes a channel of a guild recording the updates of its permission overwrites.
+ * @param  {string}  id        the id of the channel
+ * @param  {string}  type      the type of the channel
+ * @param  {boolean} overwrite the overwrite of sending messages for the "everyone" role (true, false or null)
+ * @return {Object}            the channel, with the updated overwrites in the "updates" field
+ */
+function makeChannel(id, type, overwrite) {
+  const everyone = { id: '1' };
+  const channel = { id, type, guild: { id: '1', roles: { everyone } }, permissionOverwrites: new Map(), updates: [] };
+  if (overwrite !== null) {
+    const permissions = new Discord.Permissions(['SEND_MESSAGES']);
+    channel.permissionOverwrites.set(everyone.id, {
+      allow: overwrite ? permissions : new Discord.Permissions(0),
+      deny: overwrite ? new Discord.Permissions(0) : permissions
+    });
+  }
+
+  channel.updateOverwrite = async (role, options) => {
+    channel.updates.push(options.SEND_MESSAGES);
+  };
+  return channel;
+}
+
+const makeEvents = (contents, step) =>
+  contents.map((content, index) => AutomodManager.makeMessageEvent(content, 0, index * step));
+
+module.exports = {
+  'the rate rule counts the messages within the window only': () => {
+    const rule = { type: 'rate', limit: 3, window: 10000 };
+    assert.equal(AutomodManager.isTriggered(rule, makeEvents(['a', 'b', 'c'], 1000), 2000), true);
+    assert.equal(AutomodManager.isTriggered(rule, makeEvents(['a', 'b', 'c'], 6000), 12000), false);
+  },
+
+  'the duplicates rule counts the identical messages ignoring the case': () => {
+    const rule = { type: 'duplicates', limit: 2, window: 10000 };
+    assert.equal(AutomodManager.isTriggered(rule, makeEvents(['Spam', 'other', 'spam '], 1000), 2000), true);
+    assert.equal(AutomodManager.isTriggered(rule, makeEvents(['spam', 'other'], 1000), 1000), false);
+  },
+
+  'the mentions and invites rules sum the counts of the messages': () => {
+    const events = [
+      AutomodManager.makeMessageEvent('hi', 3, 0),
+      AutomodManager.makeMessageEvent('see discord.gg/abc and discord.com/invite/xyz', 2, 1000)
+    ];
+    assert.equal(AutomodManager.isTriggered({ type: 'mentions', limit: 5, window: 10000 }, events, 1000), true);
+    assert.equal(AutomodManager.isTriggered({ type: 'mentions', limit: 6, window: 10000 }, events, 1000), false);
+    assert.equal(AutomodManager.isTriggered({ type: 'invites', limit: 2, window: 10000 }, events, 1000), true);
+  },
+
+  'an edited message replaces the event of its original version': () => {
+    const rule = { type: 'mentions', limit: 5, window: 10000 };
+    const events = [AutomodManager.makeMessageEvent('hi', 3, 0, '1')];
+    AutomodManager.addMessageEvent(events, AutomodManager.makeMessageEvent('hi all', 3, 1000, '1'), true);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].timestamp, 0);
+    assert.equal(AutomodManager.isTriggered(rule, events, 1000), false);
+    AutomodManager.addMessageEvent(events, AutomodManager.makeMessageEvent('hi', 3, 2000, '2'), false);
+    assert.equal(AutomodManager.isTriggered(rule, events, 2000), true);
+  },
+
+  'the caps rule ignores short messages': () => {
+    assert.equal(AutomodManager.getCapsPercent('OK!'), 0);
+    assert.equal(AutomodManager.getCapsPercent('STOP SPAMMING'), 100);
+    assert.equal(AutomodManager.getCapsPercent('ПРИВЕТ привет'), 50);
+  },
+
+  'the rules are described with their windows and durations': () => {
+    assert.equal(
+      AutomodManager.describeRule(
+        { type: 'rate', limit: 5, window: 10000, action: 'mute', duration: 1800000 },
+        LangManager
+      ),
+      'automod_rule_temporary automod_rule_rate 5 10 automod_action_mute 30'
+    );
+    assert.equal(
+      AutomodManager.describeRule(
+        { type: 'caps', limit: 70, window: 10000, action: 'delete', duration: 0 },
+        LangManager
+      ),
+      'automod_rule automod_rule_caps 70 automod_action_delete'
+    );
+  },
+
+  'the raid lock skips the locked channels and keeps the permissions of the rest for the unlock': async () => {
+    const tasks = [];
+    const context = {
+      langManager: LangManager,
+      dbManager: {
+        getSetting: async (source, orgId, name, defaultValue) => defaultValue,
+        getDiscordRows: async () => tasks,
+        insertOne: async (table, row) => tasks.push(row),
+        tasksTable: {}
+      },
+      scheduler: { addTask: () => {} }
+    };
+    const channels = [
+      makeChannel('2', 'text', null),
+      makeChannel('3', 'text', true),
+      makeChannel('4', 'text', false),
+      makeChannel('5', 'voice', null)
+    ];
+    const guild = {
+      id: '1',
+      channels: { cache: new Discord.Collection(channels.map(channel => [channel.id, channel])) }
+    };
+
+    await new AutomodManager(context).lockServer(guild, { duration: 60000 }, 'raid');
+
+    assert.deepEqual(
+      channels.map(channel => channel.updates),
+      [[false], [false], [], []]
+    );
+    assert.deepEqual(
+      tasks.map(task => task.content),
+      [
+        { channel: '2', locked: false, previousOverwrite: null },
+        { channel: '3', locked: false, previousOverwrite: true }
+      ]
+    );
+  }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const BadWordsMatcher = require('../../../src/utils/bad-words-matcher');
+
+const LangManager = { getString: (...args) => args.join(' ') };
+
+const censored = (text, word, mode) => BadWordsMatcher.censor(text, [{ word, mode }]) !== text;
+
+module.exports = {
+  'the texts are normalized': () => {
+    assert.equal(BadWordsMatcher.normalize('ＢА́Ｄ w0rd'), 'bad word');
+    assert.equal(BadWordsMatcher.normalize('b̶a̶d​'), 'bad');
+  },
+
+  'the whole words do not match inside other words': () => {
+    assert.ok(censored('you ass!', 'ass', 'word'));
+    assert.ok(censored('you 4$$', 'ass', 'word'));
+    assert.ok(!censored('first class', 'ass', 'word'));
+    assert.ok(censored('first class', 'ass', 'substring'));
+  },
+
+  'the wildcards match letters within a word': () => {
+    assert.ok(censored('what the fuuuck', 'f*ck', 'wildcard'));
+    assert.ok(censored('what the fack', 'f?ck', 'wildcard'));
+    assert.ok(!censored('what the fck', 'f?ck', 'wildcard'));
+    assert.ok(!censored('fun luck', 'f*ck', 'wildcard'));
+  },
+
+  'the censored text keeps the rest of the message': () => {
+    const text = BadWordsMatcher.censor('a b̶a̶d word', [{ word: 'bad', mode: 'word' }]);
+    assert.ok(text.startsWith('a '));
+    assert.ok(text.endsWith(' word'));
+    assert.equal(text.length, 'a bad word'.length);
+  },
+
+  'the unsafe regular expressions are rejected': () => {
+    assert.equal(BadWordsMatcher.validateRegex('b[a4]d\\w*', LangManager), null);
+    assert.equal(BadWordsMatcher.validateRegex('(foo|bar)?', LangManager), null);
+    assert.equal(BadWordsMatcher.validateRegex('b(a|4)d', LangManager), null);
+    assert.equal(BadWordsMatcher.validateRegex('(a+)+', LangManager), 'bad_words_regex_unsafe (a+)+');
+    assert.equal(BadWordsMatcher.validateRegex('(?:a|b*){2,}', LangManager), 'bad_words_regex_unsafe (?:a|b*){2,}');
+    assert.equal(BadWordsMatcher.validateRegex('(a)\\1', LangManager), 'bad_words_regex_unsafe (a)\\1');
+    assert.equal(BadWordsMatcher.validateRegex('(a', LangManager), 'bad_words_regex_invalid (a');
+  },
+
+  'the repeated alternations are rejected': () => {
+    assert.equal(BadWordsMatcher.validateRegex('(a|a)+$', LangManager), 'bad_words_regex_unsafe (a|a)+$');
+    assert.equal(BadWordsMatcher.validateRegex('(a|aa)*b', LangManager), 'bad_words_regex_unsafe (a|aa)*b');
+    assert.equal(BadWordsMatcher.validateRegex('(\\w|\\d)+x', LangManager), 'bad_words_regex_unsafe (\\w|\\d)+x');
+    assert.equal(BadWordsMatcher.validateRegex('((a|b)c){2}', LangManager), 'bad_words_regex_unsafe ((a|b)c){2}');
+    assert.equal(BadWordsMatcher.validateRegex('(foo|bar)+', LangManager), 'bad_words_regex_unsafe (foo|bar)+');
+  },
+
+  'the several unbounded quantifiers are rejected': () => {
+    assert.equal(BadWordsMatcher.validateRegex('b\\w{0,5}d\\w*', LangManager), null);
+    assert.equal(BadWordsMatcher.validateRegex('b[a+*]d.*', LangManager), null);
+    assert.equal(BadWordsMatcher.validateRegex('.*.*.*.*.*.*x', LangManager), 'bad_words_regex_unsafe .*.*.*.*.*.*x');
+    assert.equal(BadWordsMatcher.validateRegex('a+b*', LangManager), 'bad_words_regex_unsafe a+b*');
+    assert.equal(BadWordsMatcher.validateRegex('a{2,}(b+)?', LangManager), 'bad_words_regex_unsafe a{2,}(b+)?');
+  },
+
+  'the unsafe regular expressions saved earlier are not matched': () => {
+    const text = 'a'.repeat(28) + '!';
+    assert.equal(BadWordsMatcher.censor(text, [{ word: '(a|a)+$', mode: 'regex' }]), text);
+    assert.equal(BadWordsMatcher.censor('a'.repeat(100), [{ word: '.*.*.*.*.*.*x', mode: 'regex' }]), 'a'.repeat(100));
+    assert.ok(censored('b4d', 'b(a|4)d', 'regex'));
+  }
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const OhUtils = require('../../../src/utils/bot-utils');
+const MessageModerator = require('../../../src/managers/message-moderator');
+const OrgChannel = require('../../../src/mongo_classes/org-channel');
+const ServerSettingsTable = require('../../../src/mongo_classes/server-settings-table');
+
+const LangManager = { getString: (...args) => args.join(' ') };
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+const Message = Object.freeze({
+  source: { name: 'Discord' },
+  orgId: '1',
+  userId: '7',
+  channelId: '10',
+  content: 'bad @everyone <@&5>'
+});
+
+const Rules = [
+  { id: 1, channelIds: [], exemptRoleIds: [], action: 'censor' },
+  { id: 2, channelIds: ['10'], exemptRoleIds: [], action: 'ignore' },
+  { id: 3, channelIds: ['20', '30'], exemptRoleIds: ['5'], action: 'warn' },
+  { id: 4, channelIds: ['30'], exemptRoleIds: [], action: 'delete' }
+];
+
+/**
+ * Makes a context with the moderation logs enabled, the logged texts are collected to a given array.
+ * @param  {Array<string>} logged the array to collect the logged texts
+ * @return {Object}               the context
+ */
+function makeContext(logged) {
+  const channel = {
+    id: '99',
+    type: OrgChannel.getTextType(),
+    send: async text => {
+      logged.push(text);
+      return { id: String(logged.length), channel };
+    }
+  };
+  return {
+    log: SilentLog,
+    langManager: LangManager,
+    dbManager: {
+      getSetting: async (source, orgId, name) => (name === 'moderLogsChannel' ? channel.id : OhUtils.ON)
+    },
+    discordClient: { guilds: { cache: new Map([[Message.orgId, { channels: { cache: [channel] } }]]) } }
+  };
+}
+
+/**
+ * Makes a context with the mute after two warnings set up by the legacy setting, and with the rows stored in RAM.
+ * @param  {Object} rows the object to store the rows, by the table names
+ * @return {Object}      the context
+ */
+function makeWarningsContext(rows) {
+  return {
+    log: SilentLog,
+    langManager: LangManager,
+    discordClient: { user: { id: '100', username: 'OrgHelper' } },
+    dbManager: {
+      warningsTable: 'warnings',
+      escalationStepsTable: 'steps',
+      moderationCasesTable: 'cases',
+      getRows: async table => rows[table] || [],
+      insertOne: async (table, row) => {
+        rows[table] = (rows[table] || []).concat([row]);
+        return true;
+      },
+      getSetting: async (source, orgId, name, defaultValue) =>
+        name === ServerSettingsTable.SERVER_SETTINGS.muteOnWarnings.name ? '2' : defaultValue
+    }
+  };
+}
+
+module.exports = {
+  'the channel rule is preferred over the category rule and the server rule': () => {
+    assert.equal(MessageModerator.findCensoringRule(Rules, '30', '10').id, 3);
+    assert.equal(MessageModerator.findCensoringRule(Rules, '40', '10').id, 2);
+    assert.equal(MessageModerator.findCensoringRule(Rules, '40', null).id, 1);
+  },
+
+  'no rule is found if no rules match the channel': () => {
+    assert.equal(MessageModerator.findCensoringRule(Rules.slice(1), '40', '50'), null);
+    assert.equal(MessageModerator.findCensoringRule([], '10', null), null);
+  },
+
+  'the logged bad words do not ping anyone': async () => {
+    const logged = [];
+    await new MessageModerator(makeContext(logged)).applyCensoringAction(Message, 'log', 'bad');
+    assert.equal(logged.length, 1);
+    assert.ok(logged[0].startsWith('moderator_bad_words_log <@!7> <#10> bad '));
+    assert.ok(!logged[0].includes('@everyone'));
+    assert.ok(!logged[0].includes('<@&5>'));
+  },
+
+  'the logged deleted and edited messages do not ping anyone': async () => {
+    const logged = [];
+    const moderator = new MessageModerator(makeContext(logged));
+    await moderator.logDeletedDiscordMessage(Object.assign({ originalMessage: { id: '3' } }, Message));
+    moderator.premoderateDiscordMessage = async () => {};
+    await moderator.moderateEditedDiscordMessage({ content: '@here' }, Message);
+    assert.equal(logged.length, 2);
+    assert.ok(logged.every(text => !text.includes('@everyone') && !text.includes('@here') && !text.includes('<@&5>')));
+  },
+
+  'the automatic warnings are escalated the same way as the warn command': async () => {
+    const rows = {};
+    const moderations = [];
+    const moderator = new MessageModerator(makeWarningsContext(rows));
+    const message = {
+      orgId: '1',
+      userId: '7',
+      source: {
+        name: 'Discord',
+        moderationActions: ['mute'],
+        fetchMember: async () => null,
+        makeMemberMention: row => '<@!' + row.id + '>',
+        moderateMember: async (...args) => {
+          moderations.push(args.slice(1));
+          return null;
+        }
+      }
+    };
+
+    assert.equal(await moderator.warnUser(message, 'spam'), null);
+    assert.equal(moderations.length, 0);
+    assert.ok((await moderator.warnUser(message, 'spam')).startsWith('command_warn_escalation_applied <@!7> 2 '));
+    assert.deepEqual(moderations, [['1', '7', '100', 'mute', 0, 'command_warn_mutereason']]);
+    assert.deepEqual(
+      rows.warnings.map(row => [row.id, row.userId, row.moderatorId, row.reason]),
+      [
+        [1, '7', '100', 'spam'],
+        [2, '7', '100', 'spam']
+      ]
+    );
+    assert.deepEqual(
+      rows.cases.map(row => row.action),
+      ['warn', 'warn', 'mute']
+    );
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const CommandOverrides = require('../../../src/utils/command-overrides');
+const CommandsParser = require('../../../src/managers/commands-parser');
+
+const LangManager = { getString: textId => textId.replace(/^command_|_name$/g, '') };
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+const RemindCommand = { getCommandInterfaceName: () => 'command_remind_name' };
+const PollCommand = { getCommandInterfaceName: () => 'command_poll_name' };
+const CommandClasses = Object.freeze([RemindCommand, PollCommand]);
+
+const Overrides = Object.freeze([
+  { id: 1, source: 'Discord', orgId: '1', type: 'alias', command: 'command_remind_name', alias: 'r' },
+  { id: 2, source: 'Discord', orgId: '1', type: 'alias', command: 'command_remind_name', alias: 'poll' },
+  { id: 3, source: 'Discord', orgId: '1', type: 'alias', command: 'command_remind_name', alias: 'later' },
+  { id: 4, source: 'Discord', orgId: '1', type: 'disabled', command: 'command_poll_name', alias: null },
+  { id: 5, source: 'Discord', orgId: '1', type: 'unknown', command: 'command_poll_name', alias: 'p' }
+]);
+
+/**
+ * Parses a message with the commands parser having the overrides above in the stubbed DB.
+ * @param  {string}               content the text of the message
+ * @return {Promise<constructor>}         the found command class, or null if not found
+ */
+async function parse(content) {
+  const context = {
+    log: SilentLog,
+    langManager: LangManager,
+    dbManager: { getRows: async () => Overrides }
+  };
+  const message = {
+    content,
+    orgId: '1',
+    source: { name: 'Discord', DEFAULT_COMMAND_PREFIX: '!', commandManager: { definedCommands: CommandClasses } }
+  };
+  return new CommandsParser(context).parseMessage(message, '!', LangManager);
+}
+
+module.exports = {
+  'the commands are found by the names and the aliases': () => {
+    assert.equal(CommandOverrides.findCommand(CommandClasses, Overrides, LangManager, 'remind'), RemindCommand);
+    assert.equal(CommandOverrides.findCommand(CommandClasses, Overrides, LangManager, 'r'), RemindCommand);
+    assert.equal(CommandOverrides.findCommand(CommandClasses, Overrides, LangManager, 'poll'), PollCommand);
+    assert.equal(CommandOverrides.findCommand(CommandClasses, Overrides, LangManager, 'p'), undefined);
+    assert.equal(CommandOverrides.findCommand(CommandClasses, [], LangManager, 'r'), undefined);
+  },
+
+  'the aliases and the disabled commands are listed': () => {
+    assert.deepEqual(CommandOverrides.getAliases(RemindCommand, Overrides), ['later', 'poll', 'r']);
+    assert.deepEqual(CommandOverrides.getAliases(PollCommand, Overrides), []);
+    assert.equal(CommandOverrides.isDisabled(PollCommand, Overrides), true);
+    assert.equal(CommandOverrides.isDisabled(RemindCommand, Overrides), false);
+  },
+
+  'the parser resolves the aliases and ignores the disabled commands': async () => {
+    assert.equal(await parse('!r 10m tea'), RemindCommand);
+    assert.equal(await parse('!later'), RemindCommand);
+    assert.equal(await parse('!poll Why?'), null);
+    assert.equal(await parse('!nothing'), null);
+    assert.equal(await parse('r 10m tea'), null);
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const EscalationLadder = require('../../../src/utils/escalation-ladder');
+
+const HourMillis = 60 * 60 * 1000;
+
+const Ladder = EscalationLadder.sortSteps([
+  { warnings: 5, action: 'ban', duration: 7 * 24 * HourMillis },
+  { warnings: 2, action: 'mute', duration: HourMillis },
+  { warnings: 3, action: 'kick', duration: 0 }
+]);
+
+module.exports = {
+  'the step with the biggest threshold reached is selected': () => {
+    assert.equal(EscalationLadder.selectStep(Ladder, 1), null);
+    assert.equal(EscalationLadder.selectStep(Ladder, 2).action, 'mute');
+    assert.equal(EscalationLadder.selectStep(Ladder, 3).action, 'kick');
+    assert.equal(EscalationLadder.selectStep(Ladder, 4).action, 'kick');
+    assert.equal(EscalationLadder.selectStep(Ladder, 6).action, 'ban');
+  },
+
+  'legacy settings make a ladder with the ban above the mute': () => {
+    assert.deepEqual(EscalationLadder.makeLegacySteps(3, 0, 2, HourMillis), [
+      { warnings: 2, action: 'mute', duration: HourMillis },
+      { warnings: 3, action: 'ban', duration: 0 }
+    ]);
+    assert.deepEqual(EscalationLadder.makeLegacySteps(0, 0, 0, 0), []);
+  },
+
+  'steps are described with their durations': () => {
+    const langManager = { getString: (...args) => args.join(' ') };
+    assert.equal(EscalationLadder.describeStep(Ladder[0], langManager), 'escalation_step_mute_temporary 60');
+    assert.equal(EscalationLadder.describeStep(Ladder[1], langManager), 'escalation_step_kick');
+    assert.equal(
+      EscalationLadder.describeStep({ warnings: 5, action: 'ban', duration: 0 }, langManager),
+      'escalation_step_ban'
+    );
+  }
+};
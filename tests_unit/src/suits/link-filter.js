@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const LinkFilter = require('../../../src/utils/link-filter');
+
+const makeDomains = (allowed, denied) =>
+  allowed.map(domain => ({ domain, list: 'allow' })).concat(denied.map(domain => ({ domain, list: 'deny' })));
+
+const isTextBlocked = (text, domains) =>
+  LinkFilter.extractLinks(text).some(link => LinkFilter.isBlocked(link, domains));
+
+module.exports = {
+  'the links are extracted with the normalized hosts and without the trailing punctuation': () => {
+    const links = LinkFilter.extractLinks('See https://WWW.Example.com:8080/Path/Page?x=1, and www.test.org. Or not.');
+    assert.deepEqual(links, [
+      { host: 'example.com', path: '/path/page', inviteCode: null },
+      { host: 'test.org', path: '', inviteCode: null }
+    ]);
+    assert.deepEqual(LinkFilter.extractLinks('example.com is not a link, nor is mail@www.test.org'), []);
+  },
+
+  'the invites to Discord servers are recognized with and without the scheme': () => {
+    const links = LinkFilter.extractLinks('discord.gg/abc https://discord.com/invite/Xyz discordapp.com/channels/1');
+    assert.deepEqual(
+      links.map(link => link.inviteCode),
+      ['abc', 'Xyz']
+    );
+  },
+
+  'the domains are normalized and validated': () => {
+    assert.equal(LinkFilter.normalizeDomain(' https://www.Example.com/Path/ '), 'example.com/path');
+    assert.equal(LinkFilter.isValidDomain(LinkFilter.normalizeDomain('Sub.Example.com')), true);
+    assert.equal(LinkFilter.isValidDomain(LinkFilter.ANY_DOMAIN), true);
+    assert.equal(LinkFilter.isValidDomain('localhost'), false);
+    assert.equal(LinkFilter.isValidDomain('bad domain.com'), false);
+  },
+
+  'a domain matches its subdomains and the paths under its path': () => {
+    const [link] = LinkFilter.extractLinks('https://cdn.example.com/files/image.png');
+    assert.equal(LinkFilter.matchesDomain(link, 'example.com'), true);
+    assert.equal(LinkFilter.matchesDomain(link, 'example.com/files'), true);
+    assert.equal(LinkFilter.matchesDomain(link, 'example.com/file'), false);
+    assert.equal(LinkFilter.matchesDomain(link, 'ample.com'), false);
+  },
+
+  'an allowed domain overrides a denied one': () => {
+    const domains = makeDomains(['good.example.com', 'bad.com/ok'], ['example.com', 'bad.com']);
+    assert.equal(isTextBlocked('https://example.com', domains), true);
+    assert.equal(isTextBlocked('https://good.example.com/page', domains), false);
+    assert.equal(isTextBlocked('https://bad.com/ok/page', domains), false);
+    assert.equal(isTextBlocked('https://bad.com/other', domains), true);
+    assert.equal(isTextBlocked('https://other.com', domains), false);
+  },
+
+  'the any domain denies all links except the allowed ones': () => {
+    const domains = makeDomains(['example.com'], [LinkFilter.ANY_DOMAIN]);
+    assert.equal(isTextBlocked('https://other.com', domains), true);
+    assert.equal(isTextBlocked('https://example.com', domains), false);
+  },
+
+  'the invites are blocked unless allowed': () => {
+    assert.equal(isTextBlocked('join discord.gg/abc', []), true);
+    assert.equal(isTextBlocked('join discord.gg/abc', makeDomains(['discord.gg/abc'], [])), false);
+    assert.equal(isTextBlocked('join discord.gg/other', makeDomains(['discord.gg/abc'], [])), true);
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const BaseModerationCommand = require('../../../src/commands_discord/moderation/base-moderation-command');
+
+const LangManager = { getString: (...args) => args.join(' ') };
+
+const Case = {
+  id: 7,
+  action: 'warn',
+  reason: 'spam',
+  textId: 'command_warn_log',
+  textArgs: ['<@1>', '<@2>']
+};
+
+module.exports = {
+  'the case text is made with the reason as the last argument': () => {
+    assert.equal(
+      BaseModerationCommand.makeCaseLogText(Case, LangManager),
+      'moderation_case_log 7 command_warn_log <@1> <@2> spam'
+    );
+    assert.equal(
+      BaseModerationCommand.makeCaseLogText(Object.assign({}, Case, { reason: null }), LangManager),
+      'moderation_case_log 7 command_warn_log <@1> <@2> moderation_case_no_reason'
+    );
+  },
+
+  'the case actions are described': () => {
+    assert.equal(BaseModerationCommand.describeCaseAction(Case, LangManager), 'moderation_case_action_warn');
+    assert.equal(BaseModerationCommand.describeCaseAction({ action: 'legacy' }, LangManager), 'legacy');
+  }
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const NextRunCalculator = require('../../../src/utils/next-run-calculator');
+const TimeArg = require('../../../src/command_meta/time-arg');
+
+const Any = -1;
+const Paris = 'Europe/Paris';
+const NewYork = 'America/New_York';
+
+/**
+ * Makes calendar definitions as they are stored in tasks.
+ * @param  {Object}        fields the values of the fields (missing ones are not defined at all)
+ * @return {Array<Object>}        the definitions
+ */
+function makeDefinitions(fields) {
+  return Object.keys(fields).map(key => ({ amount: fields[key], shiftType: TimeArg.SHIFT_TYPES[key] }));
+}
+
+/**
+ * Makes definitions of a daily recurring schedule.
+ * @param  {number}        hours   the hours
+ * @param  {number}        minutes the minutes
+ * @return {Array<Object>}         the definitions
+ */
+function daily(hours, minutes) {
+  return makeDefinitions({ years: Any, months: Any, days: Any, hours, minutes, seconds: 0, milliseconds: 0 });
+}
+
+/**
+ * Checks the next run time calculated for given definitions.
+ * @param {Array<Object>}   definitions the definitions
+ * @param {string}          timezone    the timezone name
+ * @param {string}          now         the current moment in ISO format (with the offset)
+ * @param {(string | null)} expected    the expected next run in ISO format (with the offset), or null
+ */
+function checkNextRun(definitions, timezone, now, expected) {
+  const result = NextRunCalculator.getNextRunTime(definitions, timezone, Date.parse(now));
+  if (expected === null) {
+    assert.equal(result, null);
+  } else {
+    assert.equal(
+      result === null ? null : new Date(result).toISOString(),
+      new Date(Date.parse(expected)).toISOString(),
+      'now: ' + now
+    );
+  }
+}
+
+module.exports = {
+  'daily schedule keeps the local time over the spring transition': () => {
+    checkNextRun(daily(9, 0), Paris, '2026-03-28T10:00:00+01:00', '2026-03-29T09:00:00+02:00');
+  },
+
+  'daily schedule keeps the local time over the autumn transition': () => {
+    checkNextRun(daily(9, 0), Paris, '2026-10-24T10:00:00+02:00', '2026-10-25T09:00:00+01:00');
+  },
+
+  'local time in the spring gap is shifted forward by the gap': () => {
+    checkNextRun(daily(2, 30), Paris, '2026-03-28T12:00:00+01:00', '2026-03-29T03:30:00+02:00');
+    checkNextRun(daily(2, 30), Paris, '2026-03-29T03:30:00+02:00', '2026-03-30T02:30:00+02:00');
+  },
+
+  'local time in the autumn overlap runs once, at the first occurrence': () => {
+    checkNextRun(daily(2, 30), Paris, '2026-10-24T12:00:00+02:00', '2026-10-25T02:30:00+02:00');
+    checkNextRun(daily(2, 30), Paris, '2026-10-25T02:30:00+02:00', '2026-10-26T02:30:00+01:00');
+  },
+
+  'hourly schedule skips the non-existing hour': () => {
+    const hourly = makeDefinitions({
+      years: Any,
+      months: Any,
+      days: Any,
+      hours: Any,
+      minutes: 0,
+      seconds: 0,
+      milliseconds: 0
+    });
+    checkNextRun(hourly, Paris, '2026-03-29T01:30:00+01:00', '2026-03-29T03:00:00+02:00');
+    checkNextRun(hourly, Paris, '2026-03-29T03:00:00+02:00', '2026-03-29T04:00:00+02:00');
+  },
+
+  'schedule is evaluated in the target timezone': () => {
+    checkNextRun(daily(9, 0), NewYork, '2026-03-07T10:00:00-05:00', '2026-03-08T09:00:00-04:00');
+    checkNextRun(daily(9, 0), 'Asia/Tokyo', '2026-10-19T08:59:59+09:00', '2026-10-19T09:00:00+09:00');
+  },
+
+  'fields which are not defined match any value': () => {
+    const everyMinute = makeDefinitions({ hours: Any, minutes: Any, seconds: 0 });
+    checkNextRun(everyMinute, Paris, '2026-10-19T10:15:30+02:00', '2026-10-19T10:16:00+02:00');
+  },
+
+  'the 31st day is scheduled only in months having it': () => {
+    const definitions = makeDefinitions({ years: Any, months: Any, days: 31, hours: 10, minutes: 0, seconds: 0 });
+    checkNextRun(definitions, Paris, '2026-04-01T00:00:00+02:00', '2026-05-31T10:00:00+02:00');
+    checkNextRun(definitions, Paris, '2026-05-31T10:00:00+02:00', '2026-07-31T10:00:00+02:00');
+  },
+
+  'the first day of month rolls over to the next year': () => {
+    const definitions = makeDefinitions({ years: Any, months: Any, days: 1, hours: 10, minutes: 0, seconds: 0 });
+    checkNextRun(definitions, Paris, '2026-12-15T00:00:00+01:00', '2027-01-01T10:00:00+01:00');
+  },
+
+  'the last moment of a year rolls over to the next year': () => {
+    const definitions = makeDefinitions({ years: Any, months: 11, days: 31, hours: 23, minutes: 59, seconds: 59 });
+    checkNextRun(definitions, Paris, '2026-12-31T23:59:59+01:00', '2027-12-31T23:59:59+01:00');
+  },
+
+  'February 29 is scheduled only in leap years': () => {
+    const definitions = makeDefinitions({ years: Any, months: 1, days: 29, hours: 10, minutes: 0, seconds: 0 });
+    checkNextRun(definitions, Paris, '2026-10-19T00:00:00+02:00', '2028-02-29T10:00:00+01:00');
+    checkNextRun(definitions, Paris, '2028-02-29T10:00:00+01:00', '2032-02-29T10:00:00+01:00');
+  },
+
+  'day of week schedule finds the next such day': () => {
+    const sundays = makeDefinitions({ dayofweek: 0, hours: 13, minutes: 0, seconds: 0, years: Any, months: Any });
+    // Monday, and the next Sunday is already after the autumn transition.
+    checkNextRun(sundays, Paris, '2026-10-19T12:00:00+02:00', '2026-10-25T13:00:00+01:00');
+    checkNextRun(sundays, Paris, '2026-10-25T12:00:00+01:00', '2026-10-25T13:00:00+01:00');
+    checkNextRun(sundays, Paris, '2026-10-25T13:00:00+01:00', '2026-11-01T13:00:00+01:00');
+  },
+
+  'day of week schedule rolls over the month and the year': () => {
+    const fridays = makeDefinitions({ dayofweek: 5, hours: 18, minutes: 30, seconds: 0, years: Any, months: Any });
+    checkNextRun(fridays, Paris, '2026-12-26T00:00:00+01:00', '2027-01-01T18:30:00+01:00');
+  },
+
+  'one-shot day of week schedule ignores the auto completed day of month': () => {
+    const definitions = makeDefinitions({ years: 2026, months: 9, days: 19, dayofweek: 3, hours: 8, minutes: 0 });
+    checkNextRun(definitions, Paris, '2026-10-19T12:00:00+02:00', '2026-10-21T08:00:00+02:00');
+  },
+
+  'one-shot schedule returns its moment even if it has passed': () => {
+    const definitions = makeDefinitions({ years: 2026, months: 2, days: 29, hours: 2, minutes: 30, seconds: 0 });
+    checkNextRun(definitions, Paris, '2026-03-01T00:00:00+01:00', '2026-03-29T03:30:00+02:00');
+    checkNextRun(definitions, Paris, '2026-10-19T00:00:00+02:00', '2026-03-29T03:30:00+02:00');
+  },
+
+  'impossible schedules have no next run': () => {
+    const february30 = makeDefinitions({ years: 2027, months: 1, days: 30, hours: 10, minutes: 0, seconds: 0 });
+    checkNextRun(february30, Paris, '2026-10-19T00:00:00+02:00', null);
+    const pastYear = makeDefinitions({ years: 2020, months: Any, days: 1, hours: 10, minutes: 0, seconds: 0 });
+    checkNextRun(pastYear, Paris, '2026-10-19T00:00:00+02:00', null);
+  },
+
+  'cron expression is evaluated in the target timezone': () => {
+    const definitions = [
+      { amount: '0 9 * * 1-5', shiftType: TimeArg.SHIFT_TYPES.cron },
+      { amount: Paris, shiftType: TimeArg.SHIFT_TYPES.timezone }
+    ];
+    checkNextRun(definitions, Paris, '2026-10-24T10:00:00+02:00', '2026-10-26T09:00:00+01:00');
+  },
+
+  'recurrence rule is evaluated in the target timezone': () => {
+    const definitions = [
+      {
+        amount: 'FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=18;BYMINUTE=0;DTSTART=20260101T000000',
+        shiftType: TimeArg.SHIFT_TYPES.rrule
+      }
+    ];
+    checkNextRun(definitions, NewYork, '2026-10-19T00:00:00-04:00', '2026-10-30T18:00:00-04:00');
+    checkNextRun(definitions, NewYork, '2026-10-30T18:00:00-04:00', '2026-11-27T18:00:00-05:00');
+  }
+};
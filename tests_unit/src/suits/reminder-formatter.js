@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const ReminderFormatter = require('../../../src/utils/reminder-formatter');
+const TimeArg = require('../../../src/command_meta/time-arg');
+
+const Any = -1;
+const Paris = 'Europe/Paris';
+
+/**
+ * Makes a reminder task with given time definitions and content.
+ * @param  {Array<Object>} definitions the time definitions
+ * @param  {Object}        content     the content of the reminder
+ * @param  {number}        [runCount]  the number of the previous runs
+ * @return {Object}                    the task
+ */
+function makeTask(definitions, content, runCount) {
+  return { time: { definitions }, content, runCount };
+}
+
+/**
+ * Makes definitions of a daily recurring schedule in Paris.
+ * @param  {number}        hours   the hours
+ * @param  {number}        minutes the minutes
+ * @return {Array<Object>}         the definitions
+ */
+function dailyInParis(hours, minutes) {
+  return [
+    { amount: Any, shiftType: TimeArg.SHIFT_TYPES.years },
+    { amount: Any, shiftType: TimeArg.SHIFT_TYPES.months },
+    { amount: Any, shiftType: TimeArg.SHIFT_TYPES.days },
+    { amount: hours, shiftType: TimeArg.SHIFT_TYPES.hours },
+    { amount: minutes, shiftType: TimeArg.SHIFT_TYPES.minutes },
+    { amount: 0, shiftType: TimeArg.SHIFT_TYPES.seconds },
+    { amount: Paris, shiftType: TimeArg.SHIFT_TYPES.timezone }
+  ];
+}
+
+module.exports = {
+  'placeholders are expanded in the timezone of the reminder': () => {
+    const task = makeTask(dailyInParis(0, 30), { message: 'Today is {date}, next: {nextRun}, run #{count}' }, 4);
+    const content = ReminderFormatter.formatContent(task, Date.parse('2026-10-24T22:30:00Z'));
+    assert.equal(content.message, 'Today is 2026-10-25, next: 2026-10-26 00:30 CET, run #5');
+  },
+
+  'placeholders are expanded in the embed': () => {
+    const task = makeTask(dailyInParis(9, 0), {
+      message: 'Standup',
+      embed: { title: 'Standup #{count}', color: '#FF0000', fields: [{ name: 'Date', value: '{date}' }] }
+    });
+    const content = ReminderFormatter.formatContent(task, Date.parse('2026-10-19T07:00:00Z'));
+    assert.deepEqual(content.embed, {
+      title: 'Standup #1',
+      color: '#FF0000',
+      fields: [{ name: 'Date', value: '2026-10-19' }]
+    });
+    assert.equal(task.content.embed.title, 'Standup #{count}');
+  },
+
+  'one-shot reminder has no next run': () => {
+    const definitions = [
+      { amount: 2026, shiftType: TimeArg.SHIFT_TYPES.years },
+      { amount: 9, shiftType: TimeArg.SHIFT_TYPES.months },
+      { amount: 19, shiftType: TimeArg.SHIFT_TYPES.days },
+      { amount: 9, shiftType: TimeArg.SHIFT_TYPES.hours },
+      { amount: 0, shiftType: TimeArg.SHIFT_TYPES.minutes }
+    ];
+    const task = makeTask(definitions, { message: '[{nextRun}] {unknown}' });
+    const content = ReminderFormatter.formatContent(task, Date.parse('2026-10-19T09:00:00Z'));
+    assert.equal(content.message, '[] {unknown}');
+  }
+};
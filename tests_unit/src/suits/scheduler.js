@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const TasksTable = require('../../../src/mongo_classes/tasks-table');
+const TaskRunsTable = require('../../../src/mongo_classes/task-runs-table');
+
+const FakeDb = require('../fakes/fake-db');
+const FakeScheduler = require('../fakes/fake-scheduler');
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+/**
+ * Makes a DB manager with the tasks tables stored in RAM.
+ * @return {Object} the DB manager
+ */
+function makeDbManager() {
+  const dbManager = { context: { log: SilentLog }, dbo: new FakeDb() };
+  dbManager.tasksTable = new TasksTable(dbManager);
+  dbManager.taskRunsTable = new TaskRunsTable(dbManager);
+  return dbManager;
+}
+
+module.exports = {
+  'the runs of the deleted tasks are deleted as well': async () => {
+    const dbManager = makeDbManager();
+    const tasks = dbManager.dbo.collection(dbManager.tasksTable.getTableName());
+    const runs = dbManager.dbo.collection(dbManager.taskRunsTable.getTableName());
+    await tasks.insertOne({ id: 1, source: 'Discord', orgId: '1', type: 'reminder' });
+    await tasks.insertOne({ id: 2, source: 'Discord', orgId: '1', type: 'reminder' });
+    await tasks.insertOne({ id: 1, source: 'Discord', orgId: '2', type: 'reminder' });
+    await runs.insertOne({ taskId: 1, source: 'Discord', orgId: '1', scheduledAt: 10 });
+    await runs.insertOne({ taskId: 1, source: 'Discord', orgId: '1', scheduledAt: 20 });
+    await runs.insertOne({ taskId: 2, source: 'Discord', orgId: '1', scheduledAt: 10 });
+    await runs.insertOne({ taskId: 1, source: 'Discord', orgId: '2', scheduledAt: 10 });
+
+    await dbManager.tasksTable.deleteDiscordRows('1', { id: { $in: [1] } });
+
+    assert.deepEqual(
+      tasks.rows.map(row => row.orgId + ':' + row.id),
+      ['1:2', '2:1']
+    );
+    assert.deepEqual(
+      runs.rows.map(row => row.orgId + ':' + row.taskId),
+      ['1:2', '2:1']
+    );
+    assert.deepEqual(await dbManager.taskRunsTable.getRecentRuns('Discord', '1', 1, 10), []);
+  },
+
+  'the task is finished even if its run cannot be recorded': async () => {
+    const scheduler = new FakeScheduler();
+    scheduler.context.dbManager.taskRunsTable.insertOrUpdate = async () => {
+      throw new Error('the DB is not available');
+    };
+    const task = FakeScheduler.makeOneShotTask('Discord', '1', 2100);
+    await scheduler.addStoredTask(task);
+
+    try {
+      await scheduler.executeTask(scheduler.tasks.get(FakeScheduler.makeTaskKey(task)));
+      await scheduler.settle();
+
+      assert.equal(scheduler.tasks.size, 0);
+      assert.deepEqual(scheduler.taskRows, []);
+    } finally {
+      // The task is far in the future, its timer must not keep the tests running.
+      scheduler.cancelTask(task);
+    }
+  }
+};
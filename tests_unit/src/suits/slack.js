@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+const http = require('http');
+const path = require('path');
+
+const SlackClient = require('../../../src/components/slack-client');
+const SlackSource = require('../../../src/components/slack-source');
+const BaseMessage = require('../../../src/components/base-message');
+const LangManager = require('../../../src/managers/lang-manager');
+const CommandsParser = require('../../../src/managers/commands-parser');
+const PermissionsManager = require('../../../src/managers/permissions-manager');
+const SlackSyncManager = require('../../../src/managers/slack-sync-manager');
+
+const FakeSlackServer = require('../fakes/fake-slack-server');
+const FakeScheduler = require('../fakes/fake-scheduler');
+
+const localizationPath = path.join(__dirname, '..', '..', '..', 'localization');
+
+const SigningSecret = 'secret';
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+/**
+ * Makes a context with the managers needed to process the Slack commands, and with the stubbed DB.
+ * @param  {SlackClient} client the Slack client
+ * @return {Object}             the context
+ */
+function makeContext(client) {
+  const table = { updateOneFromSlack: async () => {}, deleteOneFromSlack: async () => {} };
+  const context = {
+    log: SilentLog,
+    localizationPath,
+    langManager: new LangManager(localizationPath),
+    dbManager: {
+      getSetting: async (source, orgId, name, defaultValue) => defaultValue,
+      getUserSetting: async () => undefined,
+      getRows: async () => [],
+      membersTable: table
+    },
+    slackClient: client,
+    slackClientReady: true
+  };
+  context.permManager = new PermissionsManager(context);
+  context.commandsParser = new CommandsParser(context);
+  context.slackSyncManager = new SlackSyncManager(context);
+  return context;
+}
+
+/**
+ * Sends a command to the Bot via the commands parser and waits for the reply.
+ * @param  {string}          text the text of the command
+ * @return {Promise<Object>}      the parameters of the posted reply
+ */
+async function runCommand(text) {
+  const server = new FakeSlackServer();
+  server.results['users.info'] = params => ({ user: { id: params.user, name: 'someone', is_admin: false } });
+  const client = new SlackClient('xoxb-token', { apiUrl: await server.start() });
+  // The replies which are not awaited by the test may be aborted when the client is destroyed.
+  client.on('error', () => {});
+
+  try {
+    const context = makeContext(client);
+    const slackMessage = { team_id: 'T1', channel: 'C1', user: 'U1', ts: '1.1', thread_ts: '1.0', text };
+    await context.commandsParser.processSlackMessage(
+      BaseMessage.createFromSlack(slackMessage, new SlackSource(client))
+    );
+
+    const reply = await server.waitForCall('chat.postMessage');
+    assert.equal(reply.channel, 'C1');
+    assert.equal(reply.thread_ts, '1.0');
+    assert.equal(reply.authorization, 'Bearer xoxb-token');
+    return reply;
+  } finally {
+    client.destroy();
+    await server.stop();
+  }
+}
+
+/**
+ * Posts a request of the Events API to the client.
+ * @param  {number}          port      the port of the client
+ * @param  {Object}          payload   the payload of the request
+ * @param  {string}          signature the signature (if not set, then a valid one is made)
+ * @return {Promise<Object>}           the status code and the body of the response
+ */
+function postEvent(port, payload, signature) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Slack-Request-Timestamp': timestamp,
+    'X-Slack-Signature': signature === undefined ? SlackClient.makeSignature(SigningSecret, timestamp, body) : signature
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: '127.0.0.1', port, method: 'POST', headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString() }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  'the Socket Mode envelopes are acknowledged and emitted as events': async () => {
+    const server = new FakeSlackServer();
+    const client = new SlackClient('xoxb-token', { appToken: 'xapp-token', apiUrl: await server.start() });
+
+    try {
+      const received = new Promise(resolve => client.on('message', resolve));
+      await client.login();
+      assert.equal(client.user.id, 'UBOT');
+      assert.equal((await server.waitForCall('apps.connections.open')).authorization, 'Bearer xapp-token');
+
+      server.sendEnvelope({
+        envelope_id: 'E1',
+        type: 'events_api',
+        payload: { team_id: 'T1', event: { type: 'message', channel: 'C1', user: 'U1', text: 'hello' } }
+      });
+      const event = await received;
+      assert.equal(event.text, 'hello');
+      assert.equal(event.team_id, 'T1');
+      assert.equal((await server.waitForCall('ack')).envelope_id, 'E1');
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the signed Events API requests are emitted as events': async () => {
+    const server = new FakeSlackServer();
+    const client = new SlackClient('xoxb-token', {
+      signingSecret: SigningSecret,
+      eventsPort: 0,
+      apiUrl: await server.start()
+    });
+
+    try {
+      await client.login();
+      const port = client.eventsServer.address().port;
+
+      const verification = await postEvent(port, { type: 'url_verification', challenge: 'abc' });
+      assert.equal(JSON.parse(verification.body).challenge, 'abc');
+
+      const received = new Promise(resolve => client.on('channel_created', resolve));
+      const payload = { type: 'event_callback', team_id: 'T1', event: { type: 'channel_created', channel: {} } };
+      assert.equal((await postEvent(port, payload)).status, 200);
+      assert.equal((await received).team_id, 'T1');
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the Events API requests with a wrong signature are rejected': async () => {
+    const server = new FakeSlackServer();
+    const client = new SlackClient('xoxb-token', {
+      signingSecret: SigningSecret,
+      eventsPort: 0,
+      apiUrl: await server.start()
+    });
+
+    try {
+      await client.login();
+      const port = client.eventsServer.address().port;
+      let emitted = false;
+      client.on('message', () => {
+        emitted = true;
+      });
+
+      const payload = { type: 'event_callback', team_id: 'T1', event: { type: 'message', text: 'hello' } };
+      assert.equal((await postEvent(port, payload, 'v0=' + '0'.repeat(64))).status, 401);
+      assert.equal((await postEvent(port, payload, 'wrong')).status, 401);
+      assert.equal(emitted, false);
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the Events API requests with a malformed signature are rejected': async () => {
+    const server = new FakeSlackServer();
+    const client = new SlackClient('xoxb-token', {
+      signingSecret: SigningSecret,
+      eventsPort: 0,
+      apiUrl: await server.start()
+    });
+
+    try {
+      await client.login();
+      const port = client.eventsServer.address().port;
+      const payload = { type: 'event_callback', team_id: 'T1', event: { type: 'message', text: 'hello' } };
+      // The header is received as Latin-1, so it has the length of a valid signature in characters, but not in bytes.
+      const signature = 'v0=' + '\u00e9'.repeat(32);
+      assert.equal((await postEvent(port, payload, signature)).status, 401);
+      assert.equal((await postEvent(port, payload)).status, 200);
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the API errors are thrown': async () => {
+    const server = new FakeSlackServer();
+    server.results['chat.postMessage'] = { ok: false, error: 'channel_not_found' };
+    const client = new SlackClient('xoxb-token', { apiUrl: await server.start() });
+
+    try {
+      await assert.rejects(client.postMessage('C2', 'hello'), /channel_not_found/);
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the ping command is replied in the thread': async () => {
+    const langManager = new LangManager(localizationPath);
+    assert.equal((await runCommand('!ping')).text, langManager.getString('command_ping_success'));
+  },
+
+  'the settings commands require the administrator role': async () => {
+    const langManager = new LangManager(localizationPath);
+    assert.equal(
+      (await runCommand('!setprefix ?')).text,
+      langManager.getString(
+        'permission_command_error',
+        langManager.getString('permission_missing_slack', PermissionsManager.SLACK_PERMISSIONS.ADMINISTRATOR)
+      )
+    );
+  },
+
+  'the one-shot tasks are deleted after the run': async () => {
+    const scheduler = new FakeScheduler();
+    await scheduler.runMissedOneShotTask('Slack', 'T1');
+
+    assert.equal(scheduler.tasks.size, 0);
+    assert.deepEqual(scheduler.taskRows, []);
+  }
+};
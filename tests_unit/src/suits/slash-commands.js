@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const SlashCommandsManager = require('../../../src/managers/slash-commands-manager');
+const CommandArgDef = require('../../../src/command_meta/command-arg-def');
+const BooleanArgScanner = require('../../../src/arg_scanners/boolean-arg-scanner');
+const BaseModerationCommand = require('../../../src/commands_discord/moderation/base-moderation-command');
+const SetWarningsDecayCommand = require('../../../src/commands_discord/settings/set-warnings-decay-command');
+
+const OptionTypes = SlashCommandsManager.OPTION_TYPES;
+
+const LangManager = {
+  getString: (...args) => args.join(' '),
+  hasString: id => id !== '' && id !== 'missing_alias'
+};
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+const TestCommand = {
+  getCommandInterfaceName: () => 'command_test',
+  getHelpText: () => 'Test help.\nSecond line.',
+  getDefinedArgs: () => ({
+    count: new CommandArgDef('count', {
+      aliasIds: ['count', 'c'],
+      helpId: 'count_help',
+      validationOptions: { isNonNegativeInteger: true }
+    }),
+    enable: new CommandArgDef('enable', { aliasIds: ['Enable'], scanner: BooleanArgScanner }),
+    text: new CommandArgDef('text', { aliasIds: ['missing_alias', 'some text'] })
+  })
+};
+
+module.exports = {
+  'the options are generated from the arguments': () => {
+    assert.deepEqual(SlashCommandsManager.makeCommandData(TestCommand, {}, LangManager), {
+      name: 'command_test',
+      description: 'Test help. Second line.',
+      options: [
+        { type: OptionTypes.integer, name: 'count', description: 'count_help', required: false },
+        { type: OptionTypes.boolean, name: 'enable', description: 'enable', required: false },
+        { type: OptionTypes.string, name: 'text', description: 'text', required: false }
+      ]
+    });
+  },
+
+  'the long descriptions are truncated': () => {
+    const description = SlashCommandsManager.makeDescription('a'.repeat(150));
+    assert.equal(description.length, 100);
+    assert.equal(description.endsWith('…'), true);
+  },
+
+  'the command is found by its localized name': () => {
+    const commands = [{ getCommandInterfaceName: () => 'command_other' }, TestCommand];
+    assert.equal(SlashCommandsManager.findCommandClass(commands, 'command_test', LangManager), TestCommand);
+    assert.equal(SlashCommandsManager.findCommandClass(commands, 'command_none', LangManager), undefined);
+  },
+
+  'the options are converted to the texts of the arguments': () => {
+    const options = [
+      { name: 'count', type: OptionTypes.integer, value: 5 },
+      { name: 'enable', type: OptionTypes.boolean, value: false },
+      { name: 'unknown', type: OptionTypes.string, value: 'x' }
+    ];
+    assert.deepEqual(SlashCommandsManager.makeArgTexts(TestCommand, options, LangManager, LangManager), {
+      count: '5',
+      enable: 'arg_boolean_false'
+    });
+    assert.deepEqual(SlashCommandsManager.makeArgTexts(TestCommand, undefined, LangManager, LangManager), {});
+  },
+
+  'the wrong durations are rejected in the slash commands': async () => {
+    const durationArg = SetWarningsDecayCommand.getDefinedArgs().duration;
+    const options = [
+      { name: SlashCommandsManager.getOptionName(durationArg, LangManager), type: OptionTypes.string, value: '2 dayz' }
+    ];
+    const argTexts = SlashCommandsManager.makeArgTexts(SetWarningsDecayCommand, options, LangManager, LangManager);
+    const message = { content: '/setwarningsdecay duration: 2 dayz', orgId: '1' };
+    const command = SetWarningsDecayCommand.createForOrg({ log: SilentLog }, 'Discord', LangManager, '1');
+    await command.scanArgTexts(message, argTexts);
+
+    assert.equal(command.duration, null);
+    assert.throws(
+      () => BaseModerationCommand.validateDuration(command, message, durationArg),
+      error => error.message === 'moderation_wrong_duration 2 dayz'
+    );
+  }
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const BaseSource = require('../../../src/components/base-source');
+const DiscordSource = require('../../../src/components/discord-source');
+const TelegramSource = require('../../../src/components/telegram-source');
+const SlackSource = require('../../../src/components/slack-source');
+const SourceEmbed = require('../../../src/command_meta/source-embed');
+const SourceMembersArgScanner = require('../../../src/arg_scanners/source-members-arg-scanner');
+const SourceChannelsArgScanner = require('../../../src/arg_scanners/source-channels-arg-scanner');
+const ReminderTaskExecutor = require('../../../src/task_executors/reminder-task-executor');
+
+const LangManager = { getString: (...args) => args.join(' ') };
+
+const Members = Object.freeze([
+  { id: '7', source: 'Telegram', orgId: '-1001', displayName: 'Some One', userName: 'SomeOne' },
+  { id: '8', source: 'Telegram', orgId: '-1001', displayName: 'Other' }
+]);
+
+const Context = {
+  dbManager: { getRows: async (table, query) => Members.filter(row => row.id === query.id || !query.id) }
+};
+
+module.exports = {
+  'the embeds are converted to text': () => {
+    const embed = new SourceEmbed('Title', 'Description', '#FF0000', [{ name: 'Name', value: 'Value' }]);
+    assert.equal(embed.toText(), 'Title\nDescription\nName: Value');
+    assert.equal(embed.toText('*'), '*Title*\nDescription\nName: Value');
+    assert.equal(new SourceEmbed(null, null, '#FF0000').toText(), '');
+  },
+
+  'the poll embeds list the numbered answers': () => {
+    assert.deepEqual(BaseSource.makePollEmbed('Why?', ['A', 'B']), new SourceEmbed('Why?', '1. A\n2. B'));
+    assert.deepEqual(BaseSource.makePollEmbed('Yes?', null), new SourceEmbed('Yes?'));
+  },
+
+  'the members are referred in the way of the source': () => {
+    const discord = new DiscordSource(null);
+    assert.equal(discord.parseMemberReference('<@!123>'), '123');
+    assert.equal(discord.parseMemberReference('@someone'), null);
+
+    const telegram = new TelegramSource(null);
+    assert.equal(telegram.isMemberReference('@someone'), true);
+    assert.equal(telegram.parseMemberReference('-100'), '-100');
+    assert.equal(telegram.isMemberReference('someone'), false);
+
+    const slack = new SlackSource(null);
+    assert.equal(slack.parseMemberReference('<@U123|someone>'), 'U123');
+    assert.equal(slack.parseMemberReference('W456'), 'W456');
+    assert.equal(slack.parseMemberReference('<#C123>'), null);
+  },
+
+  'the channels are referred in the way of the source': () => {
+    assert.equal(new DiscordSource(null).parseChannelReference('<#123>'), '123');
+    assert.equal(new TelegramSource(null).parseChannelReference('-1001'), '-1001');
+    assert.equal(new SlackSource(null).parseChannelReference('<#C123|general>'), 'C123');
+    assert.equal(new SlackSource(null).parseChannelReference('<@U123>'), null);
+  },
+
+  'the telegram members are resolved by the user names and the identifiers': async () => {
+    const telegram = new TelegramSource(null);
+    assert.equal((await telegram.resolveMember(Context, '-1001', '@someone')).id, '7');
+    assert.equal(await telegram.resolveMember(Context, '-1001', '@nobody'), null);
+    assert.equal((await telegram.resolveMember(Context, '-1001', '8')).mention, 'Other');
+    assert.equal((await telegram.resolveMember(Context, '-1001', '9')).id, '9');
+  },
+
+  'the member and channel arguments are scanned by the source': async () => {
+    const message = { source: new TelegramSource(null) };
+    assert.deepEqual((await SourceMembersArgScanner.scan(null, LangManager, message, '@someone,7 reason')).value, [
+      '@someone',
+      '7'
+    ]);
+    assert.equal((await SourceMembersArgScanner.scan(null, LangManager, message, 'reason')).value, null);
+
+    const channels = await SourceChannelsArgScanner.scan(null, LangManager, { source: new SlackSource(null) }, '<#C1>');
+    assert.deepEqual(channels.value.channels, ['C1']);
+  },
+
+  'the telegram polls are validated': () => {
+    const telegram = new TelegramSource(null);
+    telegram.validatePoll('Why?', ['A', 'B'], LangManager);
+    assert.throws(() => telegram.validatePoll('Why?', ['A'], LangManager), { message: 'command_poll_one_answer' });
+    assert.throws(() => telegram.validatePoll('?'.repeat(301), null, LangManager), {
+      message: 'command_poll_question_too_long 300'
+    });
+  },
+
+  'the reminder embeds are appended to the text': () => {
+    const embed = { title: 'Title', color: null, fields: [{ name: 'Name', value: 'Value' }] };
+    assert.equal(ReminderTaskExecutor.makeText({ message: 'Text', embed }, '*'), 'Text\n*Title*\nName: Value');
+    assert.equal(ReminderTaskExecutor.makeText({ message: 'Text', embed: { title: null, fields: [] } }), 'Text');
+    assert.equal(ReminderTaskExecutor.makeText({ message: 'Text' }), 'Text');
+  }
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+const Discord = require('discord.js');
+
+const CleanTaskExecutor = require('../../../src/task_executors/clean-task-executor');
+const RoleTaskExecutor = require('../../../src/task_executors/role-task-executor');
+const ChannelLockTaskExecutor = require('../../../src/task_executors/channel-lock-task-executor');
+const ModerationExpiryTaskExecutor = require('../../../src/task_executors/moderation-expiry-task-executor');
+const TasksTable = require('../../../src/mongo_classes/tasks-table');
+const TaskRunsTable = require('../../../src/mongo_classes/task-runs-table');
+
+const FakeDb = require('../fakes/fake-db');
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+/**
+ * Makes a channel recording the updates of its permission overwrites.
+ * @param  {Array<string>} allowed the permissions allowed for the "everyone" role
+ * @param  {Array<string>} denied  the permissions denied for the "everyone" role
+ * @return {Object}                the channel, with the updated overwrites in the "updates" field
+ */
+function makeChannel(allowed, denied) {
+  const everyone = { id: '1' };
+  const channel = { guild: { roles: { everyone } }, permissionOverwrites: new Map(), updates: [] };
+  if (allowed.length > 0 || denied.length > 0) {
+    channel.permissionOverwrites.set(everyone.id, {
+      allow: new Discord.Permissions(allowed),
+      deny: new Discord.Permissions(denied)
+    });
+  }
+
+  channel.updateOverwrite = async (role, options) => {
+    channel.updates.push(options.SEND_MESSAGES);
+  };
+  return channel;
+}
+
+/**
+ * Makes a context with the tasks tables stored in RAM, and with the scheduler recording the cancelled
+ * and the updated tasks.
+ * @return {Object} the context
+ */
+function makeTasksContext() {
+  const dbManager = {
+    dbo: new FakeDb(),
+    getDiscordRows: async (table, orgId, query) => table.getCurrentDiscordRows(orgId, query),
+    deleteDiscordRows: async (table, orgId, query) => table.deleteDiscordRows(orgId, query)
+  };
+  const scheduler = { cancelled: [], updated: [] };
+  scheduler.cancelTask = task => scheduler.cancelled.push(task.id);
+  scheduler.updateTask = task => scheduler.updated.push(task.id);
+  const context = { log: SilentLog, dbManager, scheduler };
+  dbManager.context = context;
+  dbManager.tasksTable = new TasksTable(dbManager);
+  dbManager.taskRunsTable = new TaskRunsTable(dbManager);
+  return context;
+}
+
+module.exports = {
+  'valid task contents are accepted': () => {
+    CleanTaskExecutor.validateContent({ channel: '1', period: 60000 });
+    RoleTaskExecutor.validateContent({ action: 'remove', roles: ['2'], users: ['3', '4'] });
+    ChannelLockTaskExecutor.validateContent({ channel: '1', locked: false });
+    ChannelLockTaskExecutor.validateContent({ channel: '1', locked: false, previousOverwrite: null });
+    ModerationExpiryTaskExecutor.validateContent({ action: 'unban', user: '3' });
+    ModerationExpiryTaskExecutor.validateContent({ action: 'unmute', user: '3' });
+    ModerationExpiryTaskExecutor.validateContent({ action: 'removeRoles', user: '3', roles: ['2'] });
+  },
+
+  'invalid task contents are rejected': () => {
+    assert.throws(() => CleanTaskExecutor.validateContent(null));
+    assert.throws(() => CleanTaskExecutor.validateContent({ channel: '1', period: 0 }));
+    assert.throws(() => RoleTaskExecutor.validateContent({ action: 'toggle', roles: ['2'], users: ['3'] }));
+    assert.throws(() => RoleTaskExecutor.validateContent({ action: 'add', roles: [], users: ['3'] }));
+    assert.throws(() => ChannelLockTaskExecutor.validateContent({ channel: '1', locked: 'yes' }));
+    assert.throws(() => ChannelLockTaskExecutor.validateContent({ channel: '1', locked: false, previousOverwrite: 1 }));
+    assert.throws(() => ModerationExpiryTaskExecutor.validateContent({ action: 'unkick', user: '3' }));
+    assert.throws(() => ModerationExpiryTaskExecutor.validateContent({ action: 'removeRoles', user: '3' }));
+  },
+
+  'affected channels are reported by the task types': () => {
+    assert.deepEqual(CleanTaskExecutor.getChannelIds({ channel: '1', period: 60000 }), ['1']);
+    assert.deepEqual(RoleTaskExecutor.getChannelIds({ action: 'add', roles: ['2'], users: ['3'] }), []);
+  },
+
+  'the unlock restores the previous permission of the channel': async () => {
+    const readOnly = makeChannel([], ['SEND_MESSAGES']);
+    const writable = makeChannel(['SEND_MESSAGES'], []);
+    const plain = makeChannel([], ['ADD_REACTIONS']);
+    assert.equal(ChannelLockTaskExecutor.isLocked(readOnly), true);
+    assert.equal(ChannelLockTaskExecutor.isLocked(writable), false);
+    assert.equal(ChannelLockTaskExecutor.getSendOverwrite(writable), true);
+    assert.equal(ChannelLockTaskExecutor.getSendOverwrite(plain), null);
+    assert.equal(ChannelLockTaskExecutor.getSendOverwrite(makeChannel([], [])), null);
+
+    await ChannelLockTaskExecutor.setLocked(writable, true);
+    await ChannelLockTaskExecutor.setLocked(writable, false, true);
+    await ChannelLockTaskExecutor.setLocked(plain, false, null);
+    await ChannelLockTaskExecutor.setLocked(plain, false);
+    assert.deepEqual(writable.updates, [false, true]);
+    assert.deepEqual(plain.updates, [null, null]);
+  },
+
+  'the removal of a single role is cancelled keeping the other roles': async () => {
+    const context = makeTasksContext();
+    const tasks = context.dbManager.dbo.collection(TasksTable.TASKS_TABLE_NAME);
+    const makeExpiry = (id, content) => ({ id, source: 'Discord', orgId: '1', type: 'moderationExpiry', content });
+    await tasks.insertOne(makeExpiry(1, { action: 'removeRoles', user: '3', roles: ['2', '5'] }));
+    await tasks.insertOne(makeExpiry(2, { action: 'removeRoles', user: '3', roles: ['2'] }));
+    await tasks.insertOne(makeExpiry(3, { action: 'removeRoles', user: '4', roles: ['2'] }));
+    await tasks.insertOne(makeExpiry(4, { action: 'unban', user: '3' }));
+
+    const removeRoles = ModerationExpiryTaskExecutor.EXPIRY_ACTIONS.removeRoles;
+    assert.equal(await ModerationExpiryTaskExecutor.cancelExpiries(context, '1', removeRoles, '3', '2'), true);
+    assert.equal(await ModerationExpiryTaskExecutor.cancelExpiries(context, '1', removeRoles, '3', '6'), false);
+
+    assert.deepEqual(
+      tasks.rows.map(row => row.id + ':' + (row.content.roles === undefined ? '' : row.content.roles.join(','))),
+      ['1:5', '3:2', '4:']
+    );
+    assert.deepEqual(context.scheduler.cancelled, [2]);
+    assert.deepEqual(context.scheduler.updated, [1]);
+  }
+};
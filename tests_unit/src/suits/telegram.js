@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+const path = require('path');
+
+const TelegramClient = require('../../../src/components/telegram-client');
+const TelegramSource = require('../../../src/components/telegram-source');
+const BaseMessage = require('../../../src/components/base-message');
+const TelegramUtils = require('../../../src/utils/telegram-utils');
+const LangManager = require('../../../src/managers/lang-manager');
+const CommandsParser = require('../../../src/managers/commands-parser');
+const PermissionsManager = require('../../../src/managers/permissions-manager');
+const TelegramSyncManager = require('../../../src/managers/telegram-sync-manager');
+
+const FakeTelegramServer = require('../fakes/fake-telegram-server');
+const FakeScheduler = require('../fakes/fake-scheduler');
+
+const localizationPath = path.join(__dirname, '..', '..', '..', 'localization');
+
+const Chat = Object.freeze({ id: -1001, type: 'supergroup', title: 'Test group' });
+const Author = Object.freeze({ id: 7, is_bot: false, first_name: 'Some', last_name: 'One', username: 'someone' });
+
+const SilentLog = { v: () => {}, d: () => {}, i: () => {}, w: () => {}, e: () => {}, f: () => {} };
+
+/**
+ * Makes a context with the managers needed to process the Telegram commands, and with the stubbed DB.
+ * @param  {TelegramClient} client the Telegram client
+ * @return {Object}                the context
+ */
+function makeContext(client) {
+  const table = { updateOneFromTelegram: async () => {}, deleteOneFromTelegram: async () => {} };
+  const context = {
+    log: SilentLog,
+    localizationPath,
+    langManager: new LangManager(localizationPath),
+    dbManager: {
+      getSetting: async (source, orgId, name, defaultValue) => defaultValue,
+      getUserSetting: async () => undefined,
+      getRows: async () => [
+        { id: '7', source: 'Telegram', orgId: '-1001', displayName: 'Some One', userName: 'someone' }
+      ],
+      adminsTable: table,
+      membersTable: table
+    },
+    telegramClient: client,
+    telegramClientReady: true
+  };
+  context.permManager = new PermissionsManager(context);
+  context.commandsParser = new CommandsParser(context);
+  context.telegramSyncManager = new TelegramSyncManager(context);
+  return context;
+}
+
+/**
+ * Sends a command to the Bot via the commands parser and waits for the reply.
+ * @param  {string}          text the text of the command
+ * @return {Promise<string>}      the text of the reply
+ */
+async function runCommand(text) {
+  const server = new FakeTelegramServer();
+  server.results.getChatMember = params => ({ status: 'member', user: { id: params.user_id } });
+  const client = new TelegramClient('token', { apiUrl: await server.start() });
+  client.user = server.results.getMe;
+  // The replies which are not awaited by the test may be aborted when the client is destroyed.
+  client.on('error', () => {});
+
+  try {
+    const context = makeContext(client);
+    const telegramMessage = { message_id: 5, chat: Chat, from: Author, date: 0, text };
+    await context.commandsParser.processTelegramMessage(
+      BaseMessage.createFromTelegram(telegramMessage, new TelegramSource(client))
+    );
+
+    const reply = await server.waitForCall('sendMessage');
+    assert.equal(reply.chat_id, String(Chat.id));
+    assert.equal(reply.reply_to_message_id, 5);
+    return reply.text;
+  } finally {
+    client.destroy();
+    await server.stop();
+  }
+}
+
+module.exports = {
+  'the polled updates are emitted as events': async () => {
+    const server = new FakeTelegramServer();
+    server.updates.push({ update_id: 10, message: { message_id: 1, chat: Chat, from: Author, text: 'hello' } });
+    const client = new TelegramClient('token', { apiUrl: await server.start(), pollTimeout: 0 });
+
+    try {
+      const received = new Promise(resolve => client.on('message', resolve));
+      await client.login();
+      assert.equal(client.user.username, 'OrgHelperBot');
+      assert.equal((await received).text, 'hello');
+      assert.equal(client.offset, 11);
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the long texts are sent as several messages': async () => {
+    const server = new FakeTelegramServer();
+    const client = new TelegramClient('token', { apiUrl: await server.start() });
+
+    try {
+      await client.sendToChat('1', 'a'.repeat(TelegramUtils.MAX_TEXT_LENGTH + 10), { reply_to_message_id: 3 });
+      const messages = server.calls.filter(call => call.method === 'sendMessage').map(call => call.params);
+      assert.equal(messages.length, 2);
+      assert.equal(messages[0].text.length, TelegramUtils.MAX_TEXT_LENGTH);
+      assert.equal(messages[0].reply_to_message_id, 3);
+      assert.equal(messages[1].text.length, 10);
+      assert.equal(messages[1].reply_to_message_id, undefined);
+    } finally {
+      client.destroy();
+      await server.stop();
+    }
+  },
+
+  'the name of the bot is removed from the commands': () => {
+    assert.equal(TelegramUtils.removeBotName('/help@OrgHelperBot ping', 'orghelperbot'), '/help ping');
+    assert.equal(TelegramUtils.removeBotName('/help@OtherBot', 'OrgHelperBot'), '/help@OtherBot');
+    assert.equal(TelegramUtils.removeBotName('/ping', 'OrgHelperBot'), '/ping');
+    assert.equal(TelegramUtils.removeBotName('hi @OrgHelperBot', 'OrgHelperBot'), 'hi @OrgHelperBot');
+  },
+
+  'the ping command is replied': async () => {
+    const langManager = new LangManager(localizationPath);
+    assert.equal(await runCommand('/ping@OrgHelperBot'), langManager.getString('command_ping_success'));
+  },
+
+  'the help skips the administrator commands for the members': async () => {
+    const reply = await runCommand('/help');
+    assert.equal(reply.includes('/ping : '), true);
+    assert.equal(reply.includes('/warn : '), true);
+    assert.equal(reply.includes('/remind : '), false);
+  },
+
+  'the warn command requires the administrator rights': async () => {
+    const langManager = new LangManager(localizationPath);
+    assert.equal(
+      await runCommand('/warn @someone spam'),
+      langManager.getString('permission_command_error', langManager.getString('permission_missing_telegram_admin'))
+    );
+  },
+
+  'the one-shot tasks are deleted after the run': async () => {
+    const scheduler = new FakeScheduler();
+    await scheduler.runMissedOneShotTask('Telegram', String(Chat.id));
+
+    assert.equal(scheduler.tasks.size, 0);
+    assert.deepEqual(scheduler.taskRows, []);
+  }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * @author Alteh Union (alteh.union@gmail.com)
+ * @license MIT (see the root LICENSE file for details)
+ */
+
+const assert = require('assert').strict;
+
+const WarningsDecay = require('../../../src/utils/warnings-decay');
+
+const DayMillis = 24 * 60 * 60 * 1000;
+const Now = 100 * DayMillis;
+
+const OldWarning = { id: 1, timestamp: Now - 10 * DayMillis, expiresAt: null };
+const ExpiringWarning = { id: 2, timestamp: Now - 2 * DayMillis, expiresAt: Now + DayMillis };
+const ExpiredWarning = { id: 3, timestamp: Now - 2 * DayMillis, expiresAt: Now - DayMillis };
+const ArchivedWarning = { id: 4, timestamp: Now - DayMillis, archived: true };
+
+const ids = warnings => warnings.map(warning => warning.id);
+
+module.exports = {
+  'the earliest of the own expiry and the decay is the expiry time': () => {
+    assert.equal(WarningsDecay.getExpiryTime(OldWarning, 0), null);
+    assert.equal(WarningsDecay.getExpiryTime(OldWarning, 30 * DayMillis), Now + 20 * DayMillis);
+    assert.equal(WarningsDecay.getExpiryTime(ExpiringWarning, 0), Now + DayMillis);
+    assert.equal(WarningsDecay.getExpiryTime(ExpiringWarning, DayMillis), Now - DayMillis);
+  },
+
+  'warnings are split to the active and the expired ones': () => {
+    const warnings = [OldWarning, ExpiringWarning, ExpiredWarning, ArchivedWarning];
+
+    const withoutDecay = WarningsDecay.splitWarnings(warnings, 0, Now);
+    assert.deepEqual(ids(withoutDecay.active), [1, 2]);
+    assert.deepEqual(ids(withoutDecay.expired), [3, 4]);
+
+    const withDecay = WarningsDecay.splitWarnings(warnings, 5 * DayMillis, Now);
+    assert.deepEqual(ids(withDecay.active), [2]);
+    assert.deepEqual(ids(withDecay.expired), [1, 3, 4]);
+  }
+};